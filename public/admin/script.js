@@ -19,6 +19,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Tab elements
     const geminiTab = document.getElementById('gemini-tab');
     const vertexTab = document.getElementById('vertex-tab');
+    const logsTab = document.getElementById('logs-tab');
+    const usageTab = document.getElementById('usage-tab');
     const geminiContent = document.getElementById('gemini-content');
     const vertexContent = document.getElementById('vertex-content');
 
@@ -43,6 +45,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const categoryQuotasForm = document.getElementById('category-quotas-form');
     const proQuotaInput = document.getElementById('pro-quota');
     const flashQuotaInput = document.getElementById('flash-quota');
+    const embeddingQuotaInput = document.getElementById('embedding-quota');
     const categoryQuotasErrorDiv = document.getElementById('category-quotas-error');
     const geminiKeyErrorContainer = document.getElementById('gemini-key-error-container'); // Container for error messages in modal
     // Individual Quota Elements
@@ -53,7 +56,98 @@ document.addEventListener('DOMContentLoaded', () => {
     const individualQuotaModelIdInput = document.getElementById('individual-quota-model-id');
     const individualQuotaValueInput = document.getElementById('individual-quota-value');
     const individualQuotaErrorDiv = document.getElementById('individual-quota-error');
+    const fallbackModelsModal = document.getElementById('fallback-models-modal');
+    const closeFallbackModelsModalBtn = document.getElementById('close-fallback-models-modal');
+    const cancelFallbackModelsBtn = document.getElementById('cancel-fallback-models');
+    const fallbackModelsForm = document.getElementById('fallback-models-form');
+    const fallbackModelsModelIdInput = document.getElementById('fallback-models-model-id');
+    const fallbackModelsValueInput = document.getElementById('fallback-models-value');
+    const fallbackModelsErrorDiv = document.getElementById('fallback-models-error');
+    const keyStrategyModal = document.getElementById('key-strategy-modal');
+    const closeKeyStrategyModalBtn = document.getElementById('close-key-strategy-modal');
+    const cancelKeyStrategyBtn = document.getElementById('cancel-key-strategy');
+    const keyStrategyForm = document.getElementById('key-strategy-form');
+    const keyStrategyModelIdInput = document.getElementById('key-strategy-model-id');
+    const keyStrategyValueSelect = document.getElementById('key-strategy-value');
+    const keyStrategyGroupsInput = document.getElementById('key-strategy-groups');
+    const keyStrategyErrorDiv = document.getElementById('key-strategy-error');
+    const workerLimitsModal = document.getElementById('worker-limits-modal');
+    const closeWorkerLimitsModalBtn = document.getElementById('close-worker-limits-modal');
+    const cancelWorkerLimitsBtn = document.getElementById('cancel-worker-limits');
+    const workerLimitsForm = document.getElementById('worker-limits-form');
+    const workerLimitsKeyInput = document.getElementById('worker-limits-key');
+    const workerLimitsRpmInput = document.getElementById('worker-limits-rpm');
+    const workerLimitsRpdInput = document.getElementById('worker-limits-rpd');
+    const workerLimitsTpdInput = document.getElementById('worker-limits-tpd');
+    const workerLimitsBudgetInput = document.getElementById('worker-limits-budget');
+    const workerLimitsErrorDiv = document.getElementById('worker-limits-error');
+    const workerModelsModal = document.getElementById('worker-models-modal');
+    const closeWorkerModelsModalBtn = document.getElementById('close-worker-models-modal');
+    const cancelWorkerModelsBtn = document.getElementById('cancel-worker-models');
+    const workerModelsForm = document.getElementById('worker-models-form');
+    const workerModelsKeyInput = document.getElementById('worker-models-key');
+    const workerModelsAllowedInput = document.getElementById('worker-models-allowed');
+    const workerModelsDeniedInput = document.getElementById('worker-models-denied');
+    const workerModelsErrorDiv = document.getElementById('worker-models-error');
+    const workerKeyGroupsModal = document.getElementById('worker-key-groups-modal');
+    const closeWorkerKeyGroupsModalBtn = document.getElementById('close-worker-key-groups-modal');
+    const cancelWorkerKeyGroupsBtn = document.getElementById('cancel-worker-key-groups');
+    const workerKeyGroupsForm = document.getElementById('worker-key-groups-form');
+    const workerKeyGroupsKeyInput = document.getElementById('worker-key-groups-key');
+    const workerKeyGroupsValueInput = document.getElementById('worker-key-groups-value');
+    const workerKeyGroupsErrorDiv = document.getElementById('worker-key-groups-error');
+    const logsFilterForm = document.getElementById('logs-filter-form');
+    const logsTableBody = document.getElementById('logs-table-body');
+    const logsPageInfo = document.getElementById('logs-page-info');
+    const logsPrevPageBtn = document.getElementById('logs-prev-page');
+    const logsNextPageBtn = document.getElementById('logs-next-page');
+    const clearLogsBtn = document.getElementById('clear-logs-btn');
+    const usageRangeSelect = document.getElementById('usage-range-select');
+    const usageGroupSelect = document.getElementById('usage-group-select');
+    const usageExportCsvBtn = document.getElementById('usage-export-csv-btn');
+    const usageChartCanvas = document.getElementById('usage-chart');
+    const usageTotalsBody = document.getElementById('usage-totals-body');
+    const requestLogModal = document.getElementById('request-log-modal');
+    const closeRequestLogModalBtn = document.getElementById('close-request-log-modal');
+    const requestLogDetailPre = document.getElementById('request-log-detail');
     const logoutButton = document.getElementById('logout-button');
+    const currentAdminUserSpan = document.getElementById('current-admin-user');
+    const adminUsersButton = document.getElementById('admin-users-button');
+    const adminUsersModal = document.getElementById('admin-users-modal');
+    const closeAdminUsersModalBtn = document.getElementById('close-admin-users-modal');
+    const adminUsersListBody = document.getElementById('admin-users-list');
+    const addAdminUserForm = document.getElementById('add-admin-user-form');
+    const adminUsersErrorDiv = document.getElementById('admin-users-error');
+    const loginThrottleStatusP = document.getElementById('login-throttle-status');
+    const blockedIpsList = document.getElementById('blocked-ips-list');
+    const failedLoginsListBody = document.getElementById('failed-logins-list');
+    const sessionsButton = document.getElementById('sessions-button');
+    const sessionsModal = document.getElementById('sessions-modal');
+    const closeSessionsModalBtn = document.getElementById('close-sessions-modal');
+    const sessionsListBody = document.getElementById('sessions-list');
+    const logoutEverywhereBtn = document.getElementById('logout-everywhere-btn');
+    const sessionsErrorDiv = document.getElementById('sessions-error');
+    const apiTokensButton = document.getElementById('api-tokens-button');
+    const apiTokensModal = document.getElementById('api-tokens-modal');
+    const closeApiTokensModalBtn = document.getElementById('close-api-tokens-modal');
+    const apiTokensListBody = document.getElementById('api-tokens-list');
+    const apiTokenScopesDiv = document.getElementById('api-token-scopes');
+    const addApiTokenForm = document.getElementById('add-api-token-form');
+    const newApiTokenSection = document.getElementById('new-api-token-section');
+    const newApiTokenPre = document.getElementById('new-api-token');
+    const apiTokensErrorDiv = document.getElementById('api-tokens-error');
+    const twoFactorButton = document.getElementById('two-factor-button');
+    const twoFactorModal = document.getElementById('two-factor-modal');
+    const closeTwoFactorModalBtn = document.getElementById('close-two-factor-modal');
+    const twoFactorStatusP = document.getElementById('two-factor-status');
+    const twoFactorDisabledSection = document.getElementById('two-factor-disabled-section');
+    const twoFactorSetupSection = document.getElementById('two-factor-setup-section');
+    const twoFactorRecoverySection = document.getElementById('two-factor-recovery-section');
+    const twoFactorRecoveryCodesPre = document.getElementById('two-factor-recovery-codes');
+    const twoFactorEnableForm = document.getElementById('two-factor-enable-form');
+    const twoFactorManageForm = document.getElementById('two-factor-manage-form');
+    const twoFactorManageCodeInput = document.getElementById('two-factor-manage-code');
+    const twoFactorErrorDiv = document.getElementById('two-factor-error');
     const darkModeToggle = document.getElementById('dark-mode-toggle');
     const sunIcon = document.getElementById('sun-icon');
     const moonIcon = document.getElementById('moon-icon');
@@ -71,7 +165,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Global Cache ---
     let cachedModels = [];
     let cachedGeminiModels = []; // Add cache for available Gemini models
-    let cachedCategoryQuotas = { proQuota: 0, flashQuota: 0 };
+    let cachedCategoryQuotas = { proQuota: 0, flashQuota: 0, embeddingQuota: 0 };
+    let currentAdminUser = null; // { username, role, builtIn } from /api/admin/me
 
     // --- Global Test State ---
     let isRunningAllTests = false;
@@ -297,8 +392,8 @@ function hideError(container = errorMessageDiv) {
                 },
             });
 
-            // Check for auth errors (401 Unauthorized, 403 Forbidden)
-            if (response.status === 401 || response.status === 403) {
+            // Check for auth errors (401 Unauthorized). 403 means the user's role is too low and is shown as an error.
+            if (response.status === 401) {
                 console.log("Authentication required or session expired. Redirecting to login.");
                 localStorage.removeItem('isLoggedIn');
                 window.location.href = '/login';
@@ -397,6 +492,44 @@ function hideError(container = errorMessageDiv) {
         return 'bg-green-500';
     }
 
+    // Helper to escape client-supplied text (e.g. requested model IDs) before inserting it as HTML
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
+    // Helper to check the logged-in user's role; same order as ROLES in adminUserService
+    const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+    function hasRole(minRole) {
+        return !!currentAdminUser && ADMIN_ROLES.indexOf(currentAdminUser.role) >= ADMIN_ROLES.indexOf(minRole);
+    }
+
+    // Helper to read a comma-separated list of key group names from an input
+    function readKeyGroups(input) {
+        return input.value.split(',').map(group => group.trim()).filter(Boolean);
+    }
+
+    // Helper to render a key's active cooldowns with clear buttons for the detail modal
+    function renderKeyCooldowns(key) {
+        if (!key.cooldowns || key.cooldowns.length === 0) {
+            return '';
+        }
+        const rows = key.cooldowns.map(cooldown => `
+            <div class="flex justify-between items-center text-sm">
+                <span class="text-gray-700">${escapeHtml(cooldown.modelId)} <span class="text-xs text-gray-500">(${cooldown.status}, ${t('cooldown_remaining', cooldown.remainingSeconds)})</span></span>
+                <button data-id="${key.id}" data-model="${escapeHtml(cooldown.modelId)}" class="clear-gemini-key-cooldown requires-operator text-yellow-600 hover:text-yellow-800 font-medium text-xs">${t('clear_cooldown')}</button>
+            </div>
+        `).join('');
+        return `
+            <div class="border border-yellow-300 bg-yellow-50 rounded-md p-3 mb-4 space-y-1">
+                <div class="flex justify-between items-center">
+                    <h3 class="text-sm font-medium text-yellow-800">${t('cooling_down')}</h3>
+                    <button data-id="${key.id}" class="clear-gemini-key-cooldown requires-operator text-yellow-600 hover:text-yellow-800 font-medium text-xs">${t('clear_all_cooldowns')}</button>
+                </div>
+                ${rows}
+            </div>
+        `;
+    }
+
 
 async function renderGeminiKeys(keys) {
         geminiKeysListDiv.innerHTML = ''; // Clear previous list
@@ -588,6 +721,13 @@ async function renderGeminiKeys(keys) {
                         ${key.usage}
                     </div>
                 `;
+                if (key.cooldowns && key.cooldowns.length > 0) {
+                    rightSideContent += `
+                        <div class="text-xs px-2 py-1 mt-1 bg-yellow-100 text-yellow-800 rounded-full whitespace-nowrap">
+                            ${t('cooling_down')}
+                        </div>
+                    `;
+                }
             }
 
             // Optimized card content with better spacing and typography
@@ -627,6 +767,16 @@ async function renderGeminiKeys(keys) {
                         <div>
                             <p class="text-sm text-gray-600">${t('id')}: ${key.id}</p>
                             <p class="text-sm text-gray-600">${t('key_preview')}: ${key.keyPreview}</p>
+                            <div class="flex items-center mt-1 space-x-2">
+                                <label for="gemini-key-weight-${key.id}" class="text-sm text-gray-600">${t('key_weight')}:</label>
+                                <input type="number" id="gemini-key-weight-${key.id}" min="0" max="1000" value="${key.weight ?? 1}" class="w-20 rounded-md border-gray-300 shadow-sm text-sm px-2 py-1 border">
+                                <button data-id="${key.id}" class="save-gemini-key-weight requires-operator text-blue-500 hover:text-blue-700 text-sm font-medium">${t('save')}</button>
+                            </div>
+                            <div class="flex items-center mt-1 space-x-2">
+                                <label for="gemini-key-groups-${key.id}" class="text-sm text-gray-600">${t('key_groups')}:</label>
+                                <input type="text" id="gemini-key-groups-${key.id}" value="${escapeHtml((key.groups || []).join(', '))}" placeholder="${t('key_groups_placeholder')}" class="w-40 rounded-md border-gray-300 shadow-sm text-sm px-2 py-1 border">
+                                <button data-id="${key.id}" class="save-gemini-key-groups requires-operator text-blue-500 hover:text-blue-700 text-sm font-medium">${t('save')}</button>
+                            </div>
                         </div>
                         <div>
                             <p class="text-sm text-gray-600">${t('total_usage_today')}: ${key.usage}</p>
@@ -634,11 +784,12 @@ async function renderGeminiKeys(keys) {
                             ${key.errorStatus ? `<p class="text-sm text-red-600 font-medium">${t('error_status')}: ${key.errorStatus}</p>` : ''}
                         </div>
                     </div>
-                    <div class="flex justify-end space-x-2 mb-4">
+                    <div class="flex justify-end space-x-2 mb-4 requires-operator">
                         ${key.errorStatus ? `<button data-id="${key.id}" class="clear-gemini-key-error text-yellow-600 hover:text-yellow-800 font-medium px-3 py-1 border border-yellow-600 rounded">${t('ignore_error')}</button>` : ''}
                         <button data-id="${key.id}" class="test-gemini-key text-blue-500 hover:text-blue-700 font-medium px-3 py-1 border border-blue-500 rounded">${t('test')}</button>
                         <button data-id="${key.id}" class="delete-gemini-key text-red-500 hover:text-red-700 font-medium px-3 py-1 border border-red-500 rounded">${t('delete')}</button>
                     </div>
+                    ${renderKeyCooldowns(key)}
                     <!-- Container for error messages within the modal -->
                     <div id="gemini-key-error-container-${key.id}" class="hidden bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded relative mb-4" role="alert">
                         <span class="block sm:inline"></span>
@@ -764,6 +915,27 @@ async function renderGeminiKeys(keys) {
                 });
             }
 
+            // Embedding Category Usage
+            const embeddingUsage = key.categoryUsage?.embedding || 0;
+            const embeddingQuota = cachedCategoryQuotas.embeddingQuota;
+            const embeddingQuotaDisplay = formatQuota(embeddingQuota);
+            const embeddingRemaining = embeddingQuota === Infinity ? Infinity : Math.max(0, embeddingQuota - embeddingUsage);
+            const embeddingRemainingDisplay = formatQuota(embeddingRemaining);
+            const embeddingRemainingPercentage = calculateRemainingPercentage(embeddingUsage, embeddingQuota);
+            const embeddingProgressColor = getProgressColor(embeddingRemainingPercentage);
+
+            modalHTML += `
+                <div class="mt-2">
+                    <div class="flex justify-between mb-1">
+                        <span class="text-sm font-medium text-gray-700">${t('embedding_models')}</span>
+                        <span class="text-sm font-medium text-gray-700">${embeddingRemainingDisplay}/${embeddingQuotaDisplay}</span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2.5">
+                        <div class="${embeddingProgressColor} h-2.5 rounded-full" style="width: ${embeddingRemainingPercentage}%"></div>
+                    </div>
+                </div>
+            `;
+
             modalHTML += `
                         </div>
                     </div>
@@ -876,6 +1048,23 @@ async function renderGeminiKeys(keys) {
 
         keys.forEach(key => {
             const isSafetyEnabled = key.safetyEnabled !== undefined ? key.safetyEnabled : true;
+            const limits = key.limits || {};
+            const usage = key.usage || {};
+            const formatLimit = (used, limit) => `${used}/${limit === undefined ? t('unlimited') : limit}`;
+            const usageHtml = [
+                `${t('limit_rpm')}: ${formatLimit(usage.requestsLastMinute || 0, limits.rpm)}`,
+                `${t('limit_rpd')}: ${formatLimit(usage.requestsToday || 0, limits.rpd)}`,
+                `${t('limit_tpd')}: ${formatLimit(usage.tokensToday || 0, limits.tpd)}`,
+                `${t('limit_monthly_budget')}: ${formatLimit('$' + (usage.monthlySpend || 0).toFixed(2), limits.monthlyBudget === undefined ? undefined : '$' + limits.monthlyBudget)}`
+            ].join(' · ');
+            const allowedModels = key.allowedModels || [];
+            const deniedModels = key.deniedModels || [];
+            const keyGroups = key.keyGroups || [];
+            const modelAccessHtml = [
+                `${t('allowed_models')}: ${allowedModels.length > 0 ? allowedModels.join(', ') : t('all_models')}`,
+                ...(deniedModels.length > 0 ? [`${t('denied_models')}: ${deniedModels.join(', ')}`] : []),
+                `${t('key_groups')}: ${keyGroups.length > 0 ? escapeHtml(keyGroups.join(', ')) : t('all_keys')}`
+            ].join(' · ');
 
             const item = document.createElement('div');
             item.className = 'p-3 border rounded-md';
@@ -885,8 +1074,18 @@ async function renderGeminiKeys(keys) {
                         <p class="font-mono text-sm text-gray-700">${key.key}</p>
                         <p class="text-xs text-gray-500">${key.description || t('no_description')} (${t('created')}: ${new Date(key.createdAt).toLocaleDateString()})</p>
                     </div>
-                    <button data-key="${key.key}" class="delete-worker-key text-red-500 hover:text-red-700 font-medium">${t('delete')}</button>
+                    <div class="flex items-center requires-operator">
+                        <button data-key="${key.key}" data-rpm="${limits.rpm ?? ''}" data-rpd="${limits.rpd ?? ''}" data-tpd="${limits.tpd ?? ''}" data-budget="${limits.monthlyBudget ?? ''}"
+                            class="set-worker-limits mr-2 text-blue-500 hover:text-blue-700 font-medium">${t('limits')}</button>
+                        <button data-key="${key.key}" data-allowed="${allowedModels.join('\n')}" data-denied="${deniedModels.join('\n')}"
+                            class="set-worker-models mr-2 text-blue-500 hover:text-blue-700 font-medium">${t('models')}</button>
+                        <button data-key="${key.key}" data-groups="${escapeHtml(keyGroups.join(', '))}"
+                            class="set-worker-key-groups mr-2 text-blue-500 hover:text-blue-700 font-medium">${t('key_groups_short')}</button>
+                        <button data-key="${key.key}" class="delete-worker-key text-red-500 hover:text-red-700 font-medium">${t('delete')}</button>
+                    </div>
                 </div>
+                <p class="text-xs text-gray-500">${usageHtml}</p>
+                <p class="text-xs text-gray-500">${modelAccessHtml}</p>
                 <div class="flex items-center mt-2 border-t pt-2">
                     <div class="flex items-center">
                         <label for="safety-toggle-${key.key}" class="text-sm font-medium text-gray-700 mr-2">${t('safety_settings')}:</label>
@@ -895,6 +1094,7 @@ async function renderGeminiKeys(keys) {
                                 data-key="${key.key}"
                                 class="safety-toggle toggle-checkbox absolute block w-6 h-6 rounded-full bg-white border-4 appearance-none cursor-pointer transition-transform duration-200 ease-in-out"
                                 ${isSafetyEnabled ? 'checked' : ''}
+                                ${hasRole('operator') ? '' : 'disabled'}
                             />
                             <label for="safety-toggle-${key.key}"
                                 class="toggle-label block overflow-hidden h-6 rounded-full bg-gray-300 cursor-pointer"
@@ -959,6 +1159,15 @@ async function renderGeminiKeys(keys) {
                 // Show individual quota if it exists for Pro/Flash models
                 quotaDisplay += ` (${t('individual_quota')}: ${model.individualQuota})`;
             }
+            if (model.fallbackModels && model.fallbackModels.length > 0) {
+                quotaDisplay += ` → ${model.fallbackModels.join(', ')}`;
+            }
+            if (model.keyStrategy) {
+                quotaDisplay += ` · ${t('key_strategy')}: ${t('strategy_' + model.keyStrategy.replace(/-/g, '_'))}`;
+            }
+            if (model.keyGroups && model.keyGroups.length > 0) {
+                quotaDisplay += ` · ${t('key_groups')}: ${escapeHtml(model.keyGroups.join(', '))}`;
+            }
 
             let actionsHtml = '';
             // Only show Set Individual Quota button for Pro and Flash models
@@ -970,6 +1179,8 @@ async function renderGeminiKeys(keys) {
                     </button>
                 `;
             }
+            actionsHtml += `<button data-id="${model.id}" class="set-fallback-models mr-2 text-blue-500 hover:text-blue-700 font-medium">${t('fallback')}</button>`;
+            actionsHtml += `<button data-id="${model.id}" class="set-key-strategy mr-2 text-blue-500 hover:text-blue-700 font-medium">${t('key_strategy')}</button>`;
             actionsHtml += `<button data-id="${model.id}" class="delete-model text-red-500 hover:text-red-700 font-medium">${t('delete')}</button>`;
 
             item.innerHTML = `
@@ -977,7 +1188,7 @@ async function renderGeminiKeys(keys) {
                     <p class="font-semibold text-gray-800">${model.id}</p>
                     <p class="text-xs text-gray-500">${quotaDisplay}</p>
                 </div>
-                <div class="flex items-center">
+                <div class="flex items-center requires-operator">
                     ${actionsHtml}
                 </div>
             `;
@@ -1000,6 +1211,35 @@ async function renderGeminiKeys(keys) {
                 individualQuotaModal.classList.remove('hidden');
             });
         });
+
+        // Add event listeners for fallback chain buttons
+        document.querySelectorAll('.set-fallback-models').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const modelId = e.target.dataset.id;
+                const model = cachedModels.find(m => m.id === modelId);
+
+                fallbackModelsModelIdInput.value = modelId;
+                fallbackModelsValueInput.value = (model?.fallbackModels || []).join(', ');
+
+                hideError(fallbackModelsErrorDiv);
+                fallbackModelsModal.classList.remove('hidden');
+            });
+        });
+
+        // Add event listeners for key selection strategy buttons
+        document.querySelectorAll('.set-key-strategy').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const modelId = e.target.dataset.id;
+                const model = cachedModels.find(m => m.id === modelId);
+
+                keyStrategyModelIdInput.value = modelId;
+                keyStrategyValueSelect.value = model?.keyStrategy || '';
+                keyStrategyGroupsInput.value = (model?.keyGroups || []).join(', ');
+
+                hideError(keyStrategyErrorDiv);
+                keyStrategyModal.classList.remove('hidden');
+            });
+        });
     }
 
     // --- Data Loading Functions ---
@@ -1115,7 +1355,11 @@ async function renderGeminiKeys(keys) {
                     
                     // Automatically select category based on model name
                     const modelValue = model.id.toLowerCase();
-                    if (modelValue.includes('pro')) {
+                    if (modelValue.includes('embedding')) {
+                        modelCategorySelect.value = 'Embedding';
+                        customQuotaDiv.classList.add('hidden');
+                        modelQuotaInput.required = false;
+                    } else if (modelValue.includes('pro')) {
                         modelCategorySelect.value = 'Pro';
                         customQuotaDiv.classList.add('hidden');
                         modelQuotaInput.required = false;
@@ -1168,7 +1412,11 @@ async function renderGeminiKeys(keys) {
             }
             
             // Automatically select category based on input value
-            if (modelValue.includes('pro')) {
+            if (modelValue.includes('embedding')) {
+                modelCategorySelect.value = 'Embedding';
+                customQuotaDiv.classList.add('hidden');
+                modelQuotaInput.required = false;
+            } else if (modelValue.includes('pro')) {
                 modelCategorySelect.value = 'Pro';
                 customQuotaDiv.classList.add('hidden');
                 modelQuotaInput.required = false;
@@ -1544,6 +1792,61 @@ async function renderGeminiKeys(keys) {
             }
         }
 
+        if (e.target.classList.contains('save-gemini-key-weight')) {
+            const keyId = e.target.dataset.id;
+            const modalErrorContainer = document.getElementById(`gemini-key-error-container-${keyId}`);
+            const weight = parseInt(document.getElementById(`gemini-key-weight-${keyId}`).value, 10);
+
+            const result = await apiFetch('/gemini-keys/weight', {
+                method: 'POST',
+                body: JSON.stringify({ keyId, weight }),
+            });
+            if (result && result.success) {
+                showSuccess(t('key_weight_saved', keyId));
+            } else if (modalErrorContainer) {
+                modalErrorContainer.querySelector('span').textContent = result?.error || t('failed_to_save_key_weight');
+                modalErrorContainer.classList.remove('hidden');
+            }
+            return;
+        }
+
+        if (e.target.classList.contains('save-gemini-key-groups')) {
+            const keyId = e.target.dataset.id;
+            const modalErrorContainer = document.getElementById(`gemini-key-error-container-${keyId}`);
+            const groups = readKeyGroups(document.getElementById(`gemini-key-groups-${keyId}`));
+
+            const result = await apiFetch('/gemini-keys/groups', {
+                method: 'POST',
+                body: JSON.stringify({ keyId, groups }),
+            });
+            if (result && result.success) {
+                showSuccess(t('key_groups_saved', keyId));
+            } else if (modalErrorContainer) {
+                modalErrorContainer.querySelector('span').textContent = result?.error || t('failed_to_save_key_groups');
+                modalErrorContainer.classList.remove('hidden');
+            }
+            return;
+        }
+
+        if (e.target.classList.contains('clear-gemini-key-cooldown')) {
+            const keyId = e.target.dataset.id;
+            const modelId = e.target.dataset.model || undefined;
+
+            const result = await apiFetch('/clear-key-cooldown', {
+                method: 'POST',
+                body: JSON.stringify({ keyId, modelId }),
+            });
+            if (result && result.success) {
+                const modal = e.target.closest('.fixed.inset-0');
+                if (modal) {
+                    modal.classList.add('hidden');
+                }
+                await loadGeminiKeys();
+                showSuccess(t('cooldown_cleared', keyId));
+            }
+            return;
+        }
+
         // --- New: Clear Gemini Key Error ---
         if (e.target.classList.contains('clear-gemini-key-error')) {
             const keyId = e.target.dataset.id;
@@ -1647,6 +1950,35 @@ async function renderGeminiKeys(keys) {
         }
     });
 
+    // Open the limits modal for a worker key
+    workerKeysListDiv.addEventListener('click', (e) => {
+        if (e.target.classList.contains('set-worker-limits')) {
+            const { key, rpm, rpd, tpd, budget } = e.target.dataset;
+            workerLimitsKeyInput.value = key;
+            workerLimitsRpmInput.value = rpm;
+            workerLimitsRpdInput.value = rpd;
+            workerLimitsTpdInput.value = tpd;
+            workerLimitsBudgetInput.value = budget;
+            hideError(workerLimitsErrorDiv);
+            workerLimitsModal.classList.remove('hidden');
+        }
+        if (e.target.classList.contains('set-worker-models')) {
+            const { key, allowed, denied } = e.target.dataset;
+            workerModelsKeyInput.value = key;
+            workerModelsAllowedInput.value = allowed;
+            workerModelsDeniedInput.value = denied;
+            hideError(workerModelsErrorDiv);
+            workerModelsModal.classList.remove('hidden');
+        }
+        if (e.target.classList.contains('set-worker-key-groups')) {
+            const { key, groups } = e.target.dataset;
+            workerKeyGroupsKeyInput.value = key;
+            workerKeyGroupsValueInput.value = groups;
+            hideError(workerKeyGroupsErrorDiv);
+            workerKeyGroupsModal.classList.remove('hidden');
+        }
+    });
+
     // Save safety settings (no changes needed)
     async function saveSafetySettingsToServer(key, isEnabled) {
         try {
@@ -1770,10 +2102,12 @@ async function renderGeminiKeys(keys) {
         if (currentQuotas) {
             proQuotaInput.value = currentQuotas.proQuota ?? 50;
             flashQuotaInput.value = currentQuotas.flashQuota ?? 1500;
+            embeddingQuotaInput.value = currentQuotas.embeddingQuota ?? 1000;
             
             // Set placeholders to show default values
             proQuotaInput.placeholder = "Default: 50";
             flashQuotaInput.placeholder = "Default: 1500";
+            embeddingQuotaInput.placeholder = "Default: 1000";
             
             categoryQuotasModal.classList.remove('hidden');
         } else {
@@ -1801,19 +2135,20 @@ async function renderGeminiKeys(keys) {
 
         const proQuota = parseInt(proQuotaInput.value, 10);
         const flashQuota = parseInt(flashQuotaInput.value, 10);
+        const embeddingQuota = parseInt(embeddingQuotaInput.value, 10);
 
-        if (isNaN(proQuota) || proQuota < 0 || isNaN(flashQuota) || flashQuota < 0) {
+        if (isNaN(proQuota) || proQuota < 0 || isNaN(flashQuota) || flashQuota < 0 || isNaN(embeddingQuota) || embeddingQuota < 0) {
             showError("Quotas must be non-negative numbers.", categoryQuotasErrorDiv, categoryQuotasErrorDiv);
             return;
         }
 
         const result = await apiFetch('/category-quotas', {
             method: 'POST',
-            body: JSON.stringify({ proQuota, flashQuota }),
+            body: JSON.stringify({ proQuota, flashQuota, embeddingQuota }),
         });
 
         if (result && result.success) {
-            cachedCategoryQuotas = { proQuota, flashQuota };
+            cachedCategoryQuotas = { proQuota, flashQuota, embeddingQuota };
             categoryQuotasModal.classList.add('hidden');
             await loadGeminiKeys(); // Wait for gemini keys to reload
             showSuccess('Category quotas saved successfully!');
@@ -1977,6 +2312,698 @@ async function renderGeminiKeys(keys) {
     });
 
 
+    // --- Worker Key Limits Modal Logic ---
+    closeWorkerLimitsModalBtn.addEventListener('click', () => {
+        workerLimitsModal.classList.add('hidden');
+    });
+
+    cancelWorkerLimitsBtn.addEventListener('click', () => {
+        workerLimitsModal.classList.add('hidden');
+    });
+
+    workerLimitsModal.addEventListener('click', (e) => {
+        if (e.target === workerLimitsModal) {
+            workerLimitsModal.classList.add('hidden');
+        }
+    });
+
+    workerLimitsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(workerLimitsErrorDiv);
+
+        const key = workerLimitsKeyInput.value;
+        // Empty inputs are sent as null, which removes the limit
+        const readLimit = (input) => input.value.trim() === '' ? null : Number(input.value);
+        const payload = {
+            key,
+            rpm: readLimit(workerLimitsRpmInput),
+            rpd: readLimit(workerLimitsRpdInput),
+            tpd: readLimit(workerLimitsTpdInput),
+            monthlyBudget: readLimit(workerLimitsBudgetInput)
+        };
+
+        const result = await apiFetch('/worker-keys/limits', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+        });
+
+        if (result && result.success) {
+            workerLimitsModal.classList.add('hidden');
+            await loadWorkerKeys();
+            showSuccess(t('worker_limits_saved', key));
+        } else {
+            showError(result?.error || t('failed_to_save_worker_limits'), workerLimitsErrorDiv, workerLimitsErrorDiv);
+        }
+    });
+
+    // --- Worker Key Model Access Modal Logic ---
+    closeWorkerModelsModalBtn.addEventListener('click', () => {
+        workerModelsModal.classList.add('hidden');
+    });
+
+    cancelWorkerModelsBtn.addEventListener('click', () => {
+        workerModelsModal.classList.add('hidden');
+    });
+
+    workerModelsModal.addEventListener('click', (e) => {
+        if (e.target === workerModelsModal) {
+            workerModelsModal.classList.add('hidden');
+        }
+    });
+
+    workerModelsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(workerModelsErrorDiv);
+
+        const key = workerModelsKeyInput.value;
+        // One pattern per line or comma-separated
+        const readPatterns = (input) => input.value.split(/[\n,]/).map(pattern => pattern.trim()).filter(Boolean);
+
+        const result = await apiFetch('/worker-keys/model-access', {
+            method: 'POST',
+            body: JSON.stringify({
+                key,
+                allowedModels: readPatterns(workerModelsAllowedInput),
+                deniedModels: readPatterns(workerModelsDeniedInput)
+            }),
+        });
+
+        if (result && result.success) {
+            workerModelsModal.classList.add('hidden');
+            await loadWorkerKeys();
+            showSuccess(t('worker_models_saved', key));
+        } else {
+            showError(result?.error || t('failed_to_save_worker_models'), workerModelsErrorDiv, workerModelsErrorDiv);
+        }
+    });
+
+    // --- Worker Key Groups Modal Logic ---
+    closeWorkerKeyGroupsModalBtn.addEventListener('click', () => {
+        workerKeyGroupsModal.classList.add('hidden');
+    });
+
+    cancelWorkerKeyGroupsBtn.addEventListener('click', () => {
+        workerKeyGroupsModal.classList.add('hidden');
+    });
+
+    workerKeyGroupsModal.addEventListener('click', (e) => {
+        if (e.target === workerKeyGroupsModal) {
+            workerKeyGroupsModal.classList.add('hidden');
+        }
+    });
+
+    workerKeyGroupsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(workerKeyGroupsErrorDiv);
+
+        const key = workerKeyGroupsKeyInput.value;
+        const result = await apiFetch('/worker-keys/key-groups', {
+            method: 'POST',
+            body: JSON.stringify({ key, keyGroups: readKeyGroups(workerKeyGroupsValueInput) }),
+        });
+
+        if (result && result.success) {
+            workerKeyGroupsModal.classList.add('hidden');
+            await loadWorkerKeys();
+            showSuccess(t('worker_key_groups_saved', key));
+        } else {
+            showError(result?.error || t('failed_to_save_worker_key_groups'), workerKeyGroupsErrorDiv, workerKeyGroupsErrorDiv);
+        }
+    });
+
+    // --- Admin Users Modal Logic ---
+    async function loadAdminUsers() {
+        const result = await apiFetch('/users');
+        if (result) {
+            renderAdminUsers(result);
+        }
+    }
+
+    function renderAdminUsers({ users, roles, builtInUsername, builtInTwoFactorEnabled }) {
+        adminUsersListBody.innerHTML = '';
+        const rows = [];
+        // The ADMIN_PASSWORD owner is only usable while no stored user has the same name
+        const twoFactorBadge = (enabled) => enabled
+            ? `<span class="ml-1 px-1 text-xs bg-green-100 text-green-800 rounded" title="${t('two_factor_auth')}">2FA</span>`
+            : '';
+        const resetTwoFactorButton = (username, enabled) => enabled
+            ? `<button data-username="${username}" class="reset-admin-user-2fa mr-2 text-yellow-600 hover:text-yellow-800 font-medium">${t('reset_two_factor')}</button>`
+            : '';
+        if (builtInUsername && !users.some(user => user.username === builtInUsername)) {
+            const username = escapeHtml(builtInUsername);
+            rows.push(`
+                <tr class="border-b">
+                    <td class="py-2 pr-4 font-mono">${username}${twoFactorBadge(builtInTwoFactorEnabled)}</td>
+                    <td class="py-2 pr-4">${t('role_owner')}</td>
+                    <td class="py-2 text-right whitespace-nowrap text-xs text-gray-500">${resetTwoFactorButton(username, builtInTwoFactorEnabled)}${t('built_in_admin')}</td>
+                </tr>`);
+        }
+        users.forEach(user => {
+            const username = escapeHtml(user.username);
+            rows.push(`
+                <tr class="border-b">
+                    <td class="py-2 pr-4 font-mono">${username}${twoFactorBadge(user.twoFactorEnabled)}</td>
+                    <td class="py-2 pr-4">
+                        <select data-username="${username}" class="admin-user-role rounded-md border-gray-300 shadow-sm text-sm">
+                            ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${t(`role_${role}`)}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td class="py-2 text-right whitespace-nowrap">
+                        ${resetTwoFactorButton(username, user.twoFactorEnabled)}
+                        <button data-username="${username}" class="reset-admin-user-password mr-2 text-blue-500 hover:text-blue-700 font-medium">${t('reset_password')}</button>
+                        <button data-username="${username}" class="delete-admin-user text-red-500 hover:text-red-700 font-medium">${t('delete')}</button>
+                    </td>
+                </tr>`);
+        });
+        adminUsersListBody.innerHTML = rows.length > 0
+            ? rows.join('')
+            : `<tr><td colspan="3" class="py-2 text-gray-500">${t('no_admin_users')}</td></tr>`;
+    }
+
+    async function loadFailedLogins() {
+        const result = await apiFetch('/login-failures');
+        if (result) {
+            renderFailedLogins(result);
+        }
+    }
+
+    function renderFailedLogins({ failures, throttle }) {
+        loginThrottleStatusP.textContent = t('login_throttle_status', throttle.globalFailures, throttle.globalMaxFailures, throttle.globalWindowMinutes);
+        blockedIpsList.innerHTML = throttle.blockedIps.map(blocked => {
+            const ip = escapeHtml(blocked.ip);
+            return `
+                <li class="flex justify-between items-center bg-red-50 rounded px-2 py-1">
+                    <span><span class="font-mono">${ip}</span> <span class="text-xs text-gray-600">${t('ip_blocked_until', blocked.failures, new Date(blocked.blockedUntil).toLocaleString())}</span></span>
+                    <button data-ip="${ip}" class="unblock-ip text-blue-500 hover:text-blue-700 font-medium text-xs">${t('unblock_ip')}</button>
+                </li>`;
+        }).join('');
+        failedLoginsListBody.innerHTML = failures.length > 0
+            ? failures.map(failure => `
+                <tr class="border-b">
+                    <td class="py-1 pr-3 whitespace-nowrap">${new Date(failure.timestamp).toLocaleString()}</td>
+                    <td class="py-1 pr-3 font-mono">${escapeHtml(failure.ip || '')}</td>
+                    <td class="py-1 pr-3 font-mono">${escapeHtml(failure.username || '')}</td>
+                    <td class="py-1" title="${escapeHtml(failure.userAgent || '')}">
+                        ${t(`login_reason_${failure.reason}`)}
+                        ${failure.lockedOut ? `<span class="ml-1 px-1 bg-red-100 text-red-800 rounded">${t('login_locked_out')}</span>` : ''}
+                    </td>
+                </tr>`).join('')
+            : `<tr><td colspan="4" class="py-2 text-gray-500">${t('no_failed_logins')}</td></tr>`;
+    }
+
+    async function updateAdminUser(username, changes) {
+        hideError(adminUsersErrorDiv);
+        const result = await apiFetch('/users/update', {
+            method: 'POST',
+            body: JSON.stringify({ username, ...changes }),
+        });
+        if (result && result.success) {
+            showSuccess(t('admin_user_updated', username));
+        } else {
+            showError(result?.error || t('failed_to_save_admin_user'), adminUsersErrorDiv, adminUsersErrorDiv);
+        }
+        await loadAdminUsers();
+    }
+
+    adminUsersButton.addEventListener('click', async () => {
+        hideError(adminUsersErrorDiv);
+        addAdminUserForm.reset();
+        adminUsersModal.classList.remove('hidden');
+        await loadAdminUsers();
+        await loadFailedLogins();
+    });
+
+    closeAdminUsersModalBtn.addEventListener('click', () => {
+        adminUsersModal.classList.add('hidden');
+    });
+
+    adminUsersModal.addEventListener('click', (e) => {
+        if (e.target === adminUsersModal) {
+            adminUsersModal.classList.add('hidden');
+        }
+    });
+
+    adminUsersListBody.addEventListener('change', async (e) => {
+        if (e.target.classList.contains('admin-user-role')) {
+            await updateAdminUser(e.target.dataset.username, { role: e.target.value });
+        }
+    });
+
+    adminUsersListBody.addEventListener('click', async (e) => {
+        const username = e.target.dataset.username;
+        if (e.target.classList.contains('reset-admin-user-password')) {
+            const password = prompt(t('enter_new_password', username));
+            if (password) {
+                await updateAdminUser(username, { password });
+            }
+        }
+        if (e.target.classList.contains('reset-admin-user-2fa')) {
+            if (confirm(t('reset_two_factor_confirm', username))) {
+                hideError(adminUsersErrorDiv);
+                const result = await apiFetch('/users/reset-2fa', {
+                    method: 'POST',
+                    body: JSON.stringify({ username }),
+                });
+                if (result && result.success) {
+                    showSuccess(t('two_factor_reset', username));
+                } else {
+                    showError(result?.error || t('failed_to_save_admin_user'), adminUsersErrorDiv, adminUsersErrorDiv);
+                }
+                await loadAdminUsers();
+            }
+        }
+        if (e.target.classList.contains('delete-admin-user')) {
+            if (confirm(t('delete_confirm_admin_user', username))) {
+                hideError(adminUsersErrorDiv);
+                const result = await apiFetch(`/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+                if (result && result.success) {
+                    showSuccess(t('admin_user_deleted', username));
+                } else {
+                    showError(result?.error || t('failed_to_save_admin_user'), adminUsersErrorDiv, adminUsersErrorDiv);
+                }
+                await loadAdminUsers();
+            }
+        }
+    });
+
+    blockedIpsList.addEventListener('click', async (e) => {
+        if (!e.target.classList.contains('unblock-ip')) return;
+        const ip = e.target.dataset.ip;
+        hideError(adminUsersErrorDiv);
+        const result = await apiFetch('/login-failures/unblock', {
+            method: 'POST',
+            body: JSON.stringify({ ip }),
+        });
+        if (result && result.success) {
+            showSuccess(t('ip_unblocked', ip));
+        } else {
+            showError(result?.error || t('failed_to_unblock_ip'), adminUsersErrorDiv, adminUsersErrorDiv);
+        }
+        await loadFailedLogins();
+    });
+
+    addAdminUserForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(adminUsersErrorDiv);
+
+        const username = document.getElementById('admin-user-username').value.trim();
+        const result = await apiFetch('/users', {
+            method: 'POST',
+            body: JSON.stringify({
+                username,
+                password: document.getElementById('admin-user-password').value,
+                role: document.getElementById('admin-user-role').value
+            }),
+        });
+
+        if (result && result.success) {
+            addAdminUserForm.reset();
+            showSuccess(t('admin_user_added', username));
+            await loadAdminUsers();
+        } else {
+            showError(result?.error || t('failed_to_save_admin_user'), adminUsersErrorDiv, adminUsersErrorDiv);
+        }
+    });
+
+    // --- Admin Sessions Modal Logic ---
+    async function loadSessions() {
+        const result = await apiFetch('/sessions');
+        if (result) {
+            renderSessions(result.sessions);
+        }
+    }
+
+    function renderSessions(sessions) {
+        sessionsListBody.innerHTML = sessions.length > 0
+            ? sessions.map(session => `
+                <tr class="border-b">
+                    <td class="py-1 pr-3 font-mono">${escapeHtml(session.username)}</td>
+                    <td class="py-1 pr-3 font-mono">${escapeHtml(session.ip || '')}</td>
+                    <td class="py-1 pr-3 max-w-xs truncate" title="${escapeHtml(session.userAgent || '')}">${escapeHtml(session.userAgent || '')}</td>
+                    <td class="py-1 pr-3 whitespace-nowrap">${new Date(session.createdAt).toLocaleString()}</td>
+                    <td class="py-1 pr-3 whitespace-nowrap">${new Date(session.lastSeenAt).toLocaleString()}</td>
+                    <td class="py-1 text-right whitespace-nowrap">
+                        ${session.current ? `<span class="mr-2 px-1 bg-green-100 text-green-800 rounded">${t('current_session')}</span>` : ''}
+                        <button data-id="${escapeHtml(session.id)}" class="revoke-session text-red-500 hover:text-red-700 font-medium">${t('revoke_session')}</button>
+                    </td>
+                </tr>`).join('')
+            : `<tr><td colspan="6" class="py-2 text-gray-500">${t('no_sessions')}</td></tr>`;
+    }
+
+    sessionsButton.addEventListener('click', async () => {
+        hideError(sessionsErrorDiv);
+        sessionsModal.classList.remove('hidden');
+        await loadSessions();
+    });
+
+    closeSessionsModalBtn.addEventListener('click', () => {
+        sessionsModal.classList.add('hidden');
+    });
+
+    sessionsModal.addEventListener('click', (e) => {
+        if (e.target === sessionsModal) {
+            sessionsModal.classList.add('hidden');
+        }
+    });
+
+    sessionsListBody.addEventListener('click', async (e) => {
+        if (!e.target.classList.contains('revoke-session')) return;
+        if (!confirm(t('revoke_session_confirm'))) return;
+        hideError(sessionsErrorDiv);
+        const result = await apiFetch(`/sessions/${encodeURIComponent(e.target.dataset.id)}`, { method: 'DELETE' });
+        if (result && result.success) {
+            if (result.current) {
+                // This browser's session is gone, so go back to the login page
+                localStorage.removeItem('isLoggedIn');
+                window.location.href = '/login';
+                return;
+            }
+            showSuccess(t('session_revoked'));
+        } else {
+            showError(result?.error || t('failed_to_revoke_session'), sessionsErrorDiv, sessionsErrorDiv);
+        }
+        await loadSessions();
+    });
+
+    logoutEverywhereBtn.addEventListener('click', async () => {
+        if (!confirm(t('logout_everywhere_confirm'))) return;
+        hideError(sessionsErrorDiv);
+        const result = await apiFetch('/sessions/logout-everywhere', { method: 'POST' });
+        if (result && result.success) {
+            localStorage.removeItem('isLoggedIn');
+            window.location.href = '/login';
+        } else {
+            showError(result?.error || t('failed_to_revoke_session'), sessionsErrorDiv, sessionsErrorDiv);
+        }
+    });
+
+    // --- Admin API Tokens Modal Logic ---
+    async function loadApiTokens() {
+        const result = await apiFetch('/api-tokens');
+        if (result) {
+            renderApiTokens(result);
+        }
+    }
+
+    function renderApiTokens({ tokens, scopes }) {
+        // Keep checked scopes when the list is reloaded after creating or revoking a token
+        const checkedScopes = Array.from(apiTokenScopesDiv.querySelectorAll('input:checked')).map(input => input.value);
+        apiTokenScopesDiv.innerHTML = scopes.map(scope => `
+            <label class="inline-flex items-center">
+                <input type="checkbox" value="${scope}" class="rounded border-gray-300 text-indigo-600 mr-1" ${checkedScopes.includes(scope) ? 'checked' : ''}>
+                <span class="font-mono text-xs">${scope}</span>
+            </label>`).join('');
+
+        apiTokensListBody.innerHTML = tokens.length > 0
+            ? tokens.map(token => `
+                <tr class="border-b">
+                    <td class="py-1 pr-3">
+                        <div>${escapeHtml(token.name)}</div>
+                        <div class="font-mono text-gray-500">${escapeHtml(token.tokenPrefix)}…</div>
+                    </td>
+                    <td class="py-1 pr-3 font-mono">${token.scopes.map(escapeHtml).join(', ')}</td>
+                    <td class="py-1 pr-3 whitespace-nowrap">${new Date(token.createdAt).toLocaleString()}<div class="text-gray-500">${escapeHtml(token.createdBy || '')}</div></td>
+                    <td class="py-1 pr-3 whitespace-nowrap">${token.lastUsedAt
+                        ? `${new Date(token.lastUsedAt).toLocaleString()}<div class="text-gray-500 font-mono">${escapeHtml(token.lastUsedIp || '')}</div>`
+                        : t('api_token_never_used')}</td>
+                    <td class="py-1 text-right">
+                        <button data-id="${escapeHtml(token.id)}" data-name="${escapeHtml(token.name)}" class="revoke-api-token text-red-500 hover:text-red-700 font-medium">${t('revoke_session')}</button>
+                    </td>
+                </tr>`).join('')
+            : `<tr><td colspan="5" class="py-2 text-gray-500">${t('no_api_tokens')}</td></tr>`;
+    }
+
+    apiTokensButton.addEventListener('click', async () => {
+        hideError(apiTokensErrorDiv);
+        addApiTokenForm.reset();
+        newApiTokenSection.classList.add('hidden');
+        newApiTokenPre.textContent = '';
+        apiTokensModal.classList.remove('hidden');
+        await loadApiTokens();
+    });
+
+    function closeApiTokensModal() {
+        // The new token must not stay on the page once the modal is closed
+        newApiTokenSection.classList.add('hidden');
+        newApiTokenPre.textContent = '';
+        apiTokensModal.classList.add('hidden');
+    }
+
+    closeApiTokensModalBtn.addEventListener('click', closeApiTokensModal);
+
+    apiTokensModal.addEventListener('click', (e) => {
+        if (e.target === apiTokensModal) {
+            closeApiTokensModal();
+        }
+    });
+
+    apiTokensListBody.addEventListener('click', async (e) => {
+        if (!e.target.classList.contains('revoke-api-token')) return;
+        const { id, name } = e.target.dataset;
+        if (!confirm(t('revoke_api_token_confirm', name))) return;
+        hideError(apiTokensErrorDiv);
+        const result = await apiFetch(`/api-tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (result && result.success) {
+            showSuccess(t('api_token_revoked', name));
+        } else {
+            showError(result?.error || t('failed_to_save_api_token'), apiTokensErrorDiv, apiTokensErrorDiv);
+        }
+        await loadApiTokens();
+    });
+
+    addApiTokenForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(apiTokensErrorDiv);
+
+        const name = document.getElementById('api-token-name').value.trim();
+        const scopes = Array.from(apiTokenScopesDiv.querySelectorAll('input:checked')).map(input => input.value);
+        if (scopes.length === 0) {
+            showError(t('api_token_scope_required'), apiTokensErrorDiv, apiTokensErrorDiv);
+            return;
+        }
+
+        const result = await apiFetch('/api-tokens', {
+            method: 'POST',
+            body: JSON.stringify({ name, scopes }),
+        });
+
+        if (result && result.success) {
+            addApiTokenForm.reset();
+            newApiTokenPre.textContent = result.token;
+            newApiTokenSection.classList.remove('hidden');
+            showSuccess(t('api_token_created_success', name));
+            await loadApiTokens();
+        } else {
+            showError(result?.error || t('failed_to_save_api_token'), apiTokensErrorDiv, apiTokensErrorDiv);
+        }
+    });
+
+    // --- Two-Factor Authentication Modal Logic ---
+    async function loadTwoFactorStatus() {
+        const status = await apiFetch('/2fa');
+        if (!status) return;
+        twoFactorStatusP.textContent = status.enabled
+            ? t('two_factor_enabled_status', status.recoveryCodesLeft)
+            : t('two_factor_disabled_status');
+        twoFactorDisabledSection.classList.toggle('hidden', status.enabled);
+        twoFactorManageForm.classList.toggle('hidden', !status.enabled);
+        twoFactorSetupSection.classList.add('hidden');
+    }
+
+    function showRecoveryCodes(codes) {
+        twoFactorRecoveryCodesPre.textContent = codes.join('\n');
+        twoFactorRecoverySection.classList.remove('hidden');
+    }
+
+    twoFactorButton.addEventListener('click', async () => {
+        hideError(twoFactorErrorDiv);
+        twoFactorRecoverySection.classList.add('hidden');
+        twoFactorEnableForm.reset();
+        twoFactorManageForm.reset();
+        twoFactorModal.classList.remove('hidden');
+        await loadTwoFactorStatus();
+    });
+
+    closeTwoFactorModalBtn.addEventListener('click', () => {
+        twoFactorModal.classList.add('hidden');
+    });
+
+    twoFactorModal.addEventListener('click', (e) => {
+        if (e.target === twoFactorModal) {
+            twoFactorModal.classList.add('hidden');
+        }
+    });
+
+    document.getElementById('two-factor-setup-btn').addEventListener('click', async () => {
+        hideError(twoFactorErrorDiv);
+        const result = await apiFetch('/2fa/setup', { method: 'POST' });
+        if (result && result.success) {
+            document.getElementById('two-factor-qr').src = result.qrCodeDataUrl;
+            document.getElementById('two-factor-secret').textContent = result.secret;
+            document.getElementById('two-factor-uri').textContent = result.otpauthUri;
+            twoFactorDisabledSection.classList.add('hidden');
+            twoFactorSetupSection.classList.remove('hidden');
+            document.getElementById('two-factor-enable-code').focus();
+        } else {
+            showError(result?.error || t('failed_to_save_two_factor'), twoFactorErrorDiv, twoFactorErrorDiv);
+        }
+    });
+
+    twoFactorEnableForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(twoFactorErrorDiv);
+        const result = await apiFetch('/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code: document.getElementById('two-factor-enable-code').value.trim() }),
+        });
+        if (result && result.success) {
+            await loadTwoFactorStatus();
+            showRecoveryCodes(result.recoveryCodes);
+            showSuccess(t('two_factor_enabled'));
+        } else {
+            showError(result?.error || t('failed_to_save_two_factor'), twoFactorErrorDiv, twoFactorErrorDiv);
+        }
+    });
+
+    document.getElementById('two-factor-regenerate-btn').addEventListener('click', async () => {
+        hideError(twoFactorErrorDiv);
+        const result = await apiFetch('/2fa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code: twoFactorManageCodeInput.value.trim() }),
+        });
+        if (result && result.success) {
+            twoFactorManageForm.reset();
+            await loadTwoFactorStatus();
+            showRecoveryCodes(result.recoveryCodes);
+        } else {
+            showError(result?.error || t('failed_to_save_two_factor'), twoFactorErrorDiv, twoFactorErrorDiv);
+        }
+    });
+
+    document.getElementById('two-factor-disable-btn').addEventListener('click', async () => {
+        hideError(twoFactorErrorDiv);
+        if (!confirm(t('two_factor_disable_confirm'))) {
+            return;
+        }
+        const result = await apiFetch('/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ code: twoFactorManageCodeInput.value.trim() }),
+        });
+        if (result && result.success) {
+            twoFactorManageForm.reset();
+            twoFactorRecoverySection.classList.add('hidden');
+            await loadTwoFactorStatus();
+            showSuccess(t('two_factor_disabled'));
+        } else {
+            showError(result?.error || t('failed_to_save_two_factor'), twoFactorErrorDiv, twoFactorErrorDiv);
+        }
+    });
+
+    // --- Fallback Models Modal Logic ---
+    closeFallbackModelsModalBtn.addEventListener('click', () => {
+        fallbackModelsModal.classList.add('hidden');
+    });
+
+    cancelFallbackModelsBtn.addEventListener('click', () => {
+        fallbackModelsModal.classList.add('hidden');
+    });
+
+    fallbackModelsModal.addEventListener('click', (e) => {
+        if (e.target === fallbackModelsModal) {
+            fallbackModelsModal.classList.add('hidden');
+        }
+    });
+
+    fallbackModelsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(fallbackModelsErrorDiv);
+
+        const modelId = fallbackModelsModelIdInput.value;
+        const fallbackModels = fallbackModelsValueInput.value.split(',').map(id => id.trim()).filter(Boolean);
+
+        const modelToUpdate = cachedModels.find(m => m.id === modelId);
+        if (!modelToUpdate) {
+            showError(`Model ${modelId} not found.`, fallbackModelsErrorDiv, fallbackModelsErrorDiv);
+            return;
+        }
+
+        // Resend the existing quota settings so only the fallback chain changes
+        const payload = {
+            id: modelId,
+            category: modelToUpdate.category,
+            individualQuota: modelToUpdate.individualQuota,
+            fallbackModels
+        };
+        if (modelToUpdate.category === 'Custom' && modelToUpdate.dailyQuota) {
+            payload.dailyQuota = modelToUpdate.dailyQuota;
+        }
+
+        const result = await apiFetch('/models', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+        });
+
+        if (result && result.success) {
+            fallbackModelsModal.classList.add('hidden');
+            await loadModels();
+            showSuccess(t('fallback_models_saved', modelId));
+        } else {
+            showError(result?.error || t('failed_to_save_fallback_models'), fallbackModelsErrorDiv, fallbackModelsErrorDiv);
+        }
+    });
+
+    // --- Key Strategy Modal Logic ---
+    closeKeyStrategyModalBtn.addEventListener('click', () => {
+        keyStrategyModal.classList.add('hidden');
+    });
+
+    cancelKeyStrategyBtn.addEventListener('click', () => {
+        keyStrategyModal.classList.add('hidden');
+    });
+
+    keyStrategyModal.addEventListener('click', (e) => {
+        if (e.target === keyStrategyModal) {
+            keyStrategyModal.classList.add('hidden');
+        }
+    });
+
+    keyStrategyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(keyStrategyErrorDiv);
+
+        const modelId = keyStrategyModelIdInput.value;
+        const modelToUpdate = cachedModels.find(m => m.id === modelId);
+        if (!modelToUpdate) {
+            showError(`Model ${modelId} not found.`, keyStrategyErrorDiv, keyStrategyErrorDiv);
+            return;
+        }
+
+        // Resend the existing quota settings so only the strategy override and key groups change
+        const payload = {
+            id: modelId,
+            category: modelToUpdate.category,
+            individualQuota: modelToUpdate.individualQuota,
+            keyStrategy: keyStrategyValueSelect.value || null,
+            keyGroups: readKeyGroups(keyStrategyGroupsInput)
+        };
+        if (modelToUpdate.category === 'Custom' && modelToUpdate.dailyQuota) {
+            payload.dailyQuota = modelToUpdate.dailyQuota;
+        }
+
+        const result = await apiFetch('/models', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+        });
+
+        if (result && result.success) {
+            keyStrategyModal.classList.add('hidden');
+            await loadModels();
+            showSuccess(t('key_strategy_saved', modelId));
+        } else {
+            showError(result?.error || t('failed_to_save_key_strategy'), keyStrategyErrorDiv, keyStrategyErrorDiv);
+        }
+    });
+
     // Verify if the user is authorized; redirect directly if not
     async function checkAuth() {
         try {
@@ -1985,7 +3012,7 @@ async function renderGeminiKeys(keys) {
                 return false;
             }
 
-            const response = await fetch('/api/admin/models', { // Use an existing simple GET endpoint
+            const response = await fetch('/api/admin/me', {
                 method: 'GET',
                 credentials: 'include'
             });
@@ -2012,6 +3039,10 @@ async function renderGeminiKeys(keys) {
                 return false;
             }
             
+            currentAdminUser = await response.json();
+            document.body.dataset.role = currentAdminUser.role;
+            currentAdminUserSpan.textContent = t('current_user_label', currentAdminUser.username, t(`role_${currentAdminUser.role}`));
+
             localStorage.setItem('isLoggedIn', 'true');
             authCheckingUI.classList.add('hidden');
             unauthorizedUI.classList.add('hidden');
@@ -2034,6 +3065,11 @@ async function renderGeminiKeys(keys) {
             return;
         }
 
+        // Vertex credentials are only readable by operators and owners
+        if (hasRole('operator')) {
+            loadVertexConfig();
+        }
+
         try {
             const results = await Promise.allSettled([
                 loadModels(),
@@ -2166,14 +3202,185 @@ async function renderGeminiKeys(keys) {
         const modelsListElement = document.getElementById('models-list');
         const managedModelsSection = modelsListElement ? modelsListElement.closest('section') : null;
         if (managedModelsSection) {
-            if (tabName === 'vertex') {
-                // Hide Managed Models container when Vertex tab is active
+            if (tabName !== 'gemini') {
+                // Hide Managed Models container when the Vertex, Logs or Usage tab is active
                 managedModelsSection.classList.add('hidden');
             } else {
                 // Show Managed Models container when Gemini tab is active
                 managedModelsSection.classList.remove('hidden');
             }
         }
+
+        if (tabName === 'logs') {
+            loadRequestLogs(1);
+        }
+        if (tabName === 'usage') {
+            loadUsageHistory();
+        }
+    }
+
+    // --- Request Log Functions ---
+    const LOGS_PAGE_SIZE = 50;
+    let currentLogsPage = 1;
+
+    async function loadRequestLogs(page = currentLogsPage) {
+        const params = new URLSearchParams({ page, pageSize: LOGS_PAGE_SIZE });
+        const workerKey = document.getElementById('logs-filter-worker-key').value.trim();
+        const model = document.getElementById('logs-filter-model').value.trim();
+        const status = document.getElementById('logs-filter-status').value.trim();
+        if (workerKey) params.set('workerKey', workerKey);
+        if (model) params.set('model', model);
+        if (status) params.set('status', status);
+        if (document.getElementById('logs-filter-errors-only').checked) params.set('errorsOnly', '1');
+
+        const result = await apiFetch(`/request-logs?${params.toString()}`);
+        if (result) {
+            currentLogsPage = result.page;
+            renderRequestLogs(result);
+        }
+    }
+
+    function renderRequestLogs({ logs, total, page, pageSize }) {
+        logsTableBody.innerHTML = '';
+        if (logs.length === 0) {
+            logsTableBody.innerHTML = `<tr><td colspan="9" class="py-4 text-gray-500">${t('no_request_logs')}</td></tr>`;
+        }
+        logs.forEach(log => {
+            const row = document.createElement('tr');
+            row.className = `border-b cursor-pointer hover:bg-gray-50 ${log.status >= 400 ? 'text-red-600' : ''}`;
+            row.dataset.id = log.id;
+            const model = log.servedModel && log.servedModel !== log.requestedModel
+                ? `${log.requestedModel} → ${log.servedModel}`
+                : log.requestedModel;
+            const cells = [
+                new Date(log.timestamp).toLocaleString(),
+                log.workerKey ? `${log.workerKey.slice(0, 8)}...` : '',
+                model || '',
+                log.geminiKeyId || '',
+                log.attempts ?? '',
+                log.status,
+                `${log.latencyMs} ms`,
+                log.totalTokens ?? '',
+                log.errorType || ''
+            ];
+            // Values come from client requests, so they are set as text rather than HTML
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 pr-4 whitespace-nowrap';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            logsTableBody.appendChild(row);
+        });
+
+        const totalPages = Math.max(1, Math.ceil(total / pageSize));
+        logsPageInfo.textContent = t('logs_page_info', page, totalPages, total);
+        logsPrevPageBtn.disabled = page <= 1;
+        logsNextPageBtn.disabled = page >= totalPages;
+    }
+
+    // --- Usage History Functions ---
+    const USAGE_CHART_MAX_SERIES = 10;
+    let cachedUsageHistory = null;
+    let usageChart = null;
+
+    async function loadUsageHistory() {
+        const history = await apiFetch(`/usage-history?days=${usageRangeSelect.value}`);
+        if (history) {
+            cachedUsageHistory = history;
+            renderUsageHistory();
+        }
+    }
+
+    // Picks the entries for the selected grouping and the series each one belongs to.
+    // Per-key totals use the model counters because Custom models have no category counter.
+    function getUsageSeriesEntries(entries, groupBy) {
+        switch (groupBy) {
+            case 'model':
+                return entries.filter(e => e.sourceType === 'gemini_key' && e.dimension === 'model').map(e => ({ ...e, series: e.name }));
+            case 'category':
+                return entries.filter(e => e.sourceType === 'gemini_key' && e.dimension === 'category').map(e => ({ ...e, series: e.name }));
+            case 'worker_key':
+                return entries.filter(e => e.sourceType === 'worker_key').map(e => ({ ...e, series: e.sourceName }));
+            default:
+                return entries.filter(e => e.sourceType === 'gemini_key' && e.dimension === 'model').map(e => ({ ...e, series: e.sourceName }));
+        }
+    }
+
+    function renderUsageHistory() {
+        const { since, until, entries } = cachedUsageHistory;
+        const seriesEntries = getUsageSeriesEntries(entries, usageGroupSelect.value);
+
+        // Every day in the range, plus any later dates from counters in a timezone ahead of the Gemini key reset
+        const dates = new Set();
+        for (const day = new Date(`${since}T00:00:00Z`); day <= new Date(`${until}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+            dates.add(day.toISOString().slice(0, 10));
+        }
+        seriesEntries.forEach(e => dates.add(e.date));
+        const labels = [...dates].sort();
+
+        const seriesMap = new Map();
+        seriesEntries.forEach(e => {
+            const series = seriesMap.get(e.series) || { name: e.series, requests: 0, tokens: 0, byDate: {} };
+            series.requests += e.requests;
+            series.tokens += e.tokens;
+            series.byDate[e.date] = (series.byDate[e.date] || 0) + e.requests;
+            seriesMap.set(e.series, series);
+        });
+        const allSeries = [...seriesMap.values()].sort((a, b) => b.requests - a.requests);
+
+        // Keep the chart readable: the busiest series are drawn individually, the rest summed as "Other"
+        const chartSeries = allSeries.slice(0, USAGE_CHART_MAX_SERIES);
+        if (allSeries.length > USAGE_CHART_MAX_SERIES) {
+            const other = { name: t('usage_other'), byDate: {} };
+            allSeries.slice(USAGE_CHART_MAX_SERIES).forEach(series => {
+                Object.entries(series.byDate).forEach(([date, count]) => {
+                    other.byDate[date] = (other.byDate[date] || 0) + count;
+                });
+            });
+            chartSeries.push(other);
+        }
+
+        if (usageChart) {
+            usageChart.destroy();
+            usageChart = null;
+        }
+        if (typeof Chart !== 'undefined') {
+            usageChart = new Chart(usageChartCanvas, {
+                type: 'line',
+                data: {
+                    labels,
+                    datasets: chartSeries.map(series => ({
+                        label: series.name,
+                        data: labels.map(date => series.byDate[date] || 0),
+                        tension: 0.2
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+                }
+            });
+        }
+
+        usageTotalsBody.innerHTML = '';
+        if (typeof Chart === 'undefined' || allSeries.length === 0) {
+            usageTotalsBody.innerHTML = `<tr><td colspan="3" class="py-4 text-gray-500">${t(allSeries.length === 0 ? 'no_usage_history' : 'chart_unavailable')}</td></tr>`;
+        }
+        allSeries.forEach(series => {
+            const row = document.createElement('tr');
+            row.className = 'border-b';
+            // Series names include model IDs and key names entered by users, so they are set as text
+            [series.name, series.requests, usageGroupSelect.value === 'worker_key' ? series.tokens : '-'].forEach(value => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 pr-4 whitespace-nowrap';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            usageTotalsBody.appendChild(row);
+        });
     }
 
     // --- Vertex Configuration Functions ---
@@ -2339,6 +3546,65 @@ async function renderGeminiKeys(keys) {
     // Tab switching
     geminiTab.addEventListener('click', () => switchTab('gemini'));
     vertexTab.addEventListener('click', () => switchTab('vertex'));
+    logsTab.addEventListener('click', () => switchTab('logs'));
+    usageTab.addEventListener('click', () => switchTab('usage'));
+
+    // Usage history
+    usageRangeSelect.addEventListener('change', () => loadUsageHistory());
+    usageGroupSelect.addEventListener('change', () => {
+        if (cachedUsageHistory) renderUsageHistory();
+    });
+    usageExportCsvBtn.addEventListener('click', () => {
+        // Plain navigation so the browser downloads the attachment; the admin session cookie is sent along
+        window.location.href = `/api/admin/usage-history?days=${usageRangeSelect.value}&format=csv`;
+    });
+
+    // Request logs
+    logsFilterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadRequestLogs(1);
+    });
+
+    logsPrevPageBtn.addEventListener('click', () => loadRequestLogs(currentLogsPage - 1));
+    logsNextPageBtn.addEventListener('click', () => loadRequestLogs(currentLogsPage + 1));
+
+    clearLogsBtn.addEventListener('click', async () => {
+        if (!confirm(t('clear_logs_confirm'))) return;
+        const result = await apiFetch('/request-logs', { method: 'DELETE' });
+        if (result && result.success) {
+            showSuccess(t('logs_cleared', result.deleted));
+            await loadRequestLogs(1);
+        }
+    });
+
+    logsTableBody.addEventListener('click', async (e) => {
+        const row = e.target.closest('tr[data-id]');
+        if (!row) return;
+        const log = await apiFetch(`/request-logs/${row.dataset.id}`);
+        if (log) {
+            const { requestBody, ...details } = log;
+            let bodyText = t('request_body_not_logged');
+            if (requestBody) {
+                try {
+                    bodyText = JSON.stringify(JSON.parse(requestBody), null, 2);
+                } catch {
+                    bodyText = requestBody; // Truncated bodies are no longer valid JSON
+                }
+            }
+            requestLogDetailPre.textContent = `${JSON.stringify(details, null, 2)}\n\n${bodyText}`;
+            requestLogModal.classList.remove('hidden');
+        }
+    });
+
+    closeRequestLogModalBtn.addEventListener('click', () => {
+        requestLogModal.classList.add('hidden');
+    });
+
+    requestLogModal.addEventListener('click', (e) => {
+        if (e.target === requestLogModal) {
+            requestLogModal.classList.add('hidden');
+        }
+    });
 
     // Authentication mode toggle
     document.querySelectorAll('input[name="auth_mode"]').forEach(radio => {
@@ -2409,9 +3675,6 @@ async function renderGeminiKeys(keys) {
     initDarkMode();
     setupAuthRefresh();
 
-    // Load Vertex config after initial load
-    loadVertexConfig();
-
     // --- Settings Modal Functions ---
     function setupSettingsModal() {
         const settingsButton = document.getElementById('settings-button');
@@ -2471,6 +3734,27 @@ async function renderGeminiKeys(keys) {
             const autoTestToggle = document.getElementById('auto-test-toggle');
             autoTestToggle.checked = settings.autoTest === '1' || settings.autoTest === 1 || settings.autoTest === true;
 
+            // Set remote image fetch inputs
+            document.getElementById('image-fetch-max-bytes-input').value = settings.imageFetchMaxBytes || 10485760;
+            document.getElementById('image-fetch-allowed-hosts-input').value = settings.imageFetchAllowedHosts || '';
+
+            // Set request log settings
+            document.getElementById('log-request-bodies-toggle').checked = settings.logRequestBodies === '1';
+            document.getElementById('request-log-retention-days-input').value = settings.requestLogRetentionDays || 7;
+
+            // Set key selection strategy
+            document.getElementById('key-selection-strategy-select').value = settings.keySelectionStrategy || 'round-robin';
+
+            // Set quota reset times
+            const quotaReset = settings.quotaReset || {};
+            document.getElementById('quota-reset-timezone-input').value = quotaReset.geminiKeys?.timeZone || 'America/Los_Angeles';
+            document.getElementById('quota-reset-hour-input').value = quotaReset.geminiKeys?.hour ?? 0;
+            document.getElementById('quota-reset-groups-input').value = Object.entries(quotaReset.keyGroups || {})
+                .map(([group, reset]) => `${group}: ${reset.timeZone} ${reset.hour}`)
+                .join('\n');
+            document.getElementById('worker-reset-timezone-input').value = quotaReset.workerKeys?.timeZone || 'America/Los_Angeles';
+            document.getElementById('worker-reset-hour-input').value = quotaReset.workerKeys?.hour ?? 0;
+
         } catch (error) {
             console.error('Error loading system settings:', error);
             // Set default values
@@ -2478,21 +3762,70 @@ async function renderGeminiKeys(keys) {
             document.getElementById('max-retry-input').value = 3;
             document.getElementById('web-search-toggle').checked = false;
             document.getElementById('auto-test-toggle').checked = false;
+            document.getElementById('image-fetch-max-bytes-input').value = 10485760;
+            document.getElementById('image-fetch-allowed-hosts-input').value = '';
+            document.getElementById('log-request-bodies-toggle').checked = false;
+            document.getElementById('request-log-retention-days-input').value = 7;
+            document.getElementById('key-selection-strategy-select').value = 'round-robin';
+            document.getElementById('quota-reset-timezone-input').value = 'America/Los_Angeles';
+            document.getElementById('quota-reset-hour-input').value = 0;
+            document.getElementById('quota-reset-groups-input').value = '';
+            document.getElementById('worker-reset-timezone-input').value = 'America/Los_Angeles';
+            document.getElementById('worker-reset-hour-input').value = 0;
         }
     }
 
+    // Parses the "group: timezone hour" lines of the key group reset overrides
+    function readQuotaResetGroups(input) {
+        const keyGroups = {};
+        for (const line of input.value.split('\n').map(l => l.trim()).filter(Boolean)) {
+            const match = line.match(/^([^:]+):\s*(\S+)(?:\s+(\d{1,2}))?$/);
+            if (!match) {
+                throw new Error(t('invalid_quota_reset_line', line));
+            }
+            keyGroups[match[1].trim()] = { timeZone: match[2], hour: parseInt(match[3] || '0', 10) };
+        }
+        return keyGroups;
+    }
+
     async function saveSystemSettings() {
         try {
             const keepaliveToggle = document.getElementById('keepalive-toggle');
             const maxRetryInput = document.getElementById('max-retry-input');
             const webSearchToggle = document.getElementById('web-search-toggle');
             const autoTestToggle = document.getElementById('auto-test-toggle');
+            const imageFetchMaxBytesInput = document.getElementById('image-fetch-max-bytes-input');
+            const imageFetchAllowedHostsInput = document.getElementById('image-fetch-allowed-hosts-input');
+
+            let quotaResetGroups;
+            try {
+                quotaResetGroups = readQuotaResetGroups(document.getElementById('quota-reset-groups-input'));
+            } catch (parseError) {
+                showError(parseError.message);
+                return;
+            }
 
             const settings = {
                 keepalive: keepaliveToggle.checked ? '1' : '0',
                 maxRetry: parseInt(maxRetryInput.value) || 3,
                 webSearch: webSearchToggle.checked ? '1' : '0',
-                autoTest: autoTestToggle.checked ? '1' : '0'
+                autoTest: autoTestToggle.checked ? '1' : '0',
+                imageFetchMaxBytes: parseInt(imageFetchMaxBytesInput.value) || 10485760,
+                imageFetchAllowedHosts: imageFetchAllowedHostsInput.value.trim(),
+                logRequestBodies: document.getElementById('log-request-bodies-toggle').checked ? '1' : '0',
+                requestLogRetentionDays: parseInt(document.getElementById('request-log-retention-days-input').value) || 7,
+                keySelectionStrategy: document.getElementById('key-selection-strategy-select').value,
+                quotaReset: {
+                    geminiKeys: {
+                        timeZone: document.getElementById('quota-reset-timezone-input').value.trim() || 'America/Los_Angeles',
+                        hour: parseInt(document.getElementById('quota-reset-hour-input').value) || 0
+                    },
+                    workerKeys: {
+                        timeZone: document.getElementById('worker-reset-timezone-input').value.trim() || 'America/Los_Angeles',
+                        hour: parseInt(document.getElementById('worker-reset-hour-input').value) || 0
+                    },
+                    keyGroups: quotaResetGroups
+                }
             };
 
             const result = await apiFetch('/system-settings', {
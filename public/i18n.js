@@ -7,6 +7,10 @@ class I18n {
                 // 登录页面
                 'password': '密码',
                 'enter_admin_password': '请输入管理员密码',
+                'username': '用户名',
+                'enter_admin_username': '使用 ADMIN_PASSWORD 登录时可留空',
+                'two_factor_code': '两步验证码',
+                'enter_two_factor_code': '验证器中的 6 位数字或恢复码',
                 'login': '登录',
                 
                 // 通用
@@ -101,6 +105,7 @@ class I18n {
                 'set_category_quotas_title': '设置类别配额',
                 'pro_models_daily_quota': 'Pro 模型每日配额',
                 'flash_models_daily_quota': 'Flash 模型每日配额',
+                'embedding_models_daily_quota': 'Embedding 模型每日配额',
                 'save_quotas': '保存配额',
                 
                 // 独立配额模态框
@@ -109,6 +114,203 @@ class I18n {
                 'individual_quota_placeholder': '默认：0（无独立配额）',
                 'individual_quota_help': '输入 0 表示无独立配额。独立配额将覆盖类别配额。',
                 'save_quota': '保存配额',
+
+                // 密钥限制模态框
+                'set_worker_limits': '设置密钥限制',
+                'limits': '限制',
+                'limit_rpm': 'RPM',
+                'limit_rpd': '今日请求',
+                'limit_tpd': '今日 Token',
+                'limit_monthly_budget': '本月花费',
+                'limit_rpm_label': '每分钟请求数 (RPM)',
+                'limit_rpd_label': '每日请求数 (RPD)',
+                'limit_tpd_label': '每日 Token 数 (TPD)',
+                'limit_monthly_budget_label': '每月预算 (USD)',
+                'limit_unlimited_placeholder': '留空表示无限制',
+                'worker_limits_help': '超出限制的请求将返回 429。每日计数在系统设置中的 Worker Key 限额重置时间重置，每月预算按模型价格估算。',
+                'worker_limits_saved': '已更新密钥 {0} 的限制。',
+                'failed_to_save_worker_limits': '保存密钥限制失败。',
+
+                // 密钥模型权限模态框
+                'set_worker_models': '设置可用模型',
+                'models': '模型',
+                'allowed_models': '允许的模型',
+                'denied_models': '禁止的模型',
+                'all_models': '全部',
+                'allowed_models_placeholder': '例如：gemini-*-flash*',
+                'denied_models_placeholder': '例如：[v]*',
+                'worker_models_help': '每行一个模型 ID 或通配符（* 匹配任意字符，? 匹配单个字符）。允许列表为空表示允许所有模型；禁止列表优先。',
+                'worker_models_saved': '已更新密钥 {0} 的可用模型。',
+                'failed_to_save_worker_models': '保存可用模型失败。',
+
+                // 请求日志
+                'request_logs': '请求日志',
+                'worker_key': 'Worker 密钥',
+                'model': '模型',
+                'status_code': '状态码',
+                'errors_only': '仅显示错误',
+                'search': '搜索',
+                'clear_logs': '清空日志',
+                'clear_logs_confirm': '确定要删除所有请求日志吗？',
+                'logs_cleared': '已删除 {0} 条请求日志。',
+                'time': '时间',
+                'gemini_key': 'Gemini 密钥',
+                'attempts': '尝试次数',
+                'latency': '耗时',
+                'tokens': 'Tokens',
+                'error_type': '错误类型',
+                'previous_page': '上一页',
+                'next_page': '下一页',
+                'logs_page_info': '第 {0} / {1} 页，共 {2} 条',
+                'no_request_logs': '暂无请求日志。',
+                'request_log_detail': '请求详情',
+                'request_body_not_logged': '（未记录请求内容，可在系统设置中开启）',
+                'log_request_bodies_setting': '记录请求内容',
+                'log_request_bodies_description': '启用后请求日志将保存完整的请求体（包括提示词）',
+                'request_log_retention_setting': '请求日志保留天数',
+                'request_log_retention_description': '超过该天数的请求日志将被自动删除（默认：7）',
+
+                // 用量统计
+                'usage_history': '用量统计',
+                'usage_range': '时间范围',
+                'last_7_days': '最近 7 天',
+                'last_30_days': '最近 30 天',
+                'last_90_days': '最近 90 天',
+                'usage_group_by': '分组方式',
+                'usage_by_key': '按 Gemini 密钥',
+                'usage_by_model': '按模型',
+                'usage_by_category': '按类别',
+                'usage_by_worker_key': '按 Worker Key',
+                'export_csv': '导出 CSV',
+                'usage_series': '名称',
+                'usage_requests': '请求数',
+                'usage_other': '其他',
+                'no_usage_history': '该时间范围内暂无用量数据。',
+                'chart_unavailable': '图表库加载失败，仅显示汇总表。',
+
+                // 回退模型模态框
+                'set_fallback_models': '设置回退模型',
+                'fallback_models_chain': '回退链',
+                'fallback_models_placeholder': '例如：[v]gemini-2.5-pro, gemini-2.5-flash',
+                'fallback_models_help': '按顺序填写模型 ID，以逗号分隔。当前模型配额耗尽或上游返回 5xx 时，请求将依次尝试这些模型。留空表示不回退。',
+                'fallback_models_saved': '已更新 {0} 的回退链。',
+                'failed_to_save_fallback_models': '保存回退链失败。',
+
+                // 密钥选择策略
+                'key_selection_strategy_setting': '密钥选择策略',
+                'key_selection_strategy_description': '选择每次请求使用哪个 Gemini 密钥；可在模型列表中为单个模型单独设置',
+                'quota_reset_setting': 'Gemini 密钥配额重置时间',
+                'quota_reset_description': '每日用量在该时区的指定整点重置（默认：America/Los_Angeles 0 点）',
+                'quota_reset_groups_setting': '按密钥分组的重置时间',
+                'quota_reset_groups_description': '每行一个，格式为“分组: 时区 整点”，覆盖该分组内密钥的重置时间',
+                'worker_reset_setting': 'Worker Key 限额重置时间',
+                'worker_reset_description': 'Worker Key 的每日与每月用量在该时区的指定整点重置',
+                'invalid_quota_reset_line': '无法解析重置时间：“{0}”，格式应为“分组: 时区 整点”。',
+                'strategy_round_robin': '轮询',
+                'strategy_least_used_today': '今日最少使用',
+                'strategy_weighted': '按权重',
+                'strategy_random': '随机',
+                'strategy_sticky_by_worker_key': '按 Worker Key 固定',
+                'strategy_system_default': '使用系统设置',
+                'set_key_strategy': '设置密钥路由',
+                'key_strategy_help': '仅对该模型生效，覆盖系统设置中的密钥选择策略。',
+                'key_strategy': '策略',
+                'key_strategy_saved': '已更新 {0} 的密钥路由设置。',
+                'failed_to_save_key_strategy': '保存密钥选择策略失败。',
+                'key_weight': '权重',
+                'key_weight_saved': '已更新密钥 {0} 的权重。',
+                'failed_to_save_key_weight': '保存权重失败。',
+                'key_groups': '密钥分组',
+                'key_groups_short': '分组',
+                'key_groups_placeholder': '例如：paid-tier, team-a',
+                'key_groups_saved': '已更新密钥 {0} 的分组。',
+                'failed_to_save_key_groups': '保存分组失败。',
+                'model_key_groups_help': '该模型只使用属于这些分组之一的密钥。留空表示可使用所有密钥。',
+                'set_worker_key_groups': '设置密钥分组',
+                'worker_key_groups_help': '该 Worker Key 的请求只使用属于这些分组之一的 Gemini 密钥。留空表示可使用所有密钥。',
+                'worker_key_groups_saved': '已更新密钥 {0} 的密钥分组。',
+                'failed_to_save_worker_key_groups': '保存密钥分组失败。',
+                'all_keys': '所有密钥',
+                'cooling_down': '冷却中',
+                'cooldown_remaining': '剩余 {0} 秒',
+                'clear_cooldown': '清除冷却',
+                'clear_all_cooldowns': '全部清除',
+                'cooldown_cleared': '已清除密钥 {0} 的冷却状态。',
+                'admin_users': '管理员用户',
+                'admin_users_help': '只读用户可以查看密钥、用量和日志；操作员还可以修改配置，并查看 Worker Key 和 Vertex 凭据；所有者还可以管理管理员用户。',
+                'current_user_label': '{0}（{1}）',
+                'role': '角色',
+                'role_owner': '所有者',
+                'role_operator': '操作员',
+                'role_viewer': '只读',
+                'add_admin_user': '添加用户',
+                'admin_user_password_placeholder': '至少 8 个字符',
+                'built_in_admin': '内置（ADMIN_PASSWORD）',
+                'no_admin_users': '暂无管理员用户。',
+                'reset_password': '重置密码',
+                'enter_new_password': '输入用户 {0} 的新密码（至少 8 个字符）：',
+                'delete_confirm_admin_user': '确定要删除管理员用户 {0} 吗？',
+                'admin_user_added': '已添加管理员用户 {0}。',
+                'admin_user_updated': '已更新管理员用户 {0}。',
+                'admin_user_deleted': '已删除管理员用户 {0}。',
+                'failed_to_save_admin_user': '保存管理员用户失败。',
+                'two_factor_auth': '两步验证',
+                'two_factor_help': '启用后，登录时除密码外还需要输入验证器应用（如 Google Authenticator、1Password）生成的验证码。',
+                'two_factor_setup': '设置两步验证',
+                'two_factor_scan': '用验证器应用扫描二维码，或手动输入密钥：',
+                'two_factor_enable': '启用',
+                'two_factor_recovery_codes_help': '请妥善保存以下恢复码。每个恢复码只能使用一次，可在丢失验证器时代替验证码登录。它们只会显示这一次。',
+                'two_factor_regenerate': '重新生成恢复码',
+                'two_factor_disable': '关闭两步验证',
+                'two_factor_disable_confirm': '确定要关闭两步验证吗？',
+                'two_factor_enabled_status': '两步验证已启用，剩余 {0} 个恢复码。',
+                'two_factor_disabled_status': '两步验证未启用。',
+                'two_factor_enabled': '两步验证已启用。',
+                'two_factor_disabled': '两步验证已关闭。',
+                'failed_to_save_two_factor': '更新两步验证失败。',
+                'reset_two_factor': '重置两步验证',
+                'reset_two_factor_confirm': '确定要重置用户 {0} 的两步验证吗？该用户下次只需密码即可登录。',
+                'two_factor_reset': '已重置用户 {0} 的两步验证。',
+                'recent_failed_logins': '最近失败的登录',
+                'reason': '原因',
+                'no_failed_logins': '暂无失败的登录。',
+                'login_reason_invalid_credentials': '用户名或密码错误',
+                'login_reason_invalid_two_factor_code': '两步验证码错误',
+                'login_locked_out': '已锁定',
+                'login_throttle_status': '过去 {2} 分钟内共有 {0} 次失败登录（达到 {1} 次时将暂停有失败记录的 IP 的登录）。',
+                'ip_blocked_until': '{0} 次失败，封禁至 {1}',
+                'unblock_ip': '解除封禁',
+                'ip_unblocked': '已解除 IP {0} 的登录封禁。',
+                'failed_to_unblock_ip': '解除 IP 封禁失败。',
+                'admin_sessions': '登录会话',
+                'admin_sessions_help': '撤销的会话会立即失效。修改 SESSION_SECRET_KEY 或 ADMIN_PASSWORD 会结束所有会话，修改用户密码会结束该用户的所有会话。',
+                'session_client': '客户端',
+                'session_created': '登录时间',
+                'session_last_seen': '最近活动',
+                'current_session': '当前会话',
+                'revoke_session': '撤销',
+                'revoke_session_confirm': '确定要撤销此会话吗？',
+                'session_revoked': '会话已撤销。',
+                'no_sessions': '暂无有效会话。',
+                'logout_everywhere': '退出所有设备',
+                'logout_everywhere_confirm': '确定要退出你在所有设备上的登录（包括当前设备）吗？',
+                'failed_to_revoke_session': '撤销会话失败。',
+                'api_tokens': 'API 令牌',
+                'api_tokens_help': '脚本可以使用 API 令牌调用 /api/admin，无需登录：在请求头中发送 Authorization: Bearer <令牌>。令牌只能访问其权限范围内的接口；创建者被删除或不再是所有者时，令牌随即失效。',
+                'api_token_name': '名称',
+                'api_token_name_placeholder': '例如：部署脚本',
+                'api_token_scopes': '权限范围',
+                'api_token_created': '创建',
+                'api_token_last_used': '最近使用',
+                'api_token_never_used': '从未使用',
+                'create_api_token': '创建令牌',
+                'new_api_token_help': '请立即复制此令牌，关闭后将无法再次查看。',
+                'no_api_tokens': '暂无 API 令牌。',
+                'api_token_created_success': '已创建 API 令牌 {0}。',
+                'api_token_scope_required': '请至少选择一个权限范围。',
+                'revoke_api_token_confirm': '确定要撤销 API 令牌 {0} 吗？使用它的脚本将无法再访问。',
+                'api_token_revoked': '已撤销 API 令牌 {0}。',
+                'failed_to_save_api_token': '保存 API 令牌失败。',
                 
                 // 测试进度
                 'running_all_tests': '正在运行所有测试',
@@ -129,6 +331,7 @@ class I18n {
                 'category_usage': '类别使用情况',
                 'pro_models': 'Pro 模型',
                 'flash_models': 'Flash 模型',
+                'embedding_models': 'Embedding 模型',
                 'test_api_key': '测试 API 密钥',
                 'select_a_model': '选择一个模型...',
                 'run_test': '运行测试',
@@ -146,6 +349,7 @@ class I18n {
                 'individual_quota': '独立配额',
                 'quota': '配额',
                 'set_quota_btn': '设置配额',
+                'fallback': '回退',
                 'delete_confirm_gemini': '您确定要删除 Gemini 密钥 ID：{0} 吗？',
                 'delete_confirm_worker': '您确定要删除 Worker 密钥：{0} 吗？',
                 'delete_confirm_model': '您确定要删除模型：{0} 吗？',
@@ -175,6 +379,10 @@ class I18n {
                 'web_search_description': '启用后将在模型列表中显示带-search后缀的联网搜索模型',
                 'auto_test_setting': '自动批量测试',
                 'auto_test_description': '启用后将在每天北京时间4点自动进行批量测试',
+                'image_fetch_max_bytes_setting': '远程图片大小上限（字节）',
+                'image_fetch_max_bytes_description': '下载消息中 http(s) 图片链接时允许的最大字节数（默认：10485760）',
+                'image_fetch_allowed_hosts_setting': '远程图片允许的域名',
+                'image_fetch_allowed_hosts_description': '以逗号分隔，包含子域名；留空则允许所有公网域名。内网、回环和链路本地地址只在域名被明确列出时允许',
                 'update_available': '有可用的新版本',
                 'current_is_latest': '当前为最新版本'
              },
@@ -182,6 +390,10 @@ class I18n {
                  // 登录页面
                  'password': 'Password',
                 'enter_admin_password': 'Enter admin password',
+                'username': 'Username',
+                'enter_admin_username': 'Leave empty to log in with ADMIN_PASSWORD',
+                'two_factor_code': 'Two-factor code',
+                'enter_two_factor_code': '6-digit code from your authenticator app, or a recovery code',
                 'login': 'Login',
                 
                 // 通用
@@ -276,6 +488,7 @@ class I18n {
                 'set_category_quotas_title': 'Set Category Quotas',
                 'pro_models_daily_quota': 'Pro Models Daily Quota',
                 'flash_models_daily_quota': 'Flash Models Daily Quota',
+                'embedding_models_daily_quota': 'Embedding Models Daily Quota',
                 'save_quotas': 'Save Quotas',
                 
                 // 独立配额模态框
@@ -284,6 +497,203 @@ class I18n {
                 'individual_quota_placeholder': 'Default: 0 (No individual quota)',
                 'individual_quota_help': 'Enter 0 for no individual quota. Individual quota is applied in addition to category quota.',
                 'save_quota': 'Save Quota',
+
+                // 密钥限制模态框
+                'set_worker_limits': 'Set Key Limits',
+                'limits': 'Limits',
+                'limit_rpm': 'RPM',
+                'limit_rpd': 'Requests today',
+                'limit_tpd': 'Tokens today',
+                'limit_monthly_budget': 'Spent this month',
+                'limit_rpm_label': 'Requests per Minute (RPM)',
+                'limit_rpd_label': 'Requests per Day (RPD)',
+                'limit_tpd_label': 'Tokens per Day (TPD)',
+                'limit_monthly_budget_label': 'Monthly Budget (USD)',
+                'limit_unlimited_placeholder': 'Leave empty for no limit',
+                'worker_limits_help': 'Requests over a limit get a 429 response. Daily counters reset at the worker key reset time in System Settings; monthly spend is estimated from model prices.',
+                'worker_limits_saved': 'Limits for key {0} updated.',
+                'failed_to_save_worker_limits': 'Failed to save key limits.',
+
+                // 密钥模型权限模态框
+                'set_worker_models': 'Set Allowed Models',
+                'models': 'Models',
+                'allowed_models': 'Allowed models',
+                'denied_models': 'Denied models',
+                'all_models': 'All',
+                'allowed_models_placeholder': 'e.g. gemini-*-flash*',
+                'denied_models_placeholder': 'e.g. [v]*',
+                'worker_models_help': 'One model ID or glob pattern per line (* matches any characters, ? a single character). An empty allow list allows every model; the deny list takes precedence.',
+                'worker_models_saved': 'Allowed models for key {0} updated.',
+                'failed_to_save_worker_models': 'Failed to save allowed models.',
+
+                // 请求日志
+                'request_logs': 'Request Logs',
+                'worker_key': 'Worker Key',
+                'model': 'Model',
+                'status_code': 'Status',
+                'errors_only': 'Errors only',
+                'search': 'Search',
+                'clear_logs': 'Clear Logs',
+                'clear_logs_confirm': 'Are you sure you want to delete all request logs?',
+                'logs_cleared': 'Deleted {0} request log entries.',
+                'time': 'Time',
+                'gemini_key': 'Gemini Key',
+                'attempts': 'Attempts',
+                'latency': 'Latency',
+                'tokens': 'Tokens',
+                'error_type': 'Error Type',
+                'previous_page': 'Previous',
+                'next_page': 'Next',
+                'logs_page_info': 'Page {0} of {1}, {2} entries',
+                'no_request_logs': 'No request logs.',
+                'request_log_detail': 'Request Details',
+                'request_body_not_logged': '(Request body not logged; enable it in System Settings)',
+                'log_request_bodies_setting': 'Log Request Bodies',
+                'log_request_bodies_description': 'Store the full request body (including prompts) in the request log',
+                'request_log_retention_setting': 'Request Log Retention (days)',
+                'request_log_retention_description': 'Request log entries older than this are deleted automatically (default: 7)',
+
+                // Usage history
+                'usage_history': 'Usage',
+                'usage_range': 'Range',
+                'last_7_days': 'Last 7 days',
+                'last_30_days': 'Last 30 days',
+                'last_90_days': 'Last 90 days',
+                'usage_group_by': 'Group by',
+                'usage_by_key': 'Gemini key',
+                'usage_by_model': 'Model',
+                'usage_by_category': 'Category',
+                'usage_by_worker_key': 'Worker key',
+                'export_csv': 'Export CSV',
+                'usage_series': 'Name',
+                'usage_requests': 'Requests',
+                'usage_other': 'Other',
+                'no_usage_history': 'No usage recorded in this range.',
+                'chart_unavailable': 'The chart library failed to load; only the totals are shown.',
+
+                // 回退模型模态框
+                'set_fallback_models': 'Set Fallback Models',
+                'fallback_models_chain': 'Fallback Chain',
+                'fallback_models_placeholder': 'e.g. [v]gemini-2.5-pro, gemini-2.5-flash',
+                'fallback_models_help': 'Comma-separated model IDs, tried in order when this model runs out of quota or the upstream returns a 5xx error. Leave empty to disable fallback.',
+                'fallback_models_saved': 'Fallback chain for {0} updated.',
+                'failed_to_save_fallback_models': 'Failed to save fallback chain.',
+
+                // 密钥选择策略
+                'key_selection_strategy_setting': 'Key Selection Strategy',
+                'key_selection_strategy_description': 'How the Gemini key for each request is chosen; individual models can override it in the model list',
+                'quota_reset_setting': 'Gemini Key Quota Reset',
+                'quota_reset_description': 'Daily usage resets at this hour in this timezone (default: America/Los_Angeles, hour 0)',
+                'quota_reset_groups_setting': 'Reset Time per Key Group',
+                'quota_reset_groups_description': 'One per line as "group: timezone hour"; overrides the reset time for keys in that group',
+                'worker_reset_setting': 'Worker Key Limit Reset',
+                'worker_reset_description': 'Daily and monthly worker key usage resets at this hour in this timezone',
+                'invalid_quota_reset_line': 'Cannot parse reset time "{0}"; expected "group: timezone hour".',
+                'strategy_round_robin': 'Round-robin',
+                'strategy_least_used_today': 'Least used today',
+                'strategy_weighted': 'Weighted',
+                'strategy_random': 'Random',
+                'strategy_sticky_by_worker_key': 'Sticky by worker key',
+                'strategy_system_default': 'Use system setting',
+                'set_key_strategy': 'Set Key Routing',
+                'key_strategy_help': 'Applies to this model only and overrides the strategy in System Settings.',
+                'key_strategy': 'Strategy',
+                'key_strategy_saved': 'Key routing for {0} updated.',
+                'failed_to_save_key_strategy': 'Failed to save key selection strategy.',
+                'key_weight': 'Weight',
+                'key_weight_saved': 'Weight for key {0} updated.',
+                'failed_to_save_key_weight': 'Failed to save weight.',
+                'key_groups': 'Key Groups',
+                'key_groups_short': 'Groups',
+                'key_groups_placeholder': 'e.g. paid-tier, team-a',
+                'key_groups_saved': 'Groups for key {0} updated.',
+                'failed_to_save_key_groups': 'Failed to save groups.',
+                'model_key_groups_help': 'This model only uses keys in at least one of these groups. Leave empty to use all keys.',
+                'set_worker_key_groups': 'Set Key Groups',
+                'worker_key_groups_help': 'Requests with this worker key only use Gemini keys in at least one of these groups. Leave empty to use all keys.',
+                'worker_key_groups_saved': 'Key groups for worker key {0} updated.',
+                'failed_to_save_worker_key_groups': 'Failed to save key groups.',
+                'all_keys': 'all keys',
+                'cooling_down': 'Cooling down',
+                'cooldown_remaining': '{0}s left',
+                'clear_cooldown': 'Clear Cooldown',
+                'clear_all_cooldowns': 'Clear All',
+                'cooldown_cleared': 'Cooldown cleared for key {0}.',
+                'admin_users': 'Admin Users',
+                'admin_users_help': 'Viewers can see keys, usage and logs. Operators can also change configuration and see worker keys and Vertex credentials. Owners can also manage admin users.',
+                'current_user_label': '{0} ({1})',
+                'role': 'Role',
+                'role_owner': 'Owner',
+                'role_operator': 'Operator',
+                'role_viewer': 'Viewer',
+                'add_admin_user': 'Add User',
+                'admin_user_password_placeholder': 'At least 8 characters',
+                'built_in_admin': 'Built-in (ADMIN_PASSWORD)',
+                'no_admin_users': 'No admin users yet.',
+                'reset_password': 'Reset Password',
+                'enter_new_password': 'New password for {0} (at least 8 characters):',
+                'delete_confirm_admin_user': 'Are you sure you want to delete admin user {0}?',
+                'admin_user_added': 'Admin user {0} added.',
+                'admin_user_updated': 'Admin user {0} updated.',
+                'admin_user_deleted': 'Admin user {0} deleted.',
+                'failed_to_save_admin_user': 'Failed to save admin user.',
+                'two_factor_auth': 'Two-Factor Authentication',
+                'two_factor_help': 'When enabled, logging in also needs a code from an authenticator app such as Google Authenticator or 1Password.',
+                'two_factor_setup': 'Set Up 2FA',
+                'two_factor_scan': 'Scan the QR code with your authenticator app, or enter the secret manually:',
+                'two_factor_enable': 'Enable',
+                'two_factor_recovery_codes_help': 'Save these recovery codes somewhere safe. Each one can be used once instead of a code if you lose your authenticator. They are only shown this once.',
+                'two_factor_regenerate': 'Regenerate Recovery Codes',
+                'two_factor_disable': 'Disable 2FA',
+                'two_factor_disable_confirm': 'Are you sure you want to disable two-factor authentication?',
+                'two_factor_enabled_status': 'Two-factor authentication is on. {0} recovery codes left.',
+                'two_factor_disabled_status': 'Two-factor authentication is off.',
+                'two_factor_enabled': 'Two-factor authentication enabled.',
+                'two_factor_disabled': 'Two-factor authentication disabled.',
+                'failed_to_save_two_factor': 'Failed to update two-factor authentication.',
+                'reset_two_factor': 'Reset 2FA',
+                'reset_two_factor_confirm': 'Reset two-factor authentication for {0}? They will be able to log in with just their password.',
+                'two_factor_reset': 'Two-factor authentication reset for {0}.',
+                'recent_failed_logins': 'Recent Failed Logins',
+                'reason': 'Reason',
+                'no_failed_logins': 'No failed logins.',
+                'login_reason_invalid_credentials': 'Wrong username or password',
+                'login_reason_invalid_two_factor_code': 'Wrong two-factor code',
+                'login_locked_out': 'Locked out',
+                'login_throttle_status': '{0} failed logins in the last {2} minutes (logins from IPs with failures are paused at {1}).',
+                'ip_blocked_until': '{0} failures, blocked until {1}',
+                'unblock_ip': 'Unblock',
+                'ip_unblocked': 'Login block lifted for IP {0}.',
+                'failed_to_unblock_ip': 'Failed to unblock IP.',
+                'admin_sessions': 'Login Sessions',
+                'admin_sessions_help': 'Revoked sessions stop working immediately. Changing SESSION_SECRET_KEY or ADMIN_PASSWORD ends all sessions, and changing a user\'s password ends all of that user\'s sessions.',
+                'session_client': 'Client',
+                'session_created': 'Logged In',
+                'session_last_seen': 'Last Seen',
+                'current_session': 'Current session',
+                'revoke_session': 'Revoke',
+                'revoke_session_confirm': 'Revoke this session?',
+                'session_revoked': 'Session revoked.',
+                'no_sessions': 'No active sessions.',
+                'logout_everywhere': 'Log Out Everywhere',
+                'logout_everywhere_confirm': 'Log out of all your sessions on every device, including this one?',
+                'failed_to_revoke_session': 'Failed to revoke session.',
+                'api_tokens': 'API Tokens',
+                'api_tokens_help': 'Scripts can call /api/admin without logging in by sending an API token as Authorization: Bearer <token>. A token can only use the routes its scopes cover, and stops working once its creator is deleted or is no longer an owner.',
+                'api_token_name': 'Name',
+                'api_token_name_placeholder': 'e.g. provisioning script',
+                'api_token_scopes': 'Scopes',
+                'api_token_created': 'Created',
+                'api_token_last_used': 'Last Used',
+                'api_token_never_used': 'Never used',
+                'create_api_token': 'Create Token',
+                'new_api_token_help': 'Copy this token now. It will not be shown again.',
+                'no_api_tokens': 'No API tokens yet.',
+                'api_token_created_success': 'API token {0} created.',
+                'api_token_scope_required': 'Select at least one scope.',
+                'revoke_api_token_confirm': 'Revoke API token {0}? Scripts using it will lose access.',
+                'api_token_revoked': 'API token {0} revoked.',
+                'failed_to_save_api_token': 'Failed to save API token.',
                 
                 // 测试进度
                 'running_all_tests': 'Running All Tests',
@@ -304,6 +714,7 @@ class I18n {
                 'category_usage': 'Category Usage',
                 'pro_models': 'Pro Models',
                 'flash_models': 'Flash Models',
+                'embedding_models': 'Embedding Models',
                 'test_api_key': 'Test API Key',
                 'select_a_model': 'Select a model...',
                 'run_test': 'Run Test',
@@ -321,6 +732,7 @@ class I18n {
                 'individual_quota': 'Individual Quota',
                 'quota': 'Quota',
                 'set_quota_btn': 'Set Quota',
+                'fallback': 'Fallback',
                 'delete_confirm_gemini': 'Are you sure you want to delete Gemini key with ID: {0}?',
                 'delete_confirm_worker': 'Are you sure you want to delete Worker key: {0}?',
                 'delete_confirm_model': 'Are you sure you want to delete model: {0}?',
@@ -350,6 +762,10 @@ class I18n {
                 'web_search_description': 'Enable to show models with -search suffix for web search functionality',
                 'auto_test_setting': 'Auto Batch Test',
                 'auto_test_description': 'Enable to automatically run batch tests daily at 4 AM Beijing time',
+                'image_fetch_max_bytes_setting': 'Remote Image Size Limit (bytes)',
+                'image_fetch_max_bytes_description': 'Maximum size when downloading http(s) image URLs from messages (default: 10485760)',
+                'image_fetch_allowed_hosts_setting': 'Remote Image Allowed Hosts',
+                'image_fetch_allowed_hosts_description': 'Comma-separated, subdomains included; leave empty to allow any public host. Private, loopback and link-local addresses are only allowed for hosts listed here',
                 'update_available': 'A new version is available',
                 'current_is_latest': 'Current is latest version'
              }
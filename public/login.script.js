@@ -1,6 +1,9 @@
 document.addEventListener('DOMContentLoaded', () => {
     const loginForm = document.getElementById('login-form');
+    const usernameInput = document.getElementById('username');
     const passwordInput = document.getElementById('password');
+    const codeField = document.getElementById('code-field');
+    const codeInput = document.getElementById('code');
     const loginButton = document.getElementById('login-button');
     const loadingSpinner = document.getElementById('loading-spinner');
     const errorMessageDiv = document.getElementById('error-message');
@@ -30,7 +33,9 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         hideError();
         showLoading();
+        const username = usernameInput.value.trim();
         const password = passwordInput.value;
+        const code = codeInput.value.trim();
         
         try {
             const response = await fetch('/api/login', {
@@ -38,7 +43,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ password }),
+                body: JSON.stringify({ username, password, ...(code ? { code } : {}) }),
             });
             
             const data = await response.json();
@@ -46,8 +51,16 @@ document.addEventListener('DOMContentLoaded', () => {
             if (response.ok && data.success) {
                 localStorage.setItem('isLoggedIn', 'true');
                 window.location.href = '/admin';
+            } else if (data.twoFactorRequired) {
+                // Password was accepted; ask for the code from the authenticator app
+                codeField.classList.remove('hidden');
+                codeInput.value = '';
+                if (code) {
+                    showError(data.error);
+                }
+                codeInput.focus();
             } else {
-                showError(data.error || 'Login failed. Please check your password.');
+                showError(data.error || 'Login failed. Please check your username and password.');
                 passwordInput.focus();
             }
         } catch (error) {
@@ -137,6 +137,8 @@ async function initializeDatabase() {
 
 // Start the database initialization
 let db;
+// Set once the database is open with its schema and the dependent services have been initialized
+let startupCompleted = false;
 initializeDatabase()
   .then(async (database) => {
     db = database;
@@ -160,6 +162,8 @@ initializeDatabase()
     } catch (err) {
       console.error('Scheduler Service: Failed to initialize:', err.message);
     }
+
+    startupCompleted = true;
   })
   .catch((err) => {
     console.error('Fatal error during database initialization:', err.message);
@@ -193,6 +197,8 @@ const createTablesSQL = `
     category_usage TEXT DEFAULT '{}',    -- Store as JSON string
     error_status INTEGER,               -- 401, 403, or NULL
     consecutive_429_counts TEXT DEFAULT '{}', -- Store as JSON string
+    weight INTEGER DEFAULT 1,           -- Relative weight for the weighted key selection strategy
+    key_groups TEXT DEFAULT '[]',       -- JSON array of key group names
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
@@ -200,14 +206,29 @@ const createTablesSQL = `
     api_key TEXT PRIMARY KEY,
     description TEXT,
     safety_enabled INTEGER DEFAULT 1,  -- 1 for true, 0 for false
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    rpm_limit INTEGER,                  -- Requests per minute, NULL means unlimited
+    rpd_limit INTEGER,                  -- Requests per day, NULL means unlimited
+    tpd_limit INTEGER,                  -- Tokens per day, NULL means unlimited
+    monthly_budget REAL,                -- Estimated USD spend per month, NULL means unlimited
+    usage_date TEXT,
+    request_count INTEGER DEFAULT 0,
+    token_count INTEGER DEFAULT 0,
+    usage_month TEXT,
+    monthly_spend REAL DEFAULT 0,
+    allowed_models TEXT DEFAULT '[]',   -- JSON array of model glob patterns, empty allows all models
+    denied_models TEXT DEFAULT '[]',    -- JSON array of model glob patterns, checked before allowed_models
+    key_groups TEXT DEFAULT '[]'        -- JSON array of key group names this worker key may use, empty allows all keys
   );
 
   CREATE TABLE IF NOT EXISTS models_config (
     model_id TEXT PRIMARY KEY,
-    category TEXT NOT NULL CHECK(category IN ('Pro', 'Flash', 'Custom')),
+    category TEXT NOT NULL CHECK(category IN ('Pro', 'Flash', 'Custom', 'Embedding')),
     daily_quota INTEGER,                -- NULL means unlimited
-    individual_quota INTEGER            -- NULL means no individual limit
+    individual_quota INTEGER,           -- NULL means no individual limit
+    fallback_models TEXT DEFAULT '[]',  -- JSON array of model IDs tried in order when this model is unavailable
+    key_strategy TEXT,                  -- Key selection strategy override, NULL means the system default
+    key_groups TEXT DEFAULT '[]'        -- JSON array of key group names this model may use, empty allows all keys
   );
 
   CREATE TABLE IF NOT EXISTS settings (
@@ -215,6 +236,97 @@ const createTablesSQL = `
     value TEXT                           -- Can store JSON strings or simple values
   );
 
+  CREATE TABLE IF NOT EXISTS request_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,            -- ISO 8601 (UTC)
+    worker_key TEXT,
+    endpoint TEXT,
+    requested_model TEXT,
+    served_model TEXT,                  -- Differs from requested_model after a fallback
+    gemini_key_id TEXT,                 -- 'vertex-ai' for Vertex requests
+    attempts INTEGER,
+    status INTEGER,
+    latency_ms INTEGER,
+    stream INTEGER DEFAULT 0,
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    total_tokens INTEGER,
+    error_type TEXT,
+    request_body TEXT                   -- Only stored when the log_request_bodies setting is on
+  );
+  CREATE INDEX IF NOT EXISTS idx_request_log_timestamp ON request_log (timestamp);
+  CREATE INDEX IF NOT EXISTS idx_request_log_worker_key ON request_log (worker_key);
+
+  -- Daily usage rolled up from gemini_keys/worker_keys counters when their usage date changes
+  CREATE TABLE IF NOT EXISTS usage_history (
+    usage_date TEXT NOT NULL,           -- YYYY-MM-DD in the counter's reset timezone
+    source_type TEXT NOT NULL,          -- 'gemini_key' or 'worker_key'
+    source_id TEXT NOT NULL,            -- Gemini key ID or worker API key
+    dimension TEXT NOT NULL,            -- 'model' or 'category' for Gemini keys, 'total' for worker keys
+    name TEXT NOT NULL DEFAULT '',      -- Model ID or category name, '' for totals
+    request_count INTEGER DEFAULT 0,
+    token_count INTEGER DEFAULT 0,      -- Only tracked for worker keys
+    PRIMARY KEY (usage_date, source_type, source_id, dimension, name)
+  );
+
+  -- Admin panel users; ADMIN_PASSWORD remains available as a built-in owner
+  CREATE TABLE IF NOT EXISTS admin_users (
+    username TEXT PRIMARY KEY,
+    password_hash TEXT NOT NULL,        -- scrypt$N$r$p$salt$hash
+    role TEXT NOT NULL CHECK(role IN ('owner', 'operator', 'viewer')),
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- TOTP two-factor authentication per admin username, including the built-in ADMIN_PASSWORD owner
+  CREATE TABLE IF NOT EXISTS admin_two_factor (
+    username TEXT PRIMARY KEY,
+    secret TEXT NOT NULL,               -- Base32 TOTP secret
+    enabled INTEGER DEFAULT 0,          -- 0 while enrollment is waiting for the first code
+    recovery_codes TEXT DEFAULT '[]',   -- JSON array of SHA-256 hashes of unused recovery codes
+    last_used_step INTEGER,             -- Time step of the last accepted code, so codes cannot be replayed
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Failed admin login attempts, pruned after 30 days
+  CREATE TABLE IF NOT EXISTS login_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,            -- ISO 8601 (UTC)
+    ip TEXT,
+    username TEXT,                      -- As entered, may not exist
+    user_agent TEXT,
+    reason TEXT,                        -- 'invalid_credentials' or 'invalid_two_factor_code'
+    locked_out INTEGER DEFAULT 0        -- 1 if this failure locked the IP out
+  );
+  CREATE INDEX IF NOT EXISTS idx_login_audit_timestamp ON login_audit (timestamp);
+
+  -- Admin login sessions; the session cookie carries the id, signed with the session secret
+  CREATE TABLE IF NOT EXISTS admin_sessions (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    created_at TEXT NOT NULL,           -- ISO 8601 (UTC)
+    last_seen_at TEXT NOT NULL,         -- Updated at most once a minute
+    expires_at TEXT NOT NULL,
+    ip TEXT,
+    user_agent TEXT,
+    mfa INTEGER DEFAULT 0,              -- 1 if the login passed two-factor authentication
+    key_fingerprint TEXT NOT NULL,      -- From SESSION_SECRET_KEY and ADMIN_PASSWORD; changing either ends the session
+    revoked_at TEXT                     -- Set on logout or revocation
+  );
+  CREATE INDEX IF NOT EXISTS idx_admin_sessions_username ON admin_sessions (username);
+
+  -- Admin API tokens for automation, sent as "Authorization: Bearer <token>"
+  CREATE TABLE IF NOT EXISTS admin_api_tokens (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,    -- SHA-256 of the token; the token itself is only shown once
+    token_prefix TEXT NOT NULL,         -- Start of the token, to recognize it in the list
+    scopes TEXT DEFAULT '[]',           -- JSON array, e.g. ["keys:read", "workers:write"]
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,                  -- Updated at most once a minute
+    last_used_ip TEXT
+  );
+
   -- Initialize default category quotas if not present
   INSERT OR IGNORE INTO settings (key, value) VALUES
     ('category_quotas', '{"proQuota": 50, "flashQuota": 1500}');
@@ -232,6 +344,83 @@ const createTablesSQL = `
     ('last_used_gemini_key_id', '');
 `;
 
+// Columns added after a table was first released. CREATE TABLE IF NOT EXISTS leaves existing
+// tables untouched, so these are added with ALTER TABLE when missing.
+const columnMigrations = [
+  { table: 'models_config', column: 'fallback_models', definition: "TEXT DEFAULT '[]'" },
+  { table: 'models_config', column: 'key_strategy', definition: 'TEXT' },
+  { table: 'gemini_keys', column: 'weight', definition: 'INTEGER DEFAULT 1' },
+  // Per-worker-key limits (NULL means unlimited) and their usage counters
+  { table: 'worker_keys', column: 'rpm_limit', definition: 'INTEGER' },
+  { table: 'worker_keys', column: 'rpd_limit', definition: 'INTEGER' },
+  { table: 'worker_keys', column: 'tpd_limit', definition: 'INTEGER' },
+  { table: 'worker_keys', column: 'monthly_budget', definition: 'REAL' },
+  { table: 'worker_keys', column: 'usage_date', definition: 'TEXT' },
+  { table: 'worker_keys', column: 'request_count', definition: 'INTEGER DEFAULT 0' },
+  { table: 'worker_keys', column: 'token_count', definition: 'INTEGER DEFAULT 0' },
+  { table: 'worker_keys', column: 'usage_month', definition: 'TEXT' },
+  { table: 'worker_keys', column: 'monthly_spend', definition: 'REAL DEFAULT 0' },
+  // Per-worker-key model access (JSON arrays of glob patterns)
+  { table: 'worker_keys', column: 'allowed_models', definition: "TEXT DEFAULT '[]'" },
+  { table: 'worker_keys', column: 'denied_models', definition: "TEXT DEFAULT '[]'" },
+  // Key groups (JSON arrays of group names)
+  { table: 'gemini_keys', column: 'key_groups', definition: "TEXT DEFAULT '[]'" },
+  { table: 'worker_keys', column: 'key_groups', definition: "TEXT DEFAULT '[]'" },
+  { table: 'models_config', column: 'key_groups', definition: "TEXT DEFAULT '[]'" },
+];
+
+// Function to add any missing columns from columnMigrations, one at a time
+function applyColumnMigrations(currentDb, callback) {
+  const pending = [...columnMigrations];
+  const next = (err) => {
+    if (err) return callback(err);
+    const migration = pending.shift();
+    if (!migration) return callback(null);
+
+    currentDb.all(`PRAGMA table_info(${migration.table})`, (infoErr, columns) => {
+      if (infoErr) return callback(infoErr);
+      if (columns.some(col => col.name === migration.column)) return next();
+
+      console.log(`Adding column ${migration.column} to table ${migration.table}.`);
+      currentDb.run(`ALTER TABLE ${migration.table} ADD COLUMN ${migration.column} ${migration.definition}`, next);
+    });
+  };
+  next();
+}
+
+// SQLite cannot change a CHECK constraint in place, so models_config tables created before the
+// Embedding category was added are rebuilt with the current definition.
+function migrateModelsConfigCategories(currentDb, callback) {
+  currentDb.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'models_config'", (err, row) => {
+    if (err) return callback(err);
+    if (!row || row.sql.includes("'Embedding'")) return callback(null);
+
+    const createSql = createTablesSQL.match(/CREATE TABLE IF NOT EXISTS models_config \(([\s\S]*?)\n  \);/);
+    if (!createSql) return callback(new Error('models_config definition not found in schema'));
+
+    console.log('Rebuilding table models_config to allow the Embedding category.');
+    currentDb.all('PRAGMA table_info(models_config)', (infoErr, columns) => {
+      if (infoErr) return callback(infoErr);
+      const columnList = columns.map(col => col.name).join(', ');
+      currentDb.exec(`
+        BEGIN TRANSACTION;
+        CREATE TABLE models_config_new (${createSql[1]}
+        );
+        INSERT INTO models_config_new (${columnList}) SELECT ${columnList} FROM models_config;
+        DROP TABLE models_config;
+        ALTER TABLE models_config_new RENAME TO models_config;
+        COMMIT;
+      `, (migrationErr) => {
+        if (migrationErr) {
+          currentDb.exec('ROLLBACK', () => callback(migrationErr));
+          return;
+        }
+        callback(null);
+      });
+    });
+  });
+}
+
 // Function to initialize the database schema
 function initializeDatabaseSchemaInternal(callback) {
   // Use the database instance passed via 'this' context or fall back to global db
@@ -249,12 +438,36 @@ function initializeDatabaseSchemaInternal(callback) {
       if (callback) callback(err);
     } else {
       console.log('Database tables checked/created successfully.');
-      // You might seed initial data here if necessary
-      if (callback) callback(null);
+      applyColumnMigrations(currentDb, (migrationErr) => {
+        if (migrationErr) {
+          console.error('Error applying column migrations:', migrationErr.message);
+          if (callback) callback(migrationErr);
+          return;
+        }
+        migrateModelsConfigCategories(currentDb, (tableErr) => {
+          if (tableErr) {
+            console.error('Error migrating models_config categories:', tableErr.message);
+          }
+          if (callback) callback(tableErr || null);
+        });
+      });
     }
   });
 }
 
+// Report database and startup state for the readiness endpoint
+function getStatus() {
+  return {
+    connected: !!db,
+    // initializeDatabase only resolves with db after the schema and migrations are applied
+    schemaInitialized: !!db,
+    startupCompleted,
+    githubSync: githubSync
+      ? { configured: true, initialSyncCompleted: githubSync.initialSyncCompleted, lastResult: githubSync.lastSyncResult }
+      : { configured: false }
+  };
+}
+
 // Function to safely close the database connection
 function closeDatabase() {
   if (db) {
@@ -282,5 +495,6 @@ process.on('SIGTERM', () => {
 // Export the database connection instance and sync functions
 module.exports = {
   get db() { return db; }, // Use getter to ensure db is available when accessed
-  syncToGitHub
+  syncToGitHub,
+  getStatus
 };
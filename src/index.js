@@ -18,6 +18,9 @@ const vertexService = require('./services/vertexProxyService');
 const authRoutes = require('./routes/auth');
 const adminApiRoutes = require('./routes/adminApi');
 const apiV1Routes = require('./routes/apiV1');
+const geminiNativeRoutes = require('./routes/geminiNative');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
 
 // Import services and utils (ensure proxyPool is imported to trigger its initialization)
 require('./services/geminiProxyService'); // Still need to import this for other initializations if any
@@ -25,18 +28,28 @@ const proxyPool = require('./utils/proxyPool');
 
 // Import middleware
 const requireAdminAuth = require('./middleware/adminAuth');
+const requireReady = require('./middleware/requireReady');
 
 const app = express();
 const port = process.env.PORT || 3000; // Default to 3000 if PORT not set
 
 // --- Middleware ---
 
+// Behind a reverse proxy, req.ip is the proxy's address unless Express trusts X-Forwarded-For.
+// TRUST_PROXY takes the Express 'trust proxy' value: a hop count, "true" or a list of proxy addresses.
+// Login throttling is per IP, so Hugging Face Spaces (one proxy in front) trust one hop by default.
+const trustProxy = process.env.TRUST_PROXY || (process.env.HUGGING_FACE === '1' ? '1' : '');
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
 // Enable CORS for all origins (adjust for production if needed)
 app.use(cors({
     origin: '*', // Allow all origins for now
     credentials: true, // Allow cookies for authenticated requests (like admin UI)
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'x-api-key', 'anthropic-version', 'anthropic-beta', 'x-goog-api-key'],
+    exposedHeaders: ['X-JimiHub-Fallback'],
     maxAge: 86400 // Cache preflight requests for 1 day
 }));
 
@@ -58,6 +71,9 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // --- Basic Routes ---
 
+// Liveness/readiness probes: /healthz and /readyz
+app.use(healthRoutes);
+
 // Root route: Redirects to /admin/index.html if logged in, otherwise requireAdminAuth redirects to /login.html
 app.get('/', (req, res) => {
     res.redirect('/login.html');
@@ -78,7 +94,9 @@ app.use('/admin', requireAdminAuth, express.static(path.join(__dirname, '..', 'p
 // --- API Routes ---
 app.use('/api', authRoutes); 
 app.use('/api/admin', requireAdminAuth, adminApiRoutes); 
-app.use('/v1', apiV1Routes); 
+app.use('/v1', requireReady, apiV1Routes); 
+app.use('/v1beta', requireReady, geminiNativeRoutes);
+app.use('/metrics', metricsRoutes);
 
 // --- Global Error Handler ---
 app.use((err, req, res, next) => {
@@ -1,17 +1,46 @@
-const { verifySessionCookie } = require('../utils/session');
+const { getSessionFromCookie } = require('../utils/session');
+const adminUserService = require('../services/adminUserService');
+const adminSessionService = require('../services/adminSessionService');
+const adminApiTokenService = require('../services/adminApiTokenService');
 
 /**
  * Express middleware to protect routes requiring admin authentication.
- * Verifies the session cookie. If invalid or missing, redirects to /login.html.
+ * Verifies the session cookie against the session store and sets req.adminUser to the logged-in user with
+ * their current role, and req.adminSession to the session. Requests to /api/admin may instead send an admin API
+ * token as "Authorization: Bearer <token>", which sets req.adminApiToken.
+ * If the session is invalid, missing, revoked, belongs to a deleted user or skipped required 2FA, redirects to /login.html.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 async function requireAdminAuth(req, res, next) {
     try {
-        const isAuthenticated = await verifySessionCookie(req);
+        // Already resolved when the middleware runs both on the mount path and in the router
+        if (req.adminUser) {
+            return next();
+        }
+
+        // Scripts authenticate with an admin API token instead of the session cookie
+        const authorization = req.get('authorization');
+        if (authorization && req.originalUrl.startsWith('/api/admin')) {
+            const [scheme, token] = authorization.split(' ');
+            const apiToken = scheme === 'Bearer' ? await adminApiTokenService.authenticateApiToken(token, req.ip) : null;
+            if (!apiToken) {
+                return res.status(401).json({ error: 'Invalid admin API token.' });
+            }
+            req.adminApiToken = apiToken;
+            // Tokens are limited by their scopes (see requireRole), so within those they see unmasked data like operators
+            req.adminUser = { username: `token:${apiToken.name}`, role: 'operator', builtIn: false, twoFactorEnabled: false };
+            return next();
+        }
+
+        const session = await adminSessionService.getActiveSession(await getSessionFromCookie(req));
+        // Roles are looked up on every request so role changes and deletions apply to existing sessions
+        const adminUser = session ? await adminUserService.resolveAdminUser(session.username) : null;
+        // Sessions that did not pass 2FA end once the user has it enabled (e.g. after an owner re-enabled it)
+        const satisfiesTwoFactor = adminUser && (!adminUser.twoFactorEnabled || session.mfa);
 
-        if (!isAuthenticated) {
+        if (!satisfiesTwoFactor) {
             console.log('AdminAuth Middleware: Session invalid or expired. Redirecting to login.');
             // Redirect to the login page if not authenticated
             // Check if the original request was for an API endpoint
@@ -25,7 +54,8 @@ async function requireAdminAuth(req, res, next) {
         }
 
         // If authenticated, proceed to the next middleware or route handler
-        // console.log('AdminAuth Middleware: Session valid.'); // Optional: Log success
+        req.adminUser = adminUser;
+        req.adminSession = session;
         next();
     } catch (error) {
         console.error('Error in admin authentication middleware:', error);
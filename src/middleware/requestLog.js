@@ -0,0 +1,55 @@
+const requestLogService = require('../services/requestLogService');
+const metrics = require('../utils/metrics');
+
+/**
+ * Middleware that writes a request_log entry once the response is done. Route handlers report the
+ * served model, Gemini key, attempt count and token usage through res.locals; the error type is
+ * taken from any JSON error body sent. Routes that do not carry the model and stream flag in an
+ * OpenAI-style body (the native Gemini routes) set res.locals.requestedModelId, res.locals.endpoint
+ * and res.locals.stream instead. The metrics model label only uses res.locals.servedModelId, which handlers
+ * set once the model passed validation, so clients cannot create new metric series with made-up model names.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function recordRequestLog(req, res, next) {
+    const startTime = Date.now();
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (body?.error) {
+            res.locals.errorType = body.error.type || body.error.code || 'error';
+        }
+        return sendJson(body);
+    };
+
+    // 'close' also fires when the client disconnects before the response completes
+    res.on('close', () => {
+        const endpoint = res.locals.endpoint || req.baseUrl + req.path;
+        const requestedModel = res.locals.requestedModelId || req.body?.model;
+        metrics.incCounter('jimihub_requests_total', {
+            endpoint,
+            model: res.locals.servedModelId || 'unknown',
+            worker_key: metrics.maskWorkerKey(req.workerApiKey),
+            status: res.statusCode
+        });
+        requestLogService.addRequestLog({
+            workerKey: req.workerApiKey,
+            endpoint,
+            requestedModel,
+            servedModel: res.locals.servedModelId || requestedModel,
+            geminiKeyId: res.locals.selectedKeyId,
+            attempts: res.locals.attempts,
+            status: res.statusCode,
+            latencyMs: Date.now() - startTime,
+            stream: res.locals.stream ?? req.body?.stream === true,
+            tokenUsage: res.locals.tokenUsage,
+            errorType: res.locals.errorType || (res.writableFinished ? undefined : 'client_disconnected'),
+            requestBody: req.body
+        });
+    });
+
+    next();
+}
+
+module.exports = recordRequestLog;
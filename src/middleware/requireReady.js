@@ -0,0 +1,24 @@
+const dbModule = require('../db');
+
+/**
+ * Express middleware rejecting proxy requests with 503 until startup has finished
+ * (database downloaded from GitHub, opened and migrated, Vertex and scheduler initialized).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function requireReady(req, res, next) {
+    if (dbModule.getStatus().startupCompleted) {
+        return next();
+    }
+    res.setHeader('Retry-After', '5');
+    res.status(503).json({
+        error: {
+            message: 'Service is starting up. Please retry shortly.',
+            type: 'service_unavailable',
+            code: 'not_ready'
+        }
+    });
+}
+
+module.exports = requireReady;
@@ -0,0 +1,29 @@
+const { hasRole } = require('../services/adminUserService');
+
+/**
+ * Creates Express middleware rejecting admin API requests with 403 unless the logged-in user
+ * (req.adminUser, set by requireAdminAuth) has at least the given role.
+ * Requests with an API token (req.adminApiToken) need the given scope instead; routes without a scope
+ * are only available to logged-in users.
+ * @param {'viewer' | 'operator' | 'owner'} minRole
+ * @param {string} [scope] API token scope covering the route, e.g. 'keys:write'.
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(minRole, scope) {
+    return (req, res, next) => {
+        if (req.adminApiToken) {
+            if (scope && req.adminApiToken.scopes.includes(scope)) {
+                return next();
+            }
+            return res.status(403).json({
+                error: scope ? `Forbidden. This action requires the ${scope} scope.` : 'Forbidden. This action is not available to API tokens.'
+            });
+        }
+        if (req.adminUser && hasRole(req.adminUser.role, minRole)) {
+            return next();
+        }
+        res.status(403).json({ error: `Forbidden. This action requires the ${minRole} role.` });
+    };
+}
+
+module.exports = requireRole;
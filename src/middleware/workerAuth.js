@@ -2,6 +2,8 @@ const dbModule = require('../db'); // Import the database module
 
 /**
  * Express middleware to validate the Worker API Key provided in the Authorization header.
+ * Anthropic-style clients send the key in the `x-api-key` header instead, and Google SDK clients use
+ * `x-goog-api-key` or the `key` query parameter; these are accepted as fallbacks.
  * Checks against the `worker_keys` table in the database.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
@@ -9,10 +11,12 @@ const dbModule = require('../db'); // Import the database module
  */
 async function requireWorkerAuth(req, res, next) {
     const authHeader = req.headers.authorization;
-    const workerApiKey = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    const workerApiKey = authHeader?.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : (req.headers['x-api-key'] || req.headers['x-goog-api-key'] || req.query?.key || null);
 
     if (!workerApiKey) {
-        return res.status(401).json({ error: 'Missing API key. Provide it in the Authorization header as "Bearer YOUR_KEY".' });
+        return res.status(401).json({ error: 'Missing API key. Provide it in the Authorization header as "Bearer YOUR_KEY", in the x-api-key or x-goog-api-key header, or as the key query parameter.' });
     }
 
     try {
@@ -0,0 +1,39 @@
+const workerKeyLimitService = require('../services/workerKeyLimitService');
+
+/**
+ * Express middleware enforcing the per-worker-key limits (requests per minute/day, tokens per day, monthly budget).
+ * Must run after requireWorkerAuth. Rejected requests get an OpenAI-style 429 with a Retry-After header.
+ * Route handlers report token usage by setting `res.locals.tokenUsage` (OpenAI-format usage) and
+ * `res.locals.servedModelId`; it is recorded against the key once the response is done, including when the
+ * client disconnects part-way through a stream.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function enforceWorkerKeyLimits(req, res, next) {
+    try {
+        const limitError = await workerKeyLimitService.checkWorkerKeyLimits(req.workerApiKey);
+        if (limitError) {
+            console.warn(`Worker key "${req.workerApiKey.slice(0, 5)}..." rejected: ${limitError.error.message}`);
+            res.setHeader('Retry-After', String(limitError.retryAfter));
+            return res.status(limitError.status).json({ error: limitError.error });
+        }
+
+        // 'close' fires after 'finish' and also when the client disconnects, which 'finish' does not
+        let usageRecorded = false;
+        res.on('close', () => {
+            if (!usageRecorded && res.locals.tokenUsage) {
+                usageRecorded = true;
+                const modelId = res.locals.servedModelId || req.body?.model || req.params?.modelAction;
+                workerKeyLimitService.recordWorkerKeyUsage(req.workerApiKey, modelId, res.locals.tokenUsage);
+            }
+        });
+
+        next();
+    } catch (error) {
+        console.error('Unexpected error during worker key limit check:', error);
+        next(error);
+    }
+}
+
+module.exports = enforceWorkerKeyLimits;
@@ -1,9 +1,21 @@
 const express = require('express');
 const requireAdminAuth = require('../middleware/adminAuth');
+const requireRole = require('../middleware/requireRole');
 const configService = require('../services/configService');
 const geminiKeyService = require('../services/geminiKeyService');
 const vertexProxyService = require('../services/vertexProxyService');
 const batchTestService = require('../services/batchTestService');
+const workerKeyLimitService = require('../services/workerKeyLimitService');
+const requestLogService = require('../services/requestLogService');
+const usageHistoryService = require('../services/usageHistoryService');
+const keySelectionStrategies = require('../services/keySelectionStrategies');
+const adminUserService = require('../services/adminUserService');
+const twoFactorService = require('../services/twoFactorService');
+const loginThrottleService = require('../services/loginThrottleService');
+const loginAuditService = require('../services/loginAuditService');
+const adminSessionService = require('../services/adminSessionService');
+const adminApiTokenService = require('../services/adminApiTokenService');
+const { setSessionCookie, clearSessionCookie } = require('../utils/session');
 // Note: schedulerService is imported lazily when needed to avoid database initialization issues
 const fetch = require('node-fetch');
 const dbModule = require('../db');
@@ -22,9 +34,291 @@ function parseBody(req) {
     return req.body;
 }
 
+/**
+ * Worker keys grant access to the proxy, so viewers only see their first characters.
+ * @param {import('express').Request} req
+ * @param {string | null} workerKey
+ * @returns {string | null}
+ */
+function maskWorkerKeyForViewer(req, workerKey) {
+    if (!workerKey || adminUserService.hasRole(req.adminUser.role, 'operator')) {
+        return workerKey;
+    }
+    return `${workerKey.slice(0, 5)}...`;
+}
+
+// --- Current Admin User --- (/api/admin/me)
+router.get('/me', requireRole('viewer'), (req, res) => {
+    res.json({
+        username: req.adminUser.username,
+        role: req.adminUser.role,
+        builtIn: req.adminUser.builtIn,
+        twoFactorEnabled: req.adminUser.twoFactorEnabled
+    });
+});
+
+// --- Two-Factor Authentication for the logged-in user --- (/api/admin/2fa)
+router.get('/2fa', requireRole('viewer'), async (req, res, next) => {
+    try {
+        res.json(await twoFactorService.getTwoFactorStatus(req.adminUser.username));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/2fa/setup', requireRole('viewer'), async (req, res, next) => {
+    try {
+        const enrollment = await twoFactorService.startEnrollment(req.adminUser.username);
+        res.json({ success: true, ...enrollment });
+    } catch (error) {
+        if (error.message.includes('already enabled')) {
+            return res.status(409).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/2fa/enable', requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { code } = parseBody(req);
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({ error: 'Request body must include the code from your authenticator app' });
+        }
+        const recoveryCodes = await twoFactorService.confirmEnrollment(req.adminUser.username, code);
+        // Replace the session with one that records 2FA, so the user stays logged in
+        const session = await adminSessionService.createSession(req.adminUser.username, true, { ip: req.ip, userAgent: req.get('user-agent') });
+        if (session) {
+            setSessionCookie(res, session.token);
+            await adminSessionService.revokeSession(req.adminSession.id);
+        }
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        if (error.message.includes('Invalid') || error.message.includes('pending')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/2fa/recovery-codes', requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { code } = parseBody(req);
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.adminUser.username, String(code || ''));
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        if (error.message.includes('Invalid') || error.message.includes('not enabled')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/2fa/disable', requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { code } = parseBody(req);
+        await twoFactorService.disableTwoFactor(req.adminUser.username, String(code || ''));
+        res.json({ success: true });
+    } catch (error) {
+        if (error.message.includes('Invalid') || error.message.includes('not enabled')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+// --- Admin Sessions --- (/api/admin/sessions)
+// Owners see and revoke everyone's sessions, other users only their own
+router.get('/sessions', requireRole('viewer'), async (req, res, next) => {
+    try {
+        const isOwner = adminUserService.hasRole(req.adminUser.role, 'owner');
+        const sessions = await adminSessionService.listActiveSessions(isOwner ? undefined : req.adminUser.username);
+        res.json({
+            sessions: sessions.map(session => ({ ...session, current: session.id === req.adminSession.id })),
+            canManageAll: isOwner
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Ends all of the logged-in user's sessions, including this one
+router.post('/sessions/logout-everywhere', requireRole('viewer'), async (req, res, next) => {
+    try {
+        const revoked = await adminSessionService.revokeUserSessions(req.adminUser.username);
+        clearSessionCookie(res);
+        res.json({ success: true, revoked });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/sessions/:id', requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const isOwner = adminUserService.hasRole(req.adminUser.role, 'owner');
+        if (!(await adminSessionService.revokeSession(id, isOwner ? undefined : req.adminUser.username))) {
+            return res.status(404).json({ error: `Session ${id} not found.` });
+        }
+        if (id === req.adminSession.id) {
+            clearSessionCookie(res);
+        }
+        res.json({ success: true, id, current: id === req.adminSession.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- Admin API Tokens --- (/api/admin/api-tokens)
+// Not available to API tokens themselves, so a token cannot create more powerful ones
+router.route('/api-tokens')
+    .get(requireRole('owner'), async (req, res, next) => {
+        try {
+            const tokens = await adminApiTokenService.listApiTokens();
+            res.json({ tokens, scopes: adminApiTokenService.API_TOKEN_SCOPES });
+        } catch (error) {
+            next(error);
+        }
+    })
+    .post(requireRole('owner'), async (req, res, next) => {
+        try {
+            const { name, scopes } = parseBody(req);
+            const apiToken = await adminApiTokenService.createApiToken(name, scopes, req.adminUser.username);
+            res.status(201).json({ success: true, ...apiToken });
+        } catch (error) {
+            if (error.message.includes('must') || error.message.includes('Unknown scopes')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+router.delete('/api-tokens/:id', requireRole('owner'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        if (!(await adminApiTokenService.revokeApiToken(id))) {
+            return res.status(404).json({ error: `API token ${id} not found.` });
+        }
+        res.json({ success: true, id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- Admin User Management --- (/api/admin/users)
+router.route('/users')
+    .get(requireRole('owner'), async (req, res, next) => {
+        try {
+            const users = await adminUserService.listAdminUsers();
+            const builtInUsername = process.env.ADMIN_PASSWORD ? adminUserService.getBuiltInAdminUsername() : null;
+            res.json({
+                users,
+                roles: adminUserService.ROLES,
+                builtInUsername,
+                builtInTwoFactorEnabled: builtInUsername ? await twoFactorService.isTwoFactorEnabled(builtInUsername) : false
+            });
+        } catch (error) {
+            next(error);
+        }
+    })
+    .post(requireRole('owner'), async (req, res, next) => {
+        try {
+            const { username, password, role } = parseBody(req);
+            await adminUserService.createAdminUser(username, password, role);
+            res.status(201).json({ success: true, username, role });
+        } catch (error) {
+            if (error.message.includes('already exists')) {
+                return res.status(409).json({ error: error.message });
+            }
+            if (error.message.includes('must')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+router.post('/users/update', requireRole('owner'), async (req, res, next) => {
+    try {
+        const { username, password, role } = parseBody(req);
+        if (!username || typeof username !== 'string') {
+            return res.status(400).json({ error: 'Request body must include a valid username (string)' });
+        }
+        if (password === undefined && role === undefined) {
+            return res.status(400).json({ error: 'Request body must include a password or role to change' });
+        }
+        await adminUserService.updateAdminUser(username, { password, role });
+        res.json({ success: true, username });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+// --- Failed Login Attempts --- (/api/admin/login-failures)
+router.get('/login-failures', requireRole('owner'), async (req, res, next) => {
+    try {
+        const failures = await loginAuditService.getRecentFailedLogins(req.query.limit);
+        res.json({ failures, throttle: loginThrottleService.getThrottleStatus() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/login-failures/unblock', requireRole('owner'), (req, res) => {
+    const { ip } = parseBody(req);
+    if (!ip || typeof ip !== 'string') {
+        return res.status(400).json({ error: 'Request body must include a valid ip (string)' });
+    }
+    if (!loginThrottleService.clearIp(ip)) {
+        return res.status(404).json({ error: `No failed logins recorded for IP ${ip}.` });
+    }
+    console.log(`Login block for IP ${ip} lifted by ${req.adminUser.username}.`);
+    res.json({ success: true, ip });
+});
+
+// Removes another user's 2FA, e.g. after they lost their authenticator device and recovery codes
+router.post('/users/reset-2fa', requireRole('owner'), async (req, res, next) => {
+    try {
+        const { username } = parseBody(req);
+        if (!username || typeof username !== 'string') {
+            return res.status(400).json({ error: 'Request body must include a valid username (string)' });
+        }
+        const removed = await twoFactorService.resetTwoFactor(username);
+        if (!removed) {
+            return res.status(404).json({ error: `Two-factor authentication is not set up for '${username}'.` });
+        }
+        res.json({ success: true, username });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/users/:username', requireRole('owner'), async (req, res, next) => {
+    try {
+        const username = req.params.username;
+        if (username === req.adminUser.username) {
+            return res.status(400).json({ error: 'You cannot delete the user you are logged in as.' });
+        }
+        await adminUserService.deleteAdminUser(username);
+        res.json({ success: true, username });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
 // --- Gemini Key Management --- (/api/admin/gemini-keys)
 router.route('/gemini-keys')
-    .get(async (req, res, next) => {
+    .get(requireRole('viewer', 'keys:read'), async (req, res, next) => {
         try {
             const keys = await geminiKeyService.getAllGeminiKeysWithUsage();
             res.json(keys);
@@ -32,7 +326,7 @@ router.route('/gemini-keys')
             next(error);
         }
     })
-    .post(async (req, res, next) => {
+    .post(requireRole('operator', 'keys:write'), async (req, res, next) => {
         try {
             const { key, name } = parseBody(req);
              if (!key || typeof key !== 'string') {
@@ -49,7 +343,7 @@ router.route('/gemini-keys')
     });
 
 // --- Batch Add Gemini Keys --- (/api/admin/gemini-keys/batch)
-router.post('/gemini-keys/batch', async (req, res, next) => {
+router.post('/gemini-keys/batch', requireRole('operator', 'keys:write'), async (req, res, next) => {
     try {
         const { keys } = parseBody(req);
         if (!Array.isArray(keys) || keys.length === 0) {
@@ -72,7 +366,7 @@ router.post('/gemini-keys/batch', async (req, res, next) => {
     }
 });
 
-router.delete('/gemini-keys/:id', async (req, res, next) => {
+router.delete('/gemini-keys/:id', requireRole('operator', 'keys:write'), async (req, res, next) => {
     try {
         const keyId = req.params.id;
         if (!keyId) {
@@ -111,7 +405,46 @@ function shouldMark400Error(responseBody) {
 }
 
 // --- Test Gemini Key --- (/api/admin/test-gemini-key)
-router.post('/test-gemini-key', async (req, res, next) => {
+router.post('/gemini-keys/weight', requireRole('operator', 'keys:write'), async (req, res, next) => {
+    try {
+        const { keyId, weight } = parseBody(req);
+        if (!keyId || typeof keyId !== 'string') {
+            return res.status(400).json({ error: 'Request body must include a valid keyId (string)' });
+        }
+        const weightNum = Number(weight);
+        if (!Number.isInteger(weightNum) || weightNum < 0 || weightNum > 1000) {
+            return res.status(400).json({ error: 'Weight must be an integer between 0 and 1000' });
+        }
+        await geminiKeyService.setGeminiKeyWeight(keyId, weightNum);
+        res.json({ success: true, id: keyId, weight: weightNum });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/gemini-keys/groups', requireRole('operator', 'keys:write'), async (req, res, next) => {
+    try {
+        const { keyId, groups = [] } = parseBody(req);
+        if (!keyId || typeof keyId !== 'string') {
+            return res.status(400).json({ error: 'Request body must include a valid keyId (string)' });
+        }
+        await geminiKeyService.setGeminiKeyGroups(keyId, groups);
+        res.json({ success: true, id: keyId });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('must be an array')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/test-gemini-key', requireRole('operator', 'keys:write'), async (req, res, next) => {
      try {
         const { keyId, modelId } = parseBody(req);
         if (!keyId || !modelId) {
@@ -222,7 +555,7 @@ if (isSuccess) {
 });
 
 // --- Get Available Gemini Models --- (/api/admin/gemini-models)
-router.get('/gemini-models', async (req, res, next) => {
+router.get('/gemini-models', requireRole('viewer', 'keys:read'), async (req, res, next) => {
      try {
          // Helper function to fetch models with a specific key
          const fetchModelsWithKey = async (key) => {
@@ -325,7 +658,7 @@ router.get('/gemini-models', async (req, res, next) => {
 
 
 // --- Error Key Management ---
-router.get('/error-keys', async (req, res, next) => {
+router.get('/error-keys', requireRole('viewer', 'keys:read'), async (req, res, next) => {
     try {
         const errorKeys = await geminiKeyService.getErrorKeys();
         res.json(errorKeys);
@@ -334,7 +667,7 @@ router.get('/error-keys', async (req, res, next) => {
     }
 });
 
-router.post('/clear-key-error', async (req, res, next) => {
+router.post('/clear-key-error', requireRole('operator', 'keys:write'), async (req, res, next) => {
     try {
         const { keyId } = parseBody(req);
          if (!keyId || typeof keyId !== 'string') {
@@ -350,7 +683,20 @@ router.post('/clear-key-error', async (req, res, next) => {
     }
 });
 
-router.delete('/error-keys', async (req, res, next) => {
+router.post('/clear-key-cooldown', requireRole('operator', 'keys:write'), async (req, res, next) => {
+    try {
+        const { keyId, modelId } = parseBody(req);
+        if (!keyId || typeof keyId !== 'string') {
+            return res.status(400).json({ error: 'Request body must include a valid keyId (string)' });
+        }
+        const cleared = geminiKeyService.clearKeyCooldown(keyId, typeof modelId === 'string' && modelId ? modelId : undefined);
+        res.json({ success: true, id: keyId, cleared });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/error-keys', requireRole('operator', 'keys:write'), async (req, res, next) => {
     try {
         const result = await geminiKeyService.deleteAllErrorKeys();
         res.json({
@@ -363,7 +709,7 @@ router.delete('/error-keys', async (req, res, next) => {
     }
 });
 
-router.post('/clear-all-errors', async (req, res, next) => {
+router.post('/clear-all-errors', requireRole('operator', 'keys:write'), async (req, res, next) => {
     try {
         const result = await geminiKeyService.clearAllErrorKeys();
         res.json({
@@ -379,15 +725,20 @@ router.post('/clear-all-errors', async (req, res, next) => {
 
 // --- Worker Key Management --- (/api/admin/worker-keys)
 router.route('/worker-keys')
-    .get(async (req, res, next) => {
+    .get(requireRole('viewer', 'workers:read'), async (req, res, next) => {
         try {
             const keys = await configService.getAllWorkerKeys();
+            // Requests per minute are tracked in memory rather than in the database
+            keys.forEach(key => {
+                key.usage.requestsLastMinute = workerKeyLimitService.getRequestsLastMinute(key.key);
+                key.key = maskWorkerKeyForViewer(req, key.key);
+            });
             res.json(keys);
         } catch (error) {
             next(error);
         }
     })
-    .post(async (req, res, next) => {
+    .post(requireRole('operator', 'workers:write'), async (req, res, next) => {
         try {
             const { key, description } = parseBody(req);
             if (!key || typeof key !== 'string' || key.trim() === '') {
@@ -403,7 +754,7 @@ router.route('/worker-keys')
         }
     });
 
-router.delete('/worker-keys/:key', async (req, res, next) => { // Use key in path param
+router.delete('/worker-keys/:key', requireRole('operator', 'workers:write'), async (req, res, next) => { // Use key in path param
      try {
         const keyToDelete = decodeURIComponent(req.params.key); // Decode URL component
          if (!keyToDelete) {
@@ -419,7 +770,7 @@ router.delete('/worker-keys/:key', async (req, res, next) => { // Use key in pat
     }
 });
 
-router.post('/worker-keys/safety-settings', async (req, res, next) => { // Specific path for safety
+router.post('/worker-keys/safety-settings', requireRole('operator', 'workers:write'), async (req, res, next) => { // Specific path for safety
     try {
         const { key, safetyEnabled } = parseBody(req);
         if (!key || typeof key !== 'string' || typeof safetyEnabled !== 'boolean') {
@@ -435,10 +786,67 @@ router.post('/worker-keys/safety-settings', async (req, res, next) => { // Speci
     }
 });
 
+router.post('/worker-keys/limits', requireRole('operator', 'workers:write'), async (req, res, next) => {
+    try {
+        const { key, rpm, rpd, tpd, monthlyBudget } = parseBody(req);
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ error: 'Request body must include key (string)' });
+        }
+        await configService.updateWorkerKeyLimits(key, { rpm, rpd, tpd, monthlyBudget });
+        res.json({ success: true, key: key });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Limit ')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/worker-keys/model-access', requireRole('operator', 'workers:write'), async (req, res, next) => {
+    try {
+        const { key, allowedModels = [], deniedModels = [] } = parseBody(req);
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ error: 'Request body must include key (string)' });
+        }
+        await configService.updateWorkerKeyModelAccess(key, allowedModels, deniedModels);
+        res.json({ success: true, key: key });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('must be an array')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/worker-keys/key-groups', requireRole('operator', 'workers:write'), async (req, res, next) => {
+    try {
+        const { key, keyGroups = [] } = parseBody(req);
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ error: 'Request body must include key (string)' });
+        }
+        await configService.updateWorkerKeyGroups(key, keyGroups);
+        res.json({ success: true, key: key });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('must be an array')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
 
 // --- Model Configuration Management --- (/api/admin/models)
 router.route('/models')
-    .get(async (req, res, next) => {
+    .get(requireRole('viewer', 'settings:read'), async (req, res, next) => {
         try {
             const config = await configService.getModelsConfig();
             // Convert to array format expected by UI
@@ -448,11 +856,11 @@ router.route('/models')
             next(error);
         }
     })
-    .post(async (req, res, next) => { // Add or Update
+    .post(requireRole('operator', 'settings:write'), async (req, res, next) => { // Add or Update
         try {
-             const { id, category, dailyQuota, individualQuota } = parseBody(req);
-             if (!id || !category || !['Pro', 'Flash', 'Custom'].includes(category)) {
-                 return res.status(400).json({ error: 'Request body must include valid id and category (Pro, Flash, or Custom)' });
+             const { id, category, dailyQuota, individualQuota, fallbackModels, keyStrategy, keyGroups } = parseBody(req);
+             if (!id || !category || !['Pro', 'Flash', 'Custom', 'Embedding'].includes(category)) {
+                 return res.status(400).json({ error: 'Request body must include valid id and category (Pro, Flash, Custom or Embedding)' });
              }
              // Basic validation for quotas (more in service layer)
              const dailyQuotaNum = (dailyQuota === null || dailyQuota === undefined || dailyQuota === '') ? null : Number(dailyQuota);
@@ -462,17 +870,24 @@ router.route('/models')
                  return res.status(400).json({ error: 'Quotas must be numbers or null/empty.' });
              }
 
-             await configService.setModelConfig(id, category, dailyQuotaNum, individualQuotaNum);
-             res.status(200).json({ success: true, id, category, dailyQuota: dailyQuotaNum, individualQuota: individualQuotaNum }); // Use 200 for add/update simplicity
+             // keyStrategy: a strategy name, null/'' to use the system default, omitted to keep the current override
+             const keyStrategyValue = (keyStrategy === null || keyStrategy === '') ? null : keyStrategy;
+             if (keyStrategyValue !== undefined && keyStrategyValue !== null && !keySelectionStrategies.isValidStrategy(keyStrategyValue)) {
+                 return res.status(400).json({ error: `keyStrategy must be one of: ${keySelectionStrategies.getStrategyNames().join(', ')}` });
+             }
+
+             // keyGroups: omitted keeps the current groups
+             await configService.setModelConfig(id, category, dailyQuotaNum, individualQuotaNum, fallbackModels, keyStrategyValue, keyGroups);
+             res.status(200).json({ success: true, id, category, dailyQuota: dailyQuotaNum, individualQuota: individualQuotaNum, fallbackModels, keyStrategy: keyStrategyValue, keyGroups }); // Use 200 for add/update simplicity
         } catch (error) {
-             if (error.message.includes('must be a non-negative integer')) {
+             if (error.message.includes('must be a non-negative integer') || error.message.includes('fallbackModels') || error.message.includes('keyGroups')) {
                 return res.status(400).json({ error: error.message });
              }
             next(error);
         }
     });
 
-router.delete('/models/:id', async (req, res, next) => { // Use ID in path
+router.delete('/models/:id', requireRole('operator', 'settings:write'), async (req, res, next) => { // Use ID in path
     try {
         const modelIdToDelete = decodeURIComponent(req.params.id);
          if (!modelIdToDelete) {
@@ -491,7 +906,7 @@ router.delete('/models/:id', async (req, res, next) => { // Use ID in path
 
 // --- Category Quota Management --- (/api/admin/category-quotas)
 router.route('/category-quotas')
-    .get(async (req, res, next) => {
+    .get(requireRole('viewer', 'settings:read'), async (req, res, next) => {
         try {
             const quotas = await configService.getCategoryQuotas();
             res.json(quotas);
@@ -499,12 +914,12 @@ router.route('/category-quotas')
             next(error);
         }
     })
-    .post(async (req, res, next) => {
+    .post(requireRole('operator', 'settings:write'), async (req, res, next) => {
         try {
-            const { proQuota, flashQuota } = parseBody(req);
+            const { proQuota, flashQuota, embeddingQuota } = parseBody(req);
             // Service layer handles detailed validation
-             await configService.setCategoryQuotas(proQuota, flashQuota);
-             res.json({ success: true, proQuota, flashQuota });
+             await configService.setCategoryQuotas(proQuota, flashQuota, embeddingQuota);
+             res.json({ success: true, proQuota, flashQuota, embeddingQuota });
         } catch (error) {
              if (error.message.includes('must be non-negative numbers')) {
                  return res.status(400).json({ error: error.message });
@@ -515,7 +930,7 @@ router.route('/category-quotas')
 
 // --- Vertex Configuration Management --- (/api/admin/vertex-config)
 router.route('/vertex-config')
-    .get(async (req, res, next) => {
+    .get(requireRole('operator', 'settings:write'), async (req, res, next) => {
         try {
             const config = await configService.getSetting('vertex_config', null);
             res.json(config);
@@ -523,7 +938,7 @@ router.route('/vertex-config')
             next(error);
         }
     })
-    .post(async (req, res, next) => {
+    .post(requireRole('operator', 'settings:write'), async (req, res, next) => {
         try {
             const { expressApiKey, vertexJson } = parseBody(req);
 
@@ -585,7 +1000,7 @@ router.route('/vertex-config')
             next(error);
         }
     })
-    .delete(async (req, res, next) => {
+    .delete(requireRole('operator', 'settings:write'), async (req, res, next) => {
         try {
             // Clear the configuration
             await configService.setSetting('vertex_config', null);
@@ -600,7 +1015,7 @@ router.route('/vertex-config')
     });
 
 // Test Vertex Configuration
-router.post('/vertex-config/test', async (req, res, next) => {
+router.post('/vertex-config/test', requireRole('operator', 'settings:write'), async (req, res, next) => {
     try {
         // Get current configuration
         const config = await configService.getSetting('vertex_config', null);
@@ -630,28 +1045,39 @@ router.post('/vertex-config/test', async (req, res, next) => {
 
 // --- System Settings Management --- (/api/admin/system-settings)
 router.route('/system-settings')
-    .get(async (req, res, next) => {
+    .get(requireRole('viewer', 'settings:read'), async (req, res, next) => {
         try {
             // Get settings from database
             const keepalive = await configService.getSetting('keepalive', '0');
             const maxRetry = await configService.getSetting('max_retry', '3');
             const webSearch = await configService.getSetting('web_search', '0');
             const autoTest = await configService.getSetting('auto_test', '0');
+            const imageFetchSettings = await configService.getImageFetchSettings();
+            const requestLogSettings = await requestLogService.getRequestLogSettings();
+            const keySelectionStrategy = await configService.getSetting('key_selection_strategy', keySelectionStrategies.DEFAULT_STRATEGY);
+            const quotaReset = await configService.getQuotaResetSettings();
 
             // Ensure consistent data types
             res.json({
                 keepalive: String(keepalive), // Ensure it's a string
                 maxRetry: parseInt(maxRetry) || 3,
                 webSearch: String(webSearch),
-                autoTest: String(autoTest)
+                autoTest: String(autoTest),
+                imageFetchMaxBytes: imageFetchSettings.maxBytes,
+                imageFetchAllowedHosts: imageFetchSettings.allowedHosts.join(', '),
+                logRequestBodies: requestLogSettings.logRequestBodies ? '1' : '0',
+                requestLogRetentionDays: requestLogSettings.retentionDays,
+                keySelectionStrategy: String(keySelectionStrategy),
+                keySelectionStrategies: keySelectionStrategies.getStrategyNames(),
+                quotaReset: quotaReset
             });
         } catch (error) {
             next(error);
         }
     })
-    .post(async (req, res, next) => {
+    .post(requireRole('operator', 'settings:write'), async (req, res, next) => {
         try {
-            const { keepalive, maxRetry, webSearch, autoTest } = parseBody(req);
+            const { keepalive, maxRetry, webSearch, autoTest, imageFetchMaxBytes, imageFetchAllowedHosts, logRequestBodies, requestLogRetentionDays, keySelectionStrategy, quotaReset } = parseBody(req);
 
             // Validate inputs
             if (keepalive !== '0' && keepalive !== '1') {
@@ -671,10 +1097,57 @@ router.route('/system-settings')
                 return res.status(400).json({ error: 'AUTO_TEST must be "0" or "1"' });
             }
 
+            // Image fetch settings are optional so older clients can still save the other settings
+            const imageFetchMaxBytesNum = imageFetchMaxBytes === undefined ? undefined : parseInt(imageFetchMaxBytes);
+            if (imageFetchMaxBytesNum !== undefined && (isNaN(imageFetchMaxBytesNum) || imageFetchMaxBytesNum <= 0)) {
+                return res.status(400).json({ error: 'IMAGE_FETCH_MAX_BYTES must be a positive number' });
+            }
+            if (imageFetchAllowedHosts !== undefined && typeof imageFetchAllowedHosts !== 'string') {
+                return res.status(400).json({ error: 'IMAGE_FETCH_ALLOWED_HOSTS must be a comma-separated string' });
+            }
+
+            // Request log settings are optional as well
+            if (logRequestBodies !== undefined && logRequestBodies !== '0' && logRequestBodies !== '1') {
+                return res.status(400).json({ error: 'LOG_REQUEST_BODIES must be "0" or "1"' });
+            }
+            const retentionDaysNum = requestLogRetentionDays === undefined ? undefined : parseInt(requestLogRetentionDays);
+            if (retentionDaysNum !== undefined && (isNaN(retentionDaysNum) || retentionDaysNum < 1 || retentionDaysNum > 365)) {
+                return res.status(400).json({ error: 'REQUEST_LOG_RETENTION_DAYS must be a number between 1 and 365' });
+            }
+            if (keySelectionStrategy !== undefined && !keySelectionStrategies.isValidStrategy(keySelectionStrategy)) {
+                return res.status(400).json({ error: `KEY_SELECTION_STRATEGY must be one of: ${keySelectionStrategies.getStrategyNames().join(', ')}` });
+            }
+            let quotaResetValue;
+            if (quotaReset !== undefined) {
+                try {
+                    quotaResetValue = configService.parseQuotaResetSettings(quotaReset);
+                } catch (validationError) {
+                    return res.status(400).json({ error: validationError.message });
+                }
+            }
+
             // Save to database (skip sync for first three, sync on the last one)
             await configService.setSetting('keepalive', keepalive, true); // Skip sync
             await configService.setSetting('max_retry', maxRetryNum.toString(), true); // Skip sync
             await configService.setSetting('web_search', webSearch, true); // Skip sync
+            if (imageFetchMaxBytesNum !== undefined) {
+                await configService.setSetting('image_fetch_max_bytes', imageFetchMaxBytesNum.toString(), true); // Skip sync
+            }
+            if (imageFetchAllowedHosts !== undefined) {
+                await configService.setSetting('image_fetch_allowed_hosts', imageFetchAllowedHosts.trim(), true); // Skip sync
+            }
+            if (logRequestBodies !== undefined) {
+                await configService.setSetting('log_request_bodies', logRequestBodies, true); // Skip sync
+            }
+            if (retentionDaysNum !== undefined) {
+                await configService.setSetting('request_log_retention_days', retentionDaysNum.toString(), true); // Skip sync
+            }
+            if (keySelectionStrategy !== undefined) {
+                await configService.setSetting('key_selection_strategy', keySelectionStrategy, true); // Skip sync
+            }
+            if (quotaResetValue !== undefined) {
+                await configService.setSetting('quota_reset', quotaResetValue, true); // Skip sync
+            }
             await configService.setSetting('auto_test', autoTest); // Trigger sync on last setting
 
             // Update scheduler service when auto_test setting changes
@@ -692,15 +1165,103 @@ router.route('/system-settings')
                 keepalive: keepalive,
                 maxRetry: maxRetryNum,
                 webSearch: webSearch,
-                autoTest: autoTest
+                autoTest: autoTest,
+                imageFetchMaxBytes: imageFetchMaxBytesNum,
+                imageFetchAllowedHosts: imageFetchAllowedHosts,
+                logRequestBodies: logRequestBodies,
+                requestLogRetentionDays: retentionDaysNum,
+                keySelectionStrategy: keySelectionStrategy,
+                quotaReset: quotaResetValue
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+// --- Request Log --- (/api/admin/request-logs)
+router.route('/request-logs')
+    .get(requireRole('viewer', 'logs:read'), async (req, res, next) => {
+        try {
+            const { workerKey, model, geminiKeyId, status, errorsOnly, from, to, page, pageSize } = req.query;
+            const statusNum = status ? parseInt(status) : undefined;
+            if (status && isNaN(statusNum)) {
+                return res.status(400).json({ error: 'status must be a number' });
+            }
+            const logs = await requestLogService.getRequestLogs({
+                workerKey,
+                model,
+                geminiKeyId,
+                status: statusNum,
+                errorsOnly: errorsOnly === '1' || errorsOnly === 'true',
+                from,
+                to,
+                page,
+                pageSize
+            });
+            logs.logs.forEach(log => {
+                log.workerKey = maskWorkerKeyForViewer(req, log.workerKey);
             });
+            res.json(logs);
+        } catch (error) {
+            next(error);
+        }
+    })
+    .delete(requireRole('operator'), async (req, res, next) => {
+        try {
+            const deleted = await requestLogService.clearRequestLogs();
+            res.json({ success: true, deleted });
         } catch (error) {
             next(error);
         }
     });
 
+router.get('/request-logs/:id', requireRole('viewer', 'logs:read'), async (req, res, next) => {
+    try {
+        const log = await requestLogService.getRequestLog(parseInt(req.params.id));
+        if (!log) {
+            return res.status(404).json({ error: `Request log entry ${req.params.id} not found.` });
+        }
+        log.workerKey = maskWorkerKeyForViewer(req, log.workerKey);
+        res.json(log);
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/request-logs/prune', requireRole('operator'), async (req, res, next) => {
+    try {
+        const deleted = await requestLogService.pruneRequestLogs();
+        res.json({ success: true, deleted });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- Usage History --- (/api/admin/usage-history)
+router.get('/usage-history', requireRole('viewer', 'logs:read'), async (req, res, next) => {
+    try {
+        const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+        if (isNaN(days) || days < 1 || days > usageHistoryService.MAX_HISTORY_DAYS) {
+            return res.status(400).json({ error: `days must be a number between 1 and ${usageHistoryService.MAX_HISTORY_DAYS}` });
+        }
+        const history = await usageHistoryService.getUsageHistory(days);
+        history.entries.forEach(entry => {
+            if (entry.sourceType === 'worker_key') {
+                entry.sourceId = maskWorkerKeyForViewer(req, entry.sourceId);
+            }
+        });
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Disposition', `attachment; filename="usage-${history.since}-${history.until}.csv"`);
+            return res.type('text/csv').send(usageHistoryService.toCsv(history.entries));
+        }
+        res.json({ days, ...history });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // --- Batch Test Management --- (/api/admin/batch-test)
-router.post('/batch-test/run', async (req, res, next) => {
+router.post('/batch-test/run', requireRole('operator', 'keys:write'), async (req, res, next) => {
     try {
         console.log('Manual batch test triggered via API');
         const result = await batchTestService.runBatchTest();
@@ -716,7 +1277,7 @@ router.post('/batch-test/run', async (req, res, next) => {
     }
 });
 
-router.get('/batch-test/status', async (req, res, next) => {
+router.get('/batch-test/status', requireRole('viewer', 'keys:read'), async (req, res, next) => {
     try {
         const schedulerService = require('../services/schedulerService');
         const schedulerStatus = schedulerService.getStatus();
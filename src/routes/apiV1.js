@@ -3,9 +3,13 @@
 const express = require('express');
 const { Readable, Transform } = require('stream'); // For handling streams and transforming
 const requireWorkerAuth = require('../middleware/workerAuth');
+const enforceWorkerKeyLimits = require('../middleware/workerLimits');
+const recordRequestLog = require('../middleware/requestLog');
 const geminiProxyService = require('../services/geminiProxyService');
 const configService = require('../services/configService'); // For /v1/models
 const transformUtils = require('../utils/transform');
+const anthropicTransform = require('../utils/anthropicTransform');
+const { isModelAllowed } = require('../utils/helpers');
 
 // Import vertexProxyService, which now includes manual loading logic
 const vertexProxyService = require('../services/vertexProxyService');
@@ -15,69 +19,421 @@ const router = express.Router();
 // Apply worker authentication middleware to all /v1 routes
 router.use(requireWorkerAuth);
 
-// --- /v1/models ---
-router.get('/models', async (req, res, next) => {
-    try {
-        const modelsConfig = await configService.getModelsConfig();
-        let modelsData = Object.keys(modelsConfig).map(modelId => ({
-            id: modelId,
-            object: "model",
-            created: Math.floor(Date.now() / 1000), // Placeholder timestamp
-            owned_by: "google", // Assuming all configured models are Google's
-            // Add other relevant properties if available/needed
-        }));
-
-        // Check if web search is enabled
-        const webSearchEnabled = String(await configService.getSetting('web_search', '0')) === '1';
-
-        // Add search versions for gemini-2.0+ series models only if web search is enabled
-        let searchModels = [];
-        if (webSearchEnabled) {
-            searchModels = Object.keys(modelsConfig)
-                .filter(modelId =>
-                    // Match gemini-2.0, gemini-2.5, gemini-3.0, etc. series models
-                    /^gemini-[2-9]\.\d/.test(modelId) &&
-                    // Exclude models that are already search versions
-                    !modelId.endsWith('-search')
-                )
-                .map(modelId => ({
-                    id: `${modelId}-search`,
-                    object: "model",
-                    created: Math.floor(Date.now() / 1000),
-                    owned_by: "google",
-                }));
+/**
+ * Builds the 403 error body for a model the worker key is not allowed to use.
+ * @param {string} modelId
+ * @returns {{ error: object }}
+ */
+function modelNotAllowedError(modelId) {
+    return {
+        error: {
+            message: `Model ${modelId} is not allowed for this API key.`,
+            type: 'invalid_request_error',
+            param: 'model',
+            code: 'model_not_allowed'
+        }
+    };
+}
+
+/**
+ * Sends an OpenAI-format request to Gemini or Vertex, walking the requested model's fallback chain
+ * (models_config.fallback_models) while the upstream reports exhausted quota (503/429) or a 5xx error.
+ * Fallback models the worker key is not allowed to use are skipped.
+ * @param {object} openAIRequestBody The OpenAI request; `model` is replaced for each fallback attempt.
+ * @param {string} workerApiKey
+ * @param {boolean} stream
+ * @param {object | null} keepAliveCallback
+ * @returns {Promise<{ result: object, servedModelId: string, attempts: number }>} The last proxy result, the model
+ *   that produced it and the number of upstream attempts across the whole chain.
+ */
+async function proxyWithFallback(openAIRequestBody, workerApiKey, stream, keepAliveCallback) {
+    const requestedModelId = openAIRequestBody.model;
+    const modelsConfig = await configService.getModelsConfig();
+    const chain = [requestedModelId, ...(modelsConfig[requestedModelId]?.fallbackModels || [])];
+    const modelAccess = await configService.getWorkerKeyModelAccess(workerApiKey);
+
+    let result;
+    let servedModelId = requestedModelId;
+    let attempts = 0;
+    for (const [index, modelId] of chain.entries()) {
+        const useVertex = modelId.startsWith('[v]') && vertexProxyService.isVertexEnabled();
+        if (index > 0) {
+            if (modelId.startsWith('[v]') && !useVertex) {
+                console.warn(`Skipping fallback model ${modelId}: Vertex AI is not enabled.`);
+                continue;
+            }
+            if (!isModelAllowed(modelId, modelAccess)) {
+                console.warn(`Skipping fallback model ${modelId}: not allowed for this worker key.`);
+                continue;
+            }
+            console.warn(`Model ${servedModelId} unavailable (status ${result.status}), falling back to ${modelId}.`);
+        }
+
+        const requestBody = index === 0 ? openAIRequestBody : { ...openAIRequestBody, model: modelId };
+        if (useVertex) {
+            // Use Vertex proxy service to handle the request
+            console.log(`Using Vertex AI to process model: ${modelId}`);
+            result = await vertexProxyService.proxyVertexChatCompletions(requestBody, workerApiKey, stream, keepAliveCallback);
+        } else {
+            // Use Gemini proxy service to handle the request
+            result = await geminiProxyService.proxyChatCompletions(requestBody, workerApiKey, stream, keepAliveCallback);
         }
+        servedModelId = modelId;
+        attempts += result.attempts ?? 1; // Vertex makes a single attempt
+
+        const status = result.status || 500;
+        if (!result.error || (status !== 429 && status < 500)) {
+            break;
+        }
+    }
+
+    return { result, servedModelId, attempts };
+}
+
+/**
+ * Creates a Transform stream that converts an upstream streaming body into OpenAI SSE lines.
+ * Gemini bodies are a streamed JSON array of GenerateContentResponse objects; Vertex bodies are
+ * already OpenAI chunk objects emitted back to back by vertexProxyService.
+ * @param {string} selectedKeyId The key that served the request ('vertex-ai' for Vertex).
+ * @param {string} requestedModelId Model ID reported back in each chunk.
+ * @param {import('express').Response} res Response used to flush compressed output early.
+ * @param {boolean} [includeUsage=false] Emit a final usage chunk before [DONE] (stream_options.include_usage).
+ *   Vertex streams add their own usage chunk in vertexProxyService.
+ * @returns {Transform}
+ */
+function createOpenAiSseTransformer(selectedKeyId, requestedModelId, res, includeUsage = false) {
+    const decoder = new TextDecoder();
+    let lastUsageMetadata;
+    let buffer = '';
+    let lineBuffer = '';
+    let jsonCollector = '';
+    let isCollectingJson = false;
+    let openBraces = 0;
+    let closeBraces = 0;
+
+    // Implement stream processing transformer for both Gemini and Vertex streams
+    const streamTransformer = new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                const chunkStr = decoder.decode(chunk, { stream: true });
+                buffer += chunkStr;
+
+                // Process based on the source (Gemini or Vertex)
+                if (selectedKeyId === 'vertex-ai') {
+                    // Vertex stream response is a series of continuous JSON objects without newline separation
+                    // Use a method similar to Gemini to process JSON objects
+                    let startPos = -1;
+                    let endPos = -1;
+                    let bracketDepth = 0;
+                    let inString = false;
+                    let escapeNext = false;
+                    let flushed = false;
+                    
+                    // Scan the entire buffer to find complete JSON objects
+                    for (let i = 0; i < buffer.length; i++) {
+                        const char = buffer[i];
+                        
+                        // Handle characters inside strings
+                        if (inString) {
+                            if (escapeNext) {
+                                escapeNext = false;
+                            } else if (char === '\\') {
+                                escapeNext = true;
+                            } else if (char === '"') {
+                                inString = false;
+                            }
+                            continue;
+                        }
+                        
+                        // Handle characters outside strings
+                        if (char === '{') {
+                            if (bracketDepth === 0) {
+                                startPos = i; // Record the starting position of a new JSON object
+                            }
+                            bracketDepth++;
+                        } else if (char === '}') {
+                            bracketDepth--;
+                            if (bracketDepth === 0 && startPos !== -1) {
+                                endPos = i;
+                                
+                                // Extract and process the complete JSON object
+                                const jsonStr = buffer.substring(startPos, endPos + 1);
+                                try {
+                                    // Check if it's the 'done' marker from vertexProxyService's flush
+                                    // We only need to parse if we suspect it might be the done object.
+                                    // Otherwise, jsonStr is already the stringified chunk we want.
+                                    if (jsonStr.includes('"done":true')) { // Quick check
+                                        try {
+                                            const jsonObj = JSON.parse(jsonStr);
+                                            if (jsonObj.done) {
+                                                // This is the '{"done":true}' from vertexProxyService's flush.
+                                                // The main flush of apiV1's transformer will send 'data: [DONE]\n\n'. So, ignore this one.
+                                                // It carries the final usage so it can be counted against the worker key.
+                                                if (jsonObj.usageMetadata) {
+                                                    lastUsageMetadata = jsonObj.usageMetadata;
+                                                }
+                                            } else {
+                                                // It wasn't the done object, but was parsable. Send it.
+                                                this.push(`data: ${jsonStr}\n\n`);
+                                                if (typeof res.flush === 'function') res.flush();
+                                            }
+                                        } catch (e) {
+                                            // Parsing failed, but it might still be a valid (non-done) chunk.
+                                            // This case should ideally not happen if vertexProxyService sends valid JSONs.
+                                            console.error("Error parsing potential Vertex JSON object:", e, "Original string:", jsonStr);
+                                            this.push(`data: ${jsonStr}\n\n`); // Send as is if parsing fails but wasn't 'done'
+                                            if (typeof res.flush === 'function') res.flush();
+                                        }
+                                    } else {
+                                        // Not the 'done' marker, so jsonStr is a data chunk.
+                                        this.push(`data: ${jsonStr}\n\n`);
+                                        if (typeof res.flush === 'function') res.flush();
+                                    }
+                                } catch (e) {
+                                    // This outer catch handles errors from buffer.substring or other unexpected issues
+                                    console.error("Error processing Vertex JSON chunk:", e, "Original string:", jsonStr);
+                                }
+                                
+                                // Continue searching for the next object
+                                startPos = -1;
+                                
+                                // Truncate the processed part
+                                if (i + 1 < buffer.length) {
+                                    buffer = buffer.substring(endPos + 1);
+                                    i = -1; // Reset index to scan the remaining buffer from the beginning
+                                } else {
+                                    buffer = '';
+                                    break; // Exit loop if buffer is exhausted
+                                }
+                            }
+                        } else if (char === '"') {
+                            inString = true;
+                        }
+                    }
+                } else {
+                     // Original Gemini stream processing (find raw Gemini JSON chunks)
+                    let startPos = -1;
+                    let endPos = -1;
+                let bracketDepth = 0;
+                let inString = false;
+                let escapeNext = false;
+                
+                // Scan the entire buffer to find complete JSON objects
+                for (let i = 0; i < buffer.length; i++) {
+                    const char = buffer[i];
+                    
+                    // Handle characters within strings
+                    if (inString) {
+                        if (escapeNext) {
+                            escapeNext = false;
+                        } else if (char === '\\') {
+                            escapeNext = true;
+                        } else if (char === '"') {
+                            inString = false;
+                        }
+                        continue;
+                    }
+                    
+                    // Handle characters outside strings
+                    if (char === '{') {
+                        if (bracketDepth === 0) {
+                            startPos = i; // Record the starting position of a new JSON object
+                        }
+                        bracketDepth++;
+                    } else if (char === '}') {
+                        bracketDepth--;
+                        if (bracketDepth === 0 && startPos !== -1) {
+                            endPos = i;
+                            
+                            // Extract and process the complete JSON object
+                            const jsonStr = buffer.substring(startPos, endPos + 1);
+                            try {
+                                const jsonObj = JSON.parse(jsonStr);
+                                // Immediately process and send this object
+                                processGeminiObject(jsonObj, this);
+                            } catch (e) {
+                                console.error("Error parsing JSON object:", e);
+                            }
+                            
+                                        // Continue searching for the next object
+                                        startPos = -1;
+                                    }
+                                } else if (char === '"') {
+                                    inString = true;
+                                } else if (char === '[' && !inString && startPos === -1) {
+                                    // Ignore the start marker of JSON arrays, as we process each object individually
+                                    continue;
+                                } else if (char === ']' && !inString && bracketDepth === 0) {
+                                    // Ignore the end marker of JSON arrays
+                                    continue;
+                                } else if (char === ',') {
+                                    // If there's a comma after an object, continue processing the next object
+                                    continue;
+                                }
+                            }
+                            
+                            // Keep the unprocessed part for Gemini stream
+                            if (startPos !== -1 && endPos !== -1 && endPos > startPos) {
+                                buffer = buffer.substring(endPos + 1);
+                            } else if (startPos !== -1) {
+                                buffer = buffer.substring(startPos);
+                            } else {
+                                buffer = '';
+                            }
+                    } // End of else (Gemini stream processing)
+                
+                callback();
+            } catch (e) {
+                console.error("Error in stream transform:", e);
+                callback(e);
+            }
+        },
         
-        // Add non-thinking versions for gemini-2.5-flash-preview models
-        const nonThinkingModels = Object.keys(modelsConfig)
-            .filter(modelId => 
-                // Currently only gemini-2.5-flash-preview supports thinkingBudget
-                modelId.includes('gemini-2.5-flash-preview') && 
-                // Exclude models that are already non-thinking versions
-                !modelId.endsWith(':non-thinking')
-            )
-            .map(modelId => ({
-                id: `${modelId}:non-thinking`,
-                object: "model",
-                created: Math.floor(Date.now() / 1000),
-                owned_by: "google",
-            }));
+        flush(callback) {
+            try {
+        // Handling the remaining buffer
+        if (buffer.trim()) {
+             if (selectedKeyId === 'vertex-ai') {
+                if (buffer.trim()) {
+                    let startPos = -1;
+                    let endPos = -1;
+                    let bracketDepth = 0;
+                    let inString = false;
+                    let escapeNext = false;
+                    
+                    for (let i = 0; i < buffer.length; i++) {
+                        const char = buffer[i];
+                        
+                        if (inString) {
+                            if (escapeNext) {
+                                escapeNext = false;
+                            } else if (char === '\\') {
+                                escapeNext = true;
+                            } else if (char === '"') {
+                                inString = false;
+                            }
+                            continue;
+                        }
+                        
+                        if (char === '{') {
+                            if (bracketDepth === 0) {
+                                startPos = i;
+                            }
+                            bracketDepth++;
+                        } else if (char === '}') {
+                            bracketDepth--;
+                            if (bracketDepth === 0 && startPos !== -1) {
+                                endPos = i;
+                                
+                                try {
+                                    const jsonStr = buffer.substring(startPos, endPos + 1);
+                                    const jsonObj = JSON.parse(jsonStr);
+                                    if (!jsonObj.done) { // Avoid duplicate DONE
+                                        this.push(`data: ${JSON.stringify(jsonObj)}\n\n`);
+                                    }
+                                } catch (e) {
+                                    console.debug("Could not parse Vertex buffer JSON:", e);
+                                }
+                                
+                                // Update the buffer and reset the index
+                                if (endPos + 1 < buffer.length) {
+                                    buffer = buffer.substring(endPos + 1);
+                                    i = -1; // Reset index
+                                } else {
+                                    buffer = '';
+                                    break;
+                                }
+                            }
+                        } else if (char === '"') {
+                            inString = true;
+                        }
+                    }
+                }
+             } else {
+                        // Try parsing remaining Gemini JSON object
+                        try {
+                            const jsonObj = JSON.parse(buffer);
+                            processGeminiObject(jsonObj, this); // Use existing Gemini processing
+                        } catch (e) {
+                            console.debug("Could not parse final Gemini buffer:", buffer, e);
+                        }
+                     }
+                }
+                
+                if (includeUsage && selectedKeyId !== 'vertex-ai') {
+                    this.push(transformUtils.buildUsageStreamChunk(lastUsageMetadata, requestedModelId));
+                }
+                if (lastUsageMetadata) {
+                    res.locals.tokenUsage = transformUtils.transformGeminiUsage(lastUsageMetadata);
+                }
+
+                // Always send the final [DONE] event
+                                        // console.log("Stream transformer flushing, sending [DONE]."); // Removed log
+                                        this.push('data: [DONE]\n\n');
+                                        callback();
+                                    } catch (e) {
+                                        console.error("Error in stream flush:", e); // Keep error log in English
+                callback(e);
+            }
+        }
+    });
+    
+    // Process a single Gemini API response object and convert it to OpenAI format
+    function processGeminiObject(geminiObj, stream) {
+        if (!geminiObj) return;
+
+        // usageMetadata is cumulative, so the last one seen covers the whole response
+        if (geminiObj.usageMetadata) {
+            lastUsageMetadata = geminiObj.usageMetadata;
+        }
         
-        // Merge regular, search and non-thinking model lists
-        modelsData = [...modelsData, ...searchModels, ...nonThinkingModels];
+        // If it's a valid Gemini response object (contains candidates)
+        if (geminiObj.candidates && geminiObj.candidates.length > 0) {
+            // Convert and send directly
+            const openaiChunkStr = transformUtils.transformGeminiStreamChunk(geminiObj, requestedModelId);
+            if (openaiChunkStr) {
+                stream.push(openaiChunkStr);
+            }
+        } else if (Array.isArray(geminiObj)) {
+            // If it's an array, process each element
+            for (const item of geminiObj) {
+                processGeminiObject(item, stream);
+            }
+        } else if (geminiObj.text) {
+            // Single text fragment, construct Gemini format
+            const mockGeminiChunk = {
+                candidates: [{
+                    content: {
+                        parts: [{ text: geminiObj.text }],
+                        role: "model"
+                    }
+                }]
+            };
+            
+            const openaiChunkStr = transformUtils.transformGeminiStreamChunk(mockGeminiChunk, requestedModelId);
+            if (openaiChunkStr) {
+                stream.push(openaiChunkStr);
+            }
+        }
+        // May need to handle other response types...
+    }
+
+    return streamTransformer;
+}
 
-        // If Vertex feature is enabled (via manual loading), add Vertex AI supported models
-        if (vertexProxyService.isVertexEnabled()) {
-            const vertexModels = vertexProxyService.getVertexSupportedModels().map(modelId => ({
-                id: modelId,  // Model ID including [v] prefix
+// --- /v1/models ---
+router.get('/models', async (req, res, next) => {
+    try {
+        // Only list the models the calling worker key may use
+        const modelAccess = await configService.getWorkerKeyModelAccess(req.workerApiKey);
+        const modelsData = (await geminiProxyService.getEnabledModelIds())
+            .filter(modelId => isModelAllowed(modelId, modelAccess))
+            .map(modelId => ({
+                id: modelId, // Vertex models include the [v] prefix
                 object: "model",
-                created: Math.floor(Date.now() / 1000),
-                owned_by: "google",
+                created: Math.floor(Date.now() / 1000), // Placeholder timestamp
+                owned_by: "google", // Assuming all configured models are Google's
             }));
-            
-            // Add Vertex models to the list
-            modelsData = [...modelsData, ...vertexModels];
-        }
 
         res.json({ object: "list", data: modelsData });
     } catch (error) {
@@ -87,7 +443,7 @@ router.get('/models', async (req, res, next) => {
 });
 
 // --- /v1/chat/completions ---
-router.post('/chat/completions', async (req, res, next) => {
+router.post('/chat/completions', recordRequestLog, enforceWorkerKeyLimits, async (req, res, next) => {
     const openAIRequestBody = req.body;
     const workerApiKey = req.workerApiKey; // Attached by requireWorkerAuth middleware
     const stream = openAIRequestBody?.stream ?? false;
@@ -95,30 +451,7 @@ router.post('/chat/completions', async (req, res, next) => {
     
     try {
         // --- Model Validation Step ---
-        // Get all available models to validate against the request
-        const modelsConfig = await configService.getModelsConfig();
-        let enabledModels = Object.keys(modelsConfig);
-
-        // Add search versions if web search is enabled
-        const webSearchEnabled = String(await configService.getSetting('web_search', '0')) === '1';
-        if (webSearchEnabled) {
-            const searchModels = Object.keys(modelsConfig)
-                .filter(modelId => /^gemini-[2-9]\.\d/.test(modelId) && !modelId.endsWith('-search'))
-                .map(modelId => `${modelId}-search`);
-            enabledModels = [...enabledModels, ...searchModels];
-        }
-        
-        // Add non-thinking versions
-        const nonThinkingModels = Object.keys(modelsConfig)
-            .filter(modelId => modelId.includes('gemini-2.5-flash-preview') && !modelId.endsWith(':non-thinking'))
-            .map(modelId => `${modelId}:non-thinking`);
-        enabledModels = [...enabledModels, ...nonThinkingModels];
-
-        // Add Vertex models if the feature is enabled
-        if (vertexProxyService.isVertexEnabled()) {
-            const vertexModels = vertexProxyService.getVertexSupportedModels();
-            enabledModels = [...enabledModels, ...vertexModels];
-        }
+        const enabledModels = await geminiProxyService.getEnabledModelIds();
 
         // Validate that the requested model is in the enabled list
         if (!requestedModelId || !enabledModels.includes(requestedModelId)) {
@@ -130,22 +463,14 @@ router.post('/chat/completions', async (req, res, next) => {
                 }
             });
         }
+        if (!isModelAllowed(requestedModelId, await configService.getWorkerKeyModelAccess(workerApiKey))) {
+            return res.status(403).json(modelNotAllowedError(requestedModelId));
+        }
         // --- End Model Validation ---
         
-        // Check if this is a non-thinking model request
-        const isNonThinking = requestedModelId?.endsWith(':non-thinking');
-        // Remove the suffix for actual model lookup, but keep original for response
-        const actualModelId = isNonThinking ? requestedModelId.replace(':non-thinking', '') : requestedModelId;
-        
-        // Set thinkingBudget to 0 for non-thinking models
-        const thinkingBudget = isNonThinking ? 0 : undefined;
-        
-        // If model was modified, update the request body with the actual model ID
-        if (isNonThinking) {
-            openAIRequestBody.model = actualModelId;
-        }
-
         let result;
+        // Model that actually served the request (differs from requestedModelId after a fallback)
+        let servedModelId = requestedModelId;
 
         // KEEPALIVE mode setup - prepare heartbeat callback if needed
         let keepAliveCallback = null;
@@ -239,6 +564,9 @@ router.post('/chat/completions', async (req, res, next) => {
             // Create callback object for geminiProxyService
             keepAliveCallback = {
                 startHeartbeat: () => {
+                    if (keepAliveTimerId || isConnectionClosed) {
+                        return; // Already beating for an earlier model in the fallback chain, or already stopped
+                    }
                     console.log('KEEPALIVE: Starting heartbeat (3 second intervals)');
                     keepAliveTimerId = setInterval(sendKeepAliveSseChunk, 3000); // 3 second intervals
                     sendKeepAliveSseChunk(); // Send first one immediately
@@ -247,7 +575,8 @@ router.post('/chat/completions', async (req, res, next) => {
                     console.log('KEEPALIVE: Stopping heartbeat');
                     cleanup();
                 },
-                sendFinalResponse: (responseData) => {
+                // modelId is the model that answered, which differs from the requested one after a fallback
+                sendFinalResponse: (responseData, modelId = servedModelId) => {
                     try {
                         // Double-check connection status
                         if (res.writableEnded || res.destroyed || !res.writable) {
@@ -257,22 +586,30 @@ router.post('/chat/completions', async (req, res, next) => {
 
                         const openAIResponse = JSON.parse(transformUtils.transformGeminiResponseToOpenAI(
                             responseData,
-                            requestedModelId
+                            modelId
                         ));
-                        const content = openAIResponse.choices[0].message.content || "";
+                        const { content, reasoning_content: reasoningContent } = openAIResponse.choices[0].message;
                         const completeChunk = {
                             id: `chatcmpl-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
                             object: "chat.completion.chunk",
                             created: Math.floor(Date.now() / 1000),
-                            model: requestedModelId,
+                            model: modelId,
                             choices: [{
                                 index: 0,
-                                delta: { role: "assistant", content: content },
+                                delta: {
+                                    role: "assistant",
+                                    content: content || "",
+                                    ...(reasoningContent && { reasoning_content: reasoningContent })
+                                },
                                 finish_reason: openAIResponse.choices[0].finish_reason || "stop"
                             }]
                         };
 
                         keepAliveSseStream.push(`data: ${JSON.stringify(completeChunk)}\n\n`);
+                        res.locals.tokenUsage = openAIResponse.usage;
+                        if (openAIRequestBody.stream_options?.include_usage === true) {
+                            keepAliveSseStream.push(transformUtils.buildUsageStreamChunk(responseData.usageMetadata, modelId));
+                        }
                         keepAliveSseStream.push('data: [DONE]\n\n');
                         keepAliveSseStream.push(null); // End the stream
                     } catch (error) {
@@ -302,7 +639,8 @@ router.post('/chat/completions', async (req, res, next) => {
                             error: {
                                 message: errorData.message || 'Upstream API error',
                                 type: errorData.type || 'upstream_error',
-                                code: errorData.code
+                                code: errorData.code,
+                                status: errorData.status
                             }
                         };
 
@@ -322,59 +660,24 @@ router.post('/chat/completions', async (req, res, next) => {
             };
         }
 
-        // Check if it's a Vertex model (with [v] prefix) and confirm Vertex feature is enabled
-        if (requestedModelId && requestedModelId.startsWith('[v]') && vertexProxyService.isVertexEnabled()) {
-            // Use Vertex proxy service to handle the request
-            console.log(`Using Vertex AI to process model: ${requestedModelId}`);
-            result = await vertexProxyService.proxyVertexChatCompletions(
-                openAIRequestBody,
-                workerApiKey,
-                stream,
-                keepAliveCallback
-            );
-        } else {
-            // Use Gemini proxy service to handle the request with optional thinkingBudget
-            result = await geminiProxyService.proxyChatCompletions(
-                openAIRequestBody,
-                workerApiKey,
-                stream,
-                thinkingBudget,
-                keepAliveCallback
-            );
+        // Vertex models ([v] prefix) go to Vertex, everything else to Gemini, following fallback chains on failure
+        let attempts;
+        ({ result, servedModelId, attempts } = await proxyWithFallback(openAIRequestBody, workerApiKey, stream, keepAliveCallback));
+        Object.assign(res.locals, { servedModelId, attempts, selectedKeyId: result.selectedKeyId });
+        if (servedModelId !== requestedModelId && !res.headersSent) {
+            res.setHeader('X-JimiHub-Fallback', servedModelId);
         }
 
         // Check if the service returned an error
         if (result.error) {
             // In KEEPALIVE mode, send error through the heartbeat stream
             if (useKeepAlive && keepAliveCallback) {
+                // Every model in the fallback chain failed; end the heartbeat stream with the last error
                 console.log('KEEPALIVE: Sending error response through heartbeat stream');
-                try {
-                    // Stop heartbeat first
-                    keepAliveCallback.stopHeartbeat();
-
-                    // Send error through the stream
-                    const errorPayload = {
-                        error: {
-                            message: result.error.message || 'Upstream API error',
-                            type: result.error.type || 'upstream_error',
-                            code: result.error.code,
-                            status: result.status || 500
-                        }
-                    };
-
-                    // Use the existing stream to send error
-                    const { Readable } = require('stream');
-                    const errorStream = new Readable({ read() {} });
-                    errorStream.pipe(res);
-                    errorStream.push(`data: ${JSON.stringify(errorPayload)}\n\n`);
-                    errorStream.push('data: [DONE]\n\n');
-                    errorStream.push(null);
-                    return;
-                } catch (streamError) {
-                    console.error('KEEPALIVE: Failed to send error through stream:', streamError);
-                    // Fallback: if stream fails, we can't do much more since headers are already sent
-                    return;
-                }
+                res.locals.errorType = result.error.type || result.error.code || 'error';
+                keepAliveCallback.stopHeartbeat();
+                keepAliveCallback.sendError({ ...result.error, status: result.status || 500 });
+                return;
             } else {
                 // Normal mode: set headers and send JSON error
                 res.setHeader('Content-Type', 'application/json');
@@ -389,10 +692,8 @@ router.post('/chat/completions', async (req, res, next) => {
 
         // Check if this is a KEEPALIVE special response first
         if (result.isKeepAlive) {
-            console.log(`KEEPALIVE mode activated for model ${requestedModelId} - response will be handled asynchronously`);
-            // In the new KEEPALIVE mode, the response is handled completely asynchronously
-            // The heartbeat is already started and the response will be sent when ready
-            // We just return here as everything is handled in the background
+            console.log(`KEEPALIVE mode: response for model ${servedModelId} was sent through the heartbeat stream`);
+            // The proxy service already wrote the final chunk to the heartbeat stream
             return; // Exit early for KEEPALIVE mode
         }
 
@@ -421,304 +722,8 @@ router.post('/chat/completions', async (req, res, next) => {
                 }
             }
 
-            const decoder = new TextDecoder();
-            let buffer = '';
-            let lineBuffer = '';
-            let jsonCollector = '';
-            let isCollectingJson = false;
-            let openBraces = 0;
-            let closeBraces = 0;
-
-            // Implement stream processing transformer for both Gemini and Vertex streams
-            const streamTransformer = new Transform({
-                transform(chunk, encoding, callback) {
-                    try {
-                        const chunkStr = decoder.decode(chunk, { stream: true });
-                        buffer += chunkStr;
-
-                        // Process based on the source (Gemini or Vertex)
-                        if (selectedKeyId === 'vertex-ai') {
-                            // Vertex stream response is a series of continuous JSON objects without newline separation
-                            // Use a method similar to Gemini to process JSON objects
-                            let startPos = -1;
-                            let endPos = -1;
-                            let bracketDepth = 0;
-                            let inString = false;
-                            let escapeNext = false;
-                            let flushed = false;
-                            
-                            // Scan the entire buffer to find complete JSON objects
-                            for (let i = 0; i < buffer.length; i++) {
-                                const char = buffer[i];
-                                
-                                // Handle characters inside strings
-                                if (inString) {
-                                    if (escapeNext) {
-                                        escapeNext = false;
-                                    } else if (char === '\\') {
-                                        escapeNext = true;
-                                    } else if (char === '"') {
-                                        inString = false;
-                                    }
-                                    continue;
-                                }
-                                
-                                // Handle characters outside strings
-                                if (char === '{') {
-                                    if (bracketDepth === 0) {
-                                        startPos = i; // Record the starting position of a new JSON object
-                                    }
-                                    bracketDepth++;
-                                } else if (char === '}') {
-                                    bracketDepth--;
-                                    if (bracketDepth === 0 && startPos !== -1) {
-                                        endPos = i;
-                                        
-                                        // Extract and process the complete JSON object
-                                        const jsonStr = buffer.substring(startPos, endPos + 1);
-                                        try {
-                                            // Check if it's the 'done' marker from vertexProxyService's flush
-                                            // We only need to parse if we suspect it might be the done object.
-                                            // Otherwise, jsonStr is already the stringified chunk we want.
-                                            if (jsonStr.includes('"done":true')) { // Quick check
-                                                try {
-                                                    const jsonObj = JSON.parse(jsonStr);
-                                                    if (jsonObj.done) {
-                                                        // This is the '{"done":true}' from vertexProxyService's flush.
-                                                        // The main flush of apiV1's transformer will send 'data: [DONE]\n\n'. So, ignore this one.
-                                                    } else {
-                                                        // It wasn't the done object, but was parsable. Send it.
-                                                        this.push(`data: ${jsonStr}\n\n`);
-                                                        if (typeof res.flush === 'function') res.flush();
-                                                    }
-                                                } catch (e) {
-                                                    // Parsing failed, but it might still be a valid (non-done) chunk.
-                                                    // This case should ideally not happen if vertexProxyService sends valid JSONs.
-                                                    console.error("Error parsing potential Vertex JSON object:", e, "Original string:", jsonStr);
-                                                    this.push(`data: ${jsonStr}\n\n`); // Send as is if parsing fails but wasn't 'done'
-                                                    if (typeof res.flush === 'function') res.flush();
-                                                }
-                                            } else {
-                                                // Not the 'done' marker, so jsonStr is a data chunk.
-                                                this.push(`data: ${jsonStr}\n\n`);
-                                                if (typeof res.flush === 'function') res.flush();
-                                            }
-                                        } catch (e) {
-                                            // This outer catch handles errors from buffer.substring or other unexpected issues
-                                            console.error("Error processing Vertex JSON chunk:", e, "Original string:", jsonStr);
-                                        }
-                                        
-                                        // Continue searching for the next object
-                                        startPos = -1;
-                                        
-                                        // Truncate the processed part
-                                        if (i + 1 < buffer.length) {
-                                            buffer = buffer.substring(endPos + 1);
-                                            i = -1; // Reset index to scan the remaining buffer from the beginning
-                                        } else {
-                                            buffer = '';
-                                            break; // Exit loop if buffer is exhausted
-                                        }
-                                    }
-                                } else if (char === '"') {
-                                    inString = true;
-                                }
-                            }
-                        } else {
-                             // Original Gemini stream processing (find raw Gemini JSON chunks)
-                            let startPos = -1;
-                            let endPos = -1;
-                        let bracketDepth = 0;
-                        let inString = false;
-                        let escapeNext = false;
-                        
-                        // Scan the entire buffer to find complete JSON objects
-                        for (let i = 0; i < buffer.length; i++) {
-                            const char = buffer[i];
-                            
-                            // Handle characters within strings
-                            if (inString) {
-                                if (escapeNext) {
-                                    escapeNext = false;
-                                } else if (char === '\\') {
-                                    escapeNext = true;
-                                } else if (char === '"') {
-                                    inString = false;
-                                }
-                                continue;
-                            }
-                            
-                            // Handle characters outside strings
-                            if (char === '{') {
-                                if (bracketDepth === 0) {
-                                    startPos = i; // Record the starting position of a new JSON object
-                                }
-                                bracketDepth++;
-                            } else if (char === '}') {
-                                bracketDepth--;
-                                if (bracketDepth === 0 && startPos !== -1) {
-                                    endPos = i;
-                                    
-                                    // Extract and process the complete JSON object
-                                    const jsonStr = buffer.substring(startPos, endPos + 1);
-                                    try {
-                                        const jsonObj = JSON.parse(jsonStr);
-                                        // Immediately process and send this object
-                                        processGeminiObject(jsonObj, this);
-                                    } catch (e) {
-                                        console.error("Error parsing JSON object:", e);
-                                    }
-                                    
-                                                // Continue searching for the next object
-                                                startPos = -1;
-                                            }
-                                        } else if (char === '"') {
-                                            inString = true;
-                                        } else if (char === '[' && !inString && startPos === -1) {
-                                            // Ignore the start marker of JSON arrays, as we process each object individually
-                                            continue;
-                                        } else if (char === ']' && !inString && bracketDepth === 0) {
-                                            // Ignore the end marker of JSON arrays
-                                            continue;
-                                        } else if (char === ',') {
-                                            // If there's a comma after an object, continue processing the next object
-                                            continue;
-                                        }
-                                    }
-                                    
-                                    // Keep the unprocessed part for Gemini stream
-                                    if (startPos !== -1 && endPos !== -1 && endPos > startPos) {
-                                        buffer = buffer.substring(endPos + 1);
-                                    } else if (startPos !== -1) {
-                                        buffer = buffer.substring(startPos);
-                                    } else {
-                                        buffer = '';
-                                    }
-                            } // End of else (Gemini stream processing)
-                        
-                        callback();
-                    } catch (e) {
-                        console.error("Error in stream transform:", e);
-                        callback(e);
-                    }
-                },
-                
-                flush(callback) {
-                    try {
-                // Handling the remaining buffer
-                if (buffer.trim()) {
-                     if (selectedKeyId === 'vertex-ai') {
-                        if (buffer.trim()) {
-                            let startPos = -1;
-                            let endPos = -1;
-                            let bracketDepth = 0;
-                            let inString = false;
-                            let escapeNext = false;
-                            
-                            for (let i = 0; i < buffer.length; i++) {
-                                const char = buffer[i];
-                                
-                                if (inString) {
-                                    if (escapeNext) {
-                                        escapeNext = false;
-                                    } else if (char === '\\') {
-                                        escapeNext = true;
-                                    } else if (char === '"') {
-                                        inString = false;
-                                    }
-                                    continue;
-                                }
-                                
-                                if (char === '{') {
-                                    if (bracketDepth === 0) {
-                                        startPos = i;
-                                    }
-                                    bracketDepth++;
-                                } else if (char === '}') {
-                                    bracketDepth--;
-                                    if (bracketDepth === 0 && startPos !== -1) {
-                                        endPos = i;
-                                        
-                                        try {
-                                            const jsonStr = buffer.substring(startPos, endPos + 1);
-                                            const jsonObj = JSON.parse(jsonStr);
-                                            if (!jsonObj.done) { // Avoid duplicate DONE
-                                                this.push(`data: ${JSON.stringify(jsonObj)}\n\n`);
-                                            }
-                                        } catch (e) {
-                                            console.debug("Could not parse Vertex buffer JSON:", e);
-                                        }
-                                        
-                                        // Update the buffer and reset the index
-                                        if (endPos + 1 < buffer.length) {
-                                            buffer = buffer.substring(endPos + 1);
-                                            i = -1; // Reset index
-                                        } else {
-                                            buffer = '';
-                                            break;
-                                        }
-                                    }
-                                } else if (char === '"') {
-                                    inString = true;
-                                }
-                            }
-                        }
-                     } else {
-                                // Try parsing remaining Gemini JSON object
-                                try {
-                                    const jsonObj = JSON.parse(buffer);
-                                    processGeminiObject(jsonObj, this); // Use existing Gemini processing
-                                } catch (e) {
-                                    console.debug("Could not parse final Gemini buffer:", buffer, e);
-                                }
-                             }
-                        }
-                        
-                        // Always send the final [DONE] event
-                                                // console.log("Stream transformer flushing, sending [DONE]."); // Removed log
-                                                this.push('data: [DONE]\n\n');
-                                                callback();
-                                            } catch (e) {
-                                                console.error("Error in stream flush:", e); // Keep error log in English
-                        callback(e);
-                    }
-                }
-            });
-            
-            // Process a single Gemini API response object and convert it to OpenAI format
-            function processGeminiObject(geminiObj, stream) {
-                if (!geminiObj) return;
-                
-                // If it's a valid Gemini response object (contains candidates)
-                if (geminiObj.candidates && geminiObj.candidates.length > 0) {
-                    // Convert and send directly
-                    const openaiChunkStr = transformUtils.transformGeminiStreamChunk(geminiObj, requestedModelId);
-                    if (openaiChunkStr) {
-                        stream.push(openaiChunkStr);
-                    }
-                } else if (Array.isArray(geminiObj)) {
-                    // If it's an array, process each element
-                    for (const item of geminiObj) {
-                        processGeminiObject(item, stream);
-                    }
-                } else if (geminiObj.text) {
-                    // Single text fragment, construct Gemini format
-                    const mockGeminiChunk = {
-                        candidates: [{
-                            content: {
-                                parts: [{ text: geminiObj.text }],
-                                role: "model"
-                            }
-                        }]
-                    };
-                    
-                    const openaiChunkStr = transformUtils.transformGeminiStreamChunk(mockGeminiChunk, requestedModelId);
-                    if (openaiChunkStr) {
-                        stream.push(openaiChunkStr);
-                    }
-                }
-                // May need to handle other response types...
-            }
+            const includeUsage = openAIRequestBody.stream_options?.include_usage === true;
+            const streamTransformer = createOpenAiSseTransformer(selectedKeyId, servedModelId, res, includeUsage);
 
             // Standard (non-KEEPALIVE) Gemini and Vertex streams
             if (!geminiResponse || !geminiResponse.body || typeof geminiResponse.body.pipe !== 'function') {
@@ -770,12 +775,14 @@ router.post('/chat/completions', async (req, res, next) => {
                 if (selectedKeyId === 'vertex-ai') {
                     // Vertex service already transformed the response to OpenAI format
                     const openaiJson = await geminiResponse.json(); // Get the pre-transformed JSON
+                    res.locals.tokenUsage = openaiJson.usage;
                     res.status(geminiResponse.status || 200).json(openaiJson); // Send it directly
                     console.log(`Non-stream Vertex request completed, status: ${geminiResponse.status || 200}`);
                 } else {
                     // Original Gemini service response handling
                     const geminiJson = await geminiResponse.json(); // Parse the raw upstream Gemini JSON
-                    const openaiJsonString = transformUtils.transformGeminiResponseToOpenAI(geminiJson, requestedModelId); // Transform it
+                    const openaiJsonString = transformUtils.transformGeminiResponseToOpenAI(geminiJson, servedModelId); // Transform it
+                    res.locals.tokenUsage = transformUtils.transformGeminiUsage(geminiJson.usageMetadata);
                     // Use Gemini's original status code if available and OK, otherwise default to 200
                     res.status(geminiResponse.ok ? geminiResponse.status : 200).send(openaiJsonString);
                     console.log(`Non-stream Gemini request completed for key ${selectedKeyId}, status: ${geminiResponse.status}`);
@@ -797,4 +804,153 @@ router.post('/chat/completions', async (req, res, next) => {
     }
 });
 
+// --- /v1/messages (Anthropic Messages API) ---
+// Converts the Anthropic request to the OpenAI shape, runs it through the same Gemini/Vertex
+// proxy flow as /v1/chat/completions, then converts the result back to Anthropic format.
+router.post('/messages', recordRequestLog, enforceWorkerKeyLimits, async (req, res, next) => {
+    const anthropicRequestBody = req.body;
+    const workerApiKey = req.workerApiKey; // Attached by requireWorkerAuth middleware
+    const requestedModelId = anthropicRequestBody?.model;
+
+    try {
+        if (!Array.isArray(anthropicRequestBody?.messages) || anthropicRequestBody.messages.length === 0) {
+            return res.status(400).json(anthropicTransform.toAnthropicError(400, 'messages: field required and must be a non-empty array'));
+        }
+
+        const enabledModels = await geminiProxyService.getEnabledModelIds();
+        if (!requestedModelId || !enabledModels.includes(requestedModelId)) {
+            return res.status(400).json(anthropicTransform.toAnthropicError(400,
+                `Model not found or not enabled: ${requestedModelId}. Please check the /v1/models endpoint for available models.`));
+        }
+        if (!isModelAllowed(requestedModelId, await configService.getWorkerKeyModelAccess(workerApiKey))) {
+            return res.status(403).json(anthropicTransform.toAnthropicError(403, modelNotAllowedError(requestedModelId).error));
+        }
+
+        const openAIRequestBody = anthropicTransform.anthropicToOpenAiRequest(anthropicRequestBody);
+        const stream = openAIRequestBody.stream;
+
+        const { result, servedModelId, attempts } = await proxyWithFallback(openAIRequestBody, workerApiKey, stream, null);
+        Object.assign(res.locals, { servedModelId, attempts, selectedKeyId: result.selectedKeyId });
+
+        if (result.error) {
+            console.error(`Error from proxy for /v1/messages: Status ${result.status}, Message: ${JSON.stringify(result.error)}`);
+            return res.status(result.status || 500).json(anthropicTransform.toAnthropicError(result.status || 500, result.error));
+        }
+
+        const { response: upstreamResponse, selectedKeyId } = result;
+
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', selectedKeyId);
+        if (servedModelId !== requestedModelId) {
+            res.setHeader('X-JimiHub-Fallback', servedModelId);
+        }
+
+        if (stream) {
+            if (!upstreamResponse || !upstreamResponse.body || typeof upstreamResponse.body.pipe !== 'function') {
+                console.error('Upstream response body is not a readable stream for /v1/messages streaming request.');
+                return res.status(502).json(anthropicTransform.toAnthropicError(502, 'Upstream response body is not readable.'));
+            }
+
+            res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+
+            // Usage is always requested so message_delta can report output_tokens
+            const streamTransformer = createOpenAiSseTransformer(selectedKeyId, servedModelId, res, true);
+            const anthropicTransformer = anthropicTransform.createAnthropicStreamTransformer(servedModelId);
+
+            const handleStreamError = (message) => (err) => {
+                console.error(`${message}:`, err);
+                if (!res.writableEnded) {
+                    res.write(anthropicTransform.formatAnthropicEvent('error', anthropicTransform.toAnthropicError(500, message)));
+                    res.end();
+                }
+            };
+            upstreamResponse.body.on('error', handleStreamError('Upstream stream error'));
+            streamTransformer.on('error', handleStreamError('Stream processing error'));
+            anthropicTransformer.on('error', handleStreamError('Anthropic stream conversion error'));
+
+            upstreamResponse.body.pipe(streamTransformer).pipe(anthropicTransformer).pipe(res);
+            console.log(`Anthropic streaming response initiated for key ${selectedKeyId}`);
+        } else {
+            try {
+                let openaiJson;
+                if (selectedKeyId === 'vertex-ai') {
+                    // Vertex service already transformed the response to OpenAI format
+                    openaiJson = await upstreamResponse.json();
+                } else {
+                    const geminiJson = await upstreamResponse.json();
+                    openaiJson = JSON.parse(transformUtils.transformGeminiResponseToOpenAI(geminiJson, servedModelId));
+                }
+                res.locals.tokenUsage = openaiJson.usage;
+                res.json(anthropicTransform.openAiResponseToAnthropic(openaiJson, servedModelId));
+                console.log(`Non-stream Anthropic request completed for key ${selectedKeyId}`);
+            } catch (jsonError) {
+                console.error("Error parsing upstream non-stream JSON response for /v1/messages:", jsonError);
+                res.status(502).json(anthropicTransform.toAnthropicError(502, 'Failed to parse upstream API response.'));
+            }
+        }
+    } catch (error) {
+        console.error("Error in /v1/messages handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/embeddings ---
+router.post('/embeddings', recordRequestLog, enforceWorkerKeyLimits, async (req, res, next) => {
+    const openAIRequestBody = req.body;
+    const workerApiKey = req.workerApiKey; // Attached by requireWorkerAuth middleware
+    const encodingFormat = openAIRequestBody?.encoding_format ?? 'float';
+
+    try {
+        if (encodingFormat !== 'float' && encodingFormat !== 'base64') {
+            return res.status(400).json({
+                error: {
+                    message: `Invalid encoding_format: ${encodingFormat}. Supported values are 'float' and 'base64'.`,
+                    type: 'invalid_request_error',
+                    param: 'encoding_format'
+                }
+            });
+        }
+
+        // proxyEmbeddings also accepts Google-style "models/..." IDs
+        const requestedModelId = typeof openAIRequestBody?.model === 'string'
+            ? openAIRequestBody.model.replace(/^models\//, '')
+            : undefined;
+        const enabledModels = await geminiProxyService.getEnabledModelIds();
+        if (!requestedModelId || !enabledModels.includes(requestedModelId)) {
+            return res.status(400).json({
+                error: {
+                    message: `Model not found or not enabled: ${openAIRequestBody?.model}. Please check the /v1/models endpoint for available models.`,
+                    type: 'invalid_request_error',
+                    param: 'model'
+                }
+            });
+        }
+        if (!isModelAllowed(requestedModelId, await configService.getWorkerKeyModelAccess(workerApiKey))) {
+            return res.status(403).json(modelNotAllowedError(requestedModelId));
+        }
+
+        res.locals.servedModelId = requestedModelId;
+
+        const result = await geminiProxyService.proxyEmbeddings(openAIRequestBody, workerApiKey);
+
+        if (result.error) {
+            console.error(`Error from embeddings proxy: Status ${result.status}, Message: ${JSON.stringify(result.error)}`);
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        const openAIResponse = transformUtils.transformGeminiEmbeddingsToOpenAI(result.response, openAIRequestBody.model, encodingFormat, openAIRequestBody.input);
+        res.locals.selectedKeyId = result.selectedKeyId;
+        // Estimated usage, so token limits, budgets and the request log cover embeddings too
+        res.locals.tokenUsage = openAIResponse.usage;
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.json(openAIResponse);
+    } catch (error) {
+        console.error("Error in /v1/embeddings handler:", error);
+        next(error);
+    }
+});
+
 module.exports = router;
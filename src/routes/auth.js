@@ -1,57 +1,110 @@
 const express = require('express');
-const { generateSessionToken, setSessionCookie, clearSessionCookie } = require('../utils/session');
+const { setSessionCookie, clearSessionCookie, getSessionFromCookie } = require('../utils/session');
 const { readRequestBody } = require('../utils/helpers'); // Although body-parser is used, keep for consistency
+const adminUserService = require('../services/adminUserService');
+const twoFactorService = require('../services/twoFactorService');
+const loginThrottleService = require('../services/loginThrottleService');
+const loginAuditService = require('../services/loginAuditService');
+const adminSessionService = require('../services/adminSessionService');
 
 const router = express.Router();
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+if (!process.env.ADMIN_PASSWORD) {
+    console.warn("ADMIN_PASSWORD environment variable is not set. Only admin users stored in the database can log in.");
+}
 
-if (!ADMIN_PASSWORD) {
-    console.error("FATAL: ADMIN_PASSWORD environment variable is not set. Admin login disabled.");
+/**
+ * Counts a failed login for throttling, writes it to the audit trail and sends the 401 response.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} username As entered.
+ * @param {'invalid_credentials' | 'invalid_two_factor_code'} reason
+ * @param {object} body Response body.
+ */
+async function rejectLogin(req, res, username, reason, body) {
+    const { lockedOut } = loginThrottleService.recordLoginFailure(req.ip);
+    await loginAuditService.addFailedLogin({ ip: req.ip, username, userAgent: req.get('user-agent'), reason, lockedOut });
+    console.warn(`Admin login failed for user '${username}' from ${req.ip}: ${reason}.`);
+    return res.status(401).json(body);
 }
 
 // --- Login Route ---
 // Path: /api/login (mounted under /api in server.js)
 router.post('/login', async (req, res, next) => {
-    if (!ADMIN_PASSWORD) {
-        return res.status(500).json({ error: 'Server configuration error: Admin password not set.' });
-    }
-
+    let attemptReserved = false;
     try {
+        // Refuse attempts from IPs in backoff or lockout before looking at the password.
+        // Allowed attempts stay reserved until they end, so parallel requests count against the limits.
+        const throttle = loginThrottleService.checkLoginAllowed(req.ip);
+        if (!throttle.allowed) {
+            res.setHeader('Retry-After', String(throttle.retryAfterSeconds));
+            return res.status(429).json({
+                error: `Too many failed login attempts. Try again in ${throttle.retryAfterSeconds} seconds.`,
+                retryAfter: throttle.retryAfterSeconds
+            });
+        }
+        attemptReserved = true;
+
         // express.json() middleware populates req.body
         const body = req.body;
         if (!body || typeof body.password !== 'string') {
             return res.status(400).json({ error: 'Password is required.' });
         }
+        // Logins without a username are for the built-in ADMIN_PASSWORD owner
+        const username = typeof body.username === 'string' && body.username.trim()
+            ? body.username.trim()
+            : adminUserService.getBuiltInAdminUsername();
 
-        if (body.password === ADMIN_PASSWORD) {
-            // Password matches, generate and set session token
-            const token = await generateSessionToken();
-            if (!token) {
+        const adminUser = await adminUserService.authenticateAdminUser(username, body.password);
+        if (adminUser) {
+            // Users with 2FA need a code from their authenticator app (or a recovery code) as well
+            const twoFactorEnabled = await twoFactorService.isTwoFactorEnabled(adminUser.username);
+            if (twoFactorEnabled) {
+                if (typeof body.code !== 'string' || !body.code.trim()) {
+                    return res.status(401).json({ error: 'Two-factor code required.', twoFactorRequired: true });
+                }
+                const method = await twoFactorService.verifyLoginCode(adminUser.username, body.code.trim());
+                if (!method) {
+                    return await rejectLogin(req, res, username, 'invalid_two_factor_code', { error: 'Invalid two-factor code.', twoFactorRequired: true });
+                }
+            }
+
+            // Credentials match, start a session and set its token
+            const session = await adminSessionService.createSession(adminUser.username, twoFactorEnabled, { ip: req.ip, userAgent: req.get('user-agent') });
+            if (!session) {
                 // Error already logged in generateSessionToken
                 return res.status(500).json({ error: 'Failed to generate session token.' });
             }
 
-            setSessionCookie(res, token); // Set the cookie on the response
-            console.log('Admin login successful.');
-            return res.status(200).json({ success: true });
+            setSessionCookie(res, session.token); // Set the cookie on the response
+            loginThrottleService.recordLoginSuccess(req.ip);
+            console.log(`Admin login successful: ${adminUser.username} (${adminUser.role}).`);
+            return res.status(200).json({ success: true, username: adminUser.username, role: adminUser.role });
 
         } else {
-            // Invalid password
-            console.warn('Admin login failed: Invalid password.');
-            return res.status(401).json({ error: 'Invalid password.' });
+            // Invalid credentials
+            return await rejectLogin(req, res, username, 'invalid_credentials', { error: 'Invalid username or password.' });
         }
     } catch (error) {
         console.error("Error during login:", error);
         // Pass error to the global error handler
         next(error);
+    } finally {
+        if (attemptReserved) {
+            loginThrottleService.releaseLoginAttempt(req.ip);
+        }
     }
 });
 
 // --- Logout Route ---
 // Path: /api/logout (mounted under /api in server.js)
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res, next) => {
     try {
+        // Revoke the session so a copy of the cookie stops working too
+        const payload = await getSessionFromCookie(req);
+        if (payload?.sid) {
+            await adminSessionService.revokeSession(payload.sid, payload.sub);
+        }
         clearSessionCookie(res); // Clear the cookie
         console.log('Admin logout successful.');
         // Send a simple success response. Client should handle redirect.
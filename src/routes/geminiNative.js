@@ -0,0 +1,133 @@
+// src/routes/geminiNative.js
+// Native Gemini API passthrough for clients using the official Google SDKs.
+// Mounted at /v1beta; requests keep the Gemini body format and only the API key is swapped.
+
+const express = require('express');
+const requireWorkerAuth = require('../middleware/workerAuth');
+const enforceWorkerKeyLimits = require('../middleware/workerLimits');
+const recordRequestLog = require('../middleware/requestLog');
+const geminiProxyService = require('../services/geminiProxyService');
+const configService = require('../services/configService');
+const transformUtils = require('../utils/transform');
+const { isModelAllowed } = require('../utils/helpers');
+
+const router = express.Router();
+
+// Bytes kept from the end of a relayed stream; the final usageMetadata always sits at its very end
+const USAGE_TAIL_BYTES = 4096;
+
+/**
+ * Reads the cumulative usageMetadata token counts from the tail of a relayed Gemini stream.
+ * @param {string} tail The last bytes of the stream (SSE or streamed JSON array).
+ * @returns {object | null} A usageMetadata-shaped object, or null if no usage was found.
+ */
+function extractUsageFromStreamTail(tail) {
+    const lastCount = (field) => {
+        const matches = [...tail.matchAll(new RegExp(`"${field}"\\s*:\\s*(\\d+)`, 'g'))];
+        return matches.length > 0 ? Number(matches[matches.length - 1][1]) : undefined;
+    };
+    const usageMetadata = {
+        promptTokenCount: lastCount('promptTokenCount'),
+        candidatesTokenCount: lastCount('candidatesTokenCount'),
+        thoughtsTokenCount: lastCount('thoughtsTokenCount'),
+        totalTokenCount: lastCount('totalTokenCount')
+    };
+    return usageMetadata.totalTokenCount !== undefined ? usageMetadata : null;
+}
+
+// Worker keys arrive via x-goog-api-key or ?key= from Google SDK clients
+router.use(requireWorkerAuth);
+
+// --- /v1beta/models (models.list) ---
+router.get('/models', async (req, res, next) => {
+    try {
+        const modelsConfig = await configService.getModelsConfig();
+        const modelAccess = await configService.getWorkerKeyModelAccess(req.workerApiKey);
+        const models = Object.keys(modelsConfig).filter(modelId => isModelAllowed(modelId, modelAccess)).map(modelId => ({
+            name: `models/${modelId}`,
+            displayName: modelId,
+            supportedGenerationMethods: modelsConfig[modelId].category === 'Embedding' || modelId.includes('embedding')
+                ? ['embedContent', 'batchEmbedContents']
+                : ['generateContent', 'streamGenerateContent', 'countTokens']
+        }));
+        res.json({ models });
+    } catch (error) {
+        console.error("Error in /v1beta/models handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1beta/models/{model}:{action} ---
+// Express cannot split "model:action" with route params, so the segment is parsed manually
+router.post('/models/:modelAction', recordRequestLog, enforceWorkerKeyLimits, async (req, res, next) => {
+    const separatorIndex = req.params.modelAction.lastIndexOf(':');
+    const modelId = separatorIndex > 0 ? req.params.modelAction.substring(0, separatorIndex) : undefined;
+    const action = separatorIndex > 0 ? req.params.modelAction.substring(separatorIndex + 1) : undefined;
+    // The model and action come from the path: the endpoint (also the metrics label) leaves the model out
+    // and only names supported actions, so clients cannot create new metric series
+    res.locals.requestedModelId = modelId;
+    res.locals.endpoint = `${req.baseUrl}/models:${geminiProxyService.NATIVE_GEMINI_ACTIONS.includes(action) ? action : 'unknown'}`;
+    res.locals.stream = action === 'streamGenerateContent';
+    if (!modelId) {
+        return res.status(404).json({ error: { code: 404, message: `Unknown method: ${req.params.modelAction}`, status: 'NOT_FOUND' } });
+    }
+
+    try {
+        const enabledModels = await geminiProxyService.getEnabledModelIds();
+        if (!enabledModels.includes(modelId)) {
+            return res.status(404).json({ error: { code: 404, message: `Model not found or not enabled: ${modelId}. Please check /v1beta/models for available models.`, status: 'NOT_FOUND' } });
+        }
+        if (!isModelAllowed(modelId, await configService.getWorkerKeyModelAccess(req.workerApiKey))) {
+            return res.status(403).json({ error: { code: 403, message: `Model ${modelId} is not allowed for this API key.`, status: 'PERMISSION_DENIED' } });
+        }
+        res.locals.servedModelId = modelId;
+
+        const result = await geminiProxyService.proxyNativeGemini(modelId, action, req.body, req.workerApiKey, { alt: req.query.alt });
+
+        if (result.error) {
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        const { response: geminiResponse, selectedKeyId } = result;
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', selectedKeyId);
+        res.locals.selectedKeyId = selectedKeyId;
+
+        if (action === 'streamGenerateContent') {
+            // Relay the upstream stream untouched (SSE with alt=sse, otherwise a streamed JSON array)
+            res.status(geminiResponse.status);
+            res.setHeader('Content-Type', geminiResponse.headers.get('content-type') || 'text/event-stream; charset=utf-8');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+
+            geminiResponse.body.on('error', (err) => {
+                console.error(`Error reading native stream from upstream (${selectedKeyId}):`, err);
+                if (!res.writableEnded) {
+                    res.end();
+                }
+            });
+            let tail = '';
+            geminiResponse.body.on('data', (chunk) => {
+                tail = (tail + chunk.toString('utf8')).slice(-USAGE_TAIL_BYTES);
+            });
+            geminiResponse.body.on('end', () => {
+                const usageMetadata = extractUsageFromStreamTail(tail);
+                if (usageMetadata) {
+                    res.locals.tokenUsage = transformUtils.transformGeminiUsage(usageMetadata);
+                }
+            });
+            geminiResponse.body.pipe(res);
+        } else {
+            const geminiJson = await geminiResponse.json();
+            if (action !== 'countTokens' && geminiJson.usageMetadata) {
+                res.locals.tokenUsage = transformUtils.transformGeminiUsage(geminiJson.usageMetadata);
+            }
+            res.status(geminiResponse.status).json(geminiJson);
+        }
+    } catch (error) {
+        console.error("Error in /v1beta/models/:modelAction handler:", error);
+        next(error);
+    }
+});
+
+module.exports = router;
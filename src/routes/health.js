@@ -0,0 +1,42 @@
+// src/routes/health.js
+// Liveness and readiness probes for container orchestration. Mounted at the root, unauthenticated.
+
+const express = require('express');
+const dbModule = require('../db');
+const geminiKeyService = require('../services/geminiKeyService');
+const vertexProxyService = require('../services/vertexProxyService');
+
+const router = express.Router();
+
+// --- /healthz: the process is up and serving HTTP ---
+router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// --- /readyz: startup has finished and /v1 accepts requests ---
+router.get('/readyz', async (req, res) => {
+    const dbStatus = dbModule.getStatus();
+
+    let geminiKeys = null;
+    if (dbStatus.connected) {
+        try {
+            geminiKeys = await geminiKeyService.countUsableGeminiKeys();
+        } catch (error) {
+            console.error('Error counting Gemini keys for /readyz:', error);
+        }
+    }
+
+    const ready = dbStatus.startupCompleted;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'starting',
+        database: {
+            connected: dbStatus.connected,
+            schemaInitialized: dbStatus.schemaInitialized
+        },
+        geminiKeys,
+        vertex: vertexProxyService.getVertexStatus(),
+        githubSync: dbStatus.githubSync
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// src/routes/metrics.js
+// Prometheus scrape endpoint. Mounted at /metrics; protected by METRICS_TOKEN when it is set.
+
+const express = require('express');
+const crypto = require('crypto');
+const geminiKeyService = require('../services/geminiKeyService');
+const proxyPool = require('../utils/proxyPool');
+const metrics = require('../utils/metrics');
+
+const router = express.Router();
+
+/**
+ * Checks the scrape token, accepted as "Authorization: Bearer <token>" or ?token=.
+ * Requests pass through unchecked when METRICS_TOKEN is not set.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function requireMetricsToken(req, res, next) {
+    const expectedToken = process.env.METRICS_TOKEN;
+    if (!expectedToken) {
+        return next();
+    }
+
+    const authHeader = req.headers.authorization;
+    const providedToken = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : req.query.token;
+    // Compare digests so the check takes the same time regardless of where the tokens differ
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    if (!providedToken || !crypto.timingSafeEqual(digest(providedToken), digest(expectedToken))) {
+        return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+    next();
+}
+
+/**
+ * Builds the gauges derived from current state: Gemini key health, remaining daily quota and the proxy pool.
+ * @returns {Promise<Array<{name: string, help: string, samples: Array<{labels: object, value: number}>}>>}
+ */
+async function collectScrapeGauges() {
+    const keys = await geminiKeyService.getAllGeminiKeysWithUsage();
+    const availableKeys = keys.filter(key => !key.errorStatus);
+
+    const categoryRemaining = { pro: 0, flash: 0, embedding: 0 };
+    const modelRemaining = {};
+    availableKeys.forEach(key => {
+        const quotas = key.categoryQuotas;
+        categoryRemaining.pro += Math.max(0, quotas.proQuota - key.categoryUsage.pro);
+        categoryRemaining.flash += Math.max(0, quotas.flashQuota - key.categoryUsage.flash);
+        categoryRemaining.embedding += Math.max(0, quotas.embeddingQuota - key.categoryUsage.embedding);
+        Object.entries(key.modelUsage).forEach(([modelId, usage]) => {
+            if (typeof usage.quota === 'number') {
+                modelRemaining[modelId] = (modelRemaining[modelId] || 0) + Math.max(0, usage.quota - usage.count);
+            }
+        });
+    });
+
+    const proxyStatus = proxyPool.getProxyPoolStatus();
+
+    return [
+        {
+            name: 'jimihub_gemini_keys',
+            help: 'Gemini API keys by state; errored keys are marked with a 400/401/403 error status.',
+            samples: [
+                { labels: { state: 'available' }, value: availableKeys.length },
+                { labels: { state: 'errored' }, value: keys.length - availableKeys.length }
+            ]
+        },
+        {
+            name: 'jimihub_category_quota_remaining',
+            help: 'Requests left today per model category, summed over available Gemini keys.',
+            samples: Object.entries(categoryRemaining).map(([category, value]) => ({ labels: { category }, value }))
+        },
+        {
+            name: 'jimihub_model_quota_remaining',
+            help: 'Requests left today for models with their own quota (Custom models and individual Pro/Flash quotas), summed over available Gemini keys.',
+            samples: Object.entries(modelRemaining).map(([model, value]) => ({ labels: { model }, value }))
+        },
+        {
+            name: 'jimihub_proxy_pool_size',
+            help: 'Number of SOCKS5 proxies configured in the proxy pool.',
+            samples: [{ labels: {}, value: proxyStatus.count }]
+        },
+        {
+            name: 'jimihub_proxy_pool_enabled',
+            help: 'Whether outgoing requests are routed through the proxy pool (1) or not (0).',
+            samples: [{ labels: {}, value: proxyStatus.enabled ? 1 : 0 }]
+        }
+    ];
+}
+
+router.get('/', requireMetricsToken, async (req, res, next) => {
+    try {
+        const scrapeGauges = await collectScrapeGauges();
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.renderMetrics(scrapeGauges));
+    } catch (error) {
+        console.error('Error rendering /metrics:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
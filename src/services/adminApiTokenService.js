@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const dbModule = require('../db');
+const configService = require('./configService');
+const adminUserService = require('./adminUserService');
+
+// Admin API tokens let scripts call /api/admin without the cookie login, sent as "Authorization: Bearer <token>".
+// Each token only reaches the routes covered by its scopes (see requireRole). Only a SHA-256 hash of the
+// token is stored; the token itself is shown once when it is created. A token only works while the owner
+// who created it still exists and is still an owner, so deleting or demoting them cuts off their automation too.
+
+const API_TOKEN_SCOPES = ['keys:read', 'keys:write', 'workers:read', 'workers:write', 'settings:read', 'settings:write', 'logs:read'];
+const TOKEN_PREFIX = 'jhat_';
+const NAME_MAX_CHARS = 100;
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @param {object} row admin_api_tokens row.
+ * @returns {{id: string, name: string, tokenPrefix: string, scopes: string[], createdBy: string, createdAt: string, lastUsedAt: string | null, lastUsedIp: string | null}}
+ */
+function formatToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        tokenPrefix: row.token_prefix,
+        scopes: configService.parseStringList(row.scopes),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        lastUsedIp: row.last_used_ip
+    };
+}
+
+/**
+ * Lists API tokens without their secrets.
+ * @returns {Promise<Array<ReturnType<typeof formatToken>>>}
+ */
+async function listApiTokens() {
+    const rows = await configService.allDb('SELECT * FROM admin_api_tokens ORDER BY created_at DESC');
+    return rows.map(formatToken);
+}
+
+/**
+ * Creates an API token.
+ * @param {string} name Describes what the token is for.
+ * @param {string[]} scopes Any of API_TOKEN_SCOPES.
+ * @param {string} createdBy Username of the admin creating it.
+ * @returns {Promise<ReturnType<typeof formatToken> & {token: string}>} The token info including the token itself, which cannot be retrieved later.
+ */
+async function createApiToken(name, scopes, createdBy) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX_CHARS) {
+        throw new Error(`Token name must be 1-${NAME_MAX_CHARS} characters.`);
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new Error('Token must have at least one scope.');
+    }
+    const unknownScopes = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+        throw new Error(`Unknown scopes: ${unknownScopes.join(', ')}. Scopes must be any of: ${API_TOKEN_SCOPES.join(', ')}.`);
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const row = {
+        id,
+        name: name.trim(),
+        token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: JSON.stringify([...new Set(scopes)]),
+        created_by: createdBy,
+        created_at: new Date().toISOString(),
+        last_used_at: null,
+        last_used_ip: null
+    };
+    await configService.serializeDb(() => configService.runDb(`
+        INSERT INTO admin_api_tokens (id, name, token_hash, token_prefix, scopes, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [row.id, row.name, hashToken(token), row.token_prefix, row.scopes, row.created_by, row.created_at]));
+    await dbModule.syncToGitHub();
+    console.log(`Admin API token '${row.name}' created by ${createdBy} with scopes ${row.scopes}.`);
+    return { ...formatToken(row), token };
+}
+
+/**
+ * Revokes (deletes) an API token.
+ * @param {string} id
+ * @returns {Promise<boolean>} False if no such token exists.
+ */
+async function revokeApiToken(id) {
+    const result = await configService.serializeDb(() =>
+        configService.runDb('DELETE FROM admin_api_tokens WHERE id = ?', [id])
+    );
+    if (result.changes > 0) {
+        console.log(`Admin API token ${id} revoked.`);
+        await dbModule.syncToGitHub();
+    }
+    return result.changes > 0;
+}
+
+/**
+ * Looks up the token sent with a request and records that it was used.
+ * @param {string} token
+ * @param {string} [ip] Client IP, recorded as last used.
+ * @returns {Promise<ReturnType<typeof formatToken> | null>} Null if the token is unknown or revoked, or its creator
+ * is no longer an owner.
+ */
+async function authenticateApiToken(token, ip) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+    const row = await configService.getDb('SELECT * FROM admin_api_tokens WHERE token_hash = ?', [hashToken(token)]);
+    if (!row) {
+        return null;
+    }
+    const creator = await adminUserService.resolveAdminUser(row.created_by);
+    if (!creator || !adminUserService.hasRole(creator.role, 'owner')) {
+        console.warn(`Rejected admin API token '${row.name}': its creator ${row.created_by} is no longer an owner.`);
+        return null;
+    }
+
+    const now = new Date();
+    if (!row.last_used_at || now.getTime() - Date.parse(row.last_used_at) >= LAST_USED_UPDATE_INTERVAL_MS || row.last_used_ip !== (ip || null)) {
+        row.last_used_at = now.toISOString();
+        row.last_used_ip = ip || null;
+        await configService.serializeDb(() => configService.runDb(
+            'UPDATE admin_api_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+            [row.last_used_at, row.last_used_ip, row.id]
+        ));
+    }
+    return formatToken(row);
+}
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    listApiTokens,
+    createApiToken,
+    revokeApiToken,
+    authenticateApiToken,
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const configService = require('./configService');
+const { generateSessionToken, getSessionKeyFingerprint, SESSION_DURATION_SECONDS } = require('../utils/session');
+
+// Server-side store for admin sessions, kept in admin_sessions. The signed session cookie only carries
+// the session id, so a session can be revoked (logout, "log out everywhere", password change) before
+// it expires. Rows are pruned once they have expired.
+
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+const USER_AGENT_MAX_CHARS = 300;
+
+/**
+ * @param {object} row admin_sessions row.
+ * @returns {{id: string, username: string, createdAt: string, lastSeenAt: string, expiresAt: string, ip: string, userAgent: string, mfa: boolean}}
+ */
+function formatSession(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        createdAt: row.created_at,
+        lastSeenAt: row.last_seen_at,
+        expiresAt: row.expires_at,
+        ip: row.ip,
+        userAgent: row.user_agent,
+        mfa: !!row.mfa
+    };
+}
+
+/**
+ * Starts a session after a successful login.
+ * @param {string} username
+ * @param {boolean} mfa Whether the login passed two-factor authentication.
+ * @param {{ip?: string, userAgent?: string}} [client]
+ * @returns {Promise<{id: string, token: string} | null>} The session id and the token for the cookie, or null if the token could not be generated.
+ */
+async function createSession(username, mfa, client = {}) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const token = await generateSessionToken(id, username, mfa);
+    if (!token) {
+        return null;
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_DURATION_SECONDS * 1000);
+    await configService.serializeDb(() => configService.runDb(`
+        INSERT INTO admin_sessions (id, username, created_at, last_seen_at, expires_at, ip, user_agent, mfa, key_fingerprint)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        id,
+        username,
+        now.toISOString(),
+        now.toISOString(),
+        expiresAt.toISOString(),
+        client.ip || null,
+        client.userAgent ? String(client.userAgent).slice(0, USER_AGENT_MAX_CHARS) : null,
+        mfa ? 1 : 0,
+        getSessionKeyFingerprint()
+    ]));
+    return { id, token };
+}
+
+/**
+ * Looks up the stored session for a verified session token and records that it was seen.
+ * @param {{sid?: string, sub: string} | null} payload Payload of a token with a valid signature.
+ * @returns {Promise<ReturnType<typeof formatSession> | null>} The session, or null if it is unknown, revoked, expired
+ * or from before SESSION_SECRET_KEY or ADMIN_PASSWORD changed.
+ */
+async function getActiveSession(payload) {
+    if (!payload?.sid) {
+        return null;
+    }
+    const row = await configService.getDb('SELECT * FROM admin_sessions WHERE id = ?', [payload.sid]);
+    const now = new Date();
+    if (!row || row.revoked_at || row.username !== payload.sub ||
+        row.expires_at <= now.toISOString() || row.key_fingerprint !== getSessionKeyFingerprint()) {
+        return null;
+    }
+
+    if (now.getTime() - Date.parse(row.last_seen_at) >= LAST_SEEN_UPDATE_INTERVAL_MS) {
+        row.last_seen_at = now.toISOString();
+        await configService.serializeDb(() =>
+            configService.runDb('UPDATE admin_sessions SET last_seen_at = ? WHERE id = ?', [row.last_seen_at, row.id])
+        );
+    }
+    return formatSession(row);
+}
+
+/**
+ * Lists sessions that can still be used, most recently seen first.
+ * @param {string} [username] Only this user's sessions; all users' if omitted.
+ * @returns {Promise<Array<ReturnType<typeof formatSession>>>}
+ */
+async function listActiveSessions(username) {
+    const params = [new Date().toISOString(), getSessionKeyFingerprint()];
+    let sql = 'SELECT * FROM admin_sessions WHERE revoked_at IS NULL AND expires_at > ? AND key_fingerprint = ?';
+    if (username) {
+        sql += ' AND username = ?';
+        params.push(username);
+    }
+    const rows = await configService.allDb(`${sql} ORDER BY last_seen_at DESC`, params);
+    return rows.map(formatSession);
+}
+
+/**
+ * Revokes a session.
+ * @param {string} id
+ * @param {string} [username] Only revoke the session if it belongs to this user.
+ * @returns {Promise<boolean>} False if no such unrevoked session exists.
+ */
+async function revokeSession(id, username) {
+    const params = [new Date().toISOString(), id];
+    let sql = 'UPDATE admin_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL';
+    if (username) {
+        sql += ' AND username = ?';
+        params.push(username);
+    }
+    const result = await configService.serializeDb(() => configService.runDb(sql, params));
+    return result.changes > 0;
+}
+
+/**
+ * Revokes all of a user's sessions ("log out everywhere").
+ * @param {string} username
+ * @returns {Promise<number>} The number of revoked sessions.
+ */
+async function revokeUserSessions(username) {
+    const result = await configService.serializeDb(() => configService.runDb(
+        'UPDATE admin_sessions SET revoked_at = ? WHERE username = ? AND revoked_at IS NULL',
+        [new Date().toISOString(), username]
+    ));
+    if (result.changes > 0) {
+        console.log(`Revoked ${result.changes} session(s) of admin user ${username}.`);
+    }
+    return result.changes;
+}
+
+/**
+ * Deletes expired sessions, revoked or not.
+ * @returns {Promise<number>} The number of deleted sessions.
+ */
+async function pruneSessions() {
+    const result = await configService.serializeDb(() =>
+        configService.runDb('DELETE FROM admin_sessions WHERE expires_at <= ?', [new Date().toISOString()])
+    );
+    if (result.changes > 0) {
+        console.log(`Pruned ${result.changes} expired admin sessions.`);
+    }
+    return result.changes;
+}
+
+module.exports = {
+    createSession,
+    getActiveSession,
+    listActiveSessions,
+    revokeSession,
+    revokeUserSessions,
+    pruneSessions,
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const dbModule = require('../db');
+const configService = require('./configService');
+const twoFactorService = require('./twoFactorService');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+// Named admin users with roles, stored in admin_users. ROLES is ordered from least to most privileged:
+// viewers can look at keys, usage and logs; operators can also change configuration and see secrets;
+// owners can also manage admin users.
+// ADMIN_PASSWORD still works as a built-in owner named ADMIN_USERNAME (default "admin") as long as
+// no admin_users row has that name, so existing deployments keep their login.
+
+const ROLES = ['viewer', 'operator', 'owner'];
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Checked against for unknown usernames, so a login takes as long whether or not the user exists
+let dummyPasswordHashPromise = null;
+
+/**
+ * @returns {string} The username of the built-in ADMIN_PASSWORD owner.
+ */
+function getBuiltInAdminUsername() {
+    return process.env.ADMIN_USERNAME || 'admin';
+}
+
+/**
+ * Checks whether a role grants at least the privileges of another.
+ * @param {string} role
+ * @param {string} minRole
+ * @returns {boolean}
+ */
+function hasRole(role, minRole) {
+    const level = ROLES.indexOf(role);
+    return level !== -1 && level >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Checks that an owner can still log in after a change to admin_users.
+ * @param {Array<{username: string, role: string}>} users All admin_users rows after the change.
+ * @throws {Error} If no owner would be left.
+ */
+function assertOwnerRemains(users) {
+    const builtInAvailable = !!process.env.ADMIN_PASSWORD && !users.some(user => user.username === getBuiltInAdminUsername());
+    if (!builtInAvailable && !users.some(user => user.role === 'owner')) {
+        throw new Error('At least one owner must remain.');
+    }
+}
+
+/**
+ * @param {string} role
+ * @throws {Error} If the role is unknown.
+ */
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}.`);
+    }
+}
+
+/**
+ * @param {string} password
+ * @throws {Error} If the password is too short.
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+}
+
+/**
+ * Lists admin users without their password hashes.
+ * @returns {Promise<Array<{username: string, role: string, createdAt: string, twoFactorEnabled: boolean}>>}
+ */
+async function listAdminUsers() {
+    const rows = await configService.allDb(`
+        SELECT u.username, u.role, u.created_at, COALESCE(t.enabled, 0) AS two_factor_enabled
+        FROM admin_users u LEFT JOIN admin_two_factor t ON t.username = u.username
+        ORDER BY u.username
+    `);
+    return rows.map(row => ({
+        username: row.username,
+        role: row.role,
+        createdAt: row.created_at,
+        twoFactorEnabled: !!row.two_factor_enabled
+    }));
+}
+
+/**
+ * Revokes a user's sessions. Must run inside changeAdminUsers.
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function revokeSessionsInTransaction(username) {
+    await configService.runDb(
+        'UPDATE admin_sessions SET revoked_at = ? WHERE username = ? AND revoked_at IS NULL',
+        [new Date().toISOString(), username]
+    );
+}
+
+/**
+ * Runs a change to admin_users in a transaction, refusing it when it would leave no owner.
+ * @param {() => Promise<void>} change
+ * @returns {Promise<void>}
+ */
+async function changeAdminUsers(change) {
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+        try {
+            await change();
+            assertOwnerRemains(await configService.allDb('SELECT username, role FROM admin_users'));
+            await configService.runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+/**
+ * Creates an admin user.
+ * @param {string} username
+ * @param {string} password
+ * @param {string} role
+ * @returns {Promise<void>}
+ */
+async function createAdminUser(username, password, role) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new Error('Username must be 1-64 characters of letters, digits, ".", "_", "@" or "-".');
+    }
+    validatePassword(password);
+    validateRole(role);
+    const passwordHash = await hashPassword(password);
+
+    try {
+        await changeAdminUsers(async () => {
+            await configService.runDb(
+                'INSERT INTO admin_users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)',
+                [username, passwordHash, role, new Date().toISOString()]
+            );
+            // A user replacing the built-in owner must not inherit its 2FA secret or sessions
+            await configService.runDb('DELETE FROM admin_two_factor WHERE username = ?', [username]);
+            await revokeSessionsInTransaction(username);
+        });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            throw new Error(`Admin user '${username}' already exists.`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Changes an admin user's password and/or role. Omitted fields are left unchanged.
+ * A new password ends all of the user's sessions.
+ * @param {string} username
+ * @param {{password?: string, role?: string}} changes
+ * @returns {Promise<void>}
+ */
+async function updateAdminUser(username, changes) {
+    const { password, role } = changes;
+    if (password !== undefined) validatePassword(password);
+    if (role !== undefined) validateRole(role);
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+
+    await changeAdminUsers(async () => {
+        const result = await configService.runDb(
+            'UPDATE admin_users SET password_hash = COALESCE(?, password_hash), role = COALESCE(?, role) WHERE username = ?',
+            [passwordHash, role ?? null, username]
+        );
+        if (result.changes === 0) {
+            throw new Error(`Admin user '${username}' not found.`);
+        }
+        if (passwordHash) {
+            await revokeSessionsInTransaction(username);
+        }
+    });
+}
+
+/**
+ * Deletes an admin user.
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function deleteAdminUser(username) {
+    await changeAdminUsers(async () => {
+        const result = await configService.runDb('DELETE FROM admin_users WHERE username = ?', [username]);
+        if (result.changes === 0) {
+            throw new Error(`Admin user '${username}' not found.`);
+        }
+        await configService.runDb('DELETE FROM admin_two_factor WHERE username = ?', [username]);
+        // Otherwise a user created later with the same name would take over the sessions
+        await revokeSessionsInTransaction(username);
+    });
+}
+
+/**
+ * Checks a username and password.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{username: string, role: string} | null>} The user, or null if the credentials are wrong.
+ */
+async function authenticateAdminUser(username, password) {
+    const row = await configService.getDb('SELECT username, password_hash, role FROM admin_users WHERE username = ?', [username]);
+    if (row) {
+        return (await verifyPassword(password, row.password_hash)) ? { username: row.username, role: row.role } : null;
+    }
+
+    dummyPasswordHashPromise = dummyPasswordHashPromise || hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, await dummyPasswordHashPromise);
+
+    const builtInPassword = process.env.ADMIN_PASSWORD;
+    if (builtInPassword && username === getBuiltInAdminUsername()) {
+        // Compare digests so the check takes the same time regardless of where the passwords differ
+        const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+        if (crypto.timingSafeEqual(digest(password), digest(builtInPassword))) {
+            return { username, role: 'owner' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Looks up the current role of a logged-in user, so role changes and deletions apply to existing sessions.
+ * @param {string} username
+ * @returns {Promise<{username: string, role: string, builtIn: boolean, twoFactorEnabled: boolean} | null>} Null if the user no longer exists.
+ */
+async function resolveAdminUser(username) {
+    if (!username) return null;
+    const row = await configService.getDb('SELECT username, role FROM admin_users WHERE username = ?', [username]);
+    let adminUser = null;
+    if (row) {
+        adminUser = { username: row.username, role: row.role, builtIn: false };
+    } else if (process.env.ADMIN_PASSWORD && username === getBuiltInAdminUsername()) {
+        adminUser = { username, role: 'owner', builtIn: true };
+    }
+    if (adminUser) {
+        adminUser.twoFactorEnabled = await twoFactorService.isTwoFactorEnabled(username);
+    }
+    return adminUser;
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    getBuiltInAdminUsername,
+    listAdminUsers,
+    createAdminUser,
+    updateAdminUser,
+    deleteAdminUser,
+    authenticateAdminUser,
+    resolveAdminUser,
+};
@@ -1,4 +1,5 @@
 const dbModule = require('../db');
+const { DEFAULT_QUOTA_RESET, getUsageDate, isValidTimeZone } = require('../utils/helpers');
 
 // --- Helper Functions for DB Interaction ---
 
@@ -87,7 +88,7 @@ let dbOperationQueue = Promise.resolve();
  */
 const serializeDb = (callback) => {
     // Chain the operation to the queue
-    dbOperationQueue = dbOperationQueue.then(async () => {
+    const operation = dbOperationQueue.then(async () => {
         try {
             return await callback();
         } catch (error) {
@@ -96,8 +97,10 @@ const serializeDb = (callback) => {
             throw error;
         }
     });
+    // The next operation waits for this one to settle; a rejection here must not skip it
+    dbOperationQueue = operation.catch(() => {});
 
-    return dbOperationQueue;
+    return operation;
 };
 
 // --- Settings Management (Generic Key-Value) ---
@@ -169,7 +172,7 @@ async function setSetting(key, value, skipSync = false, useTransaction = false)
 
 /**
  * Gets the entire models configuration object.
- * @returns {Promise<Record<string, {category: string, dailyQuota?: number, individualQuota?: number}>>}
+ * @returns {Promise<Record<string, {category: string, dailyQuota?: number, individualQuota?: number, fallbackModels: string[], keyStrategy?: string, keyGroups: string[]}>>}
  */
 async function getModelsConfig() {
     const rows = await allDb('SELECT * FROM models_config');
@@ -179,21 +182,57 @@ async function getModelsConfig() {
             category: row.category,
             // Return null or undefined from DB as undefined
             dailyQuota: row.daily_quota ?? undefined,
-            individualQuota: row.individual_quota ?? undefined
+            individualQuota: row.individual_quota ?? undefined,
+            fallbackModels: parseStringList(row.fallback_models),
+            keyStrategy: row.key_strategy || undefined,
+            keyGroups: parseStringList(row.key_groups)
         };
     });
     return config;
 }
 
+/**
+ * Parses a stored JSON array of strings (fallback_models, allowed_models, ...), tolerating NULL and malformed values.
+ * @param {string | null} value
+ * @returns {string[]}
+ */
+function parseStringList(value) {
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed.filter(id => typeof id === 'string' && id) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Validates a list of key group names and returns it trimmed and de-duplicated as a JSON string for storage.
+ * @param {string[]} groups
+ * @returns {string}
+ * @throws {Error} If groups is not an array of non-empty strings.
+ */
+function serializeKeyGroups(groups) {
+    if (!Array.isArray(groups) || groups.some(group => typeof group !== 'string' || !group.trim())) {
+        throw new Error("keyGroups must be an array of group names.");
+    }
+    return JSON.stringify([...new Set(groups.map(group => group.trim()))]);
+}
+
 /**
  * Adds or updates a model configuration.
  * @param {string} modelId
  * @param {'Pro' | 'Flash' | 'Custom'} category
  * @param {number | null | undefined} dailyQuota Use null/undefined for no limit.
  * @param {number | null | undefined} individualQuota Use null/undefined for no limit.
+ * @param {string[] | undefined} [fallbackModels] Model IDs tried in order when this model is unavailable.
+ *   Keeps the current chain when omitted.
+ * @param {string | null | undefined} [keyStrategy] Key selection strategy override; null uses the system default.
+ *   Keeps the current override when omitted.
+ * @param {string[] | undefined} [keyGroups] Key groups this model is restricted to; an empty list allows all keys.
+ *   Keeps the current groups when omitted.
  * @returns {Promise<void>}
  */
-async function setModelConfig(modelId, category, dailyQuota, individualQuota) {
+async function setModelConfig(modelId, category, dailyQuota, individualQuota, fallbackModels, keyStrategy, keyGroups) {
     // Ensure null is stored in DB if quota is undefined or explicitly null
     const dailyQuotaDb = (dailyQuota === undefined || dailyQuota === null) ? null : Number(dailyQuota);
     const individualQuotaDb = (individualQuota === undefined || individualQuota === null) ? null : Number(individualQuota);
@@ -204,19 +243,33 @@ async function setModelConfig(modelId, category, dailyQuota, individualQuota) {
     if (((category === 'Pro' || category === 'Flash') && individualQuotaDb !== null && !Number.isInteger(individualQuotaDb)) || individualQuotaDb < 0) {
         throw new Error("Pro/Flash model individualQuota must be a non-negative integer or null.");
     }
+    if (fallbackModels !== undefined && (!Array.isArray(fallbackModels) || fallbackModels.some(id => typeof id !== 'string' || !id.trim()))) {
+        throw new Error("fallbackModels must be an array of model IDs.");
+    }
+    if (fallbackModels?.includes(modelId)) {
+        throw new Error("fallbackModels must not include the model itself.");
+    }
+    const newKeyGroupsDb = keyGroups === undefined ? undefined : serializeKeyGroups(keyGroups);
 
     // Use serializeDb to ensure atomic operations and avoid concurrency issues
     await serializeDb(async () => {
         await runDb('BEGIN TRANSACTION');
 
         try {
+            const existing = await getDb('SELECT fallback_models, key_strategy, key_groups FROM models_config WHERE model_id = ?', [modelId]);
+            const fallbackModelsDb = fallbackModels === undefined
+                ? JSON.stringify(parseStringList(existing?.fallback_models))
+                : JSON.stringify([...new Set(fallbackModels.map(id => id.trim()))]);
+            const keyStrategyDb = keyStrategy === undefined ? (existing?.key_strategy || null) : keyStrategy;
+            const keyGroupsDb = newKeyGroupsDb ?? JSON.stringify(parseStringList(existing?.key_groups));
+
             const sql = `
                 INSERT OR REPLACE INTO models_config
-                (model_id, category, daily_quota, individual_quota)
-                VALUES (?, ?, ?, ?)
+                (model_id, category, daily_quota, individual_quota, fallback_models, key_strategy, key_groups)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
             `;
 
-            await runDb(sql, [modelId, category, dailyQuotaDb, individualQuotaDb]);
+            await runDb(sql, [modelId, category, dailyQuotaDb, individualQuotaDb, fallbackModelsDb, keyStrategyDb, keyGroupsDb]);
 
             // Commit the transaction
             await runDb('COMMIT');
@@ -264,16 +317,93 @@ async function deleteModelConfig(modelId) {
 // --- Category Quotas ---
 
 /**
- * Gets the category quotas (Pro/Flash).
- * @returns {Promise<{proQuota: number, flashQuota: number}>}
+ * Gets the limits applied when remote image URLs in chat messages are downloaded.
+ * @returns {Promise<{maxBytes: number, allowedHosts: string[]}>} An empty allowedHosts list allows any host.
+ */
+async function getImageFetchSettings() {
+    const [maxBytes, allowedHosts] = await Promise.all([
+        getSetting('image_fetch_max_bytes', 10 * 1024 * 1024),
+        getSetting('image_fetch_allowed_hosts', '')
+    ]);
+    return {
+        maxBytes: parseInt(maxBytes) > 0 ? parseInt(maxBytes) : 10 * 1024 * 1024,
+        allowedHosts: String(allowedHosts || '')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Validates one reset point and returns it normalized.
+ * @param {any} reset
+ * @param {string} name Used in the error message.
+ * @returns {{timeZone: string, hour: number}}
+ * @throws {Error} If the timezone is unknown or the hour is not an integer between 0 and 23.
+ */
+function normalizeQuotaReset(reset, name) {
+    const timeZone = typeof reset?.timeZone === 'string' ? reset.timeZone.trim() : '';
+    const hour = Number(reset?.hour ?? 0);
+    if (!isValidTimeZone(timeZone)) {
+        throw new Error(`Quota reset for ${name} has an invalid timeZone: '${reset?.timeZone}'.`);
+    }
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        throw new Error(`Quota reset for ${name} must have an hour between 0 and 23.`);
+    }
+    return { timeZone, hour };
+}
+
+/**
+ * Validates quota reset settings and returns them normalized for storage.
+ * @param {{geminiKeys: object, workerKeys: object, keyGroups?: Record<string, object>}} settings
+ * @returns {{geminiKeys: {timeZone: string, hour: number}, workerKeys: {timeZone: string, hour: number}, keyGroups: Record<string, {timeZone: string, hour: number}>}}
+ * @throws {Error} If any reset point is invalid.
+ */
+function parseQuotaResetSettings(settings) {
+    const keyGroups = {};
+    Object.entries(settings?.keyGroups || {}).forEach(([group, reset]) => {
+        if (group.trim()) {
+            keyGroups[group.trim()] = normalizeQuotaReset(reset, `key group '${group.trim()}'`);
+        }
+    });
+    return {
+        geminiKeys: normalizeQuotaReset(settings?.geminiKeys, 'Gemini keys'),
+        workerKeys: normalizeQuotaReset(settings?.workerKeys, 'worker keys'),
+        keyGroups
+    };
+}
+
+/**
+ * Gets when daily usage counters reset: for Gemini keys, per key group (overriding the Gemini key default)
+ * and for worker key limits. Invalid or missing entries fall back to midnight Los Angeles time.
+ * @returns {Promise<{geminiKeys: {timeZone: string, hour: number}, workerKeys: {timeZone: string, hour: number}, keyGroups: Record<string, {timeZone: string, hour: number}>}>}
+ */
+async function getQuotaResetSettings() {
+    const stored = await getSetting('quota_reset', {});
+    try {
+        return parseQuotaResetSettings({
+            geminiKeys: stored?.geminiKeys || DEFAULT_QUOTA_RESET,
+            workerKeys: stored?.workerKeys || DEFAULT_QUOTA_RESET,
+            keyGroups: stored?.keyGroups
+        });
+    } catch (error) {
+        console.warn(`Ignoring invalid quota_reset setting: ${error.message}`);
+        return { geminiKeys: DEFAULT_QUOTA_RESET, workerKeys: DEFAULT_QUOTA_RESET, keyGroups: {} };
+    }
+}
+
+/**
+ * Gets the category quotas (Pro/Flash/Embedding).
+ * @returns {Promise<{proQuota: number, flashQuota: number, embeddingQuota: number}>}
  */
 async function getCategoryQuotas() {
     // Retrieve from settings table, providing defaults
-    const quotas = await getSetting('category_quotas', { proQuota: 50, flashQuota: 1500 });
+    const quotas = await getSetting('category_quotas', { proQuota: 50, flashQuota: 1500, embeddingQuota: 1000 });
     // Ensure the retrieved value has the expected format
      return {
         proQuota: typeof quotas?.proQuota === 'number' ? quotas.proQuota : 50,
         flashQuota: typeof quotas?.flashQuota === 'number' ? quotas.flashQuota : 1500,
+        embeddingQuota: typeof quotas?.embeddingQuota === 'number' ? quotas.embeddingQuota : 1000,
     };
 }
 
@@ -281,12 +411,19 @@ async function getCategoryQuotas() {
  * Sets the category quotas.
  * @param {number} proQuota
  * @param {number} flashQuota
+ * @param {number} [embeddingQuota] Keeps the current embedding quota when omitted.
  * @returns {Promise<void>}
  */
-async function setCategoryQuotas(proQuota, flashQuota) {
+async function setCategoryQuotas(proQuota, flashQuota, embeddingQuota) {
     if (typeof proQuota !== 'number' || typeof flashQuota !== 'number' || proQuota < 0 || flashQuota < 0) {
         throw new Error("Quotas must be non-negative numbers.");
     }
+    if (embeddingQuota !== undefined && (typeof embeddingQuota !== 'number' || embeddingQuota < 0)) {
+        throw new Error("Quotas must be non-negative numbers.");
+    }
+    if (embeddingQuota === undefined) {
+        embeddingQuota = (await getCategoryQuotas()).embeddingQuota;
+    }
 
     // Use serializeDb to ensure atomic operations and avoid concurrency issues
     await serializeDb(async () => {
@@ -296,7 +433,8 @@ async function setCategoryQuotas(proQuota, flashQuota) {
             // Save directly with SQL to avoid nested transactions
             const quotasObj = {
                 proQuota: Math.floor(proQuota),
-                flashQuota: Math.floor(flashQuota)
+                flashQuota: Math.floor(flashQuota),
+                embeddingQuota: Math.floor(embeddingQuota)
             };
 
             await runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
@@ -319,16 +457,35 @@ async function setCategoryQuotas(proQuota, flashQuota) {
 // --- Worker Keys ---
 
 /**
- * Gets all worker keys with their descriptions and safety settings.
- * @returns {Promise<Array<{key: string, description: string, safetyEnabled: boolean, createdAt: string}>>}
+ * Gets all worker keys with their descriptions, safety settings, limits and current usage.
+ * Usage counters from a previous day/month are reported as 0.
+ * @returns {Promise<Array<{key: string, description: string, safetyEnabled: boolean, createdAt: string, limits: object, usage: object}>>}
  */
 async function getAllWorkerKeys() {
-    const rows = await allDb('SELECT api_key, description, safety_enabled, created_at FROM worker_keys ORDER BY created_at DESC');
+    const [rows, quotaReset] = await Promise.all([
+        allDb('SELECT * FROM worker_keys ORDER BY created_at DESC'),
+        getQuotaResetSettings()
+    ]);
+    const today = getUsageDate(quotaReset.workerKeys);
     return rows.map(row => ({
         key: row.api_key,
         description: row.description || '',
         safetyEnabled: row.safety_enabled === 1, // Convert DB integer to boolean
-        createdAt: row.created_at
+        createdAt: row.created_at,
+        allowedModels: parseStringList(row.allowed_models),
+        deniedModels: parseStringList(row.denied_models),
+        keyGroups: parseStringList(row.key_groups),
+        limits: {
+            rpm: row.rpm_limit ?? undefined,
+            rpd: row.rpd_limit ?? undefined,
+            tpd: row.tpd_limit ?? undefined,
+            monthlyBudget: row.monthly_budget ?? undefined
+        },
+        usage: {
+            requestsToday: row.usage_date === today ? (row.request_count || 0) : 0,
+            tokensToday: row.usage_date === today ? (row.token_count || 0) : 0,
+            monthlySpend: row.usage_month === today.slice(0, 7) ? (row.monthly_spend || 0) : 0
+        }
     }));
 }
 
@@ -412,6 +569,147 @@ async function updateWorkerKeySafety(apiKey, safetyEnabled) {
 }
 
 
+/**
+ * Gets the model allow/deny glob patterns for a specific worker key.
+ * @param {string} apiKey The worker API key.
+ * @returns {Promise<{allowedModels: string[], deniedModels: string[]}>} Empty lists (all models allowed) if the key is not found.
+ */
+async function getWorkerKeyModelAccess(apiKey) {
+    const row = await getDb('SELECT allowed_models, denied_models FROM worker_keys WHERE api_key = ?', [apiKey]);
+    return {
+        allowedModels: parseStringList(row?.allowed_models),
+        deniedModels: parseStringList(row?.denied_models)
+    };
+}
+
+/**
+ * Updates a worker key's model allow/deny lists.
+ * @param {string} apiKey
+ * @param {string[]} allowedModels Glob patterns; an empty list allows every model.
+ * @param {string[]} deniedModels Glob patterns, checked before allowedModels.
+ * @returns {Promise<void>}
+ */
+async function updateWorkerKeyModelAccess(apiKey, allowedModels, deniedModels) {
+    for (const [name, patterns] of [['allowedModels', allowedModels], ['deniedModels', deniedModels]]) {
+        if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+            throw new Error(`${name} must be an array of model patterns.`);
+        }
+    }
+    const normalize = (patterns) => JSON.stringify([...new Set(patterns.map(pattern => pattern.trim()))]);
+
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            const sql = `UPDATE worker_keys SET allowed_models = ?, denied_models = ? WHERE api_key = ?`;
+            const result = await runDb(sql, [normalize(allowedModels), normalize(deniedModels), apiKey]);
+
+            if (result.changes === 0) {
+                // The catch below does the rollback
+                throw new Error(`Worker key '${apiKey}' not found for updating model access.`);
+            }
+
+            await runDb('COMMIT');
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+
+    // Sync updates to GitHub (outside transaction)
+    await dbModule.syncToGitHub();
+}
+
+/**
+ * Gets the key groups a worker key is restricted to.
+ * @param {string} apiKey The worker API key.
+ * @returns {Promise<string[]>} Empty list (all Gemini keys allowed) if the key is not found or unrestricted.
+ */
+async function getWorkerKeyGroups(apiKey) {
+    const row = await getDb('SELECT key_groups FROM worker_keys WHERE api_key = ?', [apiKey]);
+    return parseStringList(row?.key_groups);
+}
+
+/**
+ * Updates the key groups a worker key is restricted to.
+ * @param {string} apiKey
+ * @param {string[]} keyGroups Group names; an empty list allows every Gemini key.
+ * @returns {Promise<void>}
+ */
+async function updateWorkerKeyGroups(apiKey, keyGroups) {
+    const keyGroupsDb = serializeKeyGroups(keyGroups);
+
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            const result = await runDb('UPDATE worker_keys SET key_groups = ? WHERE api_key = ?', [keyGroupsDb, apiKey]);
+
+            if (result.changes === 0) {
+                // The catch below does the rollback
+                throw new Error(`Worker key '${apiKey}' not found for updating key groups.`);
+            }
+
+            await runDb('COMMIT');
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+
+    // Sync updates to GitHub (outside transaction)
+    await dbModule.syncToGitHub();
+}
+
+/**
+ * Updates a worker key's limits. Omitted or null values remove the corresponding limit.
+ * @param {string} apiKey
+ * @param {{rpm?: number|null, rpd?: number|null, tpd?: number|null, monthlyBudget?: number|null}} limits
+ * @returns {Promise<void>}
+ */
+async function updateWorkerKeyLimits(apiKey, limits) {
+    const toDbValue = (value, name, integer) => {
+        if (value === undefined || value === null || value === '') return null;
+        const num = Number(value);
+        if (!Number.isFinite(num) || num < 0 || (integer && !Number.isInteger(num))) {
+            throw new Error(`Limit ${name} must be a non-negative ${integer ? 'integer' : 'number'} or null.`);
+        }
+        return num;
+    };
+    const values = [
+        toDbValue(limits.rpm, 'rpm', true),
+        toDbValue(limits.rpd, 'rpd', true),
+        toDbValue(limits.tpd, 'tpd', true),
+        toDbValue(limits.monthlyBudget, 'monthlyBudget', false)
+    ];
+
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            const sql = `UPDATE worker_keys SET rpm_limit = ?, rpd_limit = ?, tpd_limit = ?, monthly_budget = ? WHERE api_key = ?`;
+            const result = await runDb(sql, [...values, apiKey]);
+
+            if (result.changes === 0) {
+                // The catch below does the rollback
+                throw new Error(`Worker key '${apiKey}' not found for updating limits.`);
+            }
+
+            await runDb('COMMIT');
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+
+    // Sync updates to GitHub (outside transaction)
+    await dbModule.syncToGitHub();
+}
+
+
 /**
  * Deletes a worker key.
  * @param {string} apiKey
@@ -490,6 +788,9 @@ module.exports = {
     // Settings
     getSetting,
     setSetting,
+    getImageFetchSettings,
+    getQuotaResetSettings,
+    parseQuotaResetSettings,
     // GitHub
     getGitHubConfig,
     setGitHubConfig,
@@ -505,7 +806,15 @@ module.exports = {
     getWorkerKeySafetySetting,
     addWorkerKey,
     updateWorkerKeySafety,
+    updateWorkerKeyLimits,
+    getWorkerKeyModelAccess,
+    updateWorkerKeyModelAccess,
+    getWorkerKeyGroups,
+    updateWorkerKeyGroups,
     deleteWorkerKey,
+    // Stored JSON list helpers
+    parseStringList,
+    serializeKeyGroups,
     // DB helpers (optional export if needed elsewhere)
     runDb,
     getDb,
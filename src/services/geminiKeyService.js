@@ -1,6 +1,8 @@
 const dbModule = require('../db');
 const configService = require('./configService'); // Use configService for DB helpers and settings
-const { getTodayInLA } = require('../utils/helpers');
+const { getUsageDate } = require('../utils/helpers');
+const keySelectionStrategies = require('./keySelectionStrategies');
+const usageHistoryService = require('./usageHistoryService');
 const crypto = require('crypto'); // For generating key IDs
 
 // --- Gemini Key CRUD Operations ---
@@ -303,19 +305,40 @@ async function deleteGeminiKey(keyId) {
     });
 }
 
+/**
+ * Builds a function that returns the current usage date for a gemini_keys row. Keys in a key group with its
+ * own reset point use the first such group; all other keys use the Gemini key default.
+ * @param {{geminiKeys: {timeZone: string, hour: number}, keyGroups: Record<string, {timeZone: string, hour: number}>}} quotaReset
+ *   From configService.getQuotaResetSettings().
+ * @returns {(keyRow: {key_groups?: string}) => string} Returns YYYY-MM-DD.
+ */
+function createUsageDateResolver(quotaReset) {
+    const datesByReset = new Map();
+    return (keyRow) => {
+        const group = configService.parseStringList(keyRow.key_groups).find(name => quotaReset.keyGroups[name]);
+        const reset = group ? quotaReset.keyGroups[group] : quotaReset.geminiKeys;
+        const cacheKey = `${reset.timeZone}|${reset.hour}`;
+        if (!datesByReset.has(cacheKey)) {
+            datesByReset.set(cacheKey, getUsageDate(reset));
+        }
+        return datesByReset.get(cacheKey);
+    };
+}
+
 /**
  * Retrieves all Gemini keys with usage details.
  * @returns {Promise<Array<object>>} Array of key objects.
  */
 async function getAllGeminiKeysWithUsage() {
     // Fetch models config and category quotas needed for display logic
-    const [modelsConfig, categoryQuotas] = await Promise.all([
+    const [modelsConfig, categoryQuotas, quotaReset] = await Promise.all([
         configService.getModelsConfig(),
-        configService.getCategoryQuotas()
+        configService.getCategoryQuotas(),
+        configService.getQuotaResetSettings()
     ]);
 
     const keys = await configService.allDb('SELECT * FROM gemini_keys ORDER BY created_at DESC');
-    const todayInLA = getTodayInLA();
+    const getKeyUsageDate = createUsageDateResolver(quotaReset);
 
     return keys.map(keyRow => {
         try {
@@ -323,7 +346,7 @@ async function getAllGeminiKeysWithUsage() {
             const categoryUsageDb = JSON.parse(keyRow.category_usage || '{}');
             const consecutive429CountsDb = JSON.parse(keyRow.consecutive_429_counts || '{}');
 
-            const isQuotaReset = keyRow.usage_date !== todayInLA;
+            const isQuotaReset = keyRow.usage_date !== getKeyUsageDate(keyRow);
 
             let displayModelUsage = {};
              // Populate modelUsageData for all relevant models (Custom or Pro/Flash with individualQuota)
@@ -350,17 +373,18 @@ async function getAllGeminiKeysWithUsage() {
 
 
             const displayCategoryUsage = isQuotaReset
-                ? { pro: 0, flash: 0 }
+                ? { pro: 0, flash: 0, embedding: 0 }
                 : {
                     pro: categoryUsageDb.pro || 0,
-                    flash: categoryUsageDb.flash || 0
+                    flash: categoryUsageDb.flash || 0,
+                    embedding: categoryUsageDb.embedding || 0
                   };
 
             // Calculate overall usage for display (sum of category + custom model usage)
             // This is just for display, not used for actual quota checks
             let displayTotalUsage = 0;
             if (!isQuotaReset) {
-                displayTotalUsage = (displayCategoryUsage.pro || 0) + (displayCategoryUsage.flash || 0);
+                displayTotalUsage = (displayCategoryUsage.pro || 0) + (displayCategoryUsage.flash || 0) + (displayCategoryUsage.embedding || 0);
                 Object.values(displayModelUsage).forEach(usage => {
                     // Only add custom model usage if category is Custom
                     const modelId = Object.keys(displayModelUsage).find(key => displayModelUsage[key] === usage);
@@ -381,6 +405,9 @@ async function getAllGeminiKeysWithUsage() {
                 categoryUsage: displayCategoryUsage,
                 categoryQuotas: categoryQuotas, // Pass fetched quotas for context
                 errorStatus: keyRow.error_status, // 400, 401, 403, or null
+                weight: keyRow.weight ?? 1,
+                groups: configService.parseStringList(keyRow.key_groups),
+                cooldowns: getKeyCooldowns(keyRow.id),
                 consecutive429Counts: consecutive429CountsDb || {}
             };
         } catch (e) {
@@ -403,6 +430,50 @@ async function getErrorKeys() {
     }));
 }
 
+/**
+ * Sets a key's weight for the weighted key selection strategy.
+ * @param {string} keyId
+ * @param {number} weight Non-negative integer; 0 means the key is only used when no other key is available.
+ * @returns {Promise<void>}
+ */
+async function setGeminiKeyWeight(keyId, weight) {
+    const result = await configService.serializeDb(() => configService.runDb('UPDATE gemini_keys SET weight = ? WHERE id = ?', [weight, keyId]));
+    if (result.changes === 0) {
+        throw new Error(`Key with ID '${keyId}' not found.`);
+    }
+
+    dbModule.syncToGitHub().catch(err => {
+        console.warn(`Failed to sync to GitHub after setting weight for key ${keyId}:`, err);
+    });
+}
+
+/**
+ * Sets the key groups a key belongs to. Worker keys and models bound to groups only use keys in those groups.
+ * @param {string} keyId
+ * @param {string[]} groups Group names; an empty list removes the key from all groups.
+ * @returns {Promise<void>}
+ */
+async function setGeminiKeyGroups(keyId, groups) {
+    const groupsDb = configService.serializeKeyGroups(groups);
+    const result = await configService.serializeDb(() => configService.runDb('UPDATE gemini_keys SET key_groups = ? WHERE id = ?', [groupsDb, keyId]));
+    if (result.changes === 0) {
+        throw new Error(`Key with ID '${keyId}' not found.`);
+    }
+
+    dbModule.syncToGitHub().catch(err => {
+        console.warn(`Failed to sync to GitHub after setting groups for key ${keyId}:`, err);
+    });
+}
+
+/**
+ * Counts keys that are not marked with an error status and can therefore serve requests.
+ * @returns {Promise<{usable: number, total: number}>}
+ */
+async function countUsableGeminiKeys() {
+    const row = await configService.getDb('SELECT COUNT(*) AS total, SUM(CASE WHEN error_status IS NULL THEN 1 ELSE 0 END) AS usable FROM gemini_keys');
+    return { usable: row?.usable || 0, total: row?.total || 0 };
+}
+
 /**
  * Clears the error status (sets to NULL) for a specific key.
  * Only performs update and sync if the key actually has an error status.
@@ -611,23 +682,116 @@ async function recordKeyError(keyId, status) {
     });
 }
 
+// --- Key Cooldowns ---
+
+// Transient failures (regular 429s, 5xx) put a key on cooldown for the failing model so it isn't picked
+// again moments later. Cooldowns back off exponentially and are kept in memory; they reset on restart.
+const COOLDOWN_BASE_MS = 5 * 1000;
+const COOLDOWN_MAX_MS = 5 * 60 * 1000;
+const keyCooldowns = new Map(); // `${keyId}|${modelId}` -> { keyId, modelId, until, strikes, status }
+
+/**
+ * Reads Gemini's suggested retry delay from a google.rpc.RetryInfo error detail (e.g. "retryDelay": "34s").
+ * @param {object | string} [errorDetails] Parsed Gemini error object.
+ * @returns {number | null} The delay in milliseconds, or null if absent.
+ */
+function getRetryDelayMs(errorDetails) {
+    const details = Array.isArray(errorDetails?.details) ? errorDetails.details : [];
+    const retryInfo = details.find(detail => typeof detail?.['@type'] === 'string' && detail['@type'].endsWith('google.rpc.RetryInfo'));
+    const seconds = parseFloat(retryInfo?.retryDelay);
+    return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * Puts a key on cooldown for a model after a transient failure. Each consecutive failure doubles the
+ * cooldown (5s, 10s, 20s ... up to 5 minutes) unless Gemini sent a RetryInfo delay, which is used instead.
+ * @param {string} keyId
+ * @param {string} modelId
+ * @param {number} status The HTTP status that triggered the cooldown.
+ * @param {object | string} [errorDetails] Parsed Gemini error object.
+ */
+function startKeyCooldown(keyId, modelId, status, errorDetails) {
+    if (!keyId || !modelId) return;
+    const cooldownKey = `${keyId}|${modelId}`;
+    const previous = keyCooldowns.get(cooldownKey);
+    // Failures long after the last cooldown ended start a new backoff sequence
+    const strikes = previous && Date.now() - previous.until < COOLDOWN_MAX_MS ? previous.strikes + 1 : 1;
+    const delayMs = getRetryDelayMs(errorDetails) ?? Math.min(COOLDOWN_BASE_MS * 2 ** (strikes - 1), COOLDOWN_MAX_MS);
+
+    keyCooldowns.set(cooldownKey, { keyId, modelId, until: Date.now() + delayMs, strikes, status });
+    console.warn(`Key ${keyId} cooling down for model ${modelId} for ${Math.round(delayMs / 1000)}s after ${status} (strike ${strikes}).`);
+}
+
+/**
+ * Checks whether a key is cooling down for a model.
+ * @param {string} keyId
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+function isKeyCoolingDown(keyId, modelId) {
+    const cooldown = keyCooldowns.get(`${keyId}|${modelId}`);
+    return !!cooldown && cooldown.until > Date.now();
+}
+
+/**
+ * Lists the active cooldowns of a key.
+ * @param {string} keyId
+ * @returns {Array<{modelId: string, until: string, remainingSeconds: number, strikes: number, status: number}>}
+ */
+function getKeyCooldowns(keyId) {
+    const now = Date.now();
+    return [...keyCooldowns.values()]
+        .filter(cooldown => cooldown.keyId === keyId && cooldown.until > now)
+        .map(cooldown => ({
+            modelId: cooldown.modelId,
+            until: new Date(cooldown.until).toISOString(),
+            remainingSeconds: Math.ceil((cooldown.until - now) / 1000),
+            strikes: cooldown.strikes,
+            status: cooldown.status
+        }));
+}
+
+/**
+ * Ends a key's cooldowns and resets its backoff, either for one model or for all models.
+ * @param {string} keyId
+ * @param {string} [modelId] Clears every cooldown of the key when omitted.
+ * @returns {number} The number of cooldowns cleared.
+ */
+function clearKeyCooldown(keyId, modelId) {
+    let cleared = 0;
+    for (const [cooldownKey, cooldown] of keyCooldowns) {
+        if (cooldown.keyId === keyId && (!modelId || cooldown.modelId === modelId)) {
+            keyCooldowns.delete(cooldownKey);
+            cleared++;
+        }
+    }
+    return cleared;
+}
+
 // --- Key Selection and Usage Update Logic ---
 
 /**
- * Selects the next available Gemini API key using round-robin.
- * Skips keys with errors or quota limits reached.
+ * Selects the next available Gemini API key.
+ * Skips keys with errors, cooldowns or quota limits reached, then picks one of the remaining keys with the
+ * key selection strategy (the model's override, else the key_selection_strategy setting).
  * @param {string} [requestedModelId] The model being requested, for quota checking.
  * @param {boolean} [updateIndex=true] Whether to update the index in the database. Set to false for read-only operations.
+ * @param {object} [options]
+ * @param {string} [options.workerApiKey] The calling worker key, used for its key groups and by the sticky-by-worker-key strategy.
+ * @param {string[]} [options.excludeKeyIds] Keys already tried for this request; only used again if no other key is left.
  * @returns {Promise<{ id: string; key: string } | null>} The selected key ID and value, or null if none available.
  */
-async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
+async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true, options = {}) {
     try {
         // 1. Get key list, current index, configs in parallel
-        const [allKeyIds, currentIndexSetting, modelsConfig, categoryQuotas] = await Promise.all([
+        const [allKeyIds, currentIndexSetting, modelsConfig, categoryQuotas, defaultStrategy, workerKeyGroups, quotaReset] = await Promise.all([
             configService.getSetting('gemini_key_list', []),
             configService.getSetting('gemini_key_index', 0),
             configService.getModelsConfig(),
-            configService.getCategoryQuotas()
+            configService.getCategoryQuotas(),
+            configService.getSetting('key_selection_strategy', keySelectionStrategies.DEFAULT_STRATEGY),
+            options.workerApiKey ? configService.getWorkerKeyGroups(options.workerApiKey) : [],
+            configService.getQuotaResetSettings()
         ]);
 
         if (!Array.isArray(allKeyIds) || allKeyIds.length === 0) {
@@ -670,7 +834,9 @@ async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
                     modelCategory = modelConfig.category;
                 } else {
                     // If model is not configured, infer category from model name
-                    if (requestedModelId.includes('flash')) {
+                    if (requestedModelId.includes('embedding')) {
+                        modelCategory = 'Embedding';
+                    } else if (requestedModelId.includes('flash')) {
                         modelCategory = 'Flash';
                     } else if (requestedModelId.includes('pro')) {
                         modelCategory = 'Pro';
@@ -682,37 +848,49 @@ async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
                 }
             }
 
-            // 3. Iterate through keys using round-robin
-            const todayInLA = getTodayInLA();
-            let keysChecked = 0;
-            let initialIndex = currentIndex; // To detect full loop
+            // 3. Collect usable keys in round-robin order, starting at the current index
+            const getKeyUsageDate = createUsageDateResolver(quotaReset);
+            const keyRows = await configService.allDb('SELECT * FROM gemini_keys');
+            const keyRowsById = new Map(keyRows.map(row => [row.id, row]));
+            const candidates = [];
 
-            while (keysChecked < allKeyIds.length) {
-                const keyId = allKeyIds[currentIndex];
-                keysChecked++;
+            // A key must share a group with the worker key and with the model, when either is restricted to groups
+            const groupRestrictions = [workerKeyGroups, modelConfig?.keyGroups || []].filter(groups => groups.length > 0);
+            let skippedByGroup = 0;
 
-                const keyInfo = await configService.getDb('SELECT * FROM gemini_keys WHERE id = ?', [keyId]);
-
-                // --- Move index update here to ensure it always happens ---
-                const nextIndex = (currentIndex + 1) % allKeyIds.length;
+            for (let offset = 0; offset < allKeyIds.length; offset++) {
+                const keyId = allKeyIds[(currentIndex + offset) % allKeyIds.length];
+                const keyInfo = keyRowsById.get(keyId);
 
                 // --- Validation Checks ---
                 if (!keyInfo) {
                     console.warn(`Key ID ${keyId} from list not found in database. Skipping.`);
-                    currentIndex = nextIndex;
                     continue; // Skip this key if its details aren't in the DB
                 }
 
+                if (groupRestrictions.length > 0) {
+                    const keyGroups = configService.parseStringList(keyInfo.key_groups);
+                    if (!groupRestrictions.every(groups => groups.some(group => keyGroups.includes(group)))) {
+                        skippedByGroup++;
+                        continue;
+                    }
+                }
+
                 // Check for 400/401/403 error status
                 if (keyInfo.error_status === 400 || keyInfo.error_status === 401 || keyInfo.error_status === 403) {
                     console.log(`Skipping key ${keyId} due to error status: ${keyInfo.error_status}`);
-                    currentIndex = nextIndex;
+                    continue;
+                }
+
+                // Skip keys cooling down after a recent transient failure for this model
+                if (requestedModelId && isKeyCoolingDown(keyId, requestedModelId)) {
+                    console.log(`Skipping key ${keyId}: cooling down for model ${requestedModelId}.`);
                     continue;
                 }
 
                 // Check quota if model category is known and it's the same day
                 let quotaExceeded = false;
-                if (modelCategory && keyInfo.usage_date === todayInLA) {
+                if (modelCategory && keyInfo.usage_date === getKeyUsageDate(keyInfo)) {
                     try {
                         const modelUsage = JSON.parse(keyInfo.model_usage || '{}');
                         const categoryUsage = JSON.parse(keyInfo.category_usage || '{}');
@@ -742,6 +920,12 @@ async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
                                     quotaExceeded = true;
                                 }
                                 break;
+                            case 'Embedding':
+                                if (categoryQuotas.embeddingQuota !== null && (categoryUsage.embedding || 0) >= categoryQuotas.embeddingQuota) {
+                                    console.log(`Skipping key ${keyId}: Embedding category quota reached (${categoryUsage.embedding || 0}/${categoryQuotas.embeddingQuota}).`);
+                                    quotaExceeded = true;
+                                }
+                                break;
                             case 'Custom':
                                 if (modelConfig?.dailyQuota !== null && (modelUsage[requestedModelId] || 0) >= modelConfig.dailyQuota) {
                                     console.log(`Skipping key ${keyId}: Custom model '${requestedModelId}' quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.dailyQuota}).`);
@@ -756,25 +940,36 @@ async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
                 }
 
                 if (quotaExceeded) {
-                    currentIndex = nextIndex;
                     continue; // Skip this key
                 }
 
-                // If we reach here, the key is valid
-                selectedKeyData = { id: keyInfo.id, key: keyInfo.api_key };
-                currentIndex = nextIndex; // Set index for the *next* request
-                break; // Found a valid key
-            } // End while loop
+                candidates.push(keyInfo);
+            }
 
-            // --- Post-selection Updates ---
-            if (!selectedKeyData) {
+            if (candidates.length === 0) {
                 if (updateIndex) {
                     await configService.runDb('ROLLBACK'); // Rollback if no key found
                 }
-                console.error("No available Gemini keys found after checking all keys.");
+                if (skippedByGroup > 0) {
+                    console.error(`No available Gemini keys found; ${skippedByGroup} key(s) are outside the allowed key groups (worker key: [${workerKeyGroups.join(', ')}], model: [${(modelConfig?.keyGroups || []).join(', ')}]).`);
+                } else {
+                    console.error("No available Gemini keys found after checking all keys.");
+                }
                 return null;
             }
 
+            // 4. Pick a key with the configured strategy, preferring keys not yet tried for this request
+            const excludeKeyIds = options.excludeKeyIds || [];
+            const untriedCandidates = candidates.filter(keyInfo => !excludeKeyIds.includes(keyInfo.id));
+            const strategyName = modelConfig?.keyStrategy || defaultStrategy;
+            const selectedRow = keySelectionStrategies.selectKey(
+                strategyName,
+                untriedCandidates.length > 0 ? untriedCandidates : candidates,
+                { modelId: requestedModelId, modelCategory, workerApiKey: options.workerApiKey, getUsageDate: getKeyUsageDate }
+            );
+            selectedKeyData = { id: selectedRow.id, key: selectedRow.api_key };
+            currentIndex = (allKeyIds.indexOf(selectedRow.id) + 1) % allKeyIds.length; // Set index for the *next* request
+
             // Only update indices if updateIndex is true (for API operations)
             // Skip for read-only operations like fetching model lists
             if (updateIndex) {
@@ -790,7 +985,7 @@ async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
                 
                 // GitHub sync outside transaction
                 await dbModule.syncToGitHub();
-                console.log(`Selected Gemini Key ID via sequential round-robin: ${selectedKeyData.id} (next index will be: ${currentIndex})`);
+                console.log(`Selected Gemini Key ID via ${strategyName}: ${selectedKeyData.id} (next index will be: ${currentIndex})`);
             } else {
                 console.log(`Selected Gemini Key ID (read-only): ${selectedKeyData.id} (index not updated)`);
             }
@@ -824,34 +1019,40 @@ async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
 
 /**
  * Increments the usage count for a given Gemini Key ID. Resets if the date changes.
- * Tracks usage per model and per category. Resets 429 counters on success.
+ * Tracks usage per model and per category. Resets 429 counters and the model's cooldown backoff on success.
  * @param {string} keyId
  * @param {string} [modelId]
- * @param {'Pro' | 'Flash' | 'Custom'} [category]
+ * @param {'Pro' | 'Flash' | 'Custom' | 'Embedding'} [category]
  * @returns {Promise<void>}
  */
 async function incrementKeyUsage(keyId, modelId, category) {
+    // A successful request ends the backoff sequence for this model
+    if (modelId) {
+        keyCooldowns.delete(`${keyId}|${modelId}`);
+    }
+
     await configService.serializeDb(async () => {
         try {
             // Get the most current key data
-            const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
+            const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts, key_groups FROM gemini_keys WHERE id = ?', [keyId]);
             if (!keyRow) {
                 console.warn(`Cannot increment usage: Key info not found for ID: ${keyId}`);
                 return;
             }
 
-            const todayInLA = getTodayInLA();
+            const today = createUsageDateResolver(await configService.getQuotaResetSettings())(keyRow);
             let modelUsage = JSON.parse(keyRow.model_usage || '{}');
             let categoryUsage = JSON.parse(keyRow.category_usage || '{}');
             let consecutive429Counts = {}; // Reset 429 on successful usage increment
             let usageDate = keyRow.usage_date;
 
             // Reset counters if it's a new day
-            if (usageDate !== todayInLA) {
-                console.log(`Date change detected for key ${keyId} (${usageDate} → ${todayInLA}). Resetting usage.`);
-                usageDate = todayInLA;
+            if (usageDate !== today) {
+                console.log(`Date change detected for key ${keyId} (${usageDate} → ${today}). Resetting usage.`);
+                await usageHistoryService.rollUpGeminiKeyUsage(keyId, usageDate, modelUsage, categoryUsage);
+                usageDate = today;
                 modelUsage = {};
-                categoryUsage = { pro: 0, flash: 0 };
+                categoryUsage = { pro: 0, flash: 0, embedding: 0 };
                 // 429 counts are already reset above
             }
 
@@ -865,6 +1066,8 @@ async function incrementKeyUsage(keyId, modelId, category) {
                 categoryUsage.pro = (categoryUsage.pro || 0) + 1;
             } else if (category === 'Flash') {
                 categoryUsage.flash = (categoryUsage.flash || 0) + 1;
+            } else if (category === 'Embedding') {
+                categoryUsage.embedding = (categoryUsage.embedding || 0) + 1;
             }
 
             // Update the database (serializeDb provides atomicity)
@@ -899,7 +1102,7 @@ async function incrementKeyUsage(keyId, modelId, category) {
  * Forces the usage count for a specific category/model on a key to its configured limit.
  * Resets the specific 429 counter that triggered the limit.
  * @param {string} keyId
- * @param {'Pro' | 'Flash' | 'Custom'} category
+ * @param {'Pro' | 'Flash' | 'Custom' | 'Embedding'} category
  * @param {string} [modelId] Optional model ID (required for Custom or Pro/Flash with individual quota).
  * @param {string} [counterKey] The specific counter key (e.g., 'model-id' or 'category:pro') to reset.
  * @returns {Promise<void>}
@@ -913,13 +1116,14 @@ async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
     try {
         // Fetch current key info and configs
         // Get models and quotas outside the transaction as they don't need to be transactional
-        const [modelsConfig, categoryQuotas] = await Promise.all([
+        const [modelsConfig, categoryQuotas, quotaReset] = await Promise.all([
             configService.getModelsConfig(),
-            configService.getCategoryQuotas()
+            configService.getCategoryQuotas(),
+            configService.getQuotaResetSettings()
         ]);
         
         // Get the latest key data within transaction
-        const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
+        const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts, key_groups FROM gemini_keys WHERE id = ?', [keyId]);
 
         if (!keyRow) {
             await configService.runDb('ROLLBACK');
@@ -927,18 +1131,20 @@ async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
             return;
         }
 
-        const todayInLA = getTodayInLA();
+        const today = createUsageDateResolver(quotaReset)(keyRow);
         let modelUsage = JSON.parse(keyRow.model_usage || '{}');
         let categoryUsage = JSON.parse(keyRow.category_usage || '{}');
         let consecutive429Counts = JSON.parse(keyRow.consecutive_429_counts || '{}');
         let usageDate = keyRow.usage_date;
+        let previousDayUsage = null; // Rolled up into usage_history when the reset counters are saved
 
         // Reset usage if date changed
-        if (usageDate !== todayInLA) {
+        if (usageDate !== today) {
             console.log(`Date change detected in forceSetQuotaToLimit for key ${keyId}. Resetting usage before forcing.`);
-            usageDate = todayInLA;
+            previousDayUsage = { usageDate, modelUsage, categoryUsage };
+            usageDate = today;
             modelUsage = {};
-            categoryUsage = { pro: 0, flash: 0 };
+            categoryUsage = { pro: 0, flash: 0, embedding: 0 };
             consecutive429Counts = {}; // Also reset 429 counts on date change
         }
 
@@ -980,6 +1186,14 @@ async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
                     updated = true;
                 }
                 break;
+            case 'Embedding':
+                if (categoryQuotas.embeddingQuota !== null) {
+                    quotaLimit = categoryQuotas.embeddingQuota;
+                    categoryUsage.embedding = quotaLimit;
+                    console.log(`Forcing Embedding category usage for key ${keyId} to limit: ${quotaLimit}`);
+                    updated = true;
+                }
+                break;
             case 'Custom':
                 if (modelId && modelConfig?.dailyQuota !== null) {
                     quotaLimit = modelConfig.dailyQuota;
@@ -1005,6 +1219,10 @@ async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
             return;
         }
 
+        if (previousDayUsage) {
+            await usageHistoryService.rollUpGeminiKeyUsage(keyId, previousDayUsage.usageDate, previousDayUsage.modelUsage, previousDayUsage.categoryUsage);
+        }
+
         // Update the database within transaction
         const sql = `
             UPDATE gemini_keys
@@ -1035,9 +1253,10 @@ async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
 }
 
 /**
- * Handles 429 errors: increments counter, forces quota limit if threshold reached.
+ * Handles 429 errors: regular 429s start a cooldown; quota-exceeded 429s increment a counter and
+ * force the quota limit if the threshold is reached.
  * @param {string} keyId
- * @param {'Pro' | 'Flash' | 'Custom'} category
+ * @param {'Pro' | 'Flash' | 'Custom' | 'Embedding'} category
  * @param {string} [modelId] Optional model ID.
  * @param {object | string} [errorDetails] Optional error object/string from Gemini, used to check for quotaId.
  * @returns {Promise<void>}
@@ -1049,9 +1268,11 @@ async function handle429Error(keyId, category, modelId, errorDetails) {
     const quotaId = typeof errorDetails === 'object' && errorDetails !== null ? errorDetails.quotaId : null;
     const isQuotaExceeded = typeof quotaId === 'string' && quotaId.toLowerCase().includes("perday");
 
-    // If it's a regular 429 (not quota exceeded), do nothing and return. Retry is handled by the caller.
+    // A regular 429 (not quota exceeded) is a transient rate limit: cool the key down for this model.
+    // Retry is handled by the caller.
     if (!isQuotaExceeded) {
-        console.log(`Received regular 429 for key ${keyId}. Ignoring counter, retry will be handled by caller if applicable.`);
+        console.log(`Received regular 429 for key ${keyId}. Ignoring counter, starting cooldown.`);
+        startKeyCooldown(keyId, modelId, 429, errorDetails);
         return;
     }
 
@@ -1100,6 +1321,9 @@ async function handle429Error(keyId, category, modelId, errorDetails) {
         } else if (category === 'Flash') {
             counterKey = `${keyId}-category:flash`; // Prefix with keyId for uniqueness
             needsQuotaCheck = !!categoryQuotas?.flashQuota && isFinite(categoryQuotas.flashQuota);
+        } else if (category === 'Embedding') {
+            counterKey = `${keyId}-category:embedding`; // Prefix with keyId for uniqueness
+            needsQuotaCheck = !!categoryQuotas?.embeddingQuota && isFinite(categoryQuotas.embeddingQuota);
         }
 
         if (!counterKey) {
@@ -1167,8 +1391,13 @@ module.exports = {
     getNextAvailableGeminiKey,
     incrementKeyUsage,
     handle429Error,
+    startKeyCooldown,
+    clearKeyCooldown,
     recordKeyError,
     getErrorKeys,
+    countUsableGeminiKeys,
+    setGeminiKeyWeight,
+    setGeminiKeyGroups,
     clearKeyError,
     deleteAllErrorKeys,
     clearAllErrorKeys,
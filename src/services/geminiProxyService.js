@@ -4,13 +4,35 @@ const { URL } = require('url'); // Import URL for parsing remains relevant for p
 const dbModule = require('../db');
 const configService = require('./configService');
 const geminiKeyService = require('./geminiKeyService');
+const vertexProxyService = require('./vertexProxyService');
 const transformUtils = require('../utils/transform');
 const proxyPool = require('../utils/proxyPool'); // Import the new proxy pool module
+const remoteImage = require('../utils/remoteImage');
+const metrics = require('../utils/metrics');
 
 
 // Base Gemini API URL
 const BASE_GEMINI_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
 
+/**
+ * Sends a request to Gemini and records its status and latency in the upstream metrics.
+ * @param {string} modelId The model being called, used as the metrics label.
+ * @param {string} url
+ * @param {object} fetchOptions node-fetch options.
+ * @returns {Promise<import('node-fetch').Response>}
+ */
+async function fetchGemini(modelId, url, fetchOptions) {
+    const startTime = Date.now();
+    try {
+        const response = await fetch(url, fetchOptions);
+        metrics.recordUpstreamCall('gemini', modelId, response.status, startTime);
+        return response;
+    } catch (error) {
+        metrics.recordUpstreamCall('gemini', modelId, 500, startTime);
+        throw error;
+    }
+}
+
 // Helper function to check if a 400 error should be marked for key error
 function shouldMark400Error(errorObject) {
     try {
@@ -30,7 +52,50 @@ function shouldMark400Error(errorObject) {
     }
 }
 
-async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thinkingBudget, keepAliveCallback = null) {
+/**
+ * Returns the quota category for a model: its configured category, or one inferred from the model name.
+ * @param {object} modelsConfig Result of configService.getModelsConfig().
+ * @param {string} modelId
+ * @returns {'Pro' | 'Flash' | 'Custom'}
+ */
+function resolveModelCategory(modelsConfig, modelId) {
+    if (modelsConfig[modelId]) {
+        return modelsConfig[modelId].category;
+    }
+    // If model is not configured, infer category from model name.
+    // Default to Flash for unknown models (most common case)
+    const inferredCategory = modelId.includes('pro') && !modelId.includes('flash') ? 'Pro' : 'Flash';
+    console.log(`Model ${modelId} not configured, inferred category: ${inferredCategory}`);
+    return inferredCategory;
+}
+
+/**
+ * Lists every model ID a client may request: configured models plus the
+ * -search and Vertex variants that /v1/models advertises.
+ * @returns {Promise<string[]>}
+ */
+async function getEnabledModelIds() {
+    const modelsConfig = await configService.getModelsConfig();
+    let enabledModels = Object.keys(modelsConfig);
+
+    // Add search versions if web search is enabled
+    const webSearchEnabled = String(await configService.getSetting('web_search', '0')) === '1';
+    if (webSearchEnabled) {
+        const searchModels = Object.keys(modelsConfig)
+            .filter(modelId => /^gemini-[2-9]\.\d/.test(modelId) && !modelId.endsWith('-search'))
+            .map(modelId => `${modelId}-search`);
+        enabledModels = [...enabledModels, ...searchModels];
+    }
+
+    // Add Vertex models if the feature is enabled
+    if (vertexProxyService.isVertexEnabled()) {
+        enabledModels = [...enabledModels, ...vertexProxyService.getVertexSupportedModels()];
+    }
+
+    return enabledModels;
+}
+
+async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, keepAliveCallback = null) {
     const requestedModelId = openAIRequestBody?.model;
 
     if (!requestedModelId) {
@@ -39,6 +104,10 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
     if (!openAIRequestBody.messages || !Array.isArray(openAIRequestBody.messages)) {
         return { error: { message: "Missing or invalid 'messages' field in request body" }, status: 400 };
     }
+    const optionsError = transformUtils.validateGenerationOptions(openAIRequestBody);
+    if (optionsError) {
+        return { error: { ...optionsError, type: 'invalid_request_error' }, status: 400 };
+    }
 
     let lastError = null;
     let lastErrorStatus = 500;
@@ -58,6 +127,15 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
             configService.getSetting('keepalive', '0').then(val => String(val) === '1')
         ]);
 
+        // Gemini only accepts inline image data, so download remote image URLs once before the retry loop
+        if (remoteImage.hasRemoteImages(openAIRequestBody.messages)) {
+            const imageFetchSettings = await configService.getImageFetchSettings();
+            openAIRequestBody = {
+                ...openAIRequestBody,
+                messages: await remoteImage.inlineRemoteImages(openAIRequestBody.messages, imageFetchSettings)
+            };
+        }
+
         console.log(`Using MAX_RETRIES: ${MAX_RETRIES} (from database)`);
         console.log(`KEEPALIVE settings - keepAliveEnabled: ${keepAliveEnabled}, stream: ${stream}, isSafetyEnabled: ${isSafetyEnabled}`);
 
@@ -75,28 +153,12 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
 
         // If it's a search model, use the original model ID to find model info
         const modelLookupId = isSearchModel ? actualModelId : requestedModelId;
-        modelInfo = modelsConfig[modelLookupId];
-        if (!modelInfo) {
-            // If model is not configured, infer category from model name
-            let inferredCategory;
-            if (modelLookupId.includes('flash')) {
-                inferredCategory = 'Flash';
-            } else if (modelLookupId.includes('pro')) {
-                inferredCategory = 'Pro';
-            } else {
-                // Default to Flash for unknown models (most common case)
-                inferredCategory = 'Flash';
-            }
-            console.log(`Model ${modelLookupId} not configured, inferred category: ${inferredCategory}`);
-
-            // Create a temporary model info object
-            modelInfo = { category: inferredCategory };
-            modelCategory = inferredCategory;
-        } else {
-            modelCategory = modelInfo.category;
-        }
+        modelCategory = resolveModelCategory(modelsConfig, modelLookupId);
+        modelInfo = modelsConfig[modelLookupId] || { category: modelCategory };
 
         // --- Retry Loop ---
+        let attemptsMade = 0; // Attempts that reached the upstream with a key, reported for the request log
+        const triedKeyIds = []; // Retries prefer keys not yet used for this request
         for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
             let selectedKey;
             try {
@@ -105,7 +167,7 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                 const keyModelId = isSearchModel ? actualModelId : requestedModelId;
                 
                 // If previous attempt had an empty response, force getting a new key by calling getNextAvailableGeminiKey
-                selectedKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId);
+                selectedKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId, true, { workerApiKey, excludeKeyIds: triedKeyIds });
 
                 // 2. Validate Key
                 if (!selectedKey) {
@@ -116,9 +178,11 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     } else {
                         // If no key on subsequent tries (after 429), return the last recorded 429 error
                          console.error(`Attempt ${attempt}: No more keys to try after previous 429.`);
-                         return { error: lastError, status: lastErrorStatus };
+                         return { error: lastError, status: lastErrorStatus, attempts: attemptsMade };
                     }
                 }
+                attemptsMade = attempt;
+                triedKeyIds.push(selectedKey.id);
 
                 console.log(`Attempt ${attempt}: Proxying request for model: ${requestedModelId}, Category: ${modelCategory}, KeyID: ${selectedKey.id}, Safety: ${isSafetyEnabled}`);
 
@@ -133,6 +197,8 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     return { error: { message: "Request must contain at least one user or assistant message." }, status: 400 };
                 }
 
+                const thinkingConfig = transformUtils.buildThinkingConfig(openAIRequestBody);
+
                 const geminiRequestBody = {
                     contents: contents,
                     generationConfig: {
@@ -140,7 +206,8 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                         ...(openAIRequestBody.top_p !== undefined && { topP: openAIRequestBody.top_p }),
                         ...(openAIRequestBody.max_tokens !== undefined && { maxOutputTokens: openAIRequestBody.max_tokens }),
                         ...(openAIRequestBody.stop && { stopSequences: Array.isArray(openAIRequestBody.stop) ? openAIRequestBody.stop : [openAIRequestBody.stop] }),
-                        ...(thinkingBudget !== undefined && { thinkingConfig: { thinkingBudget: thinkingBudget } }),
+                        ...(thinkingConfig && { thinkingConfig: thinkingConfig }),
+                        ...transformUtils.buildResponseFormatConfig(openAIRequestBody.response_format),
                     },
                     ...(geminiTools && { tools: geminiTools }),
                     ...(toolConfig && { toolConfig: toolConfig }),
@@ -227,23 +294,24 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     fetchOptions.agent = agent;
                 }
 
-                // For KEEPALIVE mode, handle the request asynchronously to avoid blocking
-                // If using keepalive, handle it asynchronously with its own retry logic inside.
-                // This is because the main retry loop is synchronous and we need to return immediately.
+                // In KEEPALIVE mode the client already has a 200 stream, so heartbeats are sent while this model's
+                // keys are retried. A final failure is returned like any other error, without ending the stream,
+                // so the caller can walk the fallback chain before reporting the error in-stream.
                 if (useKeepAlive && keepAliveCallback) {
                     
                     const keepAliveRunner = async () => {
-                        console.log('KEEPALIVE: Starting heartbeat and asynchronous request process.');
+                        console.log('KEEPALIVE: Starting heartbeat and request process.');
                         keepAliveCallback.startHeartbeat();
 
                         let lastKeepAliveError = null;
                         let lastKeepAliveStatus = 500;
+                        const keepAliveTriedKeyIds = [];
 
                         for (let kAttempt = 1; kAttempt <= MAX_RETRIES; kAttempt++) {
                             let keepAliveKey;
                             try {
                                 const keyModelId = isSearchModel ? actualModelId : requestedModelId;
-                                keepAliveKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId);
+                                keepAliveKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId, true, { workerApiKey, excludeKeyIds: keepAliveTriedKeyIds });
 
                                 if (!keepAliveKey) {
                                     lastKeepAliveError = { message: "No available Gemini API Key for keepalive retry." };
@@ -251,6 +319,8 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                                     console.error(`KEEPALIVE Attempt ${kAttempt}: No more keys to try.`);
                                     continue; // Try to find a key in the next attempt
                                 }
+                                keepAliveTriedKeyIds.push(keepAliveKey.id);
+                                attemptsMade = keepAliveTriedKeyIds.length;
                                 
                                 const currentGeminiUrl = `${BASE_GEMINI_URL}/v1beta/models/${actualModelId}:generateContent`;
                                 const currentFetchOptions = {
@@ -261,7 +331,7 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                                 const logSuffix = currentFetchOptions.agent ? ` via proxy ${currentFetchOptions.agent.proxy.href}` : '';
                                 console.log(`KEEPALIVE Attempt ${kAttempt}: Sending request to ${currentGeminiUrl}${logSuffix} with key ID ${keepAliveKey.id}`);
 
-                                const geminiResponse = await fetch(currentGeminiUrl, currentFetchOptions);
+                                const geminiResponse = await fetchGemini(actualModelId, currentGeminiUrl, currentFetchOptions);
 
                                 if (!geminiResponse.ok) {
                                     const errorBodyText = await geminiResponse.text();
@@ -278,13 +348,16 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                                         geminiKeyService.handle429Error(keepAliveKey.id, modelCategory, actualModelId, lastKeepAliveError).catch(e => console.error("BG 429 Error:", e));
                                     } else if (geminiResponse.status === 400 && shouldMark400Error(lastKeepAliveError)) {
                                         geminiKeyService.recordKeyError(keepAliveKey.id, 400).catch(e => console.error("BG 400 Error:", e));
-                                    } else if ([401, 403, 500].includes(geminiResponse.status)) {
+                                    } else if ([401, 403].includes(geminiResponse.status)) {
                                          geminiKeyService.recordKeyError(keepAliveKey.id, geminiResponse.status).catch(e => console.error("BG Key Error:", e));
+                                    } else if (geminiResponse.status >= 500) {
+                                        geminiKeyService.startKeyCooldown(keepAliveKey.id, actualModelId, geminiResponse.status, lastKeepAliveError);
                                     }
                                     
                                     // Continue to next attempt if not the last one
                                     if (kAttempt < MAX_RETRIES) {
                                          console.warn(`KEEPALIVE Attempt ${kAttempt} failed. Retrying...`);
+                                         metrics.incCounter('jimihub_upstream_retries_total', { model: actualModelId });
                                          continue;
                                     } else {
                                         // Last attempt failed, break loop to send error
@@ -297,8 +370,14 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                                 geminiKeyService.incrementKeyUsage(keepAliveKey.id, actualModelId, modelCategory).catch(e => console.error("BG Usage Error:", e));
                                 console.log(`KEEPALIVE: Request successful on attempt ${kAttempt}. Stopping heartbeat.`);
                                 keepAliveCallback.stopHeartbeat();
-                                keepAliveCallback.sendFinalResponse(geminiResponseData);
-                                return; // Exit the runner function on success
+                                keepAliveCallback.sendFinalResponse(geminiResponseData, requestedModelId);
+                                return {
+                                    isKeepAlive: true,
+                                    selectedKeyId: keepAliveKey.id,
+                                    modelCategory: modelCategory,
+                                    requestedModelId: requestedModelId,
+                                    attempts: attemptsMade
+                                };
 
                             } catch (fetchError) {
                                 lastKeepAliveError = { message: `Internal Proxy Error during keepalive fetch: ${fetchError.message}`, type: 'proxy_internal_error' };
@@ -309,26 +388,18 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                             }
                         }
                         
-                        // If loop finishes, all retries have failed
-                        console.error(`KEEPALIVE: All ${MAX_RETRIES} attempts failed. Sending last error.`);
-                        keepAliveCallback.stopHeartbeat();
-                        keepAliveCallback.sendError(lastKeepAliveError || { message: "All keepalive attempts failed." });
+                        // If loop finishes, all retries have failed; the heartbeat keeps running for a fallback model
+                        console.error(`KEEPALIVE: All ${MAX_RETRIES} attempts failed for model ${requestedModelId}. Returning last error.`);
+                        const keepAliveError = lastKeepAliveError || { message: "All keepalive attempts failed." };
+                        if (!keepAliveError.type) keepAliveError.type = `gemini_api_error_${lastKeepAliveStatus}`;
+                        if (!keepAliveError.code) keepAliveError.code = lastKeepAliveStatus;
+                        return { error: keepAliveError, status: lastKeepAliveStatus, attempts: attemptsMade };
                     };
 
-                    keepAliveRunner(); // Run the async function
-
-                    // Return immediately to the client, while keepAliveRunner works in the background
-                    return {
-                        isKeepAlive: true,
-                        // Note: selectedKeyId is not definitively known here, as it's selected inside the async runner.
-                        // We can return the first-attempt key, or null. Let's return the one from the main loop's current attempt.
-                        selectedKeyId: selectedKey.id,
-                        modelCategory: modelCategory,
-                        requestedModelId: requestedModelId
-                    };
+                    return await keepAliveRunner();
                 }
 
-                const geminiResponse = await fetch(geminiUrl, fetchOptions); // Use fetchOptions for non-KEEPALIVE mode
+                const geminiResponse = await fetchGemini(actualModelId, geminiUrl, fetchOptions); // Use fetchOptions for non-KEEPALIVE mode
 
                 // 5. Handle Gemini Response Status and Errors
                 if (!geminiResponse.ok) {
@@ -367,8 +438,12 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                         } else {
                             console.log(`Skipping error marking for key ${selectedKey.id} - 400 error not related to invalid API key.`);
                         }
+                    } else if (geminiResponse.status >= 500) {
+                        // Transient upstream failure: cool the key down for this model instead of marking it
+                        console.log(`${geminiResponse.status} error details: ${JSON.stringify(lastError)}`);
+                        geminiKeyService.startKeyCooldown(selectedKey.id, actualModelId, geminiResponse.status, lastError);
                     } else {
-                        // Record error for other status codes (500, etc.)
+                        // Record error for other status codes
                         console.log(`${geminiResponse.status} error details: ${JSON.stringify(lastError)}`);
                         geminiKeyService.recordKeyError(selectedKey.id, geminiResponse.status)
                              .catch(err => console.error(`Error recording key error ${geminiResponse.status} for key ${selectedKey.id} in background:`, err));
@@ -377,6 +452,7 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     // Retry all errors if not the last attempt
                     if (attempt < MAX_RETRIES) {
                         console.warn(`Attempt ${attempt}: Received ${geminiResponse.status} error, trying next key...`);
+                        metrics.incCounter('jimihub_upstream_retries_total', { model: actualModelId });
                         if (useKeepAlive && keepAliveCallback) {
                             console.log(`KEEPALIVE: Continuing heartbeat during retry attempt ${attempt + 1}`);
                         }
@@ -397,7 +473,8 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     return {
                         response: geminiResponse,
                         selectedKeyId: selectedKey.id,
-                        modelCategory: modelCategory
+                        modelCategory: modelCategory,
+                        attempts: attemptsMade
                     };
                 }
 
@@ -414,14 +491,9 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
         // If the loop finished without returning a success or a specific non-retryable error,
         // it means all retries resulted in 429 or we broke due to an error. Return the last recorded error.
 
-        // Stop keepalive heartbeat before returning error
-        if (useKeepAlive && keepAliveCallback) {
-            console.log('KEEPALIVE: Stopping heartbeat due to all attempts failed');
-            keepAliveCallback.stopHeartbeat();
-        }
-
+        // The KEEPALIVE heartbeat is left running: the caller stops it once the fallback chain is exhausted
         console.error(`All ${MAX_RETRIES} attempts failed. Returning last recorded error (Status: ${lastErrorStatus}).`);
-        return { error: lastError, status: lastErrorStatus };
+        return { error: lastError, status: lastErrorStatus, attempts: attemptsMade };
 
 
     } catch (initialError) {
@@ -437,7 +509,334 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
     }
 }
 
+// Gemini accepts at most 100 requests per batchEmbedContents call
+const MAX_EMBED_BATCH_SIZE = 100;
+
+/**
+ * Records the outcome of a failed Gemini call against the key that served it.
+ * 429s feed the quota counters or cooldowns, 5xx start a cooldown, invalid-key 400s and 401/403 mark the key as errored.
+ * @param {{ id: string }} selectedKey
+ * @param {number} status HTTP status returned by Gemini.
+ * @param {object} errorObject Parsed Gemini error object.
+ * @param {string} modelCategory
+ * @param {string} modelId
+ */
+function recordGeminiKeyFailure(selectedKey, status, errorObject, modelCategory, modelId) {
+    if (status === 429) {
+        geminiKeyService.handle429Error(selectedKey.id, modelCategory, modelId, errorObject)
+            .catch(err => console.error(`Error handling 429 for key ${selectedKey.id} in background:`, err));
+    } else if (status === 401 || status === 403 || (status === 400 && shouldMark400Error(errorObject))) {
+        geminiKeyService.recordKeyError(selectedKey.id, status)
+            .catch(err => console.error(`Error recording key error ${status} for key ${selectedKey.id} in background:`, err));
+    } else if (status >= 500) {
+        geminiKeyService.startKeyCooldown(selectedKey.id, modelId, status, errorObject);
+    }
+}
+
+/**
+ * Proxies an OpenAI embeddings request to Gemini's batchEmbedContents using the rotating key pool.
+ * @param {object} openAIRequestBody The OpenAI embeddings request ({ model, input, dimensions?, encoding_format? }).
+ * @param {string} workerApiKey
+ * @returns {Promise<{ response: { embeddings: Array<{ values: number[] }> }, selectedKeyId: string, modelCategory: string } | { error: object, status: number }>}
+ */
+async function proxyEmbeddings(openAIRequestBody, workerApiKey) {
+    const requestedModelId = typeof openAIRequestBody?.model === 'string'
+        ? openAIRequestBody.model.replace(/^models\//, '')
+        : undefined;
+
+    if (!requestedModelId) {
+        return { error: { message: "Missing 'model' field in request body", type: 'invalid_request_error', param: 'model' }, status: 400 };
+    }
+
+    const input = openAIRequestBody.input;
+    const inputs = typeof input === 'string' ? [input] : input;
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+        return { error: { message: "'input' must be a non-empty string or array of strings", type: 'invalid_request_error', param: 'input' }, status: 400 };
+    }
+    if (inputs.some(item => typeof item !== 'string' || item.length === 0)) {
+        // Token-array inputs are OpenAI tokenizer specific and cannot be sent to Gemini
+        return { error: { message: "'input' must contain non-empty strings only; token arrays are not supported", type: 'invalid_request_error', param: 'input' }, status: 400 };
+    }
+
+    const dimensions = openAIRequestBody.dimensions;
+    if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions <= 0)) {
+        return { error: { message: "'dimensions' must be a positive integer", type: 'invalid_request_error', param: 'dimensions' }, status: 400 };
+    }
+
+    let lastError = null;
+    let lastErrorStatus = 500;
+
+    try {
+        const [modelsConfig, MAX_RETRIES] = await Promise.all([
+            configService.getModelsConfig(),
+            configService.getSetting('max_retry', '3').then(val => parseInt(val) || 3)
+        ]);
+
+        // Embedding models are counted against their own category unless explicitly configured
+        const modelCategory = modelsConfig[requestedModelId]?.category || 'Embedding';
+
+        const batches = [];
+        for (let i = 0; i < inputs.length; i += MAX_EMBED_BATCH_SIZE) {
+            batches.push(inputs.slice(i, i + MAX_EMBED_BATCH_SIZE));
+        }
+
+        const triedKeyIds = []; // Retries prefer keys not yet used for this request
+        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+            let selectedKey;
+            try {
+                selectedKey = await geminiKeyService.getNextAvailableGeminiKey(requestedModelId, true, { workerApiKey, excludeKeyIds: triedKeyIds });
+
+                if (!selectedKey) {
+                    console.error(`Embeddings attempt ${attempt}: No available Gemini API Key found.`);
+                    if (attempt === 1) {
+                        return { error: { message: "No available Gemini API Key configured or all keys are currently rate-limited/invalid." }, status: 503 };
+                    }
+                    return { error: lastError, status: lastErrorStatus };
+                }
+                triedKeyIds.push(selectedKey.id);
+
+                const geminiUrl = `${BASE_GEMINI_URL}/v1beta/models/${requestedModelId}:batchEmbedContents`;
+                const embeddings = [];
+                let failed = false;
+
+                for (const batch of batches) {
+                    const agent = proxyPool.getNextProxyAgent();
+                    const logSuffix = agent ? ` via proxy ${agent.proxy.href}` : '';
+                    console.log(`Embeddings attempt ${attempt}: Sending ${batch.length} input(s) to ${geminiUrl} with key ${selectedKey.id}${logSuffix}`);
+
+                    const fetchOptions = {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'x-goog-api-key': selectedKey.key
+                        },
+                        body: JSON.stringify({
+                            requests: batch.map(text => ({
+                                model: `models/${requestedModelId}`,
+                                content: { parts: [{ text }] },
+                                ...(dimensions !== undefined && { outputDimensionality: dimensions })
+                            }))
+                        }),
+                        timeout: 120000
+                    };
+                    if (agent) {
+                        fetchOptions.agent = agent;
+                    }
+
+                    const geminiResponse = await fetchGemini(requestedModelId, geminiUrl, fetchOptions);
+
+                    if (!geminiResponse.ok) {
+                        const errorBodyText = await geminiResponse.text();
+                        console.error(`Embeddings attempt ${attempt}: Gemini API error: ${geminiResponse.status} ${geminiResponse.statusText}`, errorBodyText);
+                        lastErrorStatus = geminiResponse.status;
+                        try {
+                            lastError = JSON.parse(errorBodyText).error || { message: errorBodyText };
+                        } catch {
+                            lastError = { message: errorBodyText };
+                        }
+                        if (!lastError.type) lastError.type = `gemini_api_error_${geminiResponse.status}`;
+                        if (!lastError.code) lastError.code = geminiResponse.status;
+
+                        recordGeminiKeyFailure(selectedKey, geminiResponse.status, lastError, modelCategory, requestedModelId);
+                        failed = true;
+                        break;
+                    }
+
+                    const data = await geminiResponse.json();
+                    embeddings.push(...(data.embeddings || []));
+                }
+
+                if (!failed) {
+                    console.log(`Embeddings attempt ${attempt}: Request successful with key ${selectedKey.id}.`);
+                    // Counted only now, one use per batch, so batches of a failed attempt are not counted again on retry
+                    (async () => {
+                        for (let i = 0; i < batches.length; i++) {
+                            await geminiKeyService.incrementKeyUsage(selectedKey.id, requestedModelId, modelCategory);
+                        }
+                    })().catch(err => console.error(`Error incrementing usage for key ${selectedKey.id} in background:`, err));
+                    return {
+                        response: { embeddings },
+                        selectedKeyId: selectedKey.id,
+                        modelCategory: modelCategory
+                    };
+                }
+
+                // Client-side mistakes (bad model, bad dimensions) will not succeed with another key
+                if (lastErrorStatus === 400 && !shouldMark400Error(lastError)) {
+                    break;
+                }
+                if (attempt < MAX_RETRIES) {
+                    console.warn(`Embeddings attempt ${attempt}: Received ${lastErrorStatus} error, trying next key...`);
+                    metrics.incCounter('jimihub_upstream_retries_total', { model: requestedModelId });
+                }
+            } catch (fetchError) {
+                console.error(`Embeddings attempt ${attempt}: Error during proxy call:`, fetchError);
+                lastError = { message: `Internal Proxy Error during attempt ${attempt}: ${fetchError.message}`, type: 'proxy_internal_error' };
+                lastErrorStatus = 500;
+                break;
+            }
+        }
+
+        console.error(`Embeddings request failed. Returning last recorded error (Status: ${lastErrorStatus}).`);
+        return { error: lastError, status: lastErrorStatus };
+    } catch (initialError) {
+        console.error("Error before starting embeddings attempts:", initialError);
+        return {
+            error: {
+                message: `Internal Proxy Error: ${initialError.message}`,
+                type: 'proxy_internal_error'
+            },
+            status: 500
+        };
+    }
+}
+
+// Native Gemini actions accepted by the /v1beta passthrough
+const NATIVE_GENERATION_ACTIONS = ['generateContent', 'streamGenerateContent'];
+const NATIVE_EMBEDDING_ACTIONS = ['embedContent', 'batchEmbedContents'];
+const NATIVE_GEMINI_ACTIONS = [...NATIVE_GENERATION_ACTIONS, 'countTokens', ...NATIVE_EMBEDDING_ACTIONS];
+
+/**
+ * Forwards a native Gemini request body to the Gemini API using a rotated key from the pool.
+ * Generation and embedding calls are counted against the model's quota; countTokens is not.
+ * @param {string} modelId Model ID without the "models/" prefix.
+ * @param {'generateContent' | 'streamGenerateContent' | 'countTokens' | 'embedContent' | 'batchEmbedContents'} action
+ * @param {object} geminiRequestBody The native Gemini request body, forwarded as-is.
+ * @param {string} workerApiKey
+ * @param {{ alt?: string }} [options] alt=sse is forwarded for streamGenerateContent.
+ * @returns {Promise<{ response: import('node-fetch').Response, selectedKeyId: string, modelCategory: string } | { error: object, status: number }>}
+ */
+async function proxyNativeGemini(modelId, action, geminiRequestBody, workerApiKey, options = {}) {
+    if (!modelId) {
+        return { error: { code: 400, message: 'Missing model in request path', status: 'INVALID_ARGUMENT' }, status: 400 };
+    }
+    if (!NATIVE_GEMINI_ACTIONS.includes(action)) {
+        return { error: { code: 404, message: `Unsupported method: ${action}`, status: 'NOT_FOUND' }, status: 404 };
+    }
+    if (!geminiRequestBody || typeof geminiRequestBody !== 'object') {
+        return { error: { code: 400, message: 'Request body must be a JSON object', status: 'INVALID_ARGUMENT' }, status: 400 };
+    }
+
+    let lastError = null;
+    let lastErrorStatus = 500;
+
+    try {
+        const [modelsConfig, isSafetyEnabled, MAX_RETRIES] = await Promise.all([
+            configService.getModelsConfig(),
+            configService.getWorkerKeySafetySetting(workerApiKey),
+            configService.getSetting('max_retry', '3').then(val => parseInt(val) || 3)
+        ]);
+        const modelCategory = resolveModelCategory(modelsConfig, modelId);
+        const isGeneration = NATIVE_GENERATION_ACTIONS.includes(action);
+        const countsUsage = action !== 'countTokens';
+
+        const requestBody = { ...geminiRequestBody };
+        // Match the OpenAI path: worker keys with safety disabled get permissive settings unless the client sent its own
+        if (isGeneration && !isSafetyEnabled && !requestBody.safetySettings) {
+            requestBody.safetySettings = [
+                { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_CIVIC_INTEGRITY', threshold: 'BLOCK_NONE' },
+            ];
+        }
+
+        const query = action === 'streamGenerateContent' && options.alt ? `?alt=${encodeURIComponent(options.alt)}` : '';
+        const geminiUrl = `${BASE_GEMINI_URL}/v1beta/models/${modelId}:${action}${query}`;
+
+        const triedKeyIds = []; // Retries prefer keys not yet used for this request
+        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+            let selectedKey;
+            try {
+                selectedKey = await geminiKeyService.getNextAvailableGeminiKey(modelId, true, { workerApiKey, excludeKeyIds: triedKeyIds });
+
+                if (!selectedKey) {
+                    console.error(`Native attempt ${attempt}: No available Gemini API Key found.`);
+                    if (attempt === 1) {
+                        return { error: { code: 503, message: "No available Gemini API Key configured or all keys are currently rate-limited/invalid.", status: 'UNAVAILABLE' }, status: 503 };
+                    }
+                    return { error: lastError, status: lastErrorStatus };
+                }
+                triedKeyIds.push(selectedKey.id);
+
+                const agent = proxyPool.getNextProxyAgent();
+                const logSuffix = agent ? ` via proxy ${agent.proxy.href}` : '';
+                console.log(`Native attempt ${attempt}: Forwarding ${action} for model ${modelId}, Category: ${modelCategory}, KeyID: ${selectedKey.id}${logSuffix}`);
+
+                const fetchOptions = {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-goog-api-key': selectedKey.key
+                    },
+                    body: JSON.stringify(requestBody),
+                    size: 100 * 1024 * 1024,
+                    timeout: 300000
+                };
+                if (agent) {
+                    fetchOptions.agent = agent;
+                }
+
+                const geminiResponse = await fetchGemini(modelId, geminiUrl, fetchOptions);
+
+                if (!geminiResponse.ok) {
+                    const errorBodyText = await geminiResponse.text();
+                    console.error(`Native attempt ${attempt}: Gemini API error: ${geminiResponse.status} ${geminiResponse.statusText}`, errorBodyText);
+                    lastErrorStatus = geminiResponse.status;
+                    try {
+                        lastError = JSON.parse(errorBodyText).error || { code: geminiResponse.status, message: errorBodyText };
+                    } catch {
+                        lastError = { code: geminiResponse.status, message: errorBodyText };
+                    }
+
+                    recordGeminiKeyFailure(selectedKey, geminiResponse.status, lastError, modelCategory, modelId);
+
+                    // Malformed requests will not succeed with another key
+                    if (geminiResponse.status === 400 && !shouldMark400Error(lastError)) {
+                        break;
+                    }
+                    if (attempt < MAX_RETRIES) {
+                        console.warn(`Native attempt ${attempt}: Received ${geminiResponse.status} error, trying next key...`);
+                        metrics.incCounter('jimihub_upstream_retries_total', { model: modelId });
+                    }
+                    continue;
+                }
+
+                console.log(`Native attempt ${attempt}: Request successful with key ${selectedKey.id}.`);
+                if (countsUsage) {
+                    geminiKeyService.incrementKeyUsage(selectedKey.id, modelId, modelCategory)
+                        .catch(err => console.error(`Error incrementing usage for key ${selectedKey.id} in background:`, err));
+                }
+                return {
+                    response: geminiResponse,
+                    selectedKeyId: selectedKey.id,
+                    modelCategory: modelCategory
+                };
+            } catch (fetchError) {
+                console.error(`Native attempt ${attempt}: Error during proxy call:`, fetchError);
+                lastError = { code: 500, message: `Internal Proxy Error during attempt ${attempt}: ${fetchError.message}`, status: 'INTERNAL' };
+                lastErrorStatus = 500;
+                break;
+            }
+        }
+
+        console.error(`Native ${action} request failed. Returning last recorded error (Status: ${lastErrorStatus}).`);
+        return { error: lastError, status: lastErrorStatus };
+    } catch (initialError) {
+        console.error("Error before starting native Gemini attempts:", initialError);
+        return {
+            error: { code: 500, message: `Internal Proxy Error: ${initialError.message}`, status: 'INTERNAL' },
+            status: 500
+        };
+    }
+}
+
 module.exports = {
     proxyChatCompletions,
+    proxyEmbeddings,
+    proxyNativeGemini,
+    NATIVE_GEMINI_ACTIONS,
+    getEnabledModelIds,
     // getProxyPoolStatus is no longer needed here, it's in proxyPool.js
 };
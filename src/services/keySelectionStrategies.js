@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Pluggable Gemini key selection strategies used by geminiKeyService.getNextAvailableGeminiKey.
+// A strategy receives the keys that passed the error and quota checks, ordered round-robin from the
+// persisted gemini_key_index, and returns the one to use. Add new strategies with registerStrategy.
+
+const DEFAULT_STRATEGY = 'round-robin';
+
+const strategies = new Map();
+
+/**
+ * Registers a key selection strategy under a name that can be used in the
+ * key_selection_strategy setting and in per-model overrides.
+ * @param {string} name
+ * @param {(candidates: object[], context: {modelId?: string, modelCategory?: string, workerApiKey?: string, getUsageDate: (keyRow: object) => string}) => object} select
+ *   Receives gemini_keys rows (never empty) and returns one of them.
+ */
+function registerStrategy(name, select) {
+    strategies.set(name, select);
+}
+
+/**
+ * @returns {string[]} The names of all registered strategies.
+ */
+function getStrategyNames() {
+    return [...strategies.keys()];
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidStrategy(name) {
+    return strategies.has(name);
+}
+
+/**
+ * Picks a key with the named strategy, falling back to round-robin for unknown names.
+ * @param {string} name
+ * @param {object[]} candidates Non-empty list of usable gemini_keys rows in round-robin order.
+ * @param {{modelId?: string, modelCategory?: string, workerApiKey?: string, getUsageDate: (keyRow: object) => string}} context
+ * @returns {object} The selected row.
+ */
+function selectKey(name, candidates, context) {
+    const select = strategies.get(name) || strategies.get(DEFAULT_STRATEGY);
+    return select(candidates, context) || candidates[0];
+}
+
+/**
+ * Gets how often a key has been used today for the requested model's quota bucket.
+ * Custom models count per model; Pro/Flash/Embedding count per category.
+ * @param {object} keyRow gemini_keys row.
+ * @param {{modelId?: string, modelCategory?: string, getUsageDate: (keyRow: object) => string}} context
+ * @returns {number}
+ */
+function getUsageToday(keyRow, context) {
+    if (keyRow.usage_date !== context.getUsageDate(keyRow)) return 0;
+    try {
+        const modelUsage = JSON.parse(keyRow.model_usage || '{}');
+        const categoryUsage = JSON.parse(keyRow.category_usage || '{}');
+        switch (context.modelCategory) {
+            case 'Custom':
+                return modelUsage[context.modelId] || 0;
+            case 'Pro':
+                return categoryUsage.pro || 0;
+            case 'Flash':
+                return categoryUsage.flash || 0;
+            case 'Embedding':
+                return categoryUsage.embedding || 0;
+            default:
+                return Object.values(categoryUsage).reduce((sum, count) => sum + (count || 0), 0);
+        }
+    } catch (e) {
+        return 0;
+    }
+}
+
+// Next key in list order after the last one used
+registerStrategy('round-robin', (candidates) => candidates[0]);
+
+// Key with the fewest requests today; ties go to the next key in round-robin order
+registerStrategy('least-used-today', (candidates, context) => {
+    return candidates.reduce((best, keyRow) => (getUsageToday(keyRow, context) < getUsageToday(best, context) ? keyRow : best));
+});
+
+// Random key, chosen in proportion to each key's weight (default 1, 0 = only used when no other key is left)
+registerStrategy('weighted', (candidates) => {
+    const weights = candidates.map(keyRow => Math.max(0, keyRow.weight ?? 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) return candidates[0];
+
+    let point = Math.random() * totalWeight;
+    for (let i = 0; i < candidates.length; i++) {
+        point -= weights[i];
+        if (point < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+});
+
+registerStrategy('random', (candidates) => candidates[Math.floor(Math.random() * candidates.length)]);
+
+// Same worker key -> same Gemini key (rendezvous hashing), so repeated prompts hit Gemini's implicit cache.
+// Adding or removing keys only moves the worker keys that were mapped to the affected key.
+registerStrategy('sticky-by-worker-key', (candidates, context) => {
+    if (!context.workerApiKey) return candidates[0];
+    const score = (keyRow) => crypto.createHash('sha256').update(`${context.workerApiKey}:${keyRow.id}`).digest().readUInt32BE(0);
+    return candidates.reduce((best, keyRow) => (score(keyRow) > score(best) ? keyRow : best));
+});
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    registerStrategy,
+    getStrategyNames,
+    isValidStrategy,
+    selectKey,
+};
@@ -0,0 +1,75 @@
+const configService = require('./configService');
+
+// Audit trail of failed admin logins, kept in the login_audit table for RETENTION_DAYS.
+// Attempts refused by the throttle are not written (only the failures that led to it),
+// so an attacker cannot fill the database faster than the throttle allows.
+
+const RETENTION_DAYS = 30;
+const USERNAME_MAX_CHARS = 100;
+const USER_AGENT_MAX_CHARS = 300;
+
+/**
+ * Writes a failed login attempt. Failures are logged and swallowed so logins keep working.
+ * @param {object} entry
+ * @param {string} entry.ip
+ * @param {string} [entry.username]
+ * @param {string} [entry.userAgent]
+ * @param {'invalid_credentials' | 'invalid_two_factor_code'} entry.reason
+ * @param {boolean} [entry.lockedOut] Whether this failure locked the IP out.
+ * @returns {Promise<void>}
+ */
+async function addFailedLogin(entry) {
+    try {
+        await configService.runDb(`
+            INSERT INTO login_audit (timestamp, ip, username, user_agent, reason, locked_out)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            new Date().toISOString(),
+            entry.ip || null,
+            entry.username ? String(entry.username).slice(0, USERNAME_MAX_CHARS) : null,
+            entry.userAgent ? String(entry.userAgent).slice(0, USER_AGENT_MAX_CHARS) : null,
+            entry.reason,
+            entry.lockedOut ? 1 : 0
+        ]);
+    } catch (e) {
+        console.error('Failed to write login audit entry:', e);
+    }
+}
+
+/**
+ * Gets the most recent failed logins, newest first.
+ * @param {number} [limit=50] At most 500.
+ * @returns {Promise<Array<{id: number, timestamp: string, ip: string, username: string, userAgent: string, reason: string, lockedOut: boolean}>>}
+ */
+async function getRecentFailedLogins(limit = 50) {
+    const rowLimit = Math.min(500, Math.max(1, parseInt(limit) || 50));
+    const rows = await configService.allDb('SELECT * FROM login_audit ORDER BY id DESC LIMIT ?', [rowLimit]);
+    return rows.map(row => ({
+        id: row.id,
+        timestamp: row.timestamp,
+        ip: row.ip,
+        username: row.username,
+        userAgent: row.user_agent,
+        reason: row.reason,
+        lockedOut: !!row.locked_out
+    }));
+}
+
+/**
+ * Deletes audit entries older than the retention period.
+ * @returns {Promise<number>} The number of deleted entries.
+ */
+async function pruneLoginAudit() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const result = await configService.serializeDb(() => configService.runDb('DELETE FROM login_audit WHERE timestamp < ?', [cutoff]));
+    if (result.changes > 0) {
+        console.log(`Pruned ${result.changes} login audit entries older than ${RETENTION_DAYS} days.`);
+    }
+    return result.changes;
+}
+
+module.exports = {
+    addFailedLogin,
+    getRecentFailedLogins,
+    pruneLoginAudit,
+};
@@ -0,0 +1,199 @@
+// Brute-force protection for /api/login. Failed logins are counted per client IP and across all IPs,
+// in memory (like key cooldowns, the counters reset on restart).
+// Per IP: the first FREE_ATTEMPTS failures cost nothing, then each further failure blocks the IP for
+// an exponentially growing delay (1s, 2s, 4s, ... up to 5 minutes), and LOCKOUT_FAILURES failures
+// lock it out for 15 minutes. A successful login clears the IP's failures.
+// Globally: once GLOBAL_MAX_FAILURES failures happened within GLOBAL_WINDOW_MS, logins from IPs with recorded
+// failures are refused until the oldest of them leaves the window, which limits attacks spread over many IPs.
+// IPs without failures still get one attempt at a time, so an attacker cannot lock the owners out; each of
+// the attacker's IPs gets a single guess before it is refused as well.
+// Attempts still waiting for the password check are counted as potential failures, so a burst of
+// parallel requests cannot get past the limits before the first of them has failed.
+
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const LOCKOUT_FAILURES = 10;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000; // An IP's failures are forgotten after a day without new ones
+const GLOBAL_WINDOW_MS = 15 * 60 * 1000;
+const GLOBAL_MAX_FAILURES = 100;
+
+/** @type {Map<string, {failures: number, lastFailureAt: number, blockedUntil: number, inFlight: number}>} */
+const ipStates = new Map();
+/** @type {number[]} Timestamps of recent failures from any IP, oldest first */
+let globalFailures = [];
+let globalInFlight = 0;
+
+/**
+ * @param {string} ip
+ * @returns {{failures: number, lastFailureAt: number, blockedUntil: number, inFlight: number}} The IP's state, created if needed.
+ */
+function getIpState(ip) {
+    let state = ipStates.get(ip);
+    if (!state) {
+        state = { failures: 0, lastFailureAt: 0, blockedUntil: 0, inFlight: 0 };
+        ipStates.set(ip, state);
+    }
+    return state;
+}
+
+/**
+ * Drops IP states and global failures that no longer matter.
+ * @param {number} now
+ */
+function pruneExpired(now) {
+    for (const [ip, state] of ipStates) {
+        if (state.lastFailureAt + FAILURE_MEMORY_MS <= now && state.blockedUntil <= now && state.inFlight === 0) {
+            ipStates.delete(ip);
+        }
+    }
+    const windowStart = now - GLOBAL_WINDOW_MS;
+    if (globalFailures.length > 0 && globalFailures[0] <= windowStart) {
+        globalFailures = globalFailures.filter(timestamp => timestamp > windowStart);
+    }
+}
+
+/**
+ * Gets how long an IP is blocked after a number of consecutive failures.
+ * @param {number} failures
+ * @returns {number} Milliseconds, 0 if the IP may try again right away.
+ */
+function getBlockDuration(failures) {
+    if (failures >= LOCKOUT_FAILURES) return LOCKOUT_MS;
+    if (failures <= FREE_ATTEMPTS) return 0;
+    return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Checks whether a login attempt from an IP may go ahead and, if so, reserves it until
+ * releaseLoginAttempt is called. Refused attempts are not counted as failures.
+ * @param {string} ip
+ * @param {number} [now]
+ * @returns {{allowed: true} | {allowed: false, reason: 'locked_out' | 'backoff' | 'global_limit', retryAfterSeconds: number}}
+ */
+function checkLoginAllowed(ip, now = Date.now()) {
+    pruneExpired(now);
+
+    const state = ipStates.get(ip);
+    if (state && state.blockedUntil > now) {
+        return {
+            allowed: false,
+            reason: state.failures >= LOCKOUT_FAILURES ? 'locked_out' : 'backoff',
+            retryAfterSeconds: Math.ceil((state.blockedUntil - now) / 1000)
+        };
+    }
+    // Attempts in flight count as failures: refuse if their failing would have blocked this attempt
+    if (state && state.inFlight > 0 && getBlockDuration(state.failures + state.inFlight) > 0) {
+        return { allowed: false, reason: 'backoff', retryAfterSeconds: 1 };
+    }
+    // The global limit only holds back IPs that have failed before, so it cannot keep the owners out
+    const isCleanIp = !state || (state.failures === 0 && state.inFlight === 0);
+    if (globalFailures.length + globalInFlight >= GLOBAL_MAX_FAILURES && !isCleanIp) {
+        return {
+            allowed: false,
+            reason: 'global_limit',
+            retryAfterSeconds: globalFailures.length > 0
+                ? Math.max(1, Math.ceil((globalFailures[0] + GLOBAL_WINDOW_MS - now) / 1000))
+                : 1
+        };
+    }
+
+    getIpState(ip).inFlight += 1;
+    globalInFlight += 1;
+    return { allowed: true };
+}
+
+/**
+ * Ends an attempt reserved by checkLoginAllowed, after its failure or success has been recorded.
+ * @param {string} ip
+ */
+function releaseLoginAttempt(ip) {
+    const state = ipStates.get(ip);
+    if (state && state.inFlight > 0) {
+        state.inFlight -= 1;
+    }
+    globalInFlight = Math.max(0, globalInFlight - 1);
+}
+
+/**
+ * Counts a failed login (wrong password or two-factor code) and blocks the IP if needed.
+ * @param {string} ip
+ * @param {number} [now]
+ * @returns {{failures: number, lockedOut: boolean, blockedForSeconds: number}} The IP's state after this failure.
+ */
+function recordLoginFailure(ip, now = Date.now()) {
+    const state = getIpState(ip);
+    state.failures += 1;
+    state.lastFailureAt = now;
+    const blockDuration = getBlockDuration(state.failures);
+    state.blockedUntil = now + blockDuration;
+    globalFailures.push(now);
+
+    const lockedOut = state.failures >= LOCKOUT_FAILURES;
+    if (lockedOut) {
+        console.warn(`Login: IP ${ip} locked out for ${LOCKOUT_MS / 60000} minutes after ${state.failures} failed attempts.`);
+    }
+    if (globalFailures.length === GLOBAL_MAX_FAILURES) {
+        console.warn(`Login: ${GLOBAL_MAX_FAILURES} failed attempts within ${GLOBAL_WINDOW_MS / 60000} minutes; refusing all logins for now.`);
+    }
+    return { failures: state.failures, lockedOut, blockedForSeconds: Math.ceil(blockDuration / 1000) };
+}
+
+/**
+ * Clears an IP's failures after a successful login.
+ * @param {string} ip
+ */
+function recordLoginSuccess(ip) {
+    const state = ipStates.get(ip);
+    if (state) {
+        // Keep the count of other attempts still in flight
+        Object.assign(state, { failures: 0, lastFailureAt: 0, blockedUntil: 0 });
+    }
+}
+
+/**
+ * Gets the current throttling state for the admin panel.
+ * @param {number} [now]
+ * @returns {{blockedIps: Array<{ip: string, failures: number, blockedUntil: string, lockedOut: boolean}>, globalFailures: number, globalMaxFailures: number, globalWindowMinutes: number}}
+ */
+function getThrottleStatus(now = Date.now()) {
+    pruneExpired(now);
+    const blockedIps = [...ipStates.entries()]
+        .filter(([, state]) => state.blockedUntil > now)
+        .map(([ip, state]) => ({
+            ip,
+            failures: state.failures,
+            blockedUntil: new Date(state.blockedUntil).toISOString(),
+            lockedOut: state.failures >= LOCKOUT_FAILURES
+        }));
+    return {
+        blockedIps,
+        globalFailures: globalFailures.length,
+        globalMaxFailures: GLOBAL_MAX_FAILURES,
+        globalWindowMinutes: GLOBAL_WINDOW_MS / 60000
+    };
+}
+
+/**
+ * Lifts an IP's block and forgets its failures, e.g. when an owner locked themselves out.
+ * @param {string} ip
+ * @returns {boolean} False if the IP had no recorded failures.
+ */
+function clearIp(ip) {
+    const state = ipStates.get(ip);
+    if (!state || (state.failures === 0 && state.blockedUntil === 0)) {
+        return false;
+    }
+    Object.assign(state, { failures: 0, lastFailureAt: 0, blockedUntil: 0 });
+    return true;
+}
+
+module.exports = {
+    checkLoginAllowed,
+    releaseLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess,
+    getThrottleStatus,
+    clearIp,
+};
@@ -0,0 +1,201 @@
+const configService = require('./configService');
+
+// Stored prompt bodies are cut at this length so inline images/files don't bloat the database
+const REQUEST_BODY_MAX_CHARS = 65536;
+const DEFAULT_RETENTION_DAYS = 7;
+
+/**
+ * Gets the request log settings.
+ * @returns {Promise<{logRequestBodies: boolean, retentionDays: number}>}
+ */
+async function getRequestLogSettings() {
+    const [logRequestBodies, retentionDays] = await Promise.all([
+        configService.getSetting('log_request_bodies', '0'),
+        configService.getSetting('request_log_retention_days', DEFAULT_RETENTION_DAYS)
+    ]);
+    return {
+        logRequestBodies: String(logRequestBodies) === '1',
+        retentionDays: parseInt(retentionDays) > 0 ? parseInt(retentionDays) : DEFAULT_RETENTION_DAYS
+    };
+}
+
+/**
+ * Writes one proxied request to the request_log table. Failures are logged and swallowed.
+ * @param {object} entry
+ * @param {string} entry.workerKey
+ * @param {string} entry.endpoint e.g. "/v1/chat/completions"
+ * @param {string} [entry.requestedModel]
+ * @param {string} [entry.servedModel]
+ * @param {string} [entry.geminiKeyId]
+ * @param {number} [entry.attempts]
+ * @param {number} entry.status
+ * @param {number} entry.latencyMs
+ * @param {boolean} [entry.stream]
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} [entry.tokenUsage]
+ * @param {string} [entry.errorType]
+ * @param {object} [entry.requestBody] Only stored when the log_request_bodies setting is on.
+ * @returns {Promise<void>}
+ */
+async function addRequestLog(entry) {
+    try {
+        const { logRequestBodies } = await getRequestLogSettings();
+        const requestBody = logRequestBodies && entry.requestBody
+            ? JSON.stringify(entry.requestBody).slice(0, REQUEST_BODY_MAX_CHARS)
+            : null;
+
+        await configService.serializeDb(() => configService.runDb(`
+            INSERT INTO request_log
+            (timestamp, worker_key, endpoint, requested_model, served_model, gemini_key_id, attempts, status, latency_ms,
+             stream, prompt_tokens, completion_tokens, total_tokens, error_type, request_body)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            new Date().toISOString(),
+            entry.workerKey,
+            entry.endpoint,
+            entry.requestedModel || null,
+            entry.servedModel || null,
+            entry.geminiKeyId || null,
+            entry.attempts ?? null,
+            entry.status,
+            entry.latencyMs,
+            entry.stream ? 1 : 0,
+            entry.tokenUsage?.prompt_tokens ?? null,
+            entry.tokenUsage?.completion_tokens ?? null,
+            entry.tokenUsage?.total_tokens ?? null,
+            entry.errorType || null,
+            requestBody
+        ]));
+    } catch (error) {
+        console.error('Failed to write request log entry:', error);
+    }
+}
+
+/**
+ * Converts a request_log row to the API shape.
+ * @param {object} row
+ * @returns {object}
+ */
+function formatLogRow(row) {
+    return {
+        id: row.id,
+        timestamp: row.timestamp,
+        workerKey: row.worker_key,
+        endpoint: row.endpoint,
+        requestedModel: row.requested_model,
+        servedModel: row.served_model,
+        geminiKeyId: row.gemini_key_id,
+        attempts: row.attempts,
+        status: row.status,
+        latencyMs: row.latency_ms,
+        stream: row.stream === 1,
+        promptTokens: row.prompt_tokens,
+        completionTokens: row.completion_tokens,
+        totalTokens: row.total_tokens,
+        errorType: row.error_type,
+        ...(row.request_body !== undefined && { requestBody: row.request_body })
+    };
+}
+
+/**
+ * Searches the request log, newest first. Request bodies are not included; use getRequestLog for those.
+ * @param {object} [filters]
+ * @param {string} [filters.workerKey] Exact worker key.
+ * @param {string} [filters.model] Substring of the requested or served model.
+ * @param {string} [filters.geminiKeyId] Exact Gemini key ID.
+ * @param {number} [filters.status] Exact HTTP status.
+ * @param {boolean} [filters.errorsOnly] Only entries with status >= 400.
+ * @param {string} [filters.from] ISO timestamp, inclusive.
+ * @param {string} [filters.to] ISO timestamp, inclusive.
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.pageSize=50] Capped at 200.
+ * @returns {Promise<{logs: object[], total: number, page: number, pageSize: number}>}
+ */
+async function getRequestLogs(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.workerKey) {
+        conditions.push('worker_key = ?');
+        params.push(filters.workerKey);
+    }
+    if (filters.model) {
+        conditions.push('(requested_model LIKE ? OR served_model LIKE ?)');
+        params.push(`%${filters.model}%`, `%${filters.model}%`);
+    }
+    if (filters.geminiKeyId) {
+        conditions.push('gemini_key_id = ?');
+        params.push(filters.geminiKeyId);
+    }
+    if (filters.status) {
+        conditions.push('status = ?');
+        params.push(filters.status);
+    }
+    if (filters.errorsOnly) {
+        conditions.push('status >= 400');
+    }
+    if (filters.from) {
+        conditions.push('timestamp >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('timestamp <= ?');
+        params.push(filters.to);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(filters.pageSize) || 50));
+
+    const [countRow, rows] = await Promise.all([
+        configService.getDb(`SELECT COUNT(*) AS total FROM request_log ${where}`, params),
+        configService.allDb(`
+            SELECT id, timestamp, worker_key, endpoint, requested_model, served_model, gemini_key_id, attempts, status,
+                   latency_ms, stream, prompt_tokens, completion_tokens, total_tokens, error_type
+            FROM request_log ${where}
+            ORDER BY id DESC LIMIT ? OFFSET ?
+        `, [...params, pageSize, (page - 1) * pageSize])
+    ]);
+
+    return { logs: rows.map(formatLogRow), total: countRow?.total || 0, page, pageSize };
+}
+
+/**
+ * Gets a single request log entry including its stored request body (if any).
+ * @param {number} id
+ * @returns {Promise<object | null>}
+ */
+async function getRequestLog(id) {
+    const row = await configService.getDb('SELECT * FROM request_log WHERE id = ?', [id]);
+    return row ? formatLogRow(row) : null;
+}
+
+/**
+ * Deletes request log entries older than the configured retention period.
+ * @returns {Promise<number>} The number of deleted entries.
+ */
+async function pruneRequestLogs() {
+    const { retentionDays } = await getRequestLogSettings();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = await configService.serializeDb(() => configService.runDb('DELETE FROM request_log WHERE timestamp < ?', [cutoff]));
+    if (result.changes > 0) {
+        console.log(`Pruned ${result.changes} request log entries older than ${retentionDays} days.`);
+    }
+    return result.changes;
+}
+
+/**
+ * Deletes all request log entries.
+ * @returns {Promise<number>} The number of deleted entries.
+ */
+async function clearRequestLogs() {
+    const result = await configService.serializeDb(() => configService.runDb('DELETE FROM request_log'));
+    return result.changes;
+}
+
+module.exports = {
+    getRequestLogSettings,
+    addRequestLog,
+    getRequestLogs,
+    getRequestLog,
+    pruneRequestLogs,
+    clearRequestLogs,
+};
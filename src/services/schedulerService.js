@@ -1,10 +1,14 @@
 const cron = require('node-cron');
 const configService = require('./configService');
 const batchTestService = require('./batchTestService');
+const requestLogService = require('./requestLogService');
+const loginAuditService = require('./loginAuditService');
+const adminSessionService = require('./adminSessionService');
 
 class SchedulerService {
     constructor() {
         this.batchTestTask = null;
+        this.requestLogPruneTask = null;
         this.isInitialized = false;
     }
 
@@ -20,6 +24,8 @@ class SchedulerService {
         
         // Check if auto test is enabled and start the task if needed
         await this.updateBatchTestSchedule();
+
+        this.startRequestLogPruning();
         
         this.isInitialized = true;
         console.log('Scheduler Service initialized.');
@@ -90,6 +96,42 @@ class SchedulerService {
         }
     }
 
+    /**
+     * Start the hourly request log, login audit and admin session pruning (entries older than their retention are deleted)
+     */
+    startRequestLogPruning() {
+        if (this.requestLogPruneTask) {
+            return;
+        }
+
+        this.requestLogPruneTask = cron.schedule('0 0 * * * *', async () => {
+            try {
+                await requestLogService.pruneRequestLogs();
+            } catch (error) {
+                console.error('Error pruning request logs:', error);
+            }
+            try {
+                await loginAuditService.pruneLoginAudit();
+            } catch (error) {
+                console.error('Error pruning login audit:', error);
+            }
+            try {
+                await adminSessionService.pruneSessions();
+            } catch (error) {
+                console.error('Error pruning admin sessions:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: 'UTC'
+        });
+
+        // Prune once at startup so a long downtime doesn't leave stale entries until the next hour
+        requestLogService.pruneRequestLogs().catch(error => console.error('Error pruning request logs:', error));
+        loginAuditService.pruneLoginAudit().catch(error => console.error('Error pruning login audit:', error));
+        adminSessionService.pruneSessions().catch(error => console.error('Error pruning admin sessions:', error));
+        console.log('Request log pruning scheduled to run hourly');
+    }
+
     /**
      * Get the current status of the scheduler
      */
@@ -97,7 +139,8 @@ class SchedulerService {
         return {
             isInitialized: this.isInitialized,
             batchTestScheduled: !!this.batchTestTask,
-            nextBatchTestRun: this.batchTestTask ? 'Daily at 4 AM Beijing time' : 'Not scheduled'
+            nextBatchTestRun: this.batchTestTask ? 'Daily at 4 AM Beijing time' : 'Not scheduled',
+            requestLogPruneScheduled: !!this.requestLogPruneTask
         };
     }
 
@@ -131,6 +174,11 @@ class SchedulerService {
             this.batchTestTask.stop();
             this.batchTestTask = null;
         }
+
+        if (this.requestLogPruneTask) {
+            this.requestLogPruneTask.stop();
+            this.requestLogPruneTask = null;
+        }
         
         this.isInitialized = false;
         console.log('Scheduler Service shut down.');
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const dbModule = require('../db');
+const configService = require('./configService');
+const totp = require('../utils/totp');
+
+// Optional TOTP two-factor authentication for admin logins, stored in admin_two_factor by username.
+// Enrollment is two-step: setup creates a pending secret, and 2FA is only enabled once the user
+// proves their authenticator app works by entering a code. Everything runs locally; the QR code
+// is rendered on the server, so no external service ever sees the secret.
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hashes a recovery code after normalizing case, spaces and dashes.
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generates a new set of single-use recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} Codes to show the user once, and the hashes to store.
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<object | undefined>} The admin_two_factor row.
+ */
+function getTwoFactorRow(username) {
+    return configService.getDb('SELECT * FROM admin_two_factor WHERE username = ?', [username]);
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<boolean>} Whether the user has to enter a code at login.
+ */
+async function isTwoFactorEnabled(username) {
+    const row = await getTwoFactorRow(username);
+    return !!row?.enabled;
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<{enabled: boolean, pending: boolean, recoveryCodesLeft: number}>}
+ */
+async function getTwoFactorStatus(username) {
+    const row = await getTwoFactorRow(username);
+    return {
+        enabled: !!row?.enabled,
+        pending: !!row && !row.enabled,
+        recoveryCodesLeft: row?.enabled ? configService.parseStringList(row.recovery_codes).length : 0
+    };
+}
+
+/**
+ * Starts enrollment with a new secret, replacing any earlier unfinished enrollment.
+ * @param {string} username
+ * @returns {Promise<{secret: string, otpauthUri: string, qrCodeDataUrl: string}>}
+ * @throws {Error} If 2FA is already enabled.
+ */
+async function startEnrollment(username) {
+    if (await isTwoFactorEnabled(username)) {
+        throw new Error('Two-factor authentication is already enabled.');
+    }
+    const secret = totp.generateSecret();
+    // The WHERE keeps an enrollment finished in the meantime from being overwritten
+    await configService.serializeDb(() => configService.runDb(`
+        INSERT INTO admin_two_factor (username, secret, enabled, recovery_codes, last_used_step, created_at)
+        VALUES (?, ?, 0, '[]', NULL, ?)
+        ON CONFLICT (username) DO UPDATE SET secret = excluded.secret, created_at = excluded.created_at
+        WHERE admin_two_factor.enabled = 0
+    `, [username, secret, new Date().toISOString()]));
+
+    const otpauthUri = totp.buildOtpauthUri(secret, username);
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUri, { margin: 1, width: 200 });
+    return { secret, otpauthUri, qrCodeDataUrl };
+}
+
+/**
+ * Finishes enrollment once the user has entered a code from their authenticator app.
+ * @param {string} username
+ * @param {string} code
+ * @returns {Promise<string[]>} The recovery codes, shown to the user once.
+ * @throws {Error} If there is no pending enrollment or the code is wrong.
+ */
+async function confirmEnrollment(username, code) {
+    const row = await getTwoFactorRow(username);
+    if (!row || row.enabled) {
+        throw new Error('No two-factor enrollment is pending. Start the setup again.');
+    }
+    const step = totp.verifyCode(row.secret, code);
+    if (step === null) {
+        throw new Error('Invalid two-factor code.');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    // Only enables the secret the code was checked against, in case setup was restarted meanwhile
+    const result = await configService.serializeDb(() => configService.runDb(
+        'UPDATE admin_two_factor SET enabled = 1, recovery_codes = ?, last_used_step = ? WHERE username = ? AND secret = ? AND enabled = 0',
+        [JSON.stringify(hashes), step, username, row.secret]
+    ));
+    if (result.changes === 0) {
+        throw new Error('No two-factor enrollment is pending. Start the setup again.');
+    }
+    await dbModule.syncToGitHub();
+    console.log(`Two-factor authentication enabled for admin user ${username}.`);
+    return codes;
+}
+
+/**
+ * Checks a TOTP code or recovery code for a user with 2FA enabled. An accepted TOTP code cannot be
+ * used again, and an accepted recovery code is removed.
+ * @param {string} username
+ * @param {string} code
+ * @returns {Promise<'totp' | 'recovery' | null>} How the user authenticated, or null if the code is wrong.
+ */
+async function verifyLoginCode(username, code) {
+    let method = null;
+    await configService.serializeDb(async () => {
+        const row = await getTwoFactorRow(username);
+        if (!row?.enabled) return;
+
+        const step = totp.verifyCode(row.secret, code);
+        if (step !== null) {
+            if (row.last_used_step !== null && step <= row.last_used_step) {
+                console.warn(`Rejected replayed two-factor code for admin user ${username}.`);
+                return;
+            }
+            await configService.runDb('UPDATE admin_two_factor SET last_used_step = ? WHERE username = ?', [step, username]);
+            method = 'totp';
+            return;
+        }
+
+        const hashes = configService.parseStringList(row.recovery_codes);
+        const index = hashes.indexOf(hashRecoveryCode(code));
+        if (index !== -1) {
+            hashes.splice(index, 1);
+            await configService.runDb('UPDATE admin_two_factor SET recovery_codes = ? WHERE username = ?', [JSON.stringify(hashes), username]);
+            method = 'recovery';
+        }
+    });
+
+    if (method === 'recovery') {
+        console.warn(`Admin user ${username} used a recovery code.`);
+        await dbModule.syncToGitHub();
+    }
+    return method;
+}
+
+/**
+ * Replaces a user's recovery codes after checking a current code.
+ * @param {string} username
+ * @param {string} code TOTP or recovery code.
+ * @returns {Promise<string[]>} The new recovery codes.
+ * @throws {Error} If 2FA is not enabled or the code is wrong.
+ */
+async function regenerateRecoveryCodes(username, code) {
+    if (!(await isTwoFactorEnabled(username))) {
+        throw new Error('Two-factor authentication is not enabled.');
+    }
+    if (!(await verifyLoginCode(username, code))) {
+        throw new Error('Invalid two-factor code.');
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    await configService.serializeDb(() =>
+        configService.runDb('UPDATE admin_two_factor SET recovery_codes = ? WHERE username = ?', [JSON.stringify(hashes), username])
+    );
+    await dbModule.syncToGitHub();
+    return codes;
+}
+
+/**
+ * Turns off 2FA for the logged-in user after checking a current code.
+ * @param {string} username
+ * @param {string} code TOTP or recovery code.
+ * @returns {Promise<void>}
+ * @throws {Error} If 2FA is not enabled or the code is wrong.
+ */
+async function disableTwoFactor(username, code) {
+    if (!(await isTwoFactorEnabled(username))) {
+        throw new Error('Two-factor authentication is not enabled.');
+    }
+    if (!(await verifyLoginCode(username, code))) {
+        throw new Error('Invalid two-factor code.');
+    }
+    await resetTwoFactor(username);
+}
+
+/**
+ * Removes a user's 2FA without a code, e.g. when an owner helps a user who lost their device.
+ * @param {string} username
+ * @returns {Promise<boolean>} False if the user had no 2FA set up.
+ */
+async function resetTwoFactor(username) {
+    const result = await configService.serializeDb(() =>
+        configService.runDb('DELETE FROM admin_two_factor WHERE username = ?', [username])
+    );
+    if (result.changes > 0) {
+        console.log(`Two-factor authentication removed for admin user ${username}.`);
+        await dbModule.syncToGitHub();
+    }
+    return result.changes > 0;
+}
+
+module.exports = {
+    isTwoFactorEnabled,
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifyLoginCode,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    resetTwoFactor,
+};
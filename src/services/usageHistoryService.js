@@ -0,0 +1,169 @@
+const configService = require('./configService');
+const { getUsageDate } = require('../utils/helpers');
+
+// Daily usage history. gemini_keys and worker_keys only hold the counters of their current usage date;
+// when that date changes the old counters are rolled up into usage_history before being reset.
+
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Adds counters to a usage_history row, creating it if needed.
+ * Must run inside the caller's serializeDb operation.
+ * @param {string} usageDate
+ * @param {'gemini_key' | 'worker_key'} sourceType
+ * @param {string} sourceId
+ * @param {'model' | 'category' | 'total'} dimension
+ * @param {string} name
+ * @param {number} requestCount
+ * @param {number} tokenCount
+ * @returns {Promise<void>}
+ */
+async function addHistoryRow(usageDate, sourceType, sourceId, dimension, name, requestCount, tokenCount) {
+    await configService.runDb(`
+        INSERT INTO usage_history (usage_date, source_type, source_id, dimension, name, request_count, token_count)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (usage_date, source_type, source_id, dimension, name) DO UPDATE SET
+            request_count = request_count + excluded.request_count,
+            token_count = token_count + excluded.token_count
+    `, [usageDate, sourceType, sourceId, dimension, name, requestCount, tokenCount]);
+}
+
+/**
+ * Rolls up a Gemini key's counters for a finished usage date. Failures are logged and swallowed
+ * so usage tracking for the new day still goes ahead.
+ * Must run inside the caller's serializeDb operation.
+ * @param {string} keyId
+ * @param {string | null} usageDate The date the counters belong to.
+ * @param {Record<string, number>} modelUsage
+ * @param {Record<string, number>} categoryUsage
+ * @returns {Promise<void>}
+ */
+async function rollUpGeminiKeyUsage(keyId, usageDate, modelUsage, categoryUsage) {
+    if (!usageDate) return;
+    try {
+        for (const [modelId, count] of Object.entries(modelUsage || {})) {
+            if (count > 0) await addHistoryRow(usageDate, 'gemini_key', keyId, 'model', modelId, count, 0);
+        }
+        for (const [category, count] of Object.entries(categoryUsage || {})) {
+            if (count > 0) await addHistoryRow(usageDate, 'gemini_key', keyId, 'category', category, count, 0);
+        }
+    } catch (e) {
+        console.error(`Failed to roll up usage history for key ${keyId} (${usageDate}):`, e);
+    }
+}
+
+/**
+ * Rolls up a worker key's daily counters for a finished usage date. Failures are logged and swallowed.
+ * Must run inside the caller's serializeDb operation.
+ * @param {string} apiKey
+ * @param {string | null} usageDate The date the counters belong to.
+ * @param {number} requestCount
+ * @param {number} tokenCount
+ * @returns {Promise<void>}
+ */
+async function rollUpWorkerKeyUsage(apiKey, usageDate, requestCount, tokenCount) {
+    if (!usageDate || (!requestCount && !tokenCount)) return;
+    try {
+        await addHistoryRow(usageDate, 'worker_key', apiKey, 'total', '', requestCount || 0, tokenCount || 0);
+    } catch (e) {
+        console.error(`Failed to roll up usage history for worker key ${apiKey.slice(0, 5)}... (${usageDate}):`, e);
+    }
+}
+
+/**
+ * Gets the date `days - 1` days before a YYYY-MM-DD date.
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function getRangeStart(date, days) {
+    const start = new Date(`${date}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+    return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets daily usage for the last `days` days: rolled-up history plus the counters still held by
+ * gemini_keys and worker_keys (today's, and those of keys unused since their last usage date).
+ * @param {number} days Between 1 and 365.
+ * @returns {Promise<{since: string, until: string, entries: Array<{date: string, sourceType: string, sourceId: string, sourceName: string, dimension: string, name: string, requests: number, tokens: number}>}>}
+ */
+async function getUsageHistory(days) {
+    const rangeDays = Math.min(Math.max(parseInt(days) || 7, 1), MAX_HISTORY_DAYS);
+    const quotaReset = await configService.getQuotaResetSettings();
+    const until = getUsageDate(quotaReset.geminiKeys);
+    const since = getRangeStart(until, rangeDays);
+
+    const [historyRows, geminiKeyRows, workerKeyRows] = await Promise.all([
+        configService.allDb('SELECT * FROM usage_history WHERE usage_date >= ? ORDER BY usage_date', [since]),
+        configService.allDb('SELECT id, name, usage_date, model_usage, category_usage FROM gemini_keys'),
+        configService.allDb('SELECT api_key, description, usage_date, request_count, token_count FROM worker_keys')
+    ]);
+
+    const sourceNames = new Map();
+    geminiKeyRows.forEach(row => sourceNames.set(`gemini_key|${row.id}`, row.name || row.id));
+    workerKeyRows.forEach(row => sourceNames.set(`worker_key|${row.api_key}`, row.description || `${row.api_key.slice(0, 8)}...`));
+
+    const entries = new Map();
+    const addEntry = (date, sourceType, sourceId, dimension, name, requests, tokens) => {
+        if (date < since) return;
+        const key = [date, sourceType, sourceId, dimension, name].join('|');
+        const entry = entries.get(key) || {
+            date,
+            sourceType,
+            sourceId,
+            sourceName: sourceNames.get(`${sourceType}|${sourceId}`) || sourceId,
+            dimension,
+            name,
+            requests: 0,
+            tokens: 0
+        };
+        entry.requests += requests || 0;
+        entry.tokens += tokens || 0;
+        entries.set(key, entry);
+    };
+
+    historyRows.forEach(row => addEntry(row.usage_date, row.source_type, row.source_id, row.dimension, row.name, row.request_count, row.token_count));
+    geminiKeyRows.forEach(row => {
+        if (!row.usage_date) return;
+        try {
+            Object.entries(JSON.parse(row.model_usage || '{}')).forEach(([modelId, count]) => addEntry(row.usage_date, 'gemini_key', row.id, 'model', modelId, count, 0));
+            Object.entries(JSON.parse(row.category_usage || '{}')).forEach(([category, count]) => addEntry(row.usage_date, 'gemini_key', row.id, 'category', category, count, 0));
+        } catch (e) {
+            console.error(`Error parsing usage JSON for key ${row.id}:`, e);
+        }
+    });
+    workerKeyRows.forEach(row => {
+        if (row.usage_date) addEntry(row.usage_date, 'worker_key', row.api_key, 'total', '', row.request_count, row.token_count);
+    });
+
+    return {
+        since,
+        until,
+        entries: [...entries.values()]
+            .filter(entry => entry.requests > 0 || entry.tokens > 0)
+            .sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+/**
+ * Formats usage history entries as CSV.
+ * @param {Array<object>} entries From getUsageHistory().
+ * @returns {string}
+ */
+function toCsv(entries) {
+    const columns = ['date', 'sourceType', 'sourceId', 'sourceName', 'dimension', 'name', 'requests', 'tokens'];
+    const escape = (value) => {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...entries.map(entry => columns.map(column => escape(entry[column])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+    MAX_HISTORY_DAYS,
+    rollUpGeminiKeyUsage,
+    rollUpWorkerKeyUsage,
+    getUsageHistory,
+    toCsv,
+};
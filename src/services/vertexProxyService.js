@@ -1,4 +1,3 @@
-const fetch = require('node-fetch');
 const { Readable, Transform } = require('stream'); // Import Transform
 const fs = require('fs').promises; // Async fs for temp file operations
 const os = require('os');
@@ -7,6 +6,8 @@ const { v4: uuidv4 } = require('uuid');
 const { GoogleGenAI } = require('@google/genai');
 const configService = require('./configService');
 const transformUtils = require('../utils/transform');
+const remoteImage = require('../utils/remoteImage');
+const metrics = require('../utils/metrics');
 
 // List of Vertex AI supported models (prefix [v] indicates it's a Vertex API model)
 const VERTEX_SUPPORTED_MODELS = [
@@ -23,6 +24,25 @@ let tempCredentialsPath = null;
 // --- Database-only Configuration ---
 let VERTEX_JSON_STRING = null; // Store database loaded value
 
+/**
+ * Runs a Vertex API call and records its outcome and latency in the upstream metrics.
+ * @template T
+ * @param {string} modelId The Vertex model ID, used as the metrics label.
+ * @param {() => Promise<T>} call
+ * @returns {Promise<T>}
+ */
+async function callVertex(modelId, call) {
+    const startTime = Date.now();
+    try {
+        const result = await call();
+        metrics.recordUpstreamCall('vertex', modelId, 200, startTime);
+        return result;
+    } catch (error) {
+        metrics.recordUpstreamCall('vertex', modelId, Number(error?.status) || 500, startTime);
+        throw error;
+    }
+}
+
 // --- Initialize Credentials on Load ---
 let isVertexInitialized = false;
 let isUsingExpressMode = false; // Track if we're using Express Mode
@@ -185,9 +205,9 @@ function parseImageDataUri(uri) {
 }
 
 /**
- * Asynchronously converts OpenAI message content parts to Vertex AI Parts, handling text and images.
+ * Asynchronously converts OpenAI message content parts to Vertex AI Parts, handling text, images, audio and files.
  * Downloads images from HTTPS URLs if necessary.
- * @param {Array<object>} openAIContentParts - Array of OpenAI content parts (text or image_url).
+ * @param {Array<object>} openAIContentParts - Array of OpenAI content parts (text, image_url, input_audio or file).
  * @returns {Promise<Array<object>>} A promise resolving to an array of Vertex AI Part objects.
  */
 async function convertOpenaiPartsToVertexParts(openAIContentParts) {
@@ -220,18 +240,13 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
                     }
                 });
             } else if (imageUrl.startsWith('http://') || imageUrl.startsWith('https://')) {
-                // Attempt to download image from URL
+                // Download through the proxy pool, honoring the admin size cap and allowed hosts
                 try {
-                    const response = await fetch(imageUrl, { timeout: 10000 }); // 10s timeout
-                    if (!response.ok) {
-                        throw new Error(`HTTP error! status: ${response.status}`);
-                    }
-                    const imageBuffer = await response.buffer();
-                    const contentType = response.headers.get('content-type') || 'application/octet-stream';
+                    const image = await remoteImage.fetchRemoteImage(imageUrl, await configService.getImageFetchSettings());
                     vertexParts.push({
                         inlineData: {
-                            mimeType: contentType,
-                            data: imageBuffer.toString('base64')
+                            mimeType: image.mimeType,
+                            data: image.data
                         }
                     });
                 } catch (e) {
@@ -242,6 +257,11 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
                 console.warn(`Unsupported image URL format: ${imageUrl}`); // Keep warn log in English
                 vertexParts.push({ text: `[Unsupported image format at ${imageUrl}]` });
             }
+        } else if (part.type === 'input_audio' || part.type === 'file') {
+            const inlinePart = transformUtils.toInlineDataPart(part);
+            if (inlinePart) {
+                vertexParts.push(inlinePart);
+            }
         }
     }
     return vertexParts;
@@ -254,6 +274,8 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
  */
 async function convertOpenaiMessagesToVertex(messages) {
     const vertexContents = [];
+    // Tool results only carry tool_call_id; resolve function names from earlier assistant tool_calls
+    const toolCallNames = transformUtils.buildToolCallNameMap(messages);
     
     // Process all messages, including system messages, mapping to appropriate Vertex roles
     for (const msg of messages) {
@@ -261,54 +283,18 @@ async function convertOpenaiMessagesToVertex(messages) {
         let parts = [];
 
         if (vertexRole === 'function') { // Handle tool/function results
-            if (msg.tool_call_id && msg.content) {
-                if (msg.name) {
-                    let responseContent = {};
-                    try {
-                        // Attempt to parse the string content into an object
-                        responseContent = JSON.parse(msg.content);
-                    } catch (e) {
-                        console.warn(`Tool result content for ${msg.name} (${msg.tool_call_id}) is not valid JSON, sending as string: ${msg.content}`); // Keep warn log in English
-                        // Send as simple text if not parsable JSON
-                        parts.push({ text: `[Tool Result for ${msg.name}: ${msg.content}]` });
-                        continue; // Skip adding as functionResponse if invalid
-                    }
-                    parts.push({
-                        functionResponse: {
-                            name: msg.name,
-                            response: responseContent // Vertex SDK expects the actual object
-                        }
-                    });
-                } else {
-                    console.warn(`Tool message received without function name (expected in msg.name): ${JSON.stringify(msg)}`); // Keep warn log in English
-                    parts.push({ text: `[Tool Result for ${msg.tool_call_id}: ${msg.content}]` });
-                }
+            const responsePart = transformUtils.toFunctionResponsePart(msg, toolCallNames);
+            // Parallel tool results must be returned in a single function turn
+            const previous = vertexContents[vertexContents.length - 1];
+            if (responsePart.functionResponse && previous && previous.role === 'function') {
+                previous.parts.push(responsePart);
             } else {
-                console.warn(`Tool message missing tool_call_id or content: ${JSON.stringify(msg)}`); // Keep warn log in English
-                parts.push({ text: msg.content || '[Empty Tool Message]' });
+                vertexContents.push({ role: responsePart.functionResponse ? 'function' : 'user', parts: [responsePart] });
             }
+            continue;
         } else if (vertexRole === 'model') { // Handle assistant messages (including potential tool calls)
             if (msg.tool_calls && msg.tool_calls.length > 0) {
-                // If assistant message contains tool calls, represent them as FunctionCallParts
-                for (const toolCall of msg.tool_calls) {
-                    if (toolCall.type === 'function' && toolCall.function) {
-                        let args = {};
-                        try {
-                            // Arguments from OpenAI are a JSON string, Vertex expects an object
-                            args = JSON.parse(toolCall.function.arguments || '{}');
-                        } catch (e) {
-                            console.error(`Failed to parse tool call arguments for ${toolCall.function.name}: ${e}`); // Keep error log in English
-                            args = { _error: "Failed to parse arguments", raw_arguments: toolCall.function.arguments };
-                        }
-                        parts.push({
-                            functionCall: {
-                                name: toolCall.function.name,
-                                args: args // Pass the parsed object
-                            }
-                        });
-                    }
-                }
-                // If there's also text content along with tool calls, add it as a separate text part
+                // Text that accompanies the tool calls comes first, as in Gemini responses
                 if (msg.content && typeof msg.content === 'string') {
                     parts.push({ text: msg.content });
                 } else if (Array.isArray(msg.content)) {
@@ -319,6 +305,13 @@ async function convertOpenaiMessagesToVertex(messages) {
                     }
                     // Note: Image parts from assistant messages are generally not expected/handled here.
                 }
+                // Represent the tool calls themselves as FunctionCallParts
+                for (const toolCall of msg.tool_calls) {
+                    const callPart = transformUtils.toFunctionCallPart(toolCall);
+                    if (callPart) {
+                        parts.push(callPart);
+                    }
+                }
             } else {
                 // Normal assistant message (text or potentially multimodal)
                 if (typeof msg.content === 'string') {
@@ -466,6 +459,10 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
     if (!openAIRequestBody.messages || !Array.isArray(openAIRequestBody.messages)) {
         return { error: { message: "Missing or invalid 'messages' field in request body" }, status: 400 };
     }
+    const optionsError = transformUtils.validateGenerationOptions(openAIRequestBody);
+    if (optionsError) {
+        return { error: { ...optionsError, type: 'invalid_request_error' }, status: 400 };
+    }
 
     // Remove [v] prefix from model name to get the actual Vertex model ID
     let vertexModelId = requestedModelId;
@@ -567,7 +564,9 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
             temperature: openAIRequestBody.temperature,
             topP: openAIRequestBody.top_p,
             topK: openAIRequestBody.top_k,
-            stopSequences: typeof openAIRequestBody.stop === 'string' ? [openAIRequestBody.stop] : openAIRequestBody.stop
+            stopSequences: typeof openAIRequestBody.stop === 'string' ? [openAIRequestBody.stop] : openAIRequestBody.stop,
+            thinkingConfig: transformUtils.buildThinkingConfig(openAIRequestBody),
+            ...transformUtils.buildResponseFormatConfig(openAIRequestBody.response_format)
         };
         
         // Remove undefined keys
@@ -587,6 +586,8 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                         mode = 'NONE';
                     } else if (openAIRequestBody.tool_choice === 'auto') {
                         mode = 'AUTO';
+                    } else if (openAIRequestBody.tool_choice === 'required') {
+                        mode = 'ANY'; // Model must call at least one of the declared functions
                     } else {
                         mode = 'ANY'; // Assume non-standard string is a function name
                         allowedFunctionNames.push(openAIRequestBody.tool_choice);
@@ -637,7 +638,8 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
         // Handle response
         if (stream) {
             if (useKeepAlive) {
-                // KEEPALIVE mode: Asynchronous handling with internal retry logic
+                // KEEPALIVE mode: heartbeats are sent while retrying; a final failure is returned so the
+                // caller can try the next fallback model before reporting the error in-stream
                 if (keepAliveCallback) {
                     const keepAliveRunner = async () => {
                         console.log('KEEPALIVE (Vertex): Starting heartbeat and async request process.');
@@ -649,7 +651,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                         for (let kAttempt = 1; kAttempt <= MAX_RETRIES; kAttempt++) {
                             try {
                                 console.log(`KEEPALIVE (Vertex) Attempt ${kAttempt}: Sending request.`);
-                                const response = await ai.models.generateContent(requestPayload);
+                                const response = await callVertex(vertexModelId, () => ai.models.generateContent(requestPayload));
 
                                 // Check for valid response
                                 if (!response || !response.candidates || response.candidates.length === 0) {
@@ -670,8 +672,13 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                                 // Success case
                                 console.log(`KEEPALIVE (Vertex): Request successful on attempt ${kAttempt}. Stopping heartbeat.`);
                                 keepAliveCallback.stopHeartbeat();
-                                keepAliveCallback.sendFinalResponse(response);
-                                return; // Exit runner on success
+                                keepAliveCallback.sendFinalResponse(response, requestedModelId);
+                                return {
+                                    isKeepAlive: true,
+                                    selectedKeyId: 'vertex-ai',
+                                    modelCategory: 'Vertex',
+                                    requestedModelId: requestedModelId
+                                };
 
                             } catch (error) {
                                 console.error(`KEEPALIVE (Vertex) Attempt ${kAttempt} failed:`, error.message);
@@ -689,21 +696,15 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                             }
                         }
 
-                        // If loop finishes, all retries have failed
-                        console.error(`KEEPALIVE (Vertex): All ${MAX_RETRIES} attempts failed. Sending last error.`);
-                        keepAliveCallback.stopHeartbeat();
-                        keepAliveCallback.sendError(lastKeepAliveError || { message: "All Vertex keepalive attempts failed." });
+                        // If loop finishes, all retries have failed; the heartbeat keeps running for a fallback model
+                        console.error(`KEEPALIVE (Vertex): All ${MAX_RETRIES} attempts failed. Returning last error.`);
+                        return {
+                            error: lastKeepAliveError || { message: "All Vertex keepalive attempts failed." },
+                            status: 500
+                        };
                     };
 
-                    keepAliveRunner(); // Run the async function
-
-                    // Return immediately to the client
-                    return {
-                        isKeepAlive: true,
-                        selectedKeyId: 'vertex-ai',
-                        modelCategory: 'Vertex',
-                        requestedModelId: requestedModelId
-                    };
+                    return await keepAliveRunner();
                 } else {
                      console.error('KEEPALIVE: No callback available for Vertex KEEPALIVE mode');
                      return {
@@ -718,15 +719,20 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 // Standard streaming mode
                 try {
                     // Use the new API for streaming
-                    const streamResult = await ai.models.generateContentStream(requestPayload);
+                    const streamResult = await callVertex(vertexModelId, () => ai.models.generateContentStream(requestPayload));
                     
                     let toolCallIndex = 0; // Keep track across chunks
+                    let lastUsageMetadata; // Cumulative, so the last one covers the whole response
+                    const includeUsage = openAIRequestBody.stream_options?.include_usage === true;
 
                     // Create a Transform stream to process the stream from Vertex SDK
                     const vertexTransformer = new Transform({
                         objectMode: true, // Process objects from Vertex SDK
                         async transform(item, encoding, callback) {
                             try {
+                                if (item?.usageMetadata) {
+                                    lastUsageMetadata = item.usageMetadata;
+                                }
                                 if (!item || !item.candidates || item.candidates.length === 0) {
                                     return callback(); // Skip empty items
                                 }
@@ -736,11 +742,14 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                                 const finishReasonOpenai = convertVertexFinishReasonToOpenai(finishReasonVertex);
 
                                 let deltaContent = null;
+                                let deltaReasoning = null;
                                 let deltaToolCalls = [];
 
                                 if (candidate.content && candidate.content.parts) {
                                     for (const part of candidate.content.parts) {
-                                        if (part.text) {
+                                        if (part.text && part.thought) {
+                                            deltaReasoning = part.text;
+                                        } else if (part.text) {
                                             deltaContent = part.text;
                                         } else if (part.functionCall) {
                                             const openaiToolCall = convertVertexToolCallToOpenai(part.functionCall, toolCallIndex++);
@@ -752,10 +761,11 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                                 }
 
                                 // Create chunk only if there's content, tool calls, or a finish reason
-                                if (deltaContent !== null || deltaToolCalls.length > 0 || finishReasonOpenai) {
+                                if (deltaContent !== null || deltaReasoning !== null || deltaToolCalls.length > 0 || finishReasonOpenai) {
                                     const choiceDelta = {
                                         role: 'assistant',
                                         content: deltaContent,
+                                        reasoning_content: deltaReasoning !== null ? deltaReasoning : undefined,
                                         tool_calls: deltaToolCalls.length > 0 ? deltaToolCalls : undefined
                                     };
                                     const streamChoice = {
@@ -785,11 +795,19 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                         },
 
                         flush(callback) {
-                            // Getting final aggregated usage data is difficult here as we are a transform stream
-                            // Ignore sending aggregated data for now
-                            
-                            // Send the [DONE] message
-                            this.push(JSON.stringify({ done: true }));
+                            if (includeUsage) {
+                                this.push(JSON.stringify({
+                                    id: `chatcmpl-stream-${uuidv4()}`,
+                                    object: 'chat.completion.chunk',
+                                    created: Math.floor(Date.now() / 1000),
+                                    model: requestedModelId,
+                                    choices: [],
+                                    usage: transformUtils.transformGeminiUsage(lastUsageMetadata)
+                                }));
+                            }
+
+                            // Send the [DONE] message, carrying the final usage for worker key accounting
+                            this.push(JSON.stringify({ done: true, usageMetadata: lastUsageMetadata }));
                             callback();
                         }
                     });
@@ -833,7 +851,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
             // Non-streaming response
             try {
                 // Use the new API for non-streaming
-                const response = await ai.models.generateContent(requestPayload);
+                const response = await callVertex(vertexModelId, () => ai.models.generateContent(requestPayload));
 
                 if (!response || !response.candidates || response.candidates.length === 0) {
                     // Check if blocked by safety filter
@@ -858,12 +876,16 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 const finishReasonOpenai = convertVertexFinishReasonToOpenai(finishReasonVertex);
 
                 let responseContent = null;
+                let responseReasoning = null;
                 let responseToolCalls = [];
 
                 if (candidate.content && candidate.content.parts) {
                     const textParts = [];
+                    const thoughtParts = [];
                     for (const part of candidate.content.parts) {
-                        if (part.text) {
+                        if (part.text && part.thought) {
+                            thoughtParts.push(part.text);
+                        } else if (part.text) {
                             textParts.push(part.text);
                         } else if (part.functionCall) {
                             const openaiToolCall = convertVertexToolCallToOpenai(part.functionCall);
@@ -875,6 +897,9 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                     if (textParts.length > 0) {
                         responseContent = textParts.join(''); // Concatenate text parts
                     }
+                    if (thoughtParts.length > 0) {
+                        responseReasoning = thoughtParts.join('');
+                    }
                 }
 
                 // Handle response blocked by safety filter
@@ -897,6 +922,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 const message = {
                     role: 'assistant',
                     content: responseContent, // Can be null if only tool calls
+                    reasoning_content: responseReasoning !== null ? responseReasoning : undefined,
                     tool_calls: responseToolCalls.length > 0 ? responseToolCalls : undefined
                 };
 
@@ -908,11 +934,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 };
 
                 // Extract usage statistics
-                const usage = {
-                    prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
-                    completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
-                    total_tokens: response.usageMetadata?.totalTokenCount || (response.usageMetadata?.promptTokenCount || 0) + (response.usageMetadata?.candidatesTokenCount || 0) // Calculate if not present
-                };
+                const usage = transformUtils.transformGeminiUsage(response.usageMetadata);
 
                 // Create the full OpenAI format response
                 const openaiResponse = {
@@ -988,6 +1010,18 @@ function isVertexEnabled() {
     return !!VERTEX_JSON_STRING || isUsingExpressMode;
 }
 
+/**
+ * Reports the Vertex configuration and initialization state for the readiness endpoint.
+ * @returns {{enabled: boolean, initialized: boolean, expressMode: boolean}}
+ */
+function getVertexStatus() {
+    return {
+        enabled: isVertexEnabled(),
+        initialized: isVertexInitialized,
+        expressMode: isUsingExpressMode
+    };
+}
+
 /**
  * Reinitializes Vertex credentials with database configuration.
  * This function is called when the configuration is updated via the admin panel.
@@ -1025,6 +1059,7 @@ module.exports = {
     proxyVertexChatCompletions,
     getVertexSupportedModels,
     isVertexEnabled, // Export check function
+    getVertexStatus,
     reinitializeWithDatabaseConfig, // Export reinitialization function
     initializeVertexCredentials // Export initialization function for delayed init
 };
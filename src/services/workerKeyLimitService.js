@@ -0,0 +1,167 @@
+const configService = require('./configService');
+const usageHistoryService = require('./usageHistoryService');
+const dbModule = require('../db');
+const { getUsageDate, getSecondsUntilReset } = require('../utils/helpers');
+
+// Approximate Gemini API prices in USD per 1M tokens, used to estimate spend against monthly budgets.
+// Checked in order against the model ID (without the [v] prefix); the first substring match wins.
+const MODEL_PRICING = [
+    { match: 'embedding', input: 0.15, output: 0 },
+    { match: 'flash-lite', input: 0.10, output: 0.40 },
+    { match: '2.5-flash', input: 0.30, output: 2.50 },
+    { match: 'flash', input: 0.10, output: 0.40 },
+    { match: 'pro', input: 1.25, output: 10.00 },
+];
+
+const RPM_WINDOW_MS = 60 * 1000;
+
+// In-memory sliding window of request timestamps per worker key for the requests-per-minute limit
+const requestWindows = new Map();
+
+/**
+ * Estimates the USD cost of a request from its token usage.
+ * @param {string} modelId
+ * @param {{prompt_tokens?: number, completion_tokens?: number}} usage OpenAI-format usage.
+ * @returns {number} The estimated cost, or 0 if the model has no known price.
+ */
+function estimateCost(modelId, usage) {
+    const normalizedId = (modelId || '').replace(/^\[v\]/, '').toLowerCase();
+    const pricing = MODEL_PRICING.find(p => normalizedId.includes(p.match));
+    if (!pricing || !usage) return 0;
+    return ((usage.prompt_tokens || 0) * pricing.input + (usage.completion_tokens || 0) * pricing.output) / 1e6;
+}
+
+/**
+ * Returns the request timestamps from the last minute for a worker key, dropping older entries.
+ * @param {string} apiKey
+ * @returns {number[]}
+ */
+function getRecentRequests(apiKey) {
+    const cutoff = Date.now() - RPM_WINDOW_MS;
+    const timestamps = (requestWindows.get(apiKey) || []).filter(ts => ts > cutoff);
+    requestWindows.set(apiKey, timestamps);
+    return timestamps;
+}
+
+/**
+ * Gets the number of requests a worker key made in the last minute.
+ * @param {string} apiKey
+ * @returns {number}
+ */
+function getRequestsLastMinute(apiKey) {
+    return getRecentRequests(apiKey).length;
+}
+
+/**
+ * Builds an OpenAI-style 429 result.
+ * @param {string} message
+ * @param {'requests' | 'tokens' | 'insufficient_quota'} type
+ * @param {number} retryAfter Seconds until the limit resets.
+ * @returns {{status: number, retryAfter: number, error: object}}
+ */
+function limitExceeded(message, type, retryAfter) {
+    return {
+        status: 429,
+        retryAfter,
+        error: {
+            message,
+            type,
+            param: null,
+            code: type === 'insufficient_quota' ? 'insufficient_quota' : 'rate_limit_exceeded'
+        }
+    };
+}
+
+/**
+ * Checks a worker key against its limits and, if allowed, counts the request.
+ * Token and budget limits are checked against usage recorded so far, so the request that crosses them still completes.
+ * @param {string} apiKey
+ * @returns {Promise<null | {status: number, retryAfter: number, error: object}>} null if the request may proceed.
+ */
+async function checkWorkerKeyLimits(apiKey) {
+    return configService.serializeDb(async () => {
+        const row = await configService.getDb('SELECT * FROM worker_keys WHERE api_key = ?', [apiKey]);
+        if (!row) return null; // Authentication already rejected unknown keys
+
+        const quotaReset = (await configService.getQuotaResetSettings()).workerKeys;
+        const today = getUsageDate(quotaReset);
+        const currentMonth = today.slice(0, 7);
+        const requestCount = row.usage_date === today ? (row.request_count || 0) : 0;
+        const tokenCount = row.usage_date === today ? (row.token_count || 0) : 0;
+        const monthlySpend = row.usage_month === currentMonth ? (row.monthly_spend || 0) : 0;
+
+        const recentRequests = getRecentRequests(apiKey);
+        if (row.rpm_limit !== null && row.rpm_limit !== undefined && recentRequests.length >= row.rpm_limit) {
+            const retryAfter = Math.max(1, Math.ceil((recentRequests[0] + RPM_WINDOW_MS - Date.now()) / 1000));
+            return limitExceeded(`Rate limit reached on requests per minute (RPM): Limit ${row.rpm_limit}. Please try again in ${retryAfter}s.`, 'requests', retryAfter);
+        }
+        if (row.rpd_limit !== null && row.rpd_limit !== undefined && requestCount >= row.rpd_limit) {
+            return limitExceeded(`Rate limit reached on requests per day (RPD): Limit ${row.rpd_limit}, Used ${requestCount}.`, 'requests', getSecondsUntilReset('day', quotaReset));
+        }
+        if (row.tpd_limit !== null && row.tpd_limit !== undefined && tokenCount >= row.tpd_limit) {
+            return limitExceeded(`Rate limit reached on tokens per day (TPD): Limit ${row.tpd_limit}, Used ${tokenCount}.`, 'tokens', getSecondsUntilReset('day', quotaReset));
+        }
+        if (row.monthly_budget !== null && row.monthly_budget !== undefined && monthlySpend >= row.monthly_budget) {
+            return limitExceeded(`You exceeded your monthly budget of $${row.monthly_budget} (spent $${monthlySpend.toFixed(4)}).`, 'insufficient_quota', getSecondsUntilReset('month', quotaReset));
+        }
+
+        recentRequests.push(Date.now());
+        if (row.usage_date !== today) {
+            await usageHistoryService.rollUpWorkerKeyUsage(apiKey, row.usage_date, row.request_count, row.token_count);
+        }
+        await configService.runDb(
+            'UPDATE worker_keys SET usage_date = ?, request_count = ?, token_count = ?, usage_month = ?, monthly_spend = ? WHERE api_key = ?',
+            [today, requestCount + 1, tokenCount, currentMonth, monthlySpend, apiKey]
+        );
+        return null;
+    });
+}
+
+/**
+ * Adds a completed request's tokens and estimated cost to a worker key's daily and monthly usage.
+ * @param {string} apiKey
+ * @param {string} modelId The model that served the request.
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} usage OpenAI-format usage.
+ * @returns {Promise<void>}
+ */
+async function recordWorkerKeyUsage(apiKey, modelId, usage) {
+    const totalTokens = usage?.total_tokens || ((usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0));
+    if (!totalTokens) return;
+    const cost = estimateCost(modelId, usage);
+
+    await configService.serializeDb(async () => {
+        try {
+            const row = await configService.getDb('SELECT usage_date, request_count, token_count, usage_month, monthly_spend FROM worker_keys WHERE api_key = ?', [apiKey]);
+            if (!row) return;
+
+            const today = getUsageDate((await configService.getQuotaResetSettings()).workerKeys);
+            const currentMonth = today.slice(0, 7);
+            const requestCount = row.usage_date === today ? (row.request_count || 0) : 0;
+            const tokenCount = row.usage_date === today ? (row.token_count || 0) : 0;
+            const monthlySpend = row.usage_month === currentMonth ? (row.monthly_spend || 0) : 0;
+            if (row.usage_date !== today) {
+                await usageHistoryService.rollUpWorkerKeyUsage(apiKey, row.usage_date, row.request_count, row.token_count);
+            }
+
+            await configService.runDb(
+                'UPDATE worker_keys SET usage_date = ?, request_count = ?, token_count = ?, usage_month = ?, monthly_spend = ? WHERE api_key = ?',
+                [today, requestCount, tokenCount + totalTokens, currentMonth, monthlySpend + cost, apiKey]
+            );
+        } catch (e) {
+            console.error(`Failed to record usage for worker key ${apiKey.slice(0, 5)}...:`, e);
+        }
+    });
+
+    // Sync updates to GitHub (async, outside of serialized operation)
+    dbModule.syncToGitHub().catch(err => {
+        console.warn('Failed to sync to GitHub after recording worker key usage:', err);
+    });
+}
+
+module.exports = {
+    MODEL_PRICING,
+    estimateCost,
+    getRequestsLastMinute,
+    checkWorkerKeyLimits,
+    recordWorkerKeyUsage,
+};
@@ -0,0 +1,408 @@
+// --- Anthropic Messages API <-> OpenAI Chat Completions conversion ---
+// /v1/messages converts requests to the OpenAI shape so they can reuse the existing
+// Gemini/Vertex proxy flow, then converts the OpenAI-shaped results back.
+
+const { Transform } = require('stream');
+
+/**
+ * Maps OpenAI finish reasons to Anthropic stop reasons.
+ * @param {string | null} finishReason
+ * @returns {string | null}
+ */
+function toAnthropicStopReason(finishReason) {
+    switch (finishReason) {
+        case 'stop': return 'end_turn';
+        case 'length': return 'max_tokens';
+        case 'tool_calls': return 'tool_use';
+        case 'content_filter': return 'refusal';
+        case null:
+        case undefined: return null;
+        default: return 'end_turn';
+    }
+}
+
+/**
+ * Maps an HTTP status to the Anthropic error type string.
+ * @param {number} status
+ * @returns {string}
+ */
+function toAnthropicErrorType(status) {
+    switch (status) {
+        case 400: return 'invalid_request_error';
+        case 401: return 'authentication_error';
+        case 403: return 'permission_error';
+        case 404: return 'not_found_error';
+        case 413: return 'request_too_large';
+        case 429: return 'rate_limit_error';
+        case 503:
+        case 529: return 'overloaded_error';
+        default: return 'api_error';
+    }
+}
+
+/**
+ * Builds an Anthropic error body.
+ * @param {number} status HTTP status of the failure.
+ * @param {object | string} error Error object (with message) or message string.
+ * @returns {{ type: 'error', error: { type: string, message: string } }}
+ */
+function toAnthropicError(status, error) {
+    const message = typeof error === 'string' ? error : (error?.message || 'Upstream API error');
+    return { type: 'error', error: { type: toAnthropicErrorType(status), message } };
+}
+
+/**
+ * Converts an Anthropic image block source into an OpenAI image_url part.
+ * @param {object} block Anthropic image block.
+ * @returns {object | null}
+ */
+function imageBlockToOpenAiPart(block) {
+    const source = block.source || {};
+    if (source.type === 'base64' && source.data) {
+        return { type: 'image_url', image_url: { url: `data:${source.media_type};base64,${source.data}` } };
+    }
+    if (source.type === 'url' && source.url) {
+        return { type: 'image_url', image_url: { url: source.url } };
+    }
+    console.warn(`Unsupported Anthropic image source type: ${source.type}. Skipping image block.`);
+    return null;
+}
+
+/**
+ * Flattens Anthropic tool_result content (string or blocks) into a string for the OpenAI tool message.
+ * @param {string | Array<object>} content
+ * @returns {string}
+ */
+function toolResultContentToString(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * Converts an Anthropic Messages API request body into an OpenAI Chat Completions request body.
+ * @param {object} body The Anthropic request ({ model, system, messages, max_tokens, tools, ... }).
+ * @returns {object} OpenAI-compatible request body.
+ */
+function anthropicToOpenAiRequest(body) {
+    const messages = [];
+
+    // System prompt may be a string or an array of text blocks
+    if (typeof body.system === 'string' && body.system) {
+        messages.push({ role: 'system', content: body.system });
+    } else if (Array.isArray(body.system)) {
+        const systemText = body.system.filter(block => block.type === 'text').map(block => block.text).join('\n');
+        if (systemText) {
+            messages.push({ role: 'system', content: systemText });
+        }
+    }
+
+    (body.messages || []).forEach((msg) => {
+        if (typeof msg.content === 'string') {
+            messages.push({ role: msg.role, content: msg.content });
+            return;
+        }
+        if (!Array.isArray(msg.content)) {
+            console.warn(`Unsupported Anthropic content for role ${msg.role}: ${typeof msg.content}. Skipping message.`);
+            return;
+        }
+
+        if (msg.role === 'assistant') {
+            const textParts = [];
+            const toolCalls = [];
+            msg.content.forEach((block) => {
+                if (block.type === 'text') {
+                    textParts.push(block.text);
+                } else if (block.type === 'tool_use') {
+                    toolCalls.push({
+                        id: block.id,
+                        type: 'function',
+                        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+                    });
+                } else if (block.type !== 'thinking' && block.type !== 'redacted_thinking') {
+                    console.warn(`Unknown Anthropic assistant block type: ${block.type}. Skipping block.`);
+                }
+            });
+            const assistantMessage = { role: 'assistant', content: textParts.length > 0 ? textParts.join('') : null };
+            if (toolCalls.length > 0) {
+                assistantMessage.tool_calls = toolCalls;
+            }
+            if (assistantMessage.content !== null || toolCalls.length > 0) {
+                messages.push(assistantMessage);
+            }
+            return;
+        }
+
+        // User turns: tool results become OpenAI tool messages, which must precede the remaining user content
+        const userParts = [];
+        msg.content.forEach((block) => {
+            if (block.type === 'tool_result') {
+                const resultText = toolResultContentToString(block.content);
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: block.tool_use_id,
+                    content: block.is_error ? JSON.stringify({ error: resultText }) : resultText
+                });
+            } else if (block.type === 'text') {
+                userParts.push({ type: 'text', text: block.text });
+            } else if (block.type === 'image') {
+                const imagePart = imageBlockToOpenAiPart(block);
+                if (imagePart) userParts.push(imagePart);
+            } else if (block.type === 'document' && block.source?.type === 'base64') {
+                userParts.push({ type: 'file', file: { file_data: `data:${block.source.media_type};base64,${block.source.data}` } });
+            } else {
+                console.warn(`Unknown Anthropic user block type: ${block.type}. Skipping block.`);
+            }
+        });
+        if (userParts.length > 0) {
+            messages.push({ role: 'user', content: userParts });
+        }
+    });
+
+    const openAIRequestBody = {
+        model: body.model,
+        messages,
+        stream: body.stream === true,
+        // message_delta reports output_tokens from the final usage chunk, which Vertex only sends when asked
+        ...(body.stream === true && { stream_options: { include_usage: true } }),
+        ...(body.max_tokens !== undefined && { max_tokens: body.max_tokens }),
+        ...(body.temperature !== undefined && { temperature: body.temperature }),
+        ...(body.top_p !== undefined && { top_p: body.top_p }),
+        ...(Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0 && { stop: body.stop_sequences }),
+    };
+
+    if (Array.isArray(body.tools) && body.tools.length > 0) {
+        openAIRequestBody.tools = body.tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.input_schema
+            }
+        }));
+    }
+
+    if (body.tool_choice) {
+        switch (body.tool_choice.type) {
+            case 'auto': openAIRequestBody.tool_choice = 'auto'; break;
+            case 'any': openAIRequestBody.tool_choice = 'required'; break;
+            case 'none': openAIRequestBody.tool_choice = 'none'; break;
+            case 'tool':
+                openAIRequestBody.tool_choice = { type: 'function', function: { name: body.tool_choice.name } };
+                break;
+        }
+    }
+
+    return openAIRequestBody;
+}
+
+/**
+ * Converts tool call arguments (JSON string) into an object for Anthropic tool_use blocks.
+ * @param {string | object} args
+ * @returns {object}
+ */
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+        return JSON.parse(args || '{}');
+    } catch (e) {
+        return { raw_arguments: args };
+    }
+}
+
+/**
+ * Converts a non-streaming OpenAI chat completion into an Anthropic Messages response.
+ * @param {object} openaiResponse The OpenAI chat.completion object.
+ * @param {string} modelId The model ID requested by the client.
+ * @returns {object} Anthropic message object.
+ */
+function openAiResponseToAnthropic(openaiResponse, modelId) {
+    const choice = openaiResponse?.choices?.[0] || {};
+    const message = choice.message || {};
+    const content = [];
+
+    if (typeof message.content === 'string' && message.content) {
+        content.push({ type: 'text', text: message.content });
+    }
+    (message.tool_calls || []).forEach((toolCall) => {
+        content.push({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            input: parseToolArguments(toolCall.function?.arguments)
+        });
+    });
+
+    return {
+        id: `msg_${Date.now()}${Math.random().toString(36).substring(2, 10)}`,
+        type: 'message',
+        role: 'assistant',
+        model: modelId,
+        content,
+        stop_reason: toAnthropicStopReason(choice.finish_reason) || 'end_turn',
+        stop_sequence: null,
+        usage: {
+            input_tokens: openaiResponse?.usage?.prompt_tokens || 0,
+            output_tokens: openaiResponse?.usage?.completion_tokens || 0
+        }
+    };
+}
+
+/**
+ * Formats a single Anthropic SSE event.
+ * @param {string} type Event type (also repeated in the payload).
+ * @param {object} payload
+ * @returns {string}
+ */
+function formatAnthropicEvent(type, payload) {
+    return `event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`;
+}
+
+/**
+ * Creates a Transform stream that consumes OpenAI SSE lines ("data: {...}\n\n") and emits
+ * Anthropic Messages streaming events (message_start, content_block_*, message_delta, message_stop).
+ * @param {string} modelId The model ID requested by the client.
+ * @returns {Transform}
+ */
+function createAnthropicStreamTransformer(modelId) {
+    const messageId = `msg_${Date.now()}${Math.random().toString(36).substring(2, 10)}`;
+    let lineBuffer = '';
+    let started = false;
+    let finished = false;
+    let blockIndex = -1;
+    let openBlockType = null; // 'text' | 'tool_use' | null
+    let stopReason = null;
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    const closeOpenBlock = (stream) => {
+        if (openBlockType !== null) {
+            stream.push(formatAnthropicEvent('content_block_stop', { index: blockIndex }));
+            openBlockType = null;
+        }
+    };
+
+    const ensureStarted = (stream) => {
+        if (started) return;
+        started = true;
+        stream.push(formatAnthropicEvent('message_start', {
+            message: {
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model: modelId,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: 0, output_tokens: 0 }
+            }
+        }));
+    };
+
+    const finish = (stream) => {
+        if (finished) return;
+        finished = true;
+        ensureStarted(stream);
+        closeOpenBlock(stream);
+        stream.push(formatAnthropicEvent('message_delta', {
+            delta: { stop_reason: stopReason || 'end_turn', stop_sequence: null },
+            usage: { input_tokens: usage.input_tokens, output_tokens: usage.output_tokens }
+        }));
+        stream.push(formatAnthropicEvent('message_stop', {}));
+    };
+
+    const handleChunk = (chunk, stream) => {
+        if (chunk.error) {
+            ensureStarted(stream);
+            closeOpenBlock(stream);
+            finished = true;
+            stream.push(formatAnthropicEvent('error', toAnthropicError(chunk.error.code || 500, chunk.error)));
+            return;
+        }
+
+        ensureStarted(stream);
+
+        if (chunk.usage) {
+            usage.input_tokens = chunk.usage.prompt_tokens || usage.input_tokens;
+            usage.output_tokens = chunk.usage.completion_tokens || usage.output_tokens;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) return;
+        const delta = choice.delta || {};
+
+        if (typeof delta.content === 'string' && delta.content) {
+            if (openBlockType !== 'text') {
+                closeOpenBlock(stream);
+                blockIndex++;
+                openBlockType = 'text';
+                stream.push(formatAnthropicEvent('content_block_start', { index: blockIndex, content_block: { type: 'text', text: '' } }));
+            }
+            stream.push(formatAnthropicEvent('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text: delta.content } }));
+        }
+
+        (delta.tool_calls || []).forEach((toolCall) => {
+            // Gemini returns each function call complete, so every tool call opens its own block
+            if (toolCall.function?.name) {
+                closeOpenBlock(stream);
+                blockIndex++;
+                openBlockType = 'tool_use';
+                stream.push(formatAnthropicEvent('content_block_start', {
+                    index: blockIndex,
+                    content_block: { type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input: {} }
+                }));
+            }
+            if (toolCall.function?.arguments && openBlockType === 'tool_use') {
+                stream.push(formatAnthropicEvent('content_block_delta', {
+                    index: blockIndex,
+                    delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments }
+                }));
+            }
+        });
+
+        if (choice.finish_reason) {
+            stopReason = toAnthropicStopReason(choice.finish_reason);
+        }
+    };
+
+    return new Transform({
+        transform(data, encoding, callback) {
+            try {
+                lineBuffer += data.toString();
+                let separatorIndex;
+                while ((separatorIndex = lineBuffer.indexOf('\n\n')) !== -1) {
+                    const event = lineBuffer.substring(0, separatorIndex);
+                    lineBuffer = lineBuffer.substring(separatorIndex + 2);
+                    if (!event.startsWith('data: ') || finished) continue;
+                    const payload = event.substring(6).trim();
+                    if (payload === '[DONE]') {
+                        finish(this);
+                        continue;
+                    }
+                    try {
+                        handleChunk(JSON.parse(payload), this);
+                    } catch (e) {
+                        console.error('Error converting chunk to Anthropic event:', e, 'Chunk:', payload);
+                    }
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            finish(this);
+            callback();
+        }
+    });
+}
+
+module.exports = {
+    anthropicToOpenAiRequest,
+    openAiResponseToAnthropic,
+    createAnthropicStreamTransformer,
+    formatAnthropicEvent,
+    toAnthropicError,
+};
@@ -2,6 +2,7 @@ const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const metrics = require('./metrics');
 
 class GitHubSync {
   constructor(repoName, token, dbPath, encryptKey) {
@@ -32,6 +33,7 @@ class GitHubSync {
     }
 
     this.initialSyncCompleted = false;
+    this.lastSyncResult = null; // { operation, success, timestamp } of the last upload/download
     
     // Sync scheduling variables
     this.pendingSync = false;
@@ -44,6 +46,15 @@ class GitHubSync {
     return this.isValid && this.repoName && this.token && this.owner && this.repo;
   }
 
+  // Record the outcome of an upload/download for the readiness endpoint and Prometheus metrics
+  recordSyncResult(operation, success) {
+    this.lastSyncResult = { operation, success, timestamp: new Date().toISOString() };
+    metrics.incCounter('jimihub_github_sync_total', { operation, result: success ? 'success' : 'failure' });
+    if (success) {
+      metrics.setGauge('jimihub_github_sync_last_success_timestamp_seconds', { operation }, Math.floor(Date.now() / 1000));
+    }
+  }
+
   // Check if encryption is configured
   isEncryptionEnabled() {
     return !!this.encryptKey && this.encryptKey.length >= 32;
@@ -196,6 +207,7 @@ class GitHubSync {
             } catch (decryptError) {
               console.error('Failed to decrypt database:', decryptError.message);
               console.error('Database file may be corrupted or encryption key is incorrect');
+              this.recordSyncResult('download', false);
               return false; // Don't save corrupted data
             }
           } else if (this.isEncryptionEnabled() && !isEncrypted) {
@@ -210,9 +222,11 @@ class GitHubSync {
             await fs.writeFile(this.dbPath, buffer);
             console.log('Database successfully downloaded and saved locally');
             this.initialSyncCompleted = true;
+            this.recordSyncResult('download', true);
             return true;
           } else {
             console.error('Downloaded database file has invalid SQLite header, not saving');
+            this.recordSyncResult('download', false);
             return false;
           }
         }
@@ -224,11 +238,13 @@ class GitHubSync {
           this.initialSyncCompleted = true;
         } else {
           console.error('Error checking database file on GitHub:', error.message);
+          this.recordSyncResult('download', false);
         }
         return false;
       }
     } catch (error) {
       console.error('Error downloading database from GitHub:', error.message);
+      this.recordSyncResult('download', false);
       return false;
     }
   }
@@ -325,9 +341,11 @@ class GitHubSync {
       });
       
       console.log('Database successfully uploaded to GitHub');
+      this.recordSyncResult('upload', true);
       return true;
     } catch (error) {
       console.error('Error uploading database to GitHub:', error.message);
+      this.recordSyncResult('upload', false);
       return false;
     }
   }
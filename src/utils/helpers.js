@@ -1,16 +1,89 @@
+// Gemini's free-tier quotas reset at midnight Pacific time, so this is the default reset point for usage counters
+const DEFAULT_QUOTA_RESET = { timeZone: 'America/Los_Angeles', hour: 0 };
+
+/**
+ * Helper function to get the current wall-clock time in a timezone, as a UTC timestamp with the same fields.
+ * @param {string} timeZone IANA timezone name, e.g. "Asia/Shanghai".
+ * @returns {number}
+ */
+function getWallClockTime(timeZone) {
+	const parts = {};
+	new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric', month: '2-digit', day: '2-digit',
+		hour: '2-digit', minute: '2-digit', second: '2-digit'
+	}).formatToParts(new Date()).forEach(part => { parts[part.type] = Number(part.value); });
+	return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Helper function to get the current usage date (YYYY-MM-DD) for daily counters that reset at the given
+ * hour in the given timezone. Before the reset hour, the previous day's date is returned.
+ * @param {{timeZone: string, hour: number}} [reset=DEFAULT_QUOTA_RESET]
+ * @returns {string}
+ */
+function getUsageDate(reset = DEFAULT_QUOTA_RESET) {
+	const shifted = new Date(getWallClockTime(reset.timeZone) - reset.hour * 3600 * 1000);
+	return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Helper function to get the number of seconds until the next day or month starts for the given reset point,
+ * i.e. until daily/monthly usage counters reset.
+ * @param {'day' | 'month'} period
+ * @param {{timeZone: string, hour: number}} [reset=DEFAULT_QUOTA_RESET]
+ * @returns {number}
+ */
+function getSecondsUntilReset(period, reset = DEFAULT_QUOTA_RESET) {
+	const shifted = new Date(getWallClockTime(reset.timeZone) - reset.hour * 3600 * 1000);
+	const next = period === 'month'
+		? Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, 1)
+		: Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate() + 1);
+	return Math.max(1, Math.ceil((next - shifted.getTime()) / 1000));
+}
+
+/**
+ * Helper function to check whether a string is a timezone name supported by Intl, e.g. "UTC" or "Asia/Shanghai".
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+	if (typeof timeZone !== 'string' || !timeZone) return false;
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Helper function to test a value against a glob pattern where `*` matches any run of characters
+ * and `?` a single character; everything else (including `[` and `]`) is literal. Case-insensitive.
+ * @param {string} pattern e.g. "gemini-*-flash*" or "[v]*"
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesGlob(pattern, value) {
+	const regexSource = pattern
+		.split('')
+		.map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+		.join('');
+	return new RegExp(`^${regexSource}$`, 'i').test(value);
+}
+
 /**
- * Helper function to get today's date in Los Angeles timezone (YYYY-MM-DD format)
- * Uses a more reliable method for timezone conversion
+ * Helper function to check a model ID against a worker key's model allow/deny lists.
+ * Deny patterns take precedence; an empty allow list allows every model that is not denied.
+ * @param {string} modelId
+ * @param {{allowedModels: string[], deniedModels: string[]}} access
+ * @returns {boolean}
  */
-function getTodayInLA() {
-	// Get current date in Los Angeles timezone
-	const date = new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' });
-	// Parse the date string into a Date object
-	const laDate = new Date(date);
-	// Format as YYYY-MM-DD
-	return laDate.getFullYear() + '-' +
-		String(laDate.getMonth() + 1).padStart(2, '0') + '-' +
-		String(laDate.getDate()).padStart(2, '0');
+function isModelAllowed(modelId, access) {
+	if (!access) return true;
+	if (access.deniedModels.some(pattern => matchesGlob(pattern, modelId))) return false;
+	return access.allowedModels.length === 0 || access.allowedModels.some(pattern => matchesGlob(pattern, modelId));
 }
 
 /**
@@ -55,7 +128,12 @@ async function readRequestBody(req) {
 // }
 
 module.exports = {
-    getTodayInLA,
+    DEFAULT_QUOTA_RESET,
+    getUsageDate,
+    getSecondsUntilReset,
+    isValidTimeZone,
+    matchesGlob,
+    isModelAllowed,
     readRequestBody,
     // corsHeaders // Not exporting as it's handled by middleware
 };
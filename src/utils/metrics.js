@@ -0,0 +1,173 @@
+// Minimal in-process Prometheus registry (counters, gauges and histograms) rendered in the text exposition format.
+// Kept dependency-free so any module, including the db and utils layers, can record metrics.
+
+// Upper bounds in seconds for upstream latency histograms
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const families = new Map();
+
+/**
+ * Registers a metric family. Registering the same name again returns the existing family.
+ * @param {string} name
+ * @param {'counter' | 'gauge' | 'histogram'} type
+ * @param {string} help
+ * @returns {{name: string, type: string, help: string, series: Map<string, object>}}
+ */
+function defineMetric(name, type, help) {
+    if (!families.has(name)) {
+        families.set(name, { name, type, help, series: new Map() });
+    }
+    return families.get(name);
+}
+
+defineMetric('jimihub_requests_total', 'counter', 'Client requests handled, by endpoint, model, worker key and HTTP status.');
+defineMetric('jimihub_upstream_requests_total', 'counter', 'Requests sent to Gemini/Vertex, by backend, model and HTTP status.');
+defineMetric('jimihub_upstream_latency_seconds', 'histogram', 'Time until the upstream Gemini/Vertex response headers arrived.');
+defineMetric('jimihub_upstream_retries_total', 'counter', 'Upstream attempts that failed and were retried with another key.');
+defineMetric('jimihub_upstream_429_total', 'counter', 'Upstream 429 (rate limit) responses, by model.');
+defineMetric('jimihub_proxy_requests_total', 'counter', 'Outgoing connections opened through each SOCKS5 proxy of the proxy pool.');
+defineMetric('jimihub_github_sync_total', 'counter', 'GitHub database sync operations, by operation and result.');
+defineMetric('jimihub_github_sync_last_success_timestamp_seconds', 'gauge', 'Unix time of the last successful GitHub sync operation.');
+
+/**
+ * Builds a stable key for a label set.
+ * @param {Record<string, string | number>} labels
+ * @returns {string}
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+/**
+ * Gets or creates the series for a label set within a family.
+ * @param {string} name
+ * @param {Record<string, string | number>} labels
+ * @returns {object}
+ */
+function getSeries(name, labels) {
+    const family = families.get(name);
+    if (!family) {
+        throw new Error(`Unknown metric: ${name}`);
+    }
+    const key = labelKey(labels);
+    if (!family.series.has(key)) {
+        family.series.set(key, family.type === 'histogram'
+            ? { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 });
+    }
+    return family.series.get(key);
+}
+
+/**
+ * Increments a counter.
+ * @param {string} name
+ * @param {Record<string, string | number>} [labels={}]
+ * @param {number} [amount=1]
+ */
+function incCounter(name, labels = {}, amount = 1) {
+    getSeries(name, labels).value += amount;
+}
+
+/**
+ * Sets a gauge value.
+ * @param {string} name
+ * @param {Record<string, string | number>} [labels={}]
+ * @param {number} value
+ */
+function setGauge(name, labels = {}, value) {
+    getSeries(name, labels).value = value;
+}
+
+/**
+ * Records an observation in a histogram.
+ * @param {string} name
+ * @param {Record<string, string | number>} labels
+ * @param {number} value
+ */
+function observeHistogram(name, labels, value) {
+    const series = getSeries(name, labels);
+    LATENCY_BUCKETS.forEach((bound, index) => {
+        if (value <= bound) series.buckets[index]++;
+    });
+    series.sum += value;
+    series.count++;
+}
+
+/**
+ * Records one upstream call: its status counter, latency and, for 429s, the rate limit counter.
+ * @param {'gemini' | 'vertex'} backend
+ * @param {string} model
+ * @param {number} status HTTP status (500 for network errors).
+ * @param {number} startTime Date.now() taken before the call.
+ */
+function recordUpstreamCall(backend, model, status, startTime) {
+    incCounter('jimihub_upstream_requests_total', { backend, model, status });
+    observeHistogram('jimihub_upstream_latency_seconds', { backend, model }, (Date.now() - startTime) / 1000);
+    if (status === 429) {
+        incCounter('jimihub_upstream_429_total', { model });
+    }
+}
+
+/**
+ * Shortens a worker key for use as a label so full keys never reach the metrics backend.
+ * @param {string} workerKey
+ * @returns {string}
+ */
+function maskWorkerKey(workerKey) {
+    return workerKey ? `${workerKey.slice(0, 8)}...` : 'unknown';
+}
+
+/**
+ * Formats a label set as {name="value",...}.
+ * @param {Record<string, string | number>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const parts = Object.entries(labels)
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Renders one metric family in the text exposition format.
+ * @param {{name: string, type: string, help: string, series: Iterable<object>}} family
+ * @returns {string}
+ */
+function renderFamily(family) {
+    const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+    for (const series of family.series) {
+        if (family.type === 'histogram') {
+            LATENCY_BUCKETS.forEach((bound, index) => {
+                lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+            });
+            lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+        } else {
+            lines.push(`${family.name}${formatLabels(series.labels)} ${series.value}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renders all registered metrics plus gauges computed at scrape time.
+ * @param {Array<{name: string, help: string, samples: Array<{labels: object, value: number}>}>} [scrapeGauges=[]]
+ * @returns {string}
+ */
+function renderMetrics(scrapeGauges = []) {
+    const rendered = [...families.values()].map(family => renderFamily({ ...family, series: family.series.values() }));
+    scrapeGauges.forEach(gauge => {
+        rendered.push(renderFamily({ name: gauge.name, type: 'gauge', help: gauge.help, series: gauge.samples }));
+    });
+    return `${rendered.join('\n')}\n`;
+}
+
+module.exports = {
+    incCounter,
+    setGauge,
+    observeHistogram,
+    recordUpstreamCall,
+    maskWorkerKey,
+    renderMetrics,
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Admin password hashing with scrypt. Hashes are stored as "scrypt$N$r$p$<salt>$<hash>" (base64 salt and hash)
+// so the cost parameters can be raised later without invalidating existing passwords.
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Promisified crypto.scrypt.
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {{N: number, r: number, p: number}} params
+ * @returns {Promise<Buffer>}
+ */
+function scrypt(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (err, derivedKey) => {
+            if (err) reject(err);
+            else resolve(derivedKey);
+        });
+    });
+}
+
+/**
+ * Hashes a password with a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} The encoded hash.
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a hash from hashPassword().
+ * @param {string} password
+ * @param {string} storedHash
+ * @returns {Promise<boolean>} False for wrong passwords and malformed hashes.
+ */
+async function verifyPassword(password, storedHash) {
+    const parts = String(storedHash || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return false;
+    }
+    try {
+        const [, N, r, p, salt, hash] = parts;
+        const expected = Buffer.from(hash, 'base64');
+        const actual = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    } catch (e) {
+        console.error('Error verifying password hash:', e.message);
+        return false;
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+};
@@ -6,6 +6,8 @@ try {
     SocksProxyAgent = null; // Set to null if import fails
 }
 
+const metrics = require('./metrics');
+
 let proxies = [];
 let currentProxyIndex = 0;
 
@@ -48,7 +50,10 @@ function getNextProxyAgent() {
     try {
         // Log proxy usage within the service where it's called for better context
         // console.log(`Using proxy: ${proxyUrl}`); 
-        return new SocksProxyAgent(proxyUrl);
+        const agent = new SocksProxyAgent(proxyUrl);
+        // Label by host:port only; proxy URLs may carry credentials
+        metrics.incCounter('jimihub_proxy_requests_total', { proxy: `${agent.proxy.host}:${agent.proxy.port}` });
+        return agent;
     } catch (e) {
         console.error(`Error creating proxy agent for ${proxyUrl}:`, e);
         return undefined; // Return undefined if agent creation fails
@@ -0,0 +1,233 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const proxyPool = require('./proxyPool');
+
+// Timeout for downloading a single remote image
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+// Redirects are followed by hand so every hop goes through the same host checks
+const MAX_IMAGE_REDIRECTS = 5;
+
+// Loopback, private, link-local and other non-public ranges. Images are never fetched from these
+// (e.g. 127.0.0.1 or the cloud metadata address 169.254.169.254) unless the host is explicitly allowed.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Detects the image MIME type from the file's magic bytes.
+ * @param {Buffer} buffer
+ * @returns {string | null} The MIME type, or null if the bytes are not a supported image format.
+ */
+function sniffImageMimeType(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+        return 'image/gif';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (['heic', 'heix', 'hevc', 'hevx'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1', 'heif'].includes(brand)) return 'image/heif';
+    }
+    return null;
+}
+
+/**
+ * Checks whether a hostname is permitted by the allowed hosts list.
+ * An entry matches the host itself and any of its subdomains; an empty list allows every host.
+ * @param {string} hostname
+ * @param {string[]} allowedHosts
+ * @returns {boolean}
+ */
+function isHostAllowed(hostname, allowedHosts) {
+    if (!allowedHosts || allowedHosts.length === 0) return true;
+    const host = hostname.toLowerCase();
+    return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise not publicly routable.
+ * @param {string} address IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mappedIpv4 = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mappedIpv4) {
+        return blockedAddresses.check(mappedIpv4[1], 'ipv4');
+    }
+    const family = net.isIP(address);
+    if (family === 0) return true; // Not an address at all; refuse rather than guess
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Checks whether a hostname is explicitly listed (or a subdomain of an entry) in a non-empty allowed hosts list.
+ * Only such hosts may resolve to private addresses.
+ * @param {string} hostname
+ * @param {string[]} allowedHosts
+ * @returns {boolean}
+ */
+function isHostExplicitlyAllowed(hostname, allowedHosts) {
+    return !!allowedHosts && allowedHosts.length > 0 && isHostAllowed(hostname, allowedHosts);
+}
+
+/**
+ * dns.lookup replacement for direct connections that refuses private addresses, so a hostname cannot
+ * pass the check in assertUrlAllowed and then resolve to an internal address (DNS rebinding).
+ * @type {typeof dns.lookup}
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blocked = addresses.find(isPrivateAddress);
+        if (blocked) {
+            return callback(new Error(`Image host ${hostname} resolves to the non-public address ${blocked}`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const publicOnlyAgents = {
+    'http:': new http.Agent({ lookup: publicOnlyLookup }),
+    'https:': new https.Agent({ lookup: publicOnlyLookup })
+};
+
+/**
+ * Checks the protocol and host of an image URL (the original one and every redirect target).
+ * @param {URL} parsedUrl
+ * @param {string[]} allowedHosts
+ * @returns {Promise<void>}
+ * @throws {Error} If the URL must not be fetched.
+ */
+async function assertUrlAllowed(parsedUrl, allowedHosts) {
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+        throw new Error(`Unsupported image URL protocol: ${parsedUrl.protocol}`);
+    }
+    // URL keeps IPv6 literals in brackets
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (!isHostAllowed(hostname, allowedHosts)) {
+        throw new Error(`Image host ${hostname} is not in the allowed hosts list`);
+    }
+    if (isHostExplicitlyAllowed(hostname, allowedHosts)) {
+        return;
+    }
+    const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+        throw new Error(`Image host ${hostname} resolves to the non-public address ${blocked}`);
+    }
+}
+
+/**
+ * Downloads a remote image through the proxy pool and returns it as base64 inline data.
+ * @param {string} imageUrl An http(s) URL.
+ * @param {{ maxBytes: number, allowedHosts: string[] }} options From configService.getImageFetchSettings().
+ * @returns {Promise<{ mimeType: string, data: string }>}
+ * @throws {Error} If the host (of the URL or a redirect) is not allowed or not public, the download fails,
+ * exceeds maxBytes or is not an image.
+ */
+async function fetchRemoteImage(imageUrl, options) {
+    const proxyAgent = proxyPool.getNextProxyAgent();
+    let currentUrl = new URL(imageUrl);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        await assertUrlAllowed(currentUrl, options.allowedHosts);
+        const explicitlyAllowed = isHostExplicitlyAllowed(currentUrl.hostname.replace(/^\[|\]$/g, ''), options.allowedHosts);
+        response = await fetch(currentUrl.href, {
+            timeout: IMAGE_FETCH_TIMEOUT_MS,
+            size: options.maxBytes, // node-fetch aborts the body once it grows past this
+            redirect: 'manual',
+            agent: proxyAgent || (explicitlyAllowed ? undefined : publicOnlyAgents[currentUrl.protocol])
+        });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+            break;
+        }
+        if (redirects >= MAX_IMAGE_REDIRECTS) {
+            throw new Error(`Too many redirects (more than ${MAX_IMAGE_REDIRECTS})`);
+        }
+        currentUrl = new URL(location, currentUrl);
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const contentLength = parseInt(response.headers.get('content-length'));
+    if (contentLength > options.maxBytes) {
+        throw new Error(`Image is ${contentLength} bytes, exceeding the ${options.maxBytes} byte limit`);
+    }
+
+    const imageBuffer = await response.buffer();
+    const mimeType = sniffImageMimeType(imageBuffer);
+    if (!mimeType) {
+        throw new Error(`Downloaded content is not a supported image (Content-Type: ${response.headers.get('content-type')})`);
+    }
+    return { mimeType, data: imageBuffer.toString('base64') };
+}
+
+/**
+ * Checks whether any message carries an http(s) image_url part.
+ * @param {Array<object>} messages The OpenAI messages array.
+ * @returns {boolean}
+ */
+function hasRemoteImages(messages) {
+    return Array.isArray(messages) && messages.some(msg => Array.isArray(msg.content)
+        && msg.content.some(part => part.type === 'image_url' && /^https?:\/\//i.test(part.image_url?.url || '')));
+}
+
+/**
+ * Returns a copy of the OpenAI messages with every http(s) image_url part downloaded and replaced by a data URI.
+ * Images that cannot be fetched are replaced by a short text placeholder so the request can still proceed.
+ * @param {Array<object>} messages The OpenAI messages array.
+ * @param {{ maxBytes: number, allowedHosts: string[] }} options From configService.getImageFetchSettings().
+ * @returns {Promise<Array<object>>}
+ */
+async function inlineRemoteImages(messages, options) {
+    if (!hasRemoteImages(messages)) return messages;
+
+    return Promise.all(messages.map(async (msg) => {
+        if (!hasRemoteImages([msg])) return msg;
+
+        const content = await Promise.all(msg.content.map(async (part) => {
+            const imageUrl = part.type === 'image_url' ? part.image_url?.url : undefined;
+            if (!imageUrl || !/^https?:\/\//i.test(imageUrl)) return part;
+            try {
+                const image = await fetchRemoteImage(imageUrl, options);
+                console.log(`Fetched remote image ${imageUrl} (${image.mimeType}, ${Math.round(image.data.length * 3 / 4)} bytes)`);
+                return { type: 'image_url', image_url: { ...part.image_url, url: `data:${image.mimeType};base64,${image.data}` } };
+            } catch (e) {
+                console.error(`Failed to download image from ${imageUrl}: ${e.message}`);
+                return { type: 'text', text: `[Failed to load image at ${imageUrl}]` };
+            }
+        }));
+        return { ...msg, content };
+    }));
+}
+
+module.exports = {
+    sniffImageMimeType,
+    isHostAllowed,
+    isPrivateAddress,
+    fetchRemoteImage,
+    hasRemoteImages,
+    inlineRemoteImages,
+};
@@ -3,9 +3,11 @@ const crypto = require('crypto');
 const SESSION_COOKIE_NAME = '__session';
 const SESSION_DURATION_SECONDS = 1 * 60 * 60; // 1 hour
 
-// Auto-generate session secret key on startup for better security
-const SESSION_SECRET_KEY = crypto.randomBytes(32).toString('hex');
-console.log("Auto-generated session secret key for this session.");
+// Use SESSION_SECRET_KEY so sessions survive restarts; without it, generate a key that lasts until the next restart
+const SESSION_SECRET_KEY = process.env.SESSION_SECRET_KEY || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET_KEY) {
+    console.log("SESSION_SECRET_KEY is not set. Auto-generated session secret key for this session.");
+}
 
 /**
  * Converts Buffer to Base64 URL safe string.
@@ -32,13 +34,17 @@ function base64UrlToBuffer(base64url) {
 
 /**
  * Generates a signed session token.
- * Payload: { exp: number }
+ * Payload: { exp: number, sid: string, sub: string, mfa: boolean } where sid is the admin_sessions id,
+ * sub is the admin username and mfa records that a two-factor code was checked at login
+ * @param {string} sessionId - The id of the stored session.
+ * @param {string} username - The logged-in admin user.
+ * @param {boolean} [mfa=false] - Whether the login passed two-factor authentication.
  * @returns {Promise<string|null>} Session token or null on error.
  */
-async function generateSessionToken() {
+async function generateSessionToken(sessionId, username, mfa = false) {
     try {
         const expiration = Math.floor(Date.now() / 1000) + SESSION_DURATION_SECONDS;
-        const payload = JSON.stringify({ exp: expiration });
+        const payload = JSON.stringify({ exp: expiration, sid: sessionId, sub: username, mfa: !!mfa });
         const encodedPayload = bufferToBase64Url(Buffer.from(payload));
 
         // Use Node.js crypto for HMAC
@@ -55,17 +61,17 @@ async function generateSessionToken() {
 }
 
 /**
- * Verifies the signature and expiration of a session token.
+ * Verifies the signature and expiration of a session token and returns its payload.
  * @param {string} token - The session token string.
- * @returns {Promise<boolean>} True if valid and not expired, false otherwise.
+ * @returns {Promise<{exp: number, sid: string, sub: string, mfa: boolean} | null>} The payload if valid and not expired, null otherwise.
  */
-async function verifySessionToken(token) {
+async function getSessionPayload(token) {
     if (!token) {
-        return false;
+        return null;
     }
     try {
         const parts = token.split('.');
-        if (parts.length !== 2) return false;
+        if (parts.length !== 2) return null;
 
         const [encodedPayload, encodedSignature] = parts;
         const signatureBuffer = base64UrlToBuffer(encodedSignature);
@@ -76,9 +82,9 @@ async function verifySessionToken(token) {
         const expectedSignatureBuffer = hmac.digest();
 
         // Compare signatures using timing-safe comparison
-        if (!crypto.timingSafeEqual(signatureBuffer, expectedSignatureBuffer)) {
+        if (signatureBuffer.length !== expectedSignatureBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedSignatureBuffer)) {
             console.warn("Session token signature mismatch.");
-            return false;
+            return null;
         }
 
         // Decode payload and check expiration
@@ -88,17 +94,37 @@ async function verifySessionToken(token) {
         const now = Math.floor(Date.now() / 1000);
         if (payload.exp <= now) {
             console.log("Session token expired.");
-            return false;
+            return null;
         }
 
-        return true; // Token is valid and not expired
+        return payload; // Token is valid and not expired
 
     } catch (e) {
         console.error("Error verifying session token:", e);
-        return false;
+        return null;
     }
 }
 
+/**
+ * Gets a fingerprint of the session secret and ADMIN_PASSWORD. Stored sessions only stay valid while it
+ * matches, so changing either of them logs everyone out. Keyed with the secret so it reveals nothing about the password.
+ * @returns {string}
+ */
+function getSessionKeyFingerprint() {
+    return crypto.createHmac('sha256', SESSION_SECRET_KEY)
+        .update(`admin-sessions:${process.env.ADMIN_PASSWORD || ''}`)
+        .digest('hex');
+}
+
+/**
+ * Verifies the signature and expiration of a session token.
+ * @param {string} token - The session token string.
+ * @returns {Promise<boolean>} True if valid and not expired, false otherwise.
+ */
+async function verifySessionToken(token) {
+    return (await getSessionPayload(token)) !== null;
+}
+
 /**
  * Extracts the session token from the request's cookies.
  * Uses cookie-parser middleware result.
@@ -153,12 +179,25 @@ async function verifySessionCookie(req) {
     return await verifySessionToken(token);
 }
 
+/**
+ * Gets the payload of the request's session cookie.
+ * @param {import('express').Request} req - Express request object.
+ * @returns {Promise<{exp: number, sid: string, sub: string, mfa: boolean} | null>} The payload, or null if the session is invalid.
+ */
+async function getSessionFromCookie(req) {
+    return await getSessionPayload(getSessionTokenFromCookie(req));
+}
+
 module.exports = {
     generateSessionToken,
+    getSessionKeyFingerprint,
+    getSessionPayload,
     verifySessionToken,
     getSessionTokenFromCookie,
     setSessionCookie,
     clearSessionCookie,
     verifySessionCookie,
+    getSessionFromCookie,
     SESSION_COOKIE_NAME,
+    SESSION_DURATION_SECONDS,
 };
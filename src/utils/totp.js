@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 30 second steps, 6 digits), compatible with
+// Google Authenticator, Authy, 1Password and similar apps. Secrets are base32 encoded as those apps expect.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes as unpadded base32 (RFC 4648).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decodes base32, ignoring case, spaces and padding.
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet.
+ */
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character '${char}'.`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * @returns {string} A new random base32 secret.
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Computes the code for a time step.
+ * @param {string} secret Base32 secret.
+ * @param {number} step Number of 30 second steps since the Unix epoch.
+ * @returns {string} Zero-padded code.
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * @param {number} [timeMs] Defaults to now.
+ * @returns {number} The current time step.
+ */
+function getTimeStep(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Checks a code against the current time step and one step either side, to allow for clock drift.
+ * @param {string} secret Base32 secret.
+ * @param {string} code Code entered by the user; spaces are ignored.
+ * @param {number} [timeMs] Defaults to now.
+ * @returns {number | null} The matching time step, or null if the code is wrong.
+ */
+function verifyCode(secret, code, timeMs = Date.now()) {
+    const cleanCode = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(cleanCode)) {
+        return null;
+    }
+    const currentStep = getTimeStep(timeMs);
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleanCode))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from the enrollment QR code.
+ * @param {string} secret Base32 secret.
+ * @param {string} accountName e.g. the admin username.
+ * @param {string} [issuer]
+ * @returns {string}
+ */
+function buildOtpauthUri(secret, accountName, issuer = 'JimiHub') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    getTimeStep,
+    verifyCode,
+    buildOtpauthUri,
+};
@@ -1,5 +1,7 @@
 // --- Transformation logic migrated from Cloudflare Worker ---
 
+const mime = require('mime-types');
+
 /**
  * Parses a data URI string.
  * @param {string} dataUri - The data URI (e.g., "data:image/jpeg;base64,...").
@@ -12,6 +14,361 @@ function parseDataUri(dataUri) {
 	return { mimeType: match[1], data: match[2] };
 }
 
+// Gemini expects these audio MIME types rather than the IANA names mime-types returns (audio/mpeg, audio/wave)
+const AUDIO_FORMAT_MIME_TYPES = {
+	mp3: 'audio/mp3',
+	wav: 'audio/wav',
+};
+
+/**
+ * Converts OpenAI `input_audio` and `file` content parts into Gemini inlineData parts.
+ * input_audio: { data: base64, format: 'wav' | 'mp3' | ... }
+ * file: { file_data: data URI or raw base64, filename? } (PDFs, documents, video)
+ * @param {object} part - The OpenAI content part.
+ * @returns {{ inlineData: { mimeType: string, data: string } } | null} Null if the part cannot be inlined.
+ */
+function toInlineDataPart(part) {
+	if (part.type === 'input_audio') {
+		const { data, format } = part.input_audio || {};
+		const mimeType = format ? (AUDIO_FORMAT_MIME_TYPES[format] || mime.lookup(format)) : false;
+		if (!data || !mimeType) {
+			console.warn(`Invalid input_audio part (format: ${format}). Skipping part.`);
+			return null;
+		}
+		return { inlineData: { mimeType, data } };
+	}
+
+	if (part.type === 'file') {
+		const file = part.file || {};
+		if (!file.file_data) {
+			// file_id refers to OpenAI's Files API, which has no equivalent here
+			console.warn(`File part without file_data${file.file_id ? ` (file_id: ${file.file_id})` : ''} is not supported. Skipping part.`);
+			return null;
+		}
+		const parsed = parseDataUri(file.file_data);
+		const mimeType = parsed?.mimeType || (file.filename && mime.lookup(file.filename));
+		if (!mimeType) {
+			console.warn(`Could not determine MIME type for file part${file.filename ? ` ${file.filename}` : ''}. Skipping part.`);
+			return null;
+		}
+		return { inlineData: { mimeType, data: parsed ? parsed.data : file.file_data } };
+	}
+
+	return null;
+}
+
+// thinkingBudget used for each OpenAI reasoning_effort level
+const REASONING_EFFORT_BUDGETS = {
+	none: 0,
+	minimal: 0,
+	low: 1024,
+	medium: 8192,
+	high: 24576,
+};
+
+// Smallest thinkingBudget accepted by Pro models, which cannot turn thinking off; used for reasoning_effort "minimal"
+const MIN_PRO_THINKING_BUDGET = 128;
+
+/**
+ * Whether a model is a Pro model, whose thinking cannot be turned off.
+ * @param {string} [modelId]
+ * @returns {boolean}
+ */
+function isThinkingRequiredModel(modelId) {
+	return typeof modelId === 'string' && modelId.includes('pro') && !modelId.includes('flash');
+}
+
+/**
+ * Builds the Gemini thinkingConfig for an OpenAI request.
+ * `reasoning_effort` selects a thinkingBudget and the request's `include_thoughts: true` sets Gemini's
+ * `includeThoughts` to ask for thought summaries. `minimal` turns thinking off, except on Pro models,
+ * which get the smallest budget they accept instead.
+ * @param {object} requestBody - The OpenAI request body.
+ * @returns {{ thinkingBudget?: number, includeThoughts?: boolean } | undefined} Undefined when the request sets neither.
+ */
+function buildThinkingConfig(requestBody) {
+	const thinkingConfig = {};
+	const effort = requestBody?.reasoning_effort;
+	let budget = Object.hasOwn(REASONING_EFFORT_BUDGETS, effort) ? REASONING_EFFORT_BUDGETS[effort] : undefined;
+	if (effort === 'minimal' && isThinkingRequiredModel(requestBody.model)) {
+		budget = MIN_PRO_THINKING_BUDGET;
+	}
+	if (budget !== undefined) {
+		thinkingConfig.thinkingBudget = budget;
+	}
+	if (requestBody?.include_thoughts === true && budget !== 0) {
+		thinkingConfig.includeThoughts = true;
+	}
+	return Object.keys(thinkingConfig).length > 0 ? thinkingConfig : undefined;
+}
+
+/**
+ * Splits Gemini text parts into answer text and thought summaries (parts marked `thought: true`).
+ * @param {Array<object>} parts - Gemini content parts.
+ * @returns {{ contentText: string | null, reasoningText: string | null }}
+ */
+function splitThoughtParts(parts) {
+	const textParts = parts.filter((part) => part.text !== undefined && !part.thought);
+	const thoughtParts = parts.filter((part) => part.text !== undefined && part.thought);
+	return {
+		contentText: textParts.length > 0 ? textParts.map((part) => part.text).join("") : null,
+		reasoningText: thoughtParts.length > 0 ? thoughtParts.map((part) => part.text).join("") : null,
+	};
+}
+
+// JSON Schema keywords that Gemini's responseSchema (OpenAPI subset) understands; everything else is stripped
+const GEMINI_SCHEMA_KEYWORDS = new Set([
+	'type', 'format', 'title', 'description', 'nullable', 'enum', 'properties', 'required', 'propertyOrdering',
+	'items', 'minItems', 'maxItems', 'anyOf', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern',
+]);
+
+/**
+ * Converts a JSON Schema (as sent in OpenAI `response_format.json_schema.schema`) into Gemini's responseSchema dialect.
+ * Local `$ref`s are inlined, `["x", "null"]` types and `{ type: "null" }` anyOf branches become `nullable`,
+ * `const` becomes a single-value enum, and unsupported keywords such as `$schema` and `additionalProperties` are dropped.
+ * @param {object} schema - The JSON Schema.
+ * @param {object} [rootSchema] - Schema that local `$ref`s resolve against (defaults to `schema`).
+ * @param {number} [depth=0] - Recursion depth, used to stop on self-referencing schemas.
+ * @returns {object} The Gemini-compatible schema.
+ */
+function convertJsonSchemaToGemini(schema, rootSchema = schema, depth = 0) {
+	if (!schema || typeof schema !== 'object' || depth > 32) {
+		return {};
+	}
+
+	if (typeof schema.$ref === 'string') {
+		const match = schema.$ref.match(/^#\/(\$defs|definitions)\/(.+)$/);
+		const resolved = match ? rootSchema[match[1]]?.[match[2]] : undefined;
+		if (!resolved) {
+			console.warn(`Unresolvable $ref in response schema: ${schema.$ref}. Replacing with an empty schema.`);
+			return {};
+		}
+		const { $ref, ...siblings } = schema;
+		return convertJsonSchemaToGemini({ ...resolved, ...siblings }, rootSchema, depth + 1);
+	}
+
+	const result = {};
+	for (const [key, value] of Object.entries(schema)) {
+		if (!GEMINI_SCHEMA_KEYWORDS.has(key)) continue;
+		switch (key) {
+			case 'type':
+				if (Array.isArray(value)) {
+					const types = value.filter(type => type !== 'null');
+					if (types.length < value.length) result.nullable = true;
+					if (types.length === 1) {
+						result.type = types[0].toUpperCase();
+					} else if (types.length > 1) {
+						result.anyOf = types.map(type => ({ type: type.toUpperCase() }));
+					}
+				} else if (value === 'null') {
+					result.nullable = true;
+				} else {
+					result.type = String(value).toUpperCase();
+				}
+				break;
+			case 'properties':
+				result.properties = {};
+				for (const [name, propertySchema] of Object.entries(value)) {
+					result.properties[name] = convertJsonSchemaToGemini(propertySchema, rootSchema, depth + 1);
+				}
+				break;
+			case 'items':
+				result.items = convertJsonSchemaToGemini(value, rootSchema, depth + 1);
+				break;
+			case 'anyOf': {
+				const branches = value.filter(branch => branch?.type !== 'null');
+				if (branches.length < value.length) result.nullable = true;
+				if (branches.length === 1) {
+					Object.assign(result, convertJsonSchemaToGemini(branches[0], rootSchema, depth + 1));
+				} else if (branches.length > 1) {
+					result.anyOf = branches.map(branch => convertJsonSchemaToGemini(branch, rootSchema, depth + 1));
+				}
+				break;
+			}
+			case 'enum':
+				// Gemini only supports string enums
+				result.enum = value.filter(item => item !== null).map(String);
+				if (value.includes(null)) result.nullable = true;
+				break;
+			default:
+				result[key] = value;
+		}
+	}
+
+	if (schema.const !== undefined) {
+		result.enum = [String(schema.const)];
+	}
+	if (result.enum) {
+		result.type = 'STRING';
+		result.format = 'enum';
+	}
+	// Keep the declared key order in the generated JSON
+	if (result.properties && !result.propertyOrdering) {
+		result.propertyOrdering = Object.keys(result.properties);
+	}
+	return result;
+}
+
+/**
+ * Maps OpenAI `response_format` to Gemini generationConfig fields.
+ * @param {object | undefined} responseFormat - The OpenAI response_format ({ type: 'text' | 'json_object' | 'json_schema', json_schema? }).
+ * @returns {{ responseMimeType: string, responseSchema?: object } | undefined} Undefined for plain text output.
+ */
+function buildResponseFormatConfig(responseFormat) {
+	if (!responseFormat || responseFormat.type === 'text') {
+		return undefined;
+	}
+	if (responseFormat.type === 'json_object') {
+		return { responseMimeType: 'application/json' };
+	}
+	return {
+		responseMimeType: 'application/json',
+		responseSchema: convertJsonSchemaToGemini(responseFormat.json_schema.schema),
+	};
+}
+
+/**
+ * Validates the OpenAI request options that are mapped onto Gemini generationConfig.
+ * @param {object} requestBody - The OpenAI request body.
+ * @returns {{ message: string, param: string } | null} The first problem found, or null if the options are valid.
+ */
+function validateGenerationOptions(requestBody) {
+	if (requestBody.reasoning_effort !== undefined && !Object.hasOwn(REASONING_EFFORT_BUDGETS, requestBody.reasoning_effort)) {
+		return {
+			message: `Invalid 'reasoning_effort': ${requestBody.reasoning_effort}. Supported values are ${Object.keys(REASONING_EFFORT_BUDGETS).join(', ')}.`,
+			param: 'reasoning_effort',
+		};
+	}
+	const responseFormat = requestBody.response_format;
+	if (responseFormat !== undefined) {
+		if (!['text', 'json_object', 'json_schema'].includes(responseFormat?.type)) {
+			return { message: `Invalid 'response_format.type': ${responseFormat?.type}. Supported values are text, json_object, json_schema.`, param: 'response_format' };
+		}
+		if (responseFormat.type === 'json_schema' && (!responseFormat.json_schema || typeof responseFormat.json_schema.schema !== 'object')) {
+			return { message: "'response_format.json_schema.schema' is required when type is json_schema.", param: 'response_format' };
+		}
+	}
+	return null;
+}
+
+/**
+ * Maps Gemini usageMetadata to an OpenAI usage object.
+ * Thought tokens are billed as output, so they are included in completion_tokens and reported as reasoning_tokens.
+ * @param {object | undefined} usageMetadata - Gemini usageMetadata.
+ * @returns {object} OpenAI usage object.
+ */
+function transformGeminiUsage(usageMetadata) {
+	const promptTokens = usageMetadata?.promptTokenCount || 0;
+	const reasoningTokens = usageMetadata?.thoughtsTokenCount || 0;
+	const completionTokens = (usageMetadata?.candidatesTokenCount || 0) + reasoningTokens;
+	return {
+		prompt_tokens: promptTokens,
+		completion_tokens: completionTokens,
+		total_tokens: usageMetadata?.totalTokenCount || promptTokens + completionTokens,
+		prompt_tokens_details: { cached_tokens: usageMetadata?.cachedContentTokenCount || 0 },
+		completion_tokens_details: { reasoning_tokens: reasoningTokens },
+	};
+}
+
+/**
+ * Builds the final OpenAI stream chunk that carries usage (sent when `stream_options.include_usage` is set).
+ * @param {object | undefined} usageMetadata - The last Gemini usageMetadata seen in the stream.
+ * @param {string} modelId - The model ID used for the request.
+ * @returns {string} SSE line with an empty `choices` array and the usage object.
+ */
+function buildUsageStreamChunk(usageMetadata, modelId) {
+	const usageChunk = {
+		id: `chatcmpl-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+		object: "chat.completion.chunk",
+		created: Math.floor(Date.now() / 1000),
+		model: modelId,
+		choices: [],
+		usage: transformGeminiUsage(usageMetadata),
+	};
+	return `data: ${JSON.stringify(usageChunk)}\n\n`;
+}
+
+/**
+ * Builds a lookup of tool_call_id -> function name from the assistant messages in a conversation.
+ * OpenAI tool result messages only carry the tool_call_id, while Gemini needs the function name.
+ * @param {Array<object>} messages - The OpenAI messages array.
+ * @returns {Map<string, string>} Map of tool call IDs to function names.
+ */
+function buildToolCallNameMap(messages) {
+	const names = new Map();
+	(messages || []).forEach((msg) => {
+		if (msg.role !== 'assistant' || !Array.isArray(msg.tool_calls)) return;
+		msg.tool_calls.forEach((toolCall) => {
+			if (toolCall?.id && toolCall.function?.name) {
+				names.set(toolCall.id, toolCall.function.name);
+			}
+		});
+	});
+	return names;
+}
+
+/**
+ * Converts an OpenAI assistant tool call into a Gemini functionCall part.
+ * @param {object} toolCall - The OpenAI tool call ({ id, type, function: { name, arguments } }).
+ * @returns {{ functionCall: { name: string; args: object } } | null} Gemini part or null if invalid.
+ */
+function toFunctionCallPart(toolCall) {
+	if (!toolCall || (toolCall.type && toolCall.type !== 'function') || !toolCall.function?.name) {
+		console.warn(`Unsupported tool call in assistant message: ${JSON.stringify(toolCall)}. Skipping.`);
+		return null;
+	}
+	let args = {};
+	const rawArguments = toolCall.function.arguments;
+	if (rawArguments && typeof rawArguments === 'object') {
+		args = rawArguments;
+	} else if (rawArguments) {
+		try {
+			args = JSON.parse(rawArguments);
+		} catch (e) {
+			console.warn(`Failed to parse arguments for tool call ${toolCall.function.name}: ${e.message}`);
+			args = { raw_arguments: rawArguments };
+		}
+	}
+	return { functionCall: { name: toolCall.function.name, args } };
+}
+
+/**
+ * Converts an OpenAI `tool` message into a Gemini functionResponse part.
+ * The function name is resolved from the tool_call_id, falling back to `msg.name`.
+ * Gemini expects the response to be an object, so non-object results are wrapped in `{ content }`.
+ * @param {object} msg - The OpenAI tool message ({ role: 'tool', tool_call_id, content, name? }).
+ * @param {Map<string, string>} toolCallNames - Lookup built by buildToolCallNameMap.
+ * @returns {{ functionResponse: { name: string; response: object } } | { text: string }} Gemini part.
+ */
+function toFunctionResponsePart(msg, toolCallNames) {
+	let content = msg.content;
+	if (Array.isArray(content)) {
+		content = content.filter((p) => p.type === 'text').map((p) => p.text).join('');
+	}
+
+	const name = (msg.tool_call_id && toolCallNames.get(msg.tool_call_id)) || msg.name;
+	if (!name) {
+		console.warn(`Could not resolve function name for tool result (tool_call_id: ${msg.tool_call_id}). Sending as text.`);
+		return { text: `[Tool Result for ${msg.tool_call_id || 'unknown call'}: ${content ?? ''}]` };
+	}
+
+	let response;
+	if (content && typeof content === 'object') {
+		response = content;
+	} else {
+		try {
+			response = JSON.parse(content);
+		} catch (e) {
+			response = content ?? '';
+		}
+	}
+	if (!response || typeof response !== 'object' || Array.isArray(response)) {
+		response = { content: response };
+	}
+
+	return { functionResponse: { name, response } };
+}
+
 /**
  * Transforms an OpenAI-compatible request body to the Gemini API format.
  * @param {object} requestBody - The OpenAI request body.
@@ -28,6 +385,7 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 	const contents = [];
 	let systemInstruction = undefined;
 	let systemMessageLogPrinted = false; // Add flag to track if log has been printed
+	const toolCallNames = buildToolCallNameMap(messages);
 
 	messages.forEach((msg) => {
 		let role = undefined;
@@ -41,6 +399,18 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 			case 'assistant':
 				role = 'model';
 				break;
+			case 'tool':
+			case 'function': { // 'function' is the legacy OpenAI name for tool results
+				const responsePart = toFunctionResponsePart(msg, toolCallNames);
+				// Parallel tool results must be sent back together in a single turn
+				const previous = contents[contents.length - 1];
+				if (responsePart.functionResponse && previous && previous.role === 'user' && previous.parts.every((p) => p.functionResponse)) {
+					previous.parts.push(responsePart);
+				} else {
+					contents.push({ role: 'user', parts: [responsePart] });
+				}
+				return;
+			}
 			case 'system':
                 // If safety is disabled OR it's a gemma model, treat system as user
                 if (isSafetyEnabled === false || (requestedModelId && requestedModelId.startsWith('gemma'))) {
@@ -70,8 +440,12 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 				return; // Skip unknown roles
 		}
 
+		const hasToolCalls = role === 'model' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0;
+
 		// 2. Map Content to Parts
-		if (typeof msg.content === 'string') {
+		if (hasToolCalls && (msg.content === null || msg.content === undefined || msg.content === '')) {
+			// Assistant turn that only contains tool calls, handled below
+		} else if (typeof msg.content === 'string') {
 			parts.push({ text: msg.content });
 		} else if (Array.isArray(msg.content)) {
 			// Handle multi-part messages (text and images)
@@ -90,14 +464,14 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 					if (imageData) {
 						parts.push({ inlineData: { mimeType: imageData.mimeType, data: imageData.data } }); // Structure expected by Gemini
 					} else {
-                        // If it's not a data URI, we can't directly include it as inlineData.
-                        // Gemini API (currently) doesn't support fetching from URLs directly in the standard API.
-                        // Consider alternatives:
-                        // 1. Pre-fetch the image data server-side (adds complexity, requires fetch).
-                        // 2. Reject requests with image URLs (simpler for now).
+                        // http(s) URLs are downloaded and inlined by remoteImage.inlineRemoteImages before this runs,
+                        // so anything left here is an unsupported scheme.
                         console.warn(`Image URL is not a data URI: ${imageUrl}. Gemini API requires inlineData (base64). Skipping image part.`);
-                        // Decide how to handle this. For now, we skip.
-                        // parts.push({ text: `[Unsupported Image URL: ${imageUrl}]` }); // Optional: replace with text placeholder
+					}
+				} else if (part.type === 'input_audio' || part.type === 'file') {
+					const inlinePart = toInlineDataPart(part);
+					if (inlinePart) {
+						parts.push(inlinePart);
 					}
 				} else {
 					console.warn(`Unknown content part type: ${part.type}. Skipping part.`);
@@ -108,6 +482,14 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 			return;
 		}
 
+		// Prior assistant tool calls become functionCall parts after any text
+		if (hasToolCalls) {
+			msg.tool_calls.forEach((toolCall) => {
+				const callPart = toFunctionCallPart(toolCall);
+				if (callPart) parts.push(callPart);
+			});
+		}
+
 		// Add the transformed message to contents if it has a role and parts
 		if (role && parts.length > 0) {
 			contents.push({ role, parts });
@@ -152,6 +534,10 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 				case 'none':
 					functionCallingConfig.mode = 'NONE';
 					break;
+				case 'required':
+					// Model must call at least one of the declared functions
+					functionCallingConfig.mode = 'ANY';
+					break;
 				default:
 					// If it's a string but not 'auto' or 'none', treat it as a specific function name
 					functionCallingConfig.mode = 'ANY';
@@ -190,7 +576,7 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 function transformGeminiStreamChunk(geminiChunk, modelId) {
 	try {
 		if (!geminiChunk || !geminiChunk.candidates || !geminiChunk.candidates.length) {
-            // Ignore chunks that only contain usageMetadata (often appear at the end)
+            // Chunks that only contain usageMetadata are reported via buildUsageStreamChunk instead
             if (geminiChunk?.usageMetadata) {
                 return null;
             }
@@ -200,16 +586,14 @@ function transformGeminiStreamChunk(geminiChunk, modelId) {
 
 		const candidate = geminiChunk.candidates[0];
 		let contentText = null;
+		let reasoningText = null;
 		let toolCalls = undefined;
 
-		// Extract text content and function calls
+		// Extract text content, thought summaries and function calls
         if (candidate.content?.parts?.length > 0) {
-            const textParts = candidate.content.parts.filter((part) => part.text !== undefined);
             const functionCallParts = candidate.content.parts.filter((part) => part.functionCall !== undefined);
 
-            if (textParts.length > 0) {
-                contentText = textParts.map((part) => part.text).join("");
-            }
+            ({ contentText, reasoningText } = splitThoughtParts(candidate.content.parts));
 
             if (functionCallParts.length > 0) {
                 // Generate unique IDs for tool calls within the stream context if needed,
@@ -245,10 +629,14 @@ function transformGeminiStreamChunk(geminiChunk, modelId) {
 		// Construct the delta part for the OpenAI chunk
 		const delta = {};
         // Include role only if there's actual content or tool calls in this chunk
-        if (candidate.content?.role && (contentText !== null || (toolCalls && toolCalls.length > 0))) {
+        if (candidate.content?.role && (contentText !== null || reasoningText !== null || (toolCalls && toolCalls.length > 0))) {
             delta.role = candidate.content.role === 'model' ? 'assistant' : candidate.content.role;
         }
 
+        if (reasoningText !== null) {
+            delta.reasoning_content = reasoningText;
+        }
+
         if (toolCalls && toolCalls.length > 0) {
             delta.tool_calls = toolCalls;
              // IMPORTANT: Explicitly set content to null if there are tool_calls but no text content in THIS chunk
@@ -344,16 +732,14 @@ function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
 
 		const candidate = geminiResponse.candidates[0];
 		let contentText = null;
+		let reasoningText = null;
 		let toolCalls = undefined;
 
-		// Extract content and tool calls
+		// Extract content, thought summaries and tool calls
 		if (candidate.content?.parts?.length > 0) {
-            const textParts = candidate.content.parts.filter((part) => part.text !== undefined);
             const functionCallParts = candidate.content.parts.filter((part) => part.functionCall !== undefined);
 
-            if (textParts.length > 0) {
-                contentText = textParts.map((part) => part.text).join("");
-            }
+            ({ contentText, reasoningText } = splitThoughtParts(candidate.content.parts));
 
             if (functionCallParts.length > 0) {
                 toolCalls = functionCallParts.map((part, index) => ({
@@ -408,14 +794,13 @@ function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
          if (message.content === undefined && !message.tool_calls) {
             message.content = null;
          }
+        if (reasoningText !== null) {
+            message.reasoning_content = reasoningText;
+        }
 
 
 		// Map usage metadata
-		const usage = {
-			prompt_tokens: geminiResponse.usageMetadata?.promptTokenCount || 0,
-			completion_tokens: geminiResponse.usageMetadata?.candidatesTokenCount || 0, // Sum across candidates if multiple
-			total_tokens: geminiResponse.usageMetadata?.totalTokenCount || 0,
-		};
+		const usage = transformGeminiUsage(geminiResponse.usageMetadata);
 
 		// Construct the final OpenAI response object
 		const openaiResponse = {
@@ -459,9 +844,68 @@ function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
 }
 
 
+// Rough characters per token for Gemini models on English text
+const CHARS_PER_TOKEN_ESTIMATE = 4;
+
+/**
+ * Estimates the token count of text for endpoints where Gemini reports no usage.
+ * @param {string | string[]} text - A string or a list of strings.
+ * @returns {number} Estimated tokens, at least 1 per non-empty string.
+ */
+function estimateTextTokens(text) {
+	const texts = typeof text === 'string' ? [text] : (Array.isArray(text) ? text : []);
+	return texts
+		.filter((item) => typeof item === 'string' && item.length > 0)
+		.reduce((sum, item) => sum + Math.ceil(item.length / CHARS_PER_TOKEN_ESTIMATE), 0);
+}
+
+/**
+ * Transforms a Gemini batchEmbedContents response into an OpenAI-compatible embeddings response.
+ * @param {{ embeddings: Array<{ values: number[] }> }} geminiResponse - The (merged) Gemini embeddings response.
+ * @param {string} modelId - The model ID used for the request.
+ * @param {'float' | 'base64'} [encodingFormat='float'] - OpenAI encoding_format; base64 packs little-endian float32 values.
+ * @param {string | string[]} [input] - The embedded input, used to estimate the usage Gemini does not report.
+ * @returns {object} The OpenAI-compatible embeddings response object.
+ */
+function transformGeminiEmbeddingsToOpenAI(geminiResponse, modelId, encodingFormat = 'float', input = []) {
+	// batchEmbedContents does not report token counts, so usage is estimated from the input length
+	const promptTokens = estimateTextTokens(input);
+	const data = (geminiResponse?.embeddings || []).map((embedding, index) => {
+		const values = embedding?.values || [];
+		let encoded = values;
+		if (encodingFormat === 'base64') {
+			const buffer = Buffer.alloc(values.length * 4);
+			values.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+			encoded = buffer.toString('base64');
+		}
+		return { object: "embedding", index, embedding: encoded };
+	});
+
+	return {
+		object: "list",
+		data,
+		model: modelId,
+		usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+	};
+}
+
 module.exports = {
     parseDataUri,
+    toInlineDataPart,
+    REASONING_EFFORT_BUDGETS,
+    buildThinkingConfig,
+    splitThoughtParts,
+    convertJsonSchemaToGemini,
+    buildResponseFormatConfig,
+    validateGenerationOptions,
+    transformGeminiUsage,
+    buildUsageStreamChunk,
+    buildToolCallNameMap,
+    toFunctionCallPart,
+    toFunctionResponsePart,
     transformOpenAiToGemini,
     transformGeminiStreamChunk,
     transformGeminiResponseToOpenAI,
+    estimateTextTokens,
+    transformGeminiEmbeddingsToOpenAI,
 };
@@ -0,0 +1,85 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const keySelectionStrategies = require('../../src/services/keySelectionStrategies');
+
+const TODAY = '2026-01-15';
+
+/**
+ * @param {string} id
+ * @param {object} [fields] Extra gemini_keys columns.
+ * @returns {object} A gemini_keys row.
+ */
+function keyRow(id, fields = {}) {
+    return { id, usage_date: TODAY, model_usage: '{}', category_usage: '{}', ...fields };
+}
+
+const context = { modelId: 'gemini-2.5-flash', modelCategory: 'Flash', getUsageDate: () => TODAY };
+
+describe('keySelectionStrategies', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('registers the built-in strategies', () => {
+        assert.deepEqual(
+            keySelectionStrategies.getStrategyNames(),
+            ['round-robin', 'least-used-today', 'weighted', 'random', 'sticky-by-worker-key']
+        );
+        assert.equal(keySelectionStrategies.isValidStrategy(keySelectionStrategies.DEFAULT_STRATEGY), true);
+        assert.equal(keySelectionStrategies.isValidStrategy('fastest'), false);
+    });
+
+    it('round-robin takes the first candidate, also for unknown strategy names', () => {
+        const candidates = [keyRow('a'), keyRow('b')];
+        assert.equal(keySelectionStrategies.selectKey('round-robin', candidates, context).id, 'a');
+        assert.equal(keySelectionStrategies.selectKey('fastest', candidates, context).id, 'a');
+    });
+
+    it('least-used-today counts the requested model category', () => {
+        const candidates = [
+            keyRow('a', { category_usage: JSON.stringify({ flash: 5, pro: 0 }) }),
+            keyRow('b', { category_usage: JSON.stringify({ flash: 2, pro: 9 }) }),
+            keyRow('c', { category_usage: JSON.stringify({ flash: 2 }) }),
+        ];
+        // Ties go to the earlier key in round-robin order
+        assert.equal(keySelectionStrategies.selectKey('least-used-today', candidates, context).id, 'b');
+        assert.equal(keySelectionStrategies.selectKey('least-used-today', candidates, { ...context, modelCategory: 'Pro' }).id, 'a');
+    });
+
+    it('least-used-today counts Custom models per model and ignores usage from other days', () => {
+        const customContext = { ...context, modelId: 'my-model', modelCategory: 'Custom' };
+        const candidates = [
+            keyRow('a', { model_usage: JSON.stringify({ 'my-model': 3 }) }),
+            keyRow('b', { model_usage: JSON.stringify({ 'my-model': 1 }) }),
+            keyRow('c', { usage_date: '2026-01-14', model_usage: JSON.stringify({ 'my-model': 50 }) }),
+        ];
+        assert.equal(keySelectionStrategies.selectKey('least-used-today', candidates, customContext).id, 'c');
+    });
+
+    it('weighted picks keys in proportion to their weight and skips zero weights', () => {
+        const candidates = [keyRow('a', { weight: 1 }), keyRow('b', { weight: 0 }), keyRow('c', { weight: 3 })];
+        mock.method(Math, 'random', () => 0.2); // 0.8 of 4 -> within a's weight
+        assert.equal(keySelectionStrategies.selectKey('weighted', candidates, context).id, 'a');
+        mock.method(Math, 'random', () => 0.3); // 1.2 of 4 -> past a, b has no weight
+        assert.equal(keySelectionStrategies.selectKey('weighted', candidates, context).id, 'c');
+    });
+
+    it('weighted falls back to the first key when every weight is zero', () => {
+        const candidates = [keyRow('a', { weight: 0 }), keyRow('b', { weight: 0 })];
+        assert.equal(keySelectionStrategies.selectKey('weighted', candidates, context).id, 'a');
+    });
+
+    it('sticky-by-worker-key keeps a worker key on the same Gemini key', () => {
+        const candidates = ['a', 'b', 'c', 'd'].map(id => keyRow(id));
+        const stickyContext = { ...context, workerApiKey: 'worker-1' };
+        const selected = keySelectionStrategies.selectKey('sticky-by-worker-key', candidates, stickyContext).id;
+        assert.equal(keySelectionStrategies.selectKey('sticky-by-worker-key', [...candidates].reverse(), stickyContext).id, selected);
+        // Removing another key does not move the worker key
+        const reduced = candidates.filter(candidate => candidate.id !== (selected === 'a' ? 'b' : 'a'));
+        assert.equal(keySelectionStrategies.selectKey('sticky-by-worker-key', reduced, stickyContext).id, selected);
+    });
+
+    it('registerStrategy adds a strategy that selectKey can use', () => {
+        keySelectionStrategies.registerStrategy('last', candidates => candidates[candidates.length - 1]);
+        assert.equal(keySelectionStrategies.isValidStrategy('last'), true);
+        assert.equal(keySelectionStrategies.selectKey('last', [keyRow('a'), keyRow('b')], context).id, 'b');
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loginThrottleService = require('../../src/services/loginThrottleService');
+
+// The throttle keeps its state in memory for the whole process, so each test uses its own IPs and clock
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Runs one login attempt that fails.
+ * @param {string} ip
+ * @param {number} now
+ * @returns {ReturnType<typeof loginThrottleService.recordLoginFailure>}
+ */
+function failLogin(ip, now) {
+    assert.equal(loginThrottleService.checkLoginAllowed(ip, now).allowed, true);
+    const result = loginThrottleService.recordLoginFailure(ip, now);
+    loginThrottleService.releaseLoginAttempt(ip);
+    return result;
+}
+
+describe('loginThrottleService', () => {
+    it('lets the first failures through, then backs off exponentially', () => {
+        const ip = '198.51.100.1';
+        const now = 1 * DAY_MS;
+        for (let i = 1; i <= 3; i++) {
+            assert.equal(failLogin(ip, now).blockedForSeconds, 0);
+        }
+        assert.equal(failLogin(ip, now).blockedForSeconds, 1);
+        assert.deepEqual(loginThrottleService.checkLoginAllowed(ip, now), { allowed: false, reason: 'backoff', retryAfterSeconds: 1 });
+
+        assert.equal(failLogin(ip, now + 1000).blockedForSeconds, 2);
+        assert.equal(failLogin(ip, now + 3000).blockedForSeconds, 4);
+    });
+
+    it('locks an IP out after ten failures', () => {
+        const ip = '198.51.100.2';
+        let now = 2 * DAY_MS;
+        let result;
+        for (let i = 1; i <= 10; i++) {
+            result = failLogin(ip, now);
+            now += result.blockedForSeconds * 1000;
+        }
+        assert.equal(result.lockedOut, true);
+        assert.equal(result.blockedForSeconds, 15 * 60);
+        const check = loginThrottleService.checkLoginAllowed(ip, now - 1000);
+        assert.equal(check.reason, 'locked_out');
+        assert.equal(check.retryAfterSeconds, 1);
+    });
+
+    it('counts attempts in flight, so a parallel burst cannot skip the backoff', () => {
+        const ip = '198.51.100.3';
+        const now = 3 * DAY_MS;
+        const checks = Array.from({ length: 6 }, () => loginThrottleService.checkLoginAllowed(ip, now));
+        assert.deepEqual(checks.map(check => check.allowed), [true, true, true, true, false, false]);
+        assert.equal(checks[4].reason, 'backoff');
+
+        // Releasing an attempt frees its slot again
+        loginThrottleService.releaseLoginAttempt(ip);
+        assert.equal(loginThrottleService.checkLoginAllowed(ip, now).allowed, true);
+        for (let i = 0; i < 4; i++) {
+            loginThrottleService.releaseLoginAttempt(ip);
+        }
+        assert.equal(loginThrottleService.getThrottleStatus(now).blockedIps.some(entry => entry.ip === ip), false);
+    });
+
+    it('clears failures after a successful login', () => {
+        const ip = '198.51.100.4';
+        const now = 4 * DAY_MS;
+        for (let i = 1; i <= 4; i++) {
+            failLogin(ip, now + i * 2000);
+        }
+        const later = now + 20000;
+        assert.equal(loginThrottleService.checkLoginAllowed(ip, later).allowed, true);
+        loginThrottleService.recordLoginSuccess(ip);
+        loginThrottleService.releaseLoginAttempt(ip);
+        // Back to the free attempts
+        assert.equal(failLogin(ip, later).blockedForSeconds, 0);
+    });
+
+    it('reports blocked IPs and lets an admin clear them', () => {
+        const ip = '198.51.100.5';
+        const now = 5 * DAY_MS;
+        assert.equal(loginThrottleService.clearIp(ip), false);
+        for (let i = 1; i <= 4; i++) {
+            failLogin(ip, now);
+        }
+        const status = loginThrottleService.getThrottleStatus(now);
+        assert.deepEqual(status.blockedIps, [{ ip, failures: 4, blockedUntil: new Date(now + 1000).toISOString(), lockedOut: false }]);
+
+        assert.equal(loginThrottleService.clearIp(ip), true);
+        assert.equal(loginThrottleService.checkLoginAllowed(ip, now).allowed, true);
+        loginThrottleService.releaseLoginAttempt(ip);
+        assert.deepEqual(loginThrottleService.getThrottleStatus(now).blockedIps, []);
+    });
+
+    it('refuses IPs with failures once too many failed across IPs, counting attempts in flight', () => {
+        const now = 10 * DAY_MS;
+        for (let i = 0; i < 99; i++) {
+            failLogin(`203.0.113.${i}`, now);
+        }
+        assert.equal(loginThrottleService.getThrottleStatus(now).globalFailures, 99);
+
+        // 99 failures plus this attempt in flight reach the limit
+        assert.equal(loginThrottleService.checkLoginAllowed('203.0.113.200', now).allowed, true);
+        const check = loginThrottleService.checkLoginAllowed('203.0.113.1', now);
+        assert.equal(check.reason, 'global_limit');
+        assert.equal(check.retryAfterSeconds, 15 * 60);
+        loginThrottleService.recordLoginFailure('203.0.113.200', now);
+        loginThrottleService.releaseLoginAttempt('203.0.113.200');
+        assert.equal(loginThrottleService.checkLoginAllowed('203.0.113.200', now).reason, 'global_limit');
+
+        // The failures leave the 15 minute window
+        assert.equal(loginThrottleService.checkLoginAllowed('203.0.113.1', now + 15 * 60 * 1000 + 1).allowed, true);
+        loginThrottleService.releaseLoginAttempt('203.0.113.1');
+    });
+
+    it('still lets IPs without failures try one login at a time during the global limit', () => {
+        const now = 20 * DAY_MS;
+        for (let i = 0; i < 100; i++) {
+            failLogin(`203.0.113.${i}`, now);
+        }
+        const adminIp = '192.0.2.10';
+        assert.equal(loginThrottleService.checkLoginAllowed(adminIp, now).allowed, true);
+        assert.equal(loginThrottleService.checkLoginAllowed(adminIp, now).reason, 'global_limit');
+        loginThrottleService.recordLoginSuccess(adminIp);
+        loginThrottleService.releaseLoginAttempt(adminIp);
+        assert.equal(loginThrottleService.checkLoginAllowed(adminIp, now).allowed, true);
+        loginThrottleService.releaseLoginAttempt(adminIp);
+
+        // An attacker's fresh IP gets a single guess, then counts as failed
+        const attackerIp = '192.0.2.66';
+        failLogin(attackerIp, now);
+        assert.equal(loginThrottleService.checkLoginAllowed(attackerIp, now).reason, 'global_limit');
+    });
+});
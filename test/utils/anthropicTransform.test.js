@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const anthropicTransform = require('../../src/utils/anthropicTransform');
+
+/**
+ * Runs OpenAI SSE lines through the Anthropic stream transformer.
+ * @param {string[]} lines SSE events without the trailing blank line.
+ * @returns {Promise<object[]>} The parsed Anthropic events.
+ */
+async function convertStream(lines) {
+    const transformer = anthropicTransform.createAnthropicStreamTransformer('claude-test');
+    let output = '';
+    transformer.on('data', chunk => { output += chunk.toString(); });
+    const finished = new Promise(resolve => transformer.on('end', resolve));
+    lines.forEach(line => transformer.write(`${line}\n\n`));
+    transformer.end();
+    await finished;
+    return output.trim().split('\n\n').map(event => JSON.parse(event.split('\n')[1].slice('data: '.length)));
+}
+
+describe('anthropicToOpenAiRequest', () => {
+    it('converts the system prompt, messages and options', () => {
+        const request = anthropicTransform.anthropicToOpenAiRequest({
+            model: 'gemini-2.5-flash',
+            system: [{ type: 'text', text: 'Be brief.' }],
+            max_tokens: 100,
+            temperature: 0.5,
+            stop_sequences: ['END'],
+            messages: [{ role: 'user', content: 'Hi' }],
+        });
+        assert.deepEqual(request, {
+            model: 'gemini-2.5-flash',
+            messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+            stream: false,
+            max_tokens: 100,
+            temperature: 0.5,
+            stop: ['END'],
+        });
+    });
+
+    it('asks for stream usage when streaming', () => {
+        const request = anthropicTransform.anthropicToOpenAiRequest({ model: 'm', stream: true, messages: [] });
+        assert.equal(request.stream, true);
+        assert.deepEqual(request.stream_options, { include_usage: true });
+    });
+
+    it('maps tool_use and tool_result blocks to tool calls and tool messages', () => {
+        const request = anthropicTransform.anthropicToOpenAiRequest({
+            model: 'm',
+            messages: [
+                { role: 'assistant', content: [{ type: 'thinking', thinking: '...' }, { type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '20C' }] }, { type: 'text', text: 'Thanks' }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_2', content: 'boom', is_error: true }] },
+            ],
+            tools: [{ name: 'get_weather', description: 'Weather', input_schema: { type: 'object' } }],
+            tool_choice: { type: 'any' },
+        });
+        assert.deepEqual(request.messages, [
+            {
+                role: 'assistant',
+                content: 'Checking.',
+                tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+            },
+            { role: 'tool', tool_call_id: 'toolu_1', content: '20C' },
+            { role: 'user', content: [{ type: 'text', text: 'Thanks' }] },
+            { role: 'tool', tool_call_id: 'toolu_2', content: '{"error":"boom"}' },
+        ]);
+        assert.deepEqual(request.tools, [{ type: 'function', function: { name: 'get_weather', description: 'Weather', parameters: { type: 'object' } } }]);
+        assert.equal(request.tool_choice, 'required');
+    });
+
+    it('converts images and documents to OpenAI content parts', () => {
+        const request = anthropicTransform.anthropicToOpenAiRequest({
+            model: 'm',
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } },
+                    { type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } },
+                    { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'BBBB' } },
+                ],
+            }],
+        });
+        assert.deepEqual(request.messages[0].content, [
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+            { type: 'image_url', image_url: { url: 'https://example.com/a.png' } },
+            { type: 'file', file: { file_data: 'data:application/pdf;base64,BBBB' } },
+        ]);
+    });
+});
+
+describe('openAiResponseToAnthropic', () => {
+    it('converts text, tool calls, stop reason and usage', () => {
+        const message = anthropicTransform.openAiResponseToAnthropic({
+            choices: [{
+                message: {
+                    content: 'Let me check.',
+                    tool_calls: [{ id: 'call_1', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+                },
+                finish_reason: 'tool_calls',
+            }],
+            usage: { prompt_tokens: 12, completion_tokens: 7 },
+        }, 'claude-test');
+        assert.equal(message.type, 'message');
+        assert.equal(message.model, 'claude-test');
+        assert.deepEqual(message.content, [
+            { type: 'text', text: 'Let me check.' },
+            { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } },
+        ]);
+        assert.equal(message.stop_reason, 'tool_use');
+        assert.deepEqual(message.usage, { input_tokens: 12, output_tokens: 7 });
+    });
+
+    it('maps length to max_tokens', () => {
+        const message = anthropicTransform.openAiResponseToAnthropic({ choices: [{ message: { content: 'a' }, finish_reason: 'length' }] }, 'm');
+        assert.equal(message.stop_reason, 'max_tokens');
+    });
+});
+
+describe('toAnthropicError', () => {
+    it('maps HTTP statuses to Anthropic error types', () => {
+        assert.deepEqual(anthropicTransform.toAnthropicError(429, { message: 'slow down' }), {
+            type: 'error',
+            error: { type: 'rate_limit_error', message: 'slow down' },
+        });
+        assert.equal(anthropicTransform.toAnthropicError(503, 'busy').error.type, 'overloaded_error');
+        assert.equal(anthropicTransform.toAnthropicError(500, {}).error.message, 'Upstream API error');
+    });
+});
+
+describe('createAnthropicStreamTransformer', () => {
+    it('emits Anthropic events for text and tool call deltas', async () => {
+        const events = await convertStream([
+            `data: ${JSON.stringify({ choices: [{ delta: { content: 'Hel' } }] })}`,
+            `data: ${JSON.stringify({ choices: [{ delta: { content: 'lo' } }] })}`,
+            `data: ${JSON.stringify({ choices: [{ delta: { tool_calls: [{ id: 'call_1', function: { name: 'f', arguments: '{}' } }] }, finish_reason: 'tool_calls' }] })}`,
+            `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 4 } })}`,
+            'data: [DONE]',
+        ]);
+        assert.deepEqual(events.map(event => event.type), [
+            'message_start',
+            'content_block_start',
+            'content_block_delta',
+            'content_block_delta',
+            'content_block_stop',
+            'content_block_start',
+            'content_block_delta',
+            'content_block_stop',
+            'message_delta',
+            'message_stop',
+        ]);
+        assert.deepEqual(events[2].delta, { type: 'text_delta', text: 'Hel' });
+        assert.deepEqual(events[5].content_block, { type: 'tool_use', id: 'call_1', name: 'f', input: {} });
+        assert.deepEqual(events[6].delta, { type: 'input_json_delta', partial_json: '{}' });
+        assert.deepEqual(events[8].delta, { stop_reason: 'tool_use', stop_sequence: null });
+        assert.deepEqual(events[8].usage, { input_tokens: 3, output_tokens: 4 });
+    });
+
+    it('finishes the message when the stream ends without [DONE]', async () => {
+        const events = await convertStream([`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi' }, finish_reason: 'stop' }] })}`]);
+        assert.equal(events.at(-2).delta.stop_reason, 'end_turn');
+        assert.equal(events.at(-1).type, 'message_stop');
+    });
+
+    it('turns an in-stream error into an error event', async () => {
+        const events = await convertStream([`data: ${JSON.stringify({ error: { code: 429, message: 'quota' } })}`, 'data: [DONE]']);
+        assert.deepEqual(events.map(event => event.type), ['message_start', 'error']);
+        assert.deepEqual(events[1].error, { type: 'rate_limit_error', message: 'quota' });
+    });
+});
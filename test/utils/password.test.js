@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashPassword, verifyPassword } = require('../../src/utils/password');
+
+describe('password', () => {
+    it('stores the scrypt parameters, salt and hash', async () => {
+        const hash = await hashPassword('correct horse');
+        assert.match(hash, /^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    });
+
+    it('salts every hash', async () => {
+        assert.notEqual(await hashPassword('same'), await hashPassword('same'));
+    });
+
+    it('accepts the right password and rejects others', async () => {
+        const hash = await hashPassword('correct horse');
+        assert.equal(await verifyPassword('correct horse', hash), true);
+        assert.equal(await verifyPassword('correct horse ', hash), false);
+        assert.equal(await verifyPassword('', hash), false);
+    });
+
+    it('uses the parameters stored in the hash', async () => {
+        const hash = await hashPassword('secret');
+        const [, , r, p, salt, digest] = hash.split('$');
+        // A hash made with other cost parameters does not verify against the stored digest
+        assert.equal(await verifyPassword('secret', ['scrypt', 1024, r, p, salt, digest].join('$')), false);
+    });
+
+    it('rejects malformed hashes', async () => {
+        assert.equal(await verifyPassword('secret', undefined), false);
+        assert.equal(await verifyPassword('secret', 'plain-text'), false);
+        assert.equal(await verifyPassword('secret', 'bcrypt$1$2$3$4$5'), false);
+        assert.equal(await verifyPassword('secret', 'scrypt$3$8$1$AAAA$AAAA'), false); // N must be a power of two
+    });
+});
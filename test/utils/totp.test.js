@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../src/utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890") and SHA-1 vectors, truncated to 6 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+];
+
+describe('base32', () => {
+    it('encodes RFC 4648 test vectors without padding', () => {
+        assert.equal(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+        assert.equal(totp.base32Encode(Buffer.from('f')), 'MY');
+    });
+
+    it('decodes ignoring case, spaces and padding', () => {
+        assert.equal(totp.base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+        assert.throws(() => totp.base32Decode('MZXW1'), /Invalid base32 character '1'/);
+    });
+
+    it('round-trips generated secrets', () => {
+        const secret = totp.generateSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+    });
+});
+
+describe('generateCode', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        for (const [seconds, code] of RFC_VECTORS) {
+            assert.equal(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000)), code);
+        }
+    });
+});
+
+describe('verifyCode', () => {
+    const timeMs = 1111111111 * 1000;
+    const step = totp.getTimeStep(timeMs);
+
+    it('returns the matching time step', () => {
+        assert.equal(totp.verifyCode(RFC_SECRET, '050471', timeMs), step);
+        assert.equal(totp.verifyCode(RFC_SECRET, '050 471', timeMs), step);
+    });
+
+    it('allows one step of clock drift either way', () => {
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), timeMs), step - 1);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), timeMs), step + 1);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), timeMs), null);
+    });
+
+    it('rejects wrong and malformed codes', () => {
+        assert.equal(totp.verifyCode(RFC_SECRET, '000000', timeMs), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, '05047', timeMs), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', timeMs), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, undefined, timeMs), null);
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    it('builds the URI authenticator apps expect', () => {
+        assert.equal(
+            totp.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'admin'),
+            'otpauth://totp/JimiHub%3Aadmin?secret=JBSWY3DPEHPK3PXP&issuer=JimiHub&algorithm=SHA1&digits=6&period=30'
+        );
+    });
+});
@@ -0,0 +1,284 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const transformUtils = require('../../src/utils/transform');
+
+describe('parseDataUri', () => {
+    it('splits a base64 data URI into MIME type and data', () => {
+        assert.deepEqual(transformUtils.parseDataUri('data:image/png;base64,AAAA'), { mimeType: 'image/png', data: 'AAAA' });
+    });
+
+    it('returns null for anything else', () => {
+        assert.equal(transformUtils.parseDataUri('https://example.com/a.png'), null);
+        assert.equal(transformUtils.parseDataUri(''), null);
+    });
+});
+
+describe('toInlineDataPart', () => {
+    it('uses the Gemini audio MIME types', () => {
+        const part = transformUtils.toInlineDataPart({ type: 'input_audio', input_audio: { data: 'AAAA', format: 'mp3' } });
+        assert.deepEqual(part, { inlineData: { mimeType: 'audio/mp3', data: 'AAAA' } });
+    });
+
+    it('takes the MIME type of a file from its data URI or filename', () => {
+        assert.deepEqual(
+            transformUtils.toInlineDataPart({ type: 'file', file: { file_data: 'data:application/pdf;base64,AAAA' } }),
+            { inlineData: { mimeType: 'application/pdf', data: 'AAAA' } }
+        );
+        assert.deepEqual(
+            transformUtils.toInlineDataPart({ type: 'file', file: { file_data: 'AAAA', filename: 'clip.mp4' } }),
+            { inlineData: { mimeType: 'video/mp4', data: 'AAAA' } }
+        );
+    });
+
+    it('skips files without data', () => {
+        assert.equal(transformUtils.toInlineDataPart({ type: 'file', file: { file_id: 'file-123' } }), null);
+    });
+});
+
+describe('buildThinkingConfig', () => {
+    it('maps reasoning_effort to a thinking budget', () => {
+        assert.deepEqual(transformUtils.buildThinkingConfig({ model: 'gemini-2.5-flash', reasoning_effort: 'low' }), { thinkingBudget: 1024 });
+        assert.deepEqual(transformUtils.buildThinkingConfig({ model: 'gemini-2.5-flash', reasoning_effort: 'none' }), { thinkingBudget: 0 });
+    });
+
+    it('turns thinking off for minimal, except on Pro models', () => {
+        assert.deepEqual(transformUtils.buildThinkingConfig({ model: 'gemini-2.5-flash', reasoning_effort: 'minimal' }), { thinkingBudget: 0 });
+        assert.deepEqual(transformUtils.buildThinkingConfig({ model: 'gemini-2.5-pro', reasoning_effort: 'minimal' }), { thinkingBudget: 128 });
+    });
+
+    it('sets includeThoughts unless thinking is off', () => {
+        assert.deepEqual(transformUtils.buildThinkingConfig({ include_thoughts: true }), { includeThoughts: true });
+        assert.deepEqual(
+            transformUtils.buildThinkingConfig({ model: 'gemini-2.5-flash', reasoning_effort: 'none', include_thoughts: true }),
+            { thinkingBudget: 0 }
+        );
+    });
+
+    it('returns undefined when the request sets neither option', () => {
+        assert.equal(transformUtils.buildThinkingConfig({ model: 'gemini-2.5-flash' }), undefined);
+    });
+});
+
+describe('validateGenerationOptions', () => {
+    it('accepts every reasoning_effort level', () => {
+        for (const effort of Object.keys(transformUtils.REASONING_EFFORT_BUDGETS)) {
+            assert.equal(transformUtils.validateGenerationOptions({ reasoning_effort: effort }), null);
+        }
+    });
+
+    it('rejects unknown reasoning_effort values, including inherited property names', () => {
+        assert.equal(transformUtils.validateGenerationOptions({ reasoning_effort: 'extreme' }).param, 'reasoning_effort');
+        assert.equal(transformUtils.validateGenerationOptions({ reasoning_effort: 'toString' }).param, 'reasoning_effort');
+    });
+
+    it('requires a schema for json_schema response formats', () => {
+        assert.equal(transformUtils.validateGenerationOptions({ response_format: { type: 'json_schema' } }).param, 'response_format');
+        assert.equal(transformUtils.validateGenerationOptions({ response_format: { type: 'xml' } }).param, 'response_format');
+        assert.equal(transformUtils.validateGenerationOptions({ response_format: { type: 'json_schema', json_schema: { schema: {} } } }), null);
+    });
+});
+
+describe('splitThoughtParts', () => {
+    it('separates thought summaries from the answer', () => {
+        const parts = [{ text: 'thinking', thought: true }, { text: 'Hello' }, { text: ' world' }, { functionCall: { name: 'f' } }];
+        assert.deepEqual(transformUtils.splitThoughtParts(parts), { contentText: 'Hello world', reasoningText: 'thinking' });
+    });
+
+    it('returns null for missing kinds of text', () => {
+        assert.deepEqual(transformUtils.splitThoughtParts([]), { contentText: null, reasoningText: null });
+    });
+});
+
+describe('convertJsonSchemaToGemini', () => {
+    it('inlines $refs, maps nullable types and drops unsupported keywords', () => {
+        const schema = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                name: { type: ['string', 'null'] },
+                color: { $ref: '#/$defs/color' },
+                kind: { const: 'fruit' },
+            },
+            required: ['name'],
+            $defs: { color: { enum: ['red', 'green', null] } },
+        };
+        assert.deepEqual(transformUtils.convertJsonSchemaToGemini(schema), {
+            type: 'OBJECT',
+            properties: {
+                name: { type: 'STRING', nullable: true },
+                color: { enum: ['red', 'green'], nullable: true, type: 'STRING', format: 'enum' },
+                kind: { enum: ['fruit'], type: 'STRING', format: 'enum' },
+            },
+            required: ['name'],
+            propertyOrdering: ['name', 'color', 'kind'],
+        });
+    });
+
+    it('collapses anyOf branches with null into nullable', () => {
+        assert.deepEqual(
+            transformUtils.convertJsonSchemaToGemini({ anyOf: [{ type: 'integer' }, { type: 'null' }] }),
+            { nullable: true, type: 'INTEGER' }
+        );
+    });
+
+    it('replaces unresolvable $refs with an empty schema', () => {
+        assert.deepEqual(transformUtils.convertJsonSchemaToGemini({ $ref: '#/$defs/missing' }), {});
+    });
+});
+
+describe('buildResponseFormatConfig', () => {
+    it('maps OpenAI response_format types', () => {
+        assert.equal(transformUtils.buildResponseFormatConfig({ type: 'text' }), undefined);
+        assert.deepEqual(transformUtils.buildResponseFormatConfig({ type: 'json_object' }), { responseMimeType: 'application/json' });
+        assert.deepEqual(
+            transformUtils.buildResponseFormatConfig({ type: 'json_schema', json_schema: { schema: { type: 'string' } } }),
+            { responseMimeType: 'application/json', responseSchema: { type: 'STRING' } }
+        );
+    });
+});
+
+describe('transformGeminiUsage', () => {
+    it('counts thought tokens as completion tokens', () => {
+        const usage = transformUtils.transformGeminiUsage({
+            promptTokenCount: 10,
+            candidatesTokenCount: 5,
+            thoughtsTokenCount: 3,
+            cachedContentTokenCount: 4,
+            totalTokenCount: 18,
+        });
+        assert.deepEqual(usage, {
+            prompt_tokens: 10,
+            completion_tokens: 8,
+            total_tokens: 18,
+            prompt_tokens_details: { cached_tokens: 4 },
+            completion_tokens_details: { reasoning_tokens: 3 },
+        });
+    });
+
+    it('reports zero usage when Gemini sent none', () => {
+        assert.equal(transformUtils.transformGeminiUsage(undefined).total_tokens, 0);
+    });
+});
+
+describe('buildUsageStreamChunk', () => {
+    it('builds an SSE chunk with empty choices and the usage', () => {
+        const line = transformUtils.buildUsageStreamChunk({ promptTokenCount: 1, candidatesTokenCount: 2 }, 'gemini-2.5-flash');
+        assert.match(line, /^data: .*\n\n$/);
+        const chunk = JSON.parse(line.slice('data: '.length));
+        assert.equal(chunk.model, 'gemini-2.5-flash');
+        assert.deepEqual(chunk.choices, []);
+        assert.equal(chunk.usage.total_tokens, 3);
+    });
+});
+
+describe('estimateTextTokens', () => {
+    it('estimates about four characters per token for each string', () => {
+        assert.equal(transformUtils.estimateTextTokens('abcdefghi'), 3);
+        assert.equal(transformUtils.estimateTextTokens(['abcd', 'a', '']), 2);
+        assert.equal(transformUtils.estimateTextTokens(undefined), 0);
+    });
+});
+
+describe('transformGeminiEmbeddingsToOpenAI', () => {
+    const geminiResponse = { embeddings: [{ values: [0.5, -1] }, { values: [2] }] };
+
+    it('converts embeddings and reports estimated usage', () => {
+        const response = transformUtils.transformGeminiEmbeddingsToOpenAI(geminiResponse, 'gemini-embedding-001', 'float', ['abcdefgh', 'abc']);
+        assert.deepEqual(response, {
+            object: 'list',
+            data: [
+                { object: 'embedding', index: 0, embedding: [0.5, -1] },
+                { object: 'embedding', index: 1, embedding: [2] },
+            ],
+            model: 'gemini-embedding-001',
+            usage: { prompt_tokens: 3, total_tokens: 3 },
+        });
+    });
+
+    it('packs base64 embeddings as little-endian float32', () => {
+        const response = transformUtils.transformGeminiEmbeddingsToOpenAI(geminiResponse, 'm', 'base64', 'hi');
+        const buffer = Buffer.from(response.data[0].embedding, 'base64');
+        assert.deepEqual([buffer.readFloatLE(0), buffer.readFloatLE(4)], [0.5, -1]);
+    });
+});
+
+describe('tool call parts', () => {
+    it('parses tool call arguments into functionCall args', () => {
+        const part = transformUtils.toFunctionCallPart({ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } });
+        assert.deepEqual(part, { functionCall: { name: 'get_weather', args: { city: 'Paris' } } });
+    });
+
+    it('keeps unparsable arguments as raw_arguments', () => {
+        const part = transformUtils.toFunctionCallPart({ function: { name: 'f', arguments: '{oops' } });
+        assert.deepEqual(part.functionCall.args, { raw_arguments: '{oops' });
+    });
+
+    it('resolves the function name of a tool result from the earlier tool call', () => {
+        const names = transformUtils.buildToolCallNameMap([
+            { role: 'assistant', tool_calls: [{ id: 'call_1', function: { name: 'get_weather' } }] },
+        ]);
+        assert.deepEqual(
+            transformUtils.toFunctionResponsePart({ role: 'tool', tool_call_id: 'call_1', content: '{"temp":20}' }, names),
+            { functionResponse: { name: 'get_weather', response: { temp: 20 } } }
+        );
+        assert.deepEqual(
+            transformUtils.toFunctionResponsePart({ role: 'tool', tool_call_id: 'call_1', content: 'sunny' }, names),
+            { functionResponse: { name: 'get_weather', response: { content: 'sunny' } } }
+        );
+    });
+
+    it('sends tool results with an unknown function as text', () => {
+        const part = transformUtils.toFunctionResponsePart({ role: 'tool', tool_call_id: 'call_9', content: 'done' }, new Map());
+        assert.deepEqual(part, { text: '[Tool Result for call_9: done]' });
+    });
+});
+
+describe('transformOpenAiToGemini', () => {
+    it('converts messages, tools and tool_choice', () => {
+        const result = transformUtils.transformOpenAiToGemini({
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: 'Weather in Paris and Rome?' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [
+                        { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+                        { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } },
+                    ],
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: '{"temp":20}' },
+                { role: 'tool', tool_call_id: 'call_2', content: '{"temp":25}' },
+            ],
+            tools: [{ type: 'function', function: { name: 'get_weather', parameters: { $schema: 'x', type: 'object' } } }],
+            tool_choice: 'required',
+        }, 'gemini-2.5-flash', true);
+
+        assert.deepEqual(result.systemInstruction, { role: 'system', parts: [{ text: 'Be brief.' }] });
+        assert.deepEqual(result.contents.map(content => content.role), ['user', 'model', 'user']);
+        assert.equal(result.contents[1].parts.length, 2);
+        // Parallel tool results go back in a single turn
+        assert.deepEqual(result.contents[2].parts.map(part => part.functionResponse.response), [{ temp: 20 }, { temp: 25 }]);
+        assert.deepEqual(result.tools, [{ functionDeclarations: [{ name: 'get_weather', description: undefined, parameters: { type: 'object' } }] }]);
+        assert.deepEqual(result.toolConfig, { functionCallingConfig: { mode: 'ANY' } });
+    });
+
+    it('sends the system prompt as a user turn when safety is disabled', () => {
+        const result = transformUtils.transformOpenAiToGemini({
+            messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+        }, 'gemini-2.5-flash', false);
+        assert.equal(result.systemInstruction, undefined);
+        assert.deepEqual(result.contents, [
+            { role: 'user', parts: [{ text: 'Be brief.' }] },
+            { role: 'user', parts: [{ text: 'Hi' }] },
+        ]);
+    });
+
+    it('inlines data URI images', () => {
+        const result = transformUtils.transformOpenAiToGemini({
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }],
+        }, 'gemini-2.5-flash');
+        assert.deepEqual(result.contents[0].parts, [{ text: 'What is this?' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }]);
+    });
+});